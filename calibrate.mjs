@@ -1,6 +1,8 @@
 // FILE: calibrate.mjs
 // Calibrate MVP - Context-first enforcer + report generator
 
+import { createLlmClient } from "./web/llm.mjs";
+
 export const ENFORCER_VERSION = "ENFORCER_V9_2025-12-27";
 
 // -------------------------
@@ -308,35 +310,18 @@ function inferredLines(inferred) {
 // -------------------------
 // LLM call (OpenAI-compatible)
 // -------------------------
-async function chatCompletion({ messages, temperature = 0.2 }) {
-  const openaiKey = process.env.OPENAI_API_KEY;
-  const deepseekKey = process.env.DEEPSEEK_API_KEY;
-  const apiKey = openaiKey || deepseekKey;
-  if (!apiKey) throw new Error("Missing OPENAI_API_KEY or DEEPSEEK_API_KEY in environment.");
-
-  const baseUrl =
-    process.env.OPENAI_BASE_URL ||
-    process.env.DEEPSEEK_BASE_URL ||
-    (openaiKey ? "https://api.openai.com/v1" : "https://api.deepseek.com/v1");
-
-  const model =
-    process.env.OPENAI_MODEL ||
-    process.env.DEEPSEEK_MODEL ||
-    (openaiKey ? "gpt-4o-mini" : "deepseek-chat");
-
-  const resp = await fetch(`${baseUrl}/chat/completions`, {
-    method: "POST",
-    headers: { authorization: `Bearer ${apiKey}`, "content-type": "application/json" },
-    body: JSON.stringify({ model, messages, temperature }),
-  });
-
-  if (!resp.ok) {
-    const t = await resp.text().catch(() => "");
-    throw new Error(`LLM request failed: ${t}`);
+let llmClient = null;
+
+async function chatCompletion({ messages, temperature = 0.2, purpose = "calibrate_report" }) {
+  // Created lazily so env loaded after import (dotenv) is picked up. DeepSeek
+  // keeps the /v1 base URL this script has always used.
+  if (!llmClient) {
+    llmClient = createLlmClient(process.env, {
+      preferred: ["openai", "deepseek"],
+      baseUrls: { deepseek: "https://api.deepseek.com/v1" },
+    });
   }
-
-  const json = await resp.json();
-  const content = json?.choices?.[0]?.message?.content;
+  const content = await llmClient.chat({ messages, temperature, purpose });
   if (!content) throw new Error("LLM returned empty content.");
   return content;
 }
@@ -422,7 +407,8 @@ export async function runCalibrate({ transcript, userContext, category = "", leg
         { role: "system", content: "Write ONE 45-second cold call script under 90 words. No headings, no bullets." },
         { role: "user", content: user }
       ],
-      temperature: 0.2
+      temperature: 0.2,
+      purpose: "calibrate_script"
     })).trim();
   }
 
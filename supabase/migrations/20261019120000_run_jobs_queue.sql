@@ -0,0 +1,50 @@
+-- Durable queue for /api/run_async jobs (survives server restarts)
+create table if not exists public.run_jobs (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null,
+  user_id uuid not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'failed', 'complete')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 3,
+  payload jsonb not null default '{}'::jsonb,
+  last_error text,
+  run_after timestamptz not null default now(),
+  locked_by text,
+  locked_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists run_jobs_run_id_key
+  on public.run_jobs (run_id);
+
+create index if not exists run_jobs_status_run_after_idx
+  on public.run_jobs (status, run_after);
+
+create index if not exists run_jobs_user_id_created_at_idx
+  on public.run_jobs (user_id, created_at desc);
+
+-- Atomically claim the next due job so several workers never pick the same row.
+create or replace function public.claim_run_job(p_worker text)
+returns setof public.run_jobs
+language sql
+as $$
+  update public.run_jobs j
+  set status = 'running',
+      attempts = j.attempts + 1,
+      locked_by = p_worker,
+      locked_at = now(),
+      updated_at = now()
+  where j.id = (
+    select id
+    from public.run_jobs
+    where status = 'queued'
+      and run_after <= now()
+    order by run_after, created_at
+    for update skip locked
+    limit 1
+  )
+  returning j.*;
+$$;
@@ -0,0 +1,3 @@
+-- Deterministic conversation metrics computed from transcript_lines
+alter table public.runs
+  add column if not exists metrics jsonb;
@@ -0,0 +1,23 @@
+-- User-defined scoring rubrics, attached to a scenario value or an entity
+create table if not exists public.rubrics (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  name text not null,
+  scenario text,
+  entity_id uuid references public.entities (id) on delete cascade,
+  criteria jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists rubrics_user_id_updated_at_idx
+  on public.rubrics (user_id, updated_at desc);
+
+create index if not exists rubrics_user_id_entity_id_idx
+  on public.rubrics (user_id, entity_id);
+
+create index if not exists rubrics_user_id_scenario_idx
+  on public.rubrics (user_id, scenario);
+
+alter table public.runs
+  add column if not exists rubric_id uuid;
@@ -0,0 +1,23 @@
+-- Keep every analysis of a run so re-analysis never overwrites history
+create table if not exists public.run_analysis_versions (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.runs (id) on delete cascade,
+  user_id uuid not null,
+  version integer not null,
+  analysis_json jsonb not null,
+  outcome_label text,
+  context_text text,
+  prompt_version text,
+  rubric_id uuid,
+  source text not null default 'reanalyze',
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists run_analysis_versions_run_version_key
+  on public.run_analysis_versions (run_id, version);
+
+create index if not exists run_analysis_versions_user_id_created_at_idx
+  on public.run_analysis_versions (user_id, created_at desc);
+
+alter table public.runs
+  add column if not exists analysis_version integer;
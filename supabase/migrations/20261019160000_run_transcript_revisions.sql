@@ -0,0 +1,18 @@
+-- Edited transcripts are saved as revisions; revision 1 is the original
+create table if not exists public.run_transcript_revisions (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.runs (id) on delete cascade,
+  user_id uuid not null,
+  revision integer not null,
+  transcript_lines jsonb not null,
+  transcript_text text,
+  edits jsonb not null default '[]'::jsonb,
+  source text not null default 'edit',
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists run_transcript_revisions_run_revision_key
+  on public.run_transcript_revisions (run_id, revision);
+
+alter table public.runs
+  add column if not exists transcript_revision integer;
@@ -0,0 +1,4 @@
+-- Original upload kept in storage at artifacts/<runId>/source.<ext> for playback
+alter table public.runs
+  add column if not exists audio_path text,
+  add column if not exists audio_mimetype text;
@@ -0,0 +1,19 @@
+-- Batch uploads: one run per recording, grouped under a run_batches row
+create table if not exists public.run_batches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  name text,
+  file_count integer not null default 0,
+  skipped jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists run_batches_user_id_created_at_idx
+  on public.run_batches (user_id, created_at desc);
+
+alter table public.runs
+  add column if not exists batch_id uuid references public.run_batches (id) on delete set null;
+
+create index if not exists runs_batch_id_idx
+  on public.runs (batch_id);
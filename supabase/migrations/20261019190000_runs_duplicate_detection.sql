@@ -0,0 +1,19 @@
+-- Duplicate-call detection: audio content hash at upload, near-duplicate link after transcription
+alter table public.runs
+  add column if not exists audio_hash text,
+  add column if not exists duplicate_of uuid references public.runs (id) on delete set null,
+  add column if not exists duplicate_score real,
+  -- MinHash of the transcript's word shingles, so near-duplicate checks never
+  -- load transcripts; transcript_shingles is the shingle count.
+  add column if not exists transcript_minhash integer[],
+  add column if not exists transcript_shingles integer,
+  -- Set when a duplicate merge soft-deletes this run in favour of another.
+  add column if not exists merged_into uuid references public.runs (id) on delete set null;
+
+create index if not exists runs_user_id_audio_hash_idx
+  on public.runs (user_id, audio_hash)
+  where audio_hash is not null;
+
+create index if not exists runs_user_id_transcript_hash_idx
+  on public.runs (user_id, transcript_hash)
+  where transcript_hash is not null;
@@ -0,0 +1,45 @@
+-- Server-side search, filtering and cursor pagination for /api/runs
+alter table public.runs
+  add column if not exists tags text[] not null default '{}';
+
+-- Numeric score pulled out of analysis_json so range filters can use an index.
+alter table public.runs
+  add column if not exists score numeric
+  generated always as (
+    case when jsonb_typeof(analysis_json -> 'score') = 'number'
+      then (analysis_json ->> 'score')::numeric
+    end
+  ) stored;
+
+-- Name ranks above analysis text, which ranks above the raw transcript.
+alter table public.runs
+  add column if not exists search_tsv tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A')
+    || setweight(jsonb_to_tsvector('english', coalesce(analysis_json, '{}'::jsonb), '["string"]'), 'B')
+    || setweight(to_tsvector('english', coalesce(transcript_text, '')), 'C')
+  ) stored;
+
+create index if not exists runs_search_tsv_idx
+  on public.runs using gin (search_tsv);
+
+create index if not exists runs_tags_idx
+  on public.runs using gin (tags);
+
+create index if not exists runs_user_id_created_at_id_idx
+  on public.runs (user_id, created_at desc, id desc);
+
+create index if not exists runs_user_id_entity_id_created_at_idx
+  on public.runs (user_id, entity_id, created_at desc);
+
+create index if not exists runs_user_id_status_idx
+  on public.runs (user_id, status);
+
+create index if not exists runs_user_id_scenario_idx
+  on public.runs (user_id, scenario);
+
+create index if not exists runs_user_id_outcome_label_idx
+  on public.runs (user_id, outcome_label);
+
+create index if not exists runs_user_id_score_idx
+  on public.runs (user_id, score);
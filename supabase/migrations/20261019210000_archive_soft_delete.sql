@@ -0,0 +1,25 @@
+-- Archive and soft-delete for runs and entities (deleted rows are purged after the restore window)
+alter table public.runs
+  add column if not exists archived_at timestamptz,
+  add column if not exists deleted_at timestamptz;
+
+alter table public.entities
+  add column if not exists archived_at timestamptz,
+  add column if not exists deleted_at timestamptz;
+
+alter table public.entity_playbooks
+  add column if not exists archived_at timestamptz;
+
+create index if not exists runs_user_id_lifecycle_idx
+  on public.runs (user_id, deleted_at, archived_at);
+
+create index if not exists runs_deleted_at_idx
+  on public.runs (deleted_at)
+  where deleted_at is not null;
+
+create index if not exists entities_user_id_lifecycle_idx
+  on public.entities (user_id, deleted_at, archived_at);
+
+create index if not exists entities_deleted_at_idx
+  on public.entities (deleted_at)
+  where deleted_at is not null;
@@ -0,0 +1,19 @@
+-- Immutable playbook versions (one per regeneration, with the runs that fed it) and a pinned team version
+create table if not exists public.entity_playbook_versions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  entity_id uuid not null references public.entities (id) on delete cascade,
+  version integer not null,
+  source text not null default 'generated',
+  playbook_json jsonb not null,
+  run_ids uuid[] not null default '{}',
+  created_at timestamptz not null default now(),
+  unique (entity_id, version)
+);
+
+create index if not exists entity_playbook_versions_user_entity_idx
+  on public.entity_playbook_versions (user_id, entity_id, version desc);
+
+alter table public.entity_playbooks
+  add column if not exists current_version_id uuid references public.entity_playbook_versions (id) on delete set null,
+  add column if not exists pinned_version_id uuid references public.entity_playbook_versions (id) on delete set null;
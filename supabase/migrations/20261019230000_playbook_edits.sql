@@ -0,0 +1,5 @@
+-- Human-edited playbooks: locked sections, pending regeneration suggestions and last edit time
+alter table public.entity_playbooks
+  add column if not exists locks jsonb not null default '[]'::jsonb,
+  add column if not exists suggestions jsonb not null default '[]'::jsonb,
+  add column if not exists edited_at timestamptz;
@@ -0,0 +1,40 @@
+-- Tokenized read-only share links for runs and entity playbooks, with a log of every view
+create table if not exists public.share_links (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  resource_type text not null check (resource_type in ('run', 'playbook')),
+  run_id uuid references public.runs (id) on delete cascade,
+  entity_id uuid references public.entities (id) on delete cascade,
+  token_hash text not null unique,
+  passcode_hash text,
+  redact_names boolean not null default false,
+  redact_phones boolean not null default false,
+  redact_terms text[] not null default '{}',
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  view_count integer not null default 0,
+  last_viewed_at timestamptz,
+  created_at timestamptz not null default now(),
+  check ((resource_type = 'run' and run_id is not null) or (resource_type = 'playbook' and entity_id is not null))
+);
+
+create index if not exists share_links_user_created_idx
+  on public.share_links (user_id, created_at desc);
+
+create table if not exists public.share_link_views (
+  id uuid primary key default gen_random_uuid(),
+  link_id uuid not null references public.share_links (id) on delete cascade,
+  user_id uuid not null,
+  outcome text not null,
+  ip_hash text,
+  user_agent text,
+  viewed_at timestamptz not null default now()
+);
+
+create index if not exists share_link_views_link_viewed_idx
+  on public.share_link_views (link_id, viewed_at desc);
+
+-- Written and read by the API (service role) only: share pages are served
+-- from these rows, so nothing here may be reachable with the public anon key.
+alter table public.share_links enable row level security;
+alter table public.share_link_views enable row level security;
@@ -0,0 +1,175 @@
+-- Organizations with owner/manager/rep members, email invites, org-shared entities, and RLS for team visibility
+create table if not exists public.orgs (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by uuid not null,
+  created_at timestamptz not null default now()
+);
+
+-- A user belongs to at most one org.
+create table if not exists public.org_members (
+  org_id uuid not null references public.orgs (id) on delete cascade,
+  user_id uuid not null unique,
+  role text not null check (role in ('owner', 'manager', 'rep')),
+  email text,
+  created_at timestamptz not null default now(),
+  primary key (org_id, user_id)
+);
+
+create table if not exists public.org_invites (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references public.orgs (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('owner', 'manager', 'rep')),
+  invited_by uuid not null,
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  revoked_at timestamptz
+);
+
+create unique index if not exists org_invites_pending_email_idx
+  on public.org_invites (org_id, lower(email))
+  where accepted_at is null and revoked_at is null;
+
+alter table public.entities
+  add column if not exists org_id uuid references public.orgs (id) on delete set null;
+
+create index if not exists entities_org_id_idx
+  on public.entities (org_id)
+  where org_id is not null;
+
+-- Helpers run as definer so policies on org_members do not recurse.
+create or replace function public.is_org_member(target_org uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.org_members
+    where org_id = target_org and user_id = auth.uid()
+  );
+$$;
+
+-- True when the caller is an owner or manager in the same org as member_id.
+create or replace function public.can_view_member(member_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select member_id = auth.uid() or exists (
+    select 1
+    from public.org_members viewer
+    join public.org_members member on member.org_id = viewer.org_id
+    where viewer.user_id = auth.uid()
+      and viewer.role in ('owner', 'manager')
+      and member.user_id = member_id
+  );
+$$;
+
+alter table public.orgs enable row level security;
+alter table public.org_members enable row level security;
+alter table public.org_invites enable row level security;
+alter table public.runs enable row level security;
+alter table public.entities enable row level security;
+alter table public.entity_playbooks enable row level security;
+alter table public.entity_playbook_versions enable row level security;
+alter table public.run_jobs enable row level security;
+alter table public.rubrics enable row level security;
+alter table public.run_analysis_versions enable row level security;
+alter table public.run_transcript_revisions enable row level security;
+alter table public.run_batches enable row level security;
+alter table public.share_links enable row level security;
+alter table public.share_link_views enable row level security;
+
+-- Org tables are written by the API (service role) only.
+drop policy if exists orgs_select on public.orgs;
+create policy orgs_select on public.orgs
+  for select using (public.is_org_member(id));
+
+drop policy if exists org_members_select on public.org_members;
+create policy org_members_select on public.org_members
+  for select using (public.is_org_member(org_id));
+
+drop policy if exists org_invites_select on public.org_invites;
+create policy org_invites_select on public.org_invites
+  for select using (
+    public.is_org_member(org_id)
+    or lower(email) = lower(coalesce(auth.jwt() ->> 'email', ''))
+  );
+
+drop policy if exists runs_select on public.runs;
+create policy runs_select on public.runs
+  for select using (public.can_view_member(user_id));
+
+drop policy if exists runs_write_own on public.runs;
+create policy runs_write_own on public.runs
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists entities_select on public.entities;
+create policy entities_select on public.entities
+  for select using (
+    user_id = auth.uid()
+    or (org_id is not null and public.is_org_member(org_id))
+  );
+
+drop policy if exists entities_write_own on public.entities;
+create policy entities_write_own on public.entities
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists entity_playbooks_select on public.entity_playbooks;
+create policy entity_playbooks_select on public.entity_playbooks
+  for select using (
+    user_id = auth.uid()
+    or exists (
+      select 1 from public.entities e
+      where e.id = entity_id and e.org_id is not null and public.is_org_member(e.org_id)
+    )
+  );
+
+drop policy if exists entity_playbooks_write_own on public.entity_playbooks;
+create policy entity_playbooks_write_own on public.entity_playbooks
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists entity_playbook_versions_select on public.entity_playbook_versions;
+create policy entity_playbook_versions_select on public.entity_playbook_versions
+  for select using (
+    user_id = auth.uid()
+    or exists (
+      select 1 from public.entities e
+      where e.id = entity_id and e.org_id is not null and public.is_org_member(e.org_id)
+    )
+  );
+
+drop policy if exists entity_playbook_versions_write_own on public.entity_playbook_versions;
+create policy entity_playbook_versions_write_own on public.entity_playbook_versions
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+-- Per-run and per-user tables from earlier migrations: visible to the owner
+-- and their org's owners/managers, written by the API (service role) only.
+drop policy if exists run_jobs_select on public.run_jobs;
+create policy run_jobs_select on public.run_jobs
+  for select using (public.can_view_member(user_id));
+
+drop policy if exists rubrics_select on public.rubrics;
+create policy rubrics_select on public.rubrics
+  for select using (public.can_view_member(user_id));
+
+drop policy if exists run_analysis_versions_select on public.run_analysis_versions;
+create policy run_analysis_versions_select on public.run_analysis_versions
+  for select using (public.can_view_member(user_id));
+
+drop policy if exists run_transcript_revisions_select on public.run_transcript_revisions;
+create policy run_transcript_revisions_select on public.run_transcript_revisions
+  for select using (public.can_view_member(user_id));
+
+drop policy if exists run_batches_select on public.run_batches;
+create policy run_batches_select on public.run_batches
+  for select using (public.can_view_member(user_id));
+
+-- share_links and share_link_views get no policy: they hold token and
+-- passcode hashes and viewer details, so managers see their team's links
+-- through /api/team/share_links instead.
@@ -0,0 +1,83 @@
+-- Manager review of runs: a review status per run, threaded comments anchored to transcript lines, time ranges, top fixes or evidence, and coaching tasks assigned back to the rep
+create table if not exists public.run_reviews (
+  run_id uuid primary key references public.runs (id) on delete cascade,
+  user_id uuid not null,
+  status text not null default 'unreviewed'
+    check (status in ('unreviewed', 'in_review', 'reviewed', 'needs_rerecord')),
+  reviewer_id uuid,
+  reviewer_email text,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists run_reviews_user_status_idx
+  on public.run_reviews (user_id, status);
+
+-- run_user_id is the run owner, kept here so policies need no join.
+create table if not exists public.run_comments (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.runs (id) on delete cascade,
+  run_user_id uuid not null,
+  author_id uuid not null,
+  author_email text,
+  parent_id uuid references public.run_comments (id) on delete cascade,
+  anchor_type text not null default 'run'
+    check (anchor_type in ('run', 'line', 'time', 'fix', 'evidence')),
+  line_start integer,
+  line_end integer,
+  start_ms integer,
+  end_ms integer,
+  item_index integer,
+  -- Fix title or evidence quote at comment time; the thread follows the item
+  -- by this key when re-analysis or a version switch reorders the list.
+  item_key text,
+  body text not null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (
+    (anchor_type = 'run')
+    or (anchor_type = 'line' and line_start is not null and line_end >= line_start)
+    or (anchor_type = 'time' and start_ms is not null and end_ms >= start_ms)
+    or (anchor_type in ('fix', 'evidence') and item_index is not null)
+  )
+);
+
+create index if not exists run_comments_run_created_idx
+  on public.run_comments (run_id, created_at);
+
+create table if not exists public.coaching_tasks (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.runs (id) on delete cascade,
+  assignee_id uuid not null,
+  assigner_id uuid not null,
+  assigner_email text,
+  comment_id uuid references public.run_comments (id) on delete set null,
+  title text not null,
+  details text,
+  status text not null default 'open' check (status in ('open', 'done')),
+  due_date date,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists coaching_tasks_assignee_status_idx
+  on public.coaching_tasks (assignee_id, status, created_at desc);
+
+create index if not exists coaching_tasks_run_idx
+  on public.coaching_tasks (run_id);
+
+alter table public.run_reviews enable row level security;
+alter table public.run_comments enable row level security;
+alter table public.coaching_tasks enable row level security;
+
+-- Written by the API (service role) only.
+drop policy if exists run_reviews_select on public.run_reviews;
+create policy run_reviews_select on public.run_reviews
+  for select using (public.can_view_member(user_id));
+
+drop policy if exists run_comments_select on public.run_comments;
+create policy run_comments_select on public.run_comments
+  for select using (public.can_view_member(run_user_id));
+
+drop policy if exists coaching_tasks_select on public.coaching_tasks;
+create policy coaching_tasks_select on public.coaching_tasks
+  for select using (public.can_view_member(assignee_id));
@@ -0,0 +1,51 @@
+-- Multi-touch follow-up sequences per run: ordered touches with day offsets, channels and sent/skipped tracking
+create table if not exists public.followup_sequences (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  run_id uuid not null unique references public.runs (id) on delete cascade,
+  entity_id uuid references public.entities (id) on delete set null,
+  -- Copied from the run so "a later run for this entity" needs no join.
+  run_created_at timestamptz not null,
+  status text not null default 'active' check (status in ('active', 'stopped', 'completed')),
+  stop_reason text check (stop_reason in ('booked', 'not_interested', 'manual')),
+  stopped_by_run_id uuid references public.runs (id) on delete set null,
+  stopped_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists followup_sequences_user_entity_status_idx
+  on public.followup_sequences (user_id, entity_id, status);
+
+create table if not exists public.followup_touches (
+  id uuid primary key default gen_random_uuid(),
+  sequence_id uuid not null references public.followup_sequences (id) on delete cascade,
+  user_id uuid not null,
+  run_id uuid not null references public.runs (id) on delete cascade,
+  position integer not null,
+  day_offset integer not null check (day_offset >= 0),
+  due_date date not null,
+  channel text not null check (channel in ('email', 'sms', 'linkedin', 'call')),
+  subject text,
+  body text not null,
+  goal text,
+  source text not null default 'ai' check (source in ('ai', 'fallback')),
+  status text not null default 'pending' check (status in ('pending', 'sent', 'skipped')),
+  status_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (sequence_id, position)
+);
+
+create index if not exists followup_touches_user_due_idx
+  on public.followup_touches (user_id, status, due_date);
+
+alter table public.followup_sequences enable row level security;
+alter table public.followup_touches enable row level security;
+
+drop policy if exists followup_sequences_own on public.followup_sequences;
+create policy followup_sequences_own on public.followup_sequences
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists followup_touches_own on public.followup_touches;
+create policy followup_touches_own on public.followup_touches
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
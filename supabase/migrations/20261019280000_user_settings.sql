@@ -0,0 +1,17 @@
+-- Per-user settings, starting with the timezone and working hours used to propose follow-up meeting times
+create table if not exists public.user_settings (
+  user_id uuid primary key,
+  timezone text not null default 'UTC',
+  work_day_start text not null default '09:00',
+  work_day_end text not null default '17:00',
+  -- 0 = Sunday ... 6 = Saturday
+  work_days smallint[] not null default '{1,2,3,4,5}',
+  meeting_minutes integer not null default 30 check (meeting_minutes between 10 and 120),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_settings enable row level security;
+
+drop policy if exists user_settings_own on public.user_settings;
+create policy user_settings_own on public.user_settings
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
@@ -0,0 +1,40 @@
+-- Follow-up emails sent over SMTP: per-user sender settings, a log of every send attempt per run, and the run's last sent time for analytics
+alter table public.user_settings add column if not exists sender_name text;
+alter table public.user_settings add column if not exists sender_email text;
+alter table public.user_settings add column if not exists reply_to text;
+-- CRM dropbox address (HubSpot, Salesforce, Pipedrive ...) blind-copied on sends.
+alter table public.user_settings add column if not exists bcc_crm text;
+
+create table if not exists public.followup_sends (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.runs (id) on delete cascade,
+  user_id uuid not null,
+  channel text not null default 'email' check (channel in ('email', 'message')),
+  to_email text not null,
+  from_email text not null,
+  reply_to text,
+  bcc text,
+  subject text not null,
+  body text not null,
+  message_id text,
+  status text not null check (status in ('sent', 'failed')),
+  transport text not null check (transport in ('smtp', 'capture')),
+  smtp_response text,
+  error_text text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists followup_sends_run_created_idx
+  on public.followup_sends (run_id, created_at desc);
+
+create index if not exists followup_sends_user_created_idx
+  on public.followup_sends (user_id, created_at desc);
+
+alter table public.runs add column if not exists followup_sent_at timestamptz;
+
+alter table public.followup_sends enable row level security;
+
+-- Written by the API (service role) only.
+drop policy if exists followup_sends_select on public.followup_sends;
+create policy followup_sends_select on public.followup_sends
+  for select using (user_id = auth.uid());
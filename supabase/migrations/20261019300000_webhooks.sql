@@ -0,0 +1,51 @@
+-- Outbound webhooks: per-user subscriptions to run, follow-up, playbook and entity events, and a log of every delivery with retry state
+create table if not exists public.webhook_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  url text not null,
+  description text,
+  events text[] not null,
+  secret text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_subscriptions_user_idx
+  on public.webhook_subscriptions (user_id, active);
+
+-- event_id is shared by a delivery and its replays so receivers can dedupe.
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid not null references public.webhook_subscriptions (id) on delete cascade,
+  user_id uuid not null,
+  event text not null,
+  event_id uuid not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'delivering', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_status_code integer,
+  last_error text,
+  last_response text,
+  duration_ms integer,
+  replay_of uuid references public.webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (status, next_attempt_at);
+
+create index if not exists webhook_deliveries_subscription_idx
+  on public.webhook_deliveries (subscription_id, created_at desc);
+
+alter table public.webhook_subscriptions enable row level security;
+alter table public.webhook_deliveries enable row level security;
+
+-- Written by the API (service role) only; the secret stays server-side.
+drop policy if exists webhook_deliveries_select on public.webhook_deliveries;
+create policy webhook_deliveries_select on public.webhook_deliveries
+  for select using (user_id = auth.uid());
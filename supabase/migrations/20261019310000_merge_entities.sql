@@ -0,0 +1,94 @@
+-- Entity merge in one transaction: runs, rubrics, sequences, playbook versions
+-- and share links move to the target before the sources are deleted, so the
+-- delete cascades to nothing the user still needs.
+create or replace function public.merge_entities(
+  p_user uuid,
+  p_target uuid,
+  p_sources uuid[],
+  p_patch jsonb,
+  p_playbook jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_locked integer;
+  v_moved uuid[];
+begin
+  select count(*) into v_locked
+  from (
+    select id
+    from public.entities
+    where user_id = p_user
+      and id = any(p_sources || p_target)
+      and deleted_at is null
+    for update
+  ) e;
+  if v_locked <> cardinality(p_sources) + 1 then
+    raise exception 'entities changed during merge' using errcode = 'P0002';
+  end if;
+
+  with moved as (
+    update public.runs
+    set entity_id = p_target
+    where user_id = p_user
+      and entity_id = any(p_sources)
+    returning id
+  )
+  select coalesce(array_agg(id), '{}') into v_moved from moved;
+
+  update public.rubrics
+  set entity_id = p_target, updated_at = now()
+  where user_id = p_user and entity_id = any(p_sources);
+
+  update public.followup_sequences
+  set entity_id = p_target, updated_at = now()
+  where user_id = p_user and entity_id = any(p_sources);
+
+  update public.share_links
+  set entity_id = p_target
+  where user_id = p_user and entity_id = any(p_sources);
+
+  -- Version numbers are unique per entity, so the combined history is
+  -- renumbered by creation time, going through negative numbers so no
+  -- intermediate row collides with an existing one.
+  update public.entity_playbook_versions v
+  set entity_id = p_target, version = -r.rn
+  from (
+    select id, row_number() over (order by created_at, version, id) as rn
+    from public.entity_playbook_versions
+    where user_id = p_user and entity_id = any(p_sources || p_target)
+  ) r
+  where v.id = r.id;
+
+  update public.entity_playbook_versions
+  set version = -version
+  where entity_id = p_target and version < 0;
+
+  if p_playbook is not null then
+    insert into public.entity_playbooks (user_id, entity_id, title, playbook_json, updated_at, last_run_created_at)
+    values (p_user, p_target, p_playbook->>'title', p_playbook->'playbook_json', now(), null)
+    on conflict (user_id, entity_id) do update
+    set title = excluded.title,
+        playbook_json = excluded.playbook_json,
+        updated_at = excluded.updated_at,
+        last_run_created_at = null;
+  end if;
+
+  delete from public.entity_playbooks
+  where user_id = p_user and entity_id = any(p_sources);
+
+  delete from public.entities
+  where user_id = p_user and id = any(p_sources);
+
+  -- After the delete, so a source's name is free for the target to take.
+  update public.entities
+  set name = coalesce(p_patch->>'name', name),
+      offer = p_patch->>'offer',
+      industry = p_patch->>'industry',
+      notes = p_patch->>'notes'
+  where id = p_target and user_id = p_user;
+
+  return jsonb_build_object('run_ids', to_jsonb(v_moved));
+end;
+$$;
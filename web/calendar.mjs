@@ -0,0 +1,246 @@
+// Meeting time proposals and RFC 5545 invites. Slots are picked in the user's
+// timezone and working hours; start/end are stored as UTC ISO strings and the
+// label is what the prospect reads ("Tue, Oct 21, 2:00 PM PDT").
+
+export const CALENDAR_DEFAULTS = {
+  timezone: "UTC",
+  work_day_start: "09:00",
+  work_day_end: "17:00",
+  work_days: [1, 2, 3, 4, 5],
+  meeting_minutes: 30,
+};
+
+export const SLOT_COUNT = 2;
+export const MEETING_MINUTES_MIN = 10;
+export const MEETING_MINUTES_MAX = 120;
+
+const SLOT_LEAD_HOURS = 18;
+const SLOT_SEARCH_DAYS = 21;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const toMinutes = (hhmm) => {
+  const m = HHMM.exec(String(hhmm || ""));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+};
+
+// Returns { value } ready for user_settings, or { error }. Missing fields keep
+// the defaults.
+export function normalizeCalendarSettings(input = {}) {
+  const value = { ...CALENDAR_DEFAULTS };
+  if (input.timezone != null) {
+    const tz = String(input.timezone).trim();
+    if (!isValidTimeZone(tz)) return { error: `Unknown timezone ${tz}` };
+    value.timezone = tz;
+  }
+  if (input.work_day_start != null) value.work_day_start = String(input.work_day_start).slice(0, 5);
+  if (input.work_day_end != null) value.work_day_end = String(input.work_day_end).slice(0, 5);
+  const start = toMinutes(value.work_day_start);
+  const end = toMinutes(value.work_day_end);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return { error: "Working hours must be HH:MM" };
+  if (input.meeting_minutes != null) value.meeting_minutes = Number(input.meeting_minutes);
+  if (!Number.isInteger(value.meeting_minutes)
+    || value.meeting_minutes < MEETING_MINUTES_MIN
+    || value.meeting_minutes > MEETING_MINUTES_MAX) {
+    return { error: `Meeting length must be ${MEETING_MINUTES_MIN}-${MEETING_MINUTES_MAX} minutes` };
+  }
+  if (end - start < value.meeting_minutes) return { error: "Working hours are shorter than one meeting" };
+  if (input.work_days != null) {
+    const days = (Array.isArray(input.work_days) ? input.work_days : [input.work_days]).map(Number);
+    if (!days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: "Working days must be 0 (Sunday) to 6 (Saturday)" };
+    }
+    value.work_days = [...new Set(days)].sort();
+  }
+  return { value };
+}
+
+// Wall-clock parts of `date` in `tz`.
+export function zonedParts(date, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// The UTC instant at which the wall clock in `tz` reads the given time. Two
+// passes settle DST transitions; a time skipped by DST lands an hour later.
+export function zonedToUtc({ year, month, day, hour, minute }, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = wall;
+  for (let i = 0; i < 2; i += 1) {
+    const p = zonedParts(new Date(guess), tz);
+    const seen = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    guess += wall - seen;
+  }
+  return new Date(guess);
+}
+
+export function formatSlotLabel(date, tz) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(date);
+}
+
+// SLOT_COUNT meeting times on different working days, at least
+// SLOT_LEAD_HOURS out: the first late morning, the next mid afternoon, so the
+// prospect gets a real choice.
+export function proposeSlots(settings = CALENDAR_DEFAULTS, { now = new Date(), count = SLOT_COUNT } = {}) {
+  const s = { ...CALENDAR_DEFAULTS, ...settings };
+  const tz = isValidTimeZone(s.timezone) ? s.timezone : "UTC";
+  const dayStart = toMinutes(s.work_day_start);
+  const lastStart = toMinutes(s.work_day_end) - s.meeting_minutes;
+  const times = [
+    Math.min(dayStart + 60, lastStart),
+    Math.max(dayStart, lastStart - 90),
+  ].map((m) => m - (m % 15));
+  const earliest = now.getTime() + SLOT_LEAD_HOURS * 3600 * 1000;
+  const today = zonedParts(now, tz);
+  const slots = [];
+  for (let i = 0; i < SLOT_SEARCH_DAYS && slots.length < count; i += 1) {
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (!s.work_days.includes(d.getUTCDay())) continue;
+    const minutes = times[slots.length % times.length];
+    const start = zonedToUtc({
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+      day: d.getUTCDate(),
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60,
+    }, tz);
+    if (start.getTime() < earliest) continue;
+    const end = new Date(start.getTime() + s.meeting_minutes * 60 * 1000);
+    slots.push({ start: start.toISOString(), end: end.toISOString(), timezone: tz, label: formatSlotLabel(start, tz) });
+  }
+  return slots;
+}
+
+// "Tue, Oct 21, 10:00 AM PDT or Wed, Oct 22, 2:30 PM PDT"
+export function slotOptionsText(slots) {
+  const labels = (slots || []).map((s) => s.label).filter(Boolean);
+  if (labels.length <= 1) return labels[0] || "";
+  return `${labels.slice(0, -1).join(", ")} or ${labels[labels.length - 1]}`;
+}
+
+// -------- iCalendar --------
+
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function icsText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines longer than 75 octets continue on the next line after a
+// single space (RFC 5545 3.1). Splits on UTF-8 character boundaries.
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+// One VEVENT in a METHOD:PUBLISH calendar, times in UTC so no VTIMEZONE is
+// needed.
+export function buildIcs({ uid, start, end, summary, description, organizerEmail, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Calibrate//Follow-up invite//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    description ? `DESCRIPTION:${icsText(description)}` : "",
+    organizerEmail ? `ORGANIZER:mailto:${organizerEmail}` : "",
+    "STATUS:CONFIRMED",
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+export const AGENDA_MAX_ITEMS = 5;
+const AGENDA_ITEM_MAX_LEN = 120;
+
+// Cleans the model's agenda items; [] when nothing usable is left.
+export function normalizeAgenda(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .map((item) => String(item?.item ?? item ?? "").replace(/^\s*(?:[-*\u2022]|\d+[.)])\s*/, "").replace(/\s+/g, " ").trim())
+    .filter((item) => item && item.length <= AGENDA_ITEM_MAX_LEN)
+    .slice(0, AGENDA_MAX_ITEMS);
+}
+
+export function defaultAgenda({ entityName = "", offer = "" } = {}) {
+  const topic = entityName || "our conversation";
+  return [
+    `Recap of our last call about ${topic}`,
+    offer ? `How ${offer} fits your situation` : `How ${topic} fits your situation`,
+    "Your questions",
+    "Agree on next steps",
+  ];
+}
+
+// The invite description: meeting topic and a numbered agenda.
+export function meetingDescription(agenda, { entityName = "", offer = "" } = {}) {
+  const items = agenda?.length ? agenda : defaultAgenda({ entityName, offer });
+  return [
+    `Follow-up: ${entityName || "our conversation"}`,
+    "",
+    "Agenda:",
+    ...items.map((item, i) => `${i + 1}. ${item}`),
+  ].join("\n");
+}
@@ -0,0 +1,180 @@
+// Duplicate-call detection. Exact duplicates share an audio content hash
+// (computed at upload) or a transcript_hash; near duplicates are transcripts
+// whose word shingles mostly overlap, which catches the same recording
+// re-encoded or re-transcribed with slightly different wording. Overlap is
+// estimated from a MinHash signature stored on the run at ingest, so checks
+// compare small integer arrays instead of whole transcripts.
+
+import fs from "fs";
+import crypto from "crypto";
+
+export const NEAR_DUPLICATE_THRESHOLD = 0.85;
+const SHINGLE_SIZE = 3;
+// Transcripts whose lengths differ more than this cannot reach the threshold.
+const MIN_LENGTH_RATIO = 0.7;
+export const MINHASH_SIZE = 128;
+// LSH bands of this many signature rows: pairs near the threshold share a band
+// almost surely, unrelated pairs almost never.
+const LSH_ROWS = 4;
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Speaker labels are dropped: diarization often swaps A/B between attempts.
+function transcriptWords(text) {
+  return String(text || "")
+    .split("\n")
+    .map((line) => line.replace(/^[^:\n]{1,40}:\s*/, ""))
+    .join(" ")
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s]+/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+export function transcriptShingles(text) {
+  const words = transcriptWords(text);
+  const set = new Set();
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length) set.add(words.join(" "));
+    return set;
+  }
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i += 1) {
+    set.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return set;
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function fmix32(h) {
+  let x = h;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+// { transcript_minhash, transcript_shingles } for a runs row; values fit a
+// Postgres integer. Both are null for an empty transcript.
+export function transcriptSignature(text) {
+  const shingles = transcriptShingles(text);
+  if (!shingles.size) return { transcript_minhash: null, transcript_shingles: null };
+  const sig = new Array(MINHASH_SIZE).fill(0x7fffffff);
+  shingles.forEach((s) => {
+    const base = fnv1a(s);
+    for (let i = 0; i < MINHASH_SIZE; i += 1) {
+      const h = fmix32(base ^ Math.imul(i + 1, 0x9e3779b9)) & 0x7fffffff;
+      if (h < sig[i]) sig[i] = h;
+    }
+  });
+  return { transcript_minhash: sig, transcript_shingles: shingles.size };
+}
+
+function hasSignature(r) {
+  return Array.isArray(r?.transcript_minhash) && r.transcript_minhash.length === MINHASH_SIZE && r.transcript_shingles > 0;
+}
+
+// Estimated Jaccard similarity of two signed rows (0 when either is unsigned).
+export function signatureSimilarity(a, b) {
+  if (!hasSignature(a) || !hasSignature(b)) return 0;
+  const ratio = Math.min(a.transcript_shingles, b.transcript_shingles) / Math.max(a.transcript_shingles, b.transcript_shingles);
+  if (ratio < MIN_LENGTH_RATIO) return 0;
+  let same = 0;
+  for (let i = 0; i < MINHASH_SIZE; i += 1) {
+    if (a.transcript_minhash[i] === b.transcript_minhash[i]) same += 1;
+  }
+  return same / MINHASH_SIZE;
+}
+
+// Best candidate ({ id, transcript_minhash, transcript_shingles }) at or above
+// the threshold, or null. signature: transcriptSignature() of the new run.
+export function findNearDuplicate(signature, candidates, { threshold = NEAR_DUPLICATE_THRESHOLD } = {}) {
+  let best = null;
+  (candidates || []).forEach((c) => {
+    const score = signatureSimilarity(signature, c);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { id: c.id, score: Math.round(score * 1000) / 1000 };
+    }
+  });
+  return best;
+}
+
+// Clusters runs that are duplicates of each other. Each group lists why its
+// runs were linked ("audio", "transcript", "similar") and the lowest
+// similarity that joined it (1 for exact matches).
+export function groupDuplicateRuns(runs, { threshold = NEAR_DUPLICATE_THRESHOLD } = {}) {
+  const list = Array.isArray(runs) ? runs : [];
+  const parent = list.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const links = [];
+  const link = (i, j, reason, score) => {
+    parent[find(i)] = find(j);
+    links.push({ i, reason, score });
+  };
+
+  ["audio_hash", "transcript_hash"].forEach((field) => {
+    const seen = new Map();
+    list.forEach((r, i) => {
+      const key = r[field];
+      if (!key) return;
+      if (seen.has(key)) link(i, seen.get(key), field === "audio_hash" ? "audio" : "transcript", 1);
+      else seen.set(key, i);
+    });
+  });
+
+  // Only runs that share an LSH band are compared.
+  const buckets = new Map();
+  list.forEach((r, i) => {
+    if (!hasSignature(r)) return;
+    for (let band = 0; band < MINHASH_SIZE / LSH_ROWS; band += 1) {
+      const key = `${band}:${r.transcript_minhash.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(",")}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+  const compared = new Set();
+  buckets.forEach((members) => {
+    for (let a = 0; a < members.length; a += 1) {
+      for (let b = a + 1; b < members.length; b += 1) {
+        const [i, j] = [members[a], members[b]];
+        const pair = `${i}:${j}`;
+        if (compared.has(pair) || find(i) === find(j)) continue;
+        compared.add(pair);
+        const score = signatureSimilarity(list[i], list[j]);
+        if (score >= threshold) link(i, j, "similar", Math.round(score * 1000) / 1000);
+      }
+    }
+  });
+
+  const groups = new Map();
+  list.forEach((r, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { runs: [], reasons: new Set(), score: 1 });
+    groups.get(root).runs.push(r);
+  });
+  links.forEach(({ i, reason, score }) => {
+    const g = groups.get(find(i));
+    g.reasons.add(reason);
+    g.score = Math.min(g.score, score);
+  });
+  return [...groups.values()]
+    .filter((g) => g.runs.length > 1)
+    .map((g) => ({ runs: g.runs, reasons: [...g.reasons], score: g.score }));
+}
@@ -0,0 +1,133 @@
+// DOCX for export documents (see export.mjs): a minimal WordprocessingML
+// package with named styles (Title, Heading 1-3, Quote, Transcript) so the
+// text pastes cleanly into coaching docs.
+
+import { createZip } from "./zip.mjs";
+
+// XML 1.0 forbids most control characters even when escaped.
+const xmlText = (s) => String(s ?? "")
+  .replace(/[^\x09\x0a\x0d\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+function run(text, { bold = false, italic = false, color = null, size = null } = {}) {
+  const props = [
+    bold ? "<w:b/>" : "",
+    italic ? "<w:i/>" : "",
+    color ? `<w:color w:val="${color}"/>` : "",
+    size ? `<w:sz w:val="${size}"/>` : "",
+  ].join("");
+  // Line breaks inside a block become <w:br/> so the paragraph stays whole.
+  const parts = String(text ?? "").split("\n").map((t) => `<w:t xml:space="preserve">${xmlText(t)}</w:t>`);
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ""}${parts.join("<w:br/>")}</w:r>`;
+}
+
+function paragraph(runs, { style = null, indent = 0, after = null } = {}) {
+  const props = [
+    style ? `<w:pStyle w:val="${style}"/>` : "",
+    after != null ? `<w:spacing w:after="${after}"/>` : "",
+    indent ? `<w:ind w:left="${indent}"/>` : "",
+  ].join("");
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ""}${runs.join("")}</w:p>`;
+}
+
+function table(head, rows) {
+  const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="C8CDD6"/>`;
+  const cell = (text, bold) => `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraph([run(text, { bold })], { after: 0 })}</w:tc>`;
+  return [
+    "<w:tbl>",
+    `<w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${["top", "left", "bottom", "right", "insideH", "insideV"].map(border).join("")}</w:tblBorders>`,
+    '<w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr>',
+    `<w:tr><w:trPr><w:tblHeader/></w:trPr>${head.map((h) => cell(h, true)).join("")}</w:tr>`,
+    ...rows.map((r) => `<w:tr>${head.map((_, c) => cell(r[c] ?? "", false)).join("")}</w:tr>`),
+    "</w:tbl>",
+    // Word merges a table with whatever table directly follows it.
+    paragraph([], { after: 0 }),
+  ].join("");
+}
+
+function bodyXml(doc) {
+  const out = [];
+  doc.blocks.forEach((b) => {
+    switch (b.type) {
+      case "title":
+        out.push(paragraph([run(b.text)], { style: "Title" }));
+        break;
+      case "heading":
+        out.push(paragraph([run(b.text)], { style: `Heading${Math.min(Math.max(b.level || 2, 1), 3)}` }));
+        break;
+      case "paragraph":
+        out.push(paragraph(b.label ? [run(`${b.label}: `, { bold: true }), run(b.text)] : [run(b.text)]));
+        break;
+      case "fields":
+        b.items.forEach(([k, v]) => out.push(paragraph([run(`${k}: `, { bold: true }), run(v)], { after: 40 })));
+        break;
+      case "list":
+        b.items.forEach((item, i) => {
+          out.push(paragraph([run(`${b.ordered ? `${i + 1}.` : "•"} ${item}`)], { indent: 360, after: 60 }));
+        });
+        break;
+      case "quote":
+        out.push(paragraph([run(`“${b.text}”`)], { style: "Quote", after: b.meta ? 0 : null }));
+        if (b.meta) out.push(paragraph([run(b.meta, { color: "5A6170", size: 18 })], { style: "Quote" }));
+        break;
+      case "table":
+        if (b.rows.length) out.push(table(b.head, b.rows));
+        break;
+      case "transcript":
+        b.lines.forEach((ln) => {
+          const head = [ln.time ? `[${ln.time}]` : "", ln.speaker ? `${ln.speaker}:` : ""].filter(Boolean).join(" ");
+          out.push(paragraph([...(head ? [run(`${head} `, { bold: true })] : []), run(ln.text)], { style: "Transcript" }));
+        });
+        break;
+      default:
+        break;
+    }
+  });
+  return out.join("");
+}
+
+const NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NS}>
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="21"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="4" w:color="C8CDD6"/></w:pBdr><w:spacing w:after="200"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="60"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="23"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="C0C7D6"/></w:pBdr><w:ind w:left="240"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Transcript"><w:name w:val="Transcript"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:sz w:val="19"/></w:rPr></w:style>
+</w:styles>`;
+
+export function renderDocx(doc) {
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NS}><w:body>${bodyXml(doc)}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`,
+    },
+    {
+      name: "docProps/core.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${xmlText(doc.title)}</dc:title></cp:coreProperties>`,
+    },
+    { name: "word/document.xml", data: document },
+    { name: "word/styles.xml", data: STYLES },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+  ]);
+}
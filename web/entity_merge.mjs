@@ -0,0 +1,138 @@
+// Suggested entity merges. Two entities look like the same company when their
+// names mostly share tokens (ignoring legal suffixes and the date/suffix added
+// to auto-created names) or when their calls use the same distinctive words
+// (product names, people, places) that other entities' calls do not.
+
+export const MERGE_NAME_THRESHOLD = 0.6;
+export const MERGE_VOCAB_THRESHOLD = 0.3;
+const VOCAB_SIZE = 60;
+const MIN_WORD_LEN = 4;
+// Words used by more than this share of entities say nothing about identity.
+const MAX_ENTITY_SHARE = 0.4;
+
+const AUTO_NAME_TAIL = /\s\d{4}-\d{2}-\d{2}\s[a-z0-9]{1,5}$/i;
+const LEGAL_SUFFIXES = new Set(["inc", "llc", "ltd", "co", "corp", "corporation", "company", "gmbh", "plc", "the"]);
+
+const STOPWORDS = new Set(`
+about above after again against also because been before being below between both could didn does doing down
+during each even every from further have having here hers herself himself into itself just know like little
+make many more most much myself never only other ours ourselves over really right same should some such than
+that thats their theirs them themselves then there these they this those through under until very want well
+were what when where which while will with would your yours yourself yourselves yeah okay sure thank thanks
+going good great call calling today time maybe actually something anything thing things people kind sorta
+gonna gotta said says tell told come back look need name mean year years week weeks month months number
+`.split(/\s+/).filter(Boolean));
+
+export function isAutoEntityName(name) {
+  return /^unassigned entity\b/i.test(String(name || "").trim());
+}
+
+export function entityNameKey(name) {
+  return String(name || "")
+    .replace(AUTO_NAME_TAIL, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9\s]+/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !LEGAL_SUFFIXES.has(t))
+    .join(" ");
+}
+
+export function entityNameSimilarity(a, b) {
+  if (isAutoEntityName(a) || isAutoEntityName(b)) return 0;
+  const ka = entityNameKey(a);
+  const kb = entityNameKey(b);
+  if (!ka || !kb) return 0;
+  // "Blue Sky Roofing" vs "BlueSky Roofing"
+  if (ka.replace(/\s/g, "") === kb.replace(/\s/g, "")) return 1;
+  const setA = new Set(ka.split(" "));
+  const setB = new Set(kb.split(" "));
+  let shared = 0;
+  setA.forEach((t) => {
+    if (setB.has(t)) shared += 1;
+  });
+  return shared / new Set([...setA, ...setB]).size;
+}
+
+function vocabularyCounts(texts) {
+  const counts = new Map();
+  (texts || []).forEach((text) => {
+    String(text || "")
+      .split("\n")
+      .map((line) => line.replace(/^[^:\n]{1,40}:\s*/, ""))
+      .join(" ")
+      .toLowerCase()
+      .replace(/[^a-z0-9'\s]+/g, " ")
+      .split(/\s+/)
+      .forEach((w) => {
+        const word = w.replace(/'s$/, "").replace(/'/g, "");
+        if (word.length < MIN_WORD_LEN || STOPWORDS.has(word) || /^\d+$/.test(word)) return;
+        counts.set(word, (counts.get(word) || 0) + 1);
+      });
+  });
+  return counts;
+}
+
+// textsByEntity: Map(entity_id -> transcript texts). Returns Map(entity_id -> Set of words).
+export function buildEntityVocabularies(textsByEntity) {
+  const counts = new Map();
+  textsByEntity.forEach((texts, id) => counts.set(id, vocabularyCounts(texts)));
+
+  const entityFreq = new Map();
+  counts.forEach((c) => c.forEach((_, w) => entityFreq.set(w, (entityFreq.get(w) || 0) + 1)));
+  const maxShare = counts.size >= 4 ? Math.ceil(counts.size * MAX_ENTITY_SHARE) : Infinity;
+
+  const vocab = new Map();
+  counts.forEach((c, id) => {
+    const words = [...c.entries()]
+      .filter(([w]) => entityFreq.get(w) <= maxShare)
+      .sort((x, y) => y[1] - x[1] || (x[0] < y[0] ? -1 : 1))
+      .slice(0, VOCAB_SIZE)
+      .map(([w]) => w);
+    vocab.set(id, new Set(words));
+  });
+  return vocab;
+}
+
+function setSimilarity(a, b) {
+  if (!a?.size || !b?.size) return { score: 0, shared: [] };
+  const shared = [...a].filter((w) => b.has(w));
+  return { score: shared.length / (a.size + b.size - shared.length), shared };
+}
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// entities: [{ id, name }]; vocabularies from buildEntityVocabularies.
+// Pairs are ordered so `target` is the entity with more runs (ties: older).
+export function suggestEntityMerges(entities, vocabularies, { runCounts = new Map(), limit = 20 } = {}) {
+  const list = Array.isArray(entities) ? entities : [];
+  const out = [];
+  for (let i = 0; i < list.length; i += 1) {
+    for (let j = i + 1; j < list.length; j += 1) {
+      const a = list[i];
+      const b = list[j];
+      const name = entityNameSimilarity(a.name, b.name);
+      const vocab = setSimilarity(vocabularies.get(a.id), vocabularies.get(b.id));
+      const reasons = [];
+      if (name >= MERGE_NAME_THRESHOLD) reasons.push("name");
+      if (vocab.score >= MERGE_VOCAB_THRESHOLD) reasons.push("vocabulary");
+      if (!reasons.length) continue;
+
+      const countA = runCounts.get(a.id) || 0;
+      const countB = runCounts.get(b.id) || 0;
+      const aFirst = countA !== countB ? countA > countB : String(a.created_at || "") <= String(b.created_at || "");
+      const [target, source] = aFirst ? [a, b] : [b, a];
+      out.push({
+        target: { id: target.id, name: target.name, runs: runCounts.get(target.id) || 0 },
+        source: { id: source.id, name: source.name, runs: runCounts.get(source.id) || 0 },
+        // Both signals agreeing ranks a pair above either one alone.
+        score: round3(Math.min(1, Math.max(name, vocab.score) + 0.2 * Math.min(name, vocab.score))),
+        name_similarity: round3(name),
+        vocabulary_similarity: round3(vocab.score),
+        shared_words: vocab.shared.slice(0, 12),
+        reasons,
+      });
+    }
+  }
+  return out.sort((x, y) => y.score - x.score).slice(0, limit);
+}
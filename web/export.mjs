@@ -0,0 +1,395 @@
+// Report and playbook exports. Builders turn runs/playbooks into a small
+// document model that each format renders the same way:
+//
+//   { type: "title", text }
+//   { type: "heading", text, level }        level 1-3
+//   { type: "paragraph", text, label? }     label is rendered bold before text
+//   { type: "fields", items: [[label, value], ...] }
+//   { type: "list", items: [string], ordered? }
+//   { type: "quote", text, meta? }
+//   { type: "table", head: [string], rows: [[string]] }
+//   { type: "transcript", lines: [{ time, speaker, text }] }
+
+import { renderPdf } from "./pdf.mjs";
+import { renderDocx } from "./docx.mjs";
+
+export const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", ext: "md" },
+  pdf: { contentType: "application/pdf", ext: "pdf" },
+  docx: { contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", ext: "docx" },
+};
+
+export function formatTimestamp(ms) {
+  if (typeof ms !== "number" || !Number.isFinite(ms) || ms < 0) return "";
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString().replace("T", " ").slice(0, 16) + " UTC";
+}
+
+function runTitle(run) {
+  return run.analysis_json?.report_title || run.name || "Call report";
+}
+
+function runScore(run) {
+  const a = run.analysis_json || {};
+  const score = a.score ?? a.overall_score ?? null;
+  return score == null ? "" : String(score);
+}
+
+function transcriptLinesOf(run) {
+  if (Array.isArray(run.transcript_lines) && run.transcript_lines.length) return run.transcript_lines;
+  return String(run.transcript_text || "")
+    .split("\n")
+    .filter((t) => t.trim())
+    .map((t, i) => {
+      const m = t.match(/^([^:]{1,40}):\s*(.*)$/);
+      return { line: i + 1, speaker: m ? m[1] : "", text: m ? m[2] : t };
+    });
+}
+
+function evidenceBlocks(run, limit) {
+  const lines = transcriptLinesOf(run);
+  const byLine = new Map(lines.map((ln, i) => [Number(ln.line) || i + 1, ln]));
+  const evidence = Array.isArray(run.analysis_json?.call_result?.evidence) ? run.analysis_json.call_result.evidence : [];
+  return evidence.slice(0, limit).map((ev) => {
+    const ln = byLine.get(Number(ev.line));
+    const time = formatTimestamp(ln?.start_ms);
+    const meta = [time, ev.line ? `line ${ev.line}` : "", ln?.speaker || ""].filter(Boolean).join(" · ");
+    return { type: "quote", text: String(ev.quote || ""), meta: [meta, ev.why].filter(Boolean).join(" — ") };
+  });
+}
+
+function fixBlocks(run) {
+  const fixes = run.analysis_json?.top_fixes || run.analysis_json?.fixes || [];
+  const blocks = [];
+  (Array.isArray(fixes) ? fixes : []).slice(0, 3).forEach((f, i) => {
+    blocks.push({ type: "heading", level: 3, text: `${i + 1}. ${f.title || `Fix ${i + 1}`}` });
+    const why = f.why || f.problem || "";
+    const instead = f.do_instead || f.instead || f.fix || "";
+    if (why) blocks.push({ type: "paragraph", text: why });
+    if (instead) blocks.push({ type: "paragraph", label: "Do this instead", text: instead });
+  });
+  return blocks;
+}
+
+function metricFields(metrics) {
+  if (!metrics || !metrics.line_count) return [];
+  const out = [];
+  if (metrics.duration_ms != null) out.push(["Duration", formatTimestamp(metrics.duration_ms)]);
+  if (metrics.talk_listen_ratio != null) out.push(["Talk/listen ratio", String(metrics.talk_listen_ratio)]);
+  if (metrics.rep_wpm != null) out.push(["Rep words per minute", String(metrics.rep_wpm)]);
+  out.push(["Rep questions", String(metrics.rep_questions ?? 0)]);
+  out.push(["Interruptions", String(metrics.interruptions?.count ?? 0)]);
+  return out;
+}
+
+function followUpText(run) {
+  const a = run.analysis_json || {};
+  return String(a.follow_up?.text || a.followup || "").trim();
+}
+
+function followUpChannelBlocks(run) {
+  const c = run.analysis_json?.follow_up_channels || {};
+  const out = [];
+  if (c.email?.body) out.push({ type: "paragraph", label: "Email", text: `Subject: ${c.email.subject || ""}\n\n${c.email.body}` });
+  if (c.sms?.text) out.push({ type: "paragraph", label: "SMS", text: c.sms.text });
+  if (c.linkedin?.text) out.push({ type: "paragraph", label: "LinkedIn", text: c.linkedin.text });
+  if (c.voicemail?.script) out.push({ type: "paragraph", label: "Voicemail", text: c.voicemail.script });
+  return out;
+}
+
+export function transcriptBlock(run) {
+  return {
+    type: "transcript",
+    lines: transcriptLinesOf(run).map((ln) => ({
+      time: formatTimestamp(ln.start_ms),
+      speaker: ln.speaker || "",
+      text: String(ln.text || ""),
+    })),
+  };
+}
+
+// run: a runs row plus entity_name.
+export function buildRunReportDocument(run, { includeTranscript = true } = {}) {
+  const a = run.analysis_json || {};
+  const blocks = [
+    { type: "title", text: runTitle(run) },
+    {
+      type: "fields",
+      items: [
+        ["Date", formatDate(run.created_at)],
+        ["Entity", run.entity_name || ""],
+        ["Scenario", run.scenario || ""],
+        ["Score", runScore(run)],
+        ["Call result", a.call_result?.label || run.outcome_label || ""],
+        ["Tags", (run.tags || []).join(", ")],
+      ].filter(([, v]) => v),
+    },
+  ];
+  if (a.call_result?.why) {
+    blocks.push({ type: "heading", level: 2, text: "Call result" }, { type: "paragraph", text: a.call_result.why });
+  }
+  const fixes = fixBlocks(run);
+  if (fixes.length) blocks.push({ type: "heading", level: 2, text: "Top fixes" }, ...fixes);
+  const followUp = followUpText(run);
+  const channels = followUpChannelBlocks(run);
+  if (followUp || channels.length) blocks.push({ type: "heading", level: 2, text: "Follow-up" });
+  if (followUp) blocks.push({ type: "paragraph", text: followUp });
+  blocks.push(...channels);
+  const metrics = metricFields(run.metrics);
+  if (metrics.length) blocks.push({ type: "heading", level: 2, text: "Conversation metrics" }, { type: "fields", items: metrics });
+  if (Array.isArray(a.rubric_scores) && a.rubric_scores.length) {
+    blocks.push(
+      { type: "heading", level: 2, text: "Rubric scores" },
+      { type: "table", head: ["Criterion", "Score", "Why"], rows: a.rubric_scores.map((r) => [r.label || r.key || "", String(r.score ?? ""), r.why || ""]) }
+    );
+  }
+  const evidence = evidenceBlocks(run, 36);
+  if (evidence.length) blocks.push({ type: "heading", level: 2, text: "Evidence" }, ...evidence);
+  if (includeTranscript) {
+    const transcript = transcriptBlock(run);
+    if (transcript.lines.length) blocks.push({ type: "heading", level: 2, text: "Transcript" }, transcript);
+  }
+  return { title: runTitle(run), blocks };
+}
+
+export function buildRunsSummaryDocument(runs, { title = "Call summary", includeTranscripts = false } = {}) {
+  const list = Array.isArray(runs) ? runs : [];
+  const scores = list.map(runScore).filter(Boolean).map(Number).filter(Number.isFinite);
+  const outcomes = new Map();
+  const fixCounts = new Map();
+  list.forEach((r) => {
+    const label = r.analysis_json?.call_result?.label || r.outcome_label || "Unknown";
+    outcomes.set(label, (outcomes.get(label) || 0) + 1);
+    (r.analysis_json?.top_fixes || []).slice(0, 3).forEach((f) => {
+      if (f?.title) fixCounts.set(f.title, (fixCounts.get(f.title) || 0) + 1);
+    });
+  });
+  const dates = list.map((r) => r.created_at).filter(Boolean).sort();
+
+  const blocks = [
+    { type: "title", text: title },
+    {
+      type: "fields",
+      items: [
+        ["Reports", String(list.length)],
+        ["From", dates.length ? formatDate(dates[0]) : ""],
+        ["To", dates.length ? formatDate(dates[dates.length - 1]) : ""],
+        ["Average score", scores.length ? String(Math.round(scores.reduce((x, y) => x + y, 0) / scores.length)) : ""],
+      ].filter(([, v]) => v),
+    },
+    { type: "heading", level: 2, text: "Results" },
+    { type: "table", head: ["Call result", "Reports"], rows: [...outcomes.entries()].sort((x, y) => y[1] - x[1]).map(([k, v]) => [k, String(v)]) },
+  ];
+  const recurring = [...fixCounts.entries()].filter(([, n]) => n > 1).sort((x, y) => y[1] - x[1]).slice(0, 8);
+  if (recurring.length) {
+    blocks.push(
+      { type: "heading", level: 2, text: "Recurring fixes" },
+      { type: "list", items: recurring.map(([t, n]) => `${t} (${n} calls)`) }
+    );
+  }
+  blocks.push(
+    { type: "heading", level: 2, text: "Reports" },
+    {
+      type: "table",
+      head: ["Date", "Report", "Entity", "Result", "Score"],
+      rows: list.map((r) => [
+        formatDate(r.created_at).slice(0, 10),
+        runTitle(r),
+        r.entity_name || "",
+        r.analysis_json?.call_result?.label || r.outcome_label || "",
+        runScore(r),
+      ]),
+    }
+  );
+  list.forEach((r) => {
+    blocks.push({ type: "heading", level: 2, text: `${runTitle(r)} — ${formatDate(r.created_at).slice(0, 10)}` });
+    const a = r.analysis_json || {};
+    blocks.push({
+      type: "fields",
+      items: [["Score", runScore(r)], ["Call result", a.call_result?.label || r.outcome_label || ""]].filter(([, v]) => v),
+    });
+    if (a.call_result?.why) blocks.push({ type: "paragraph", text: a.call_result.why });
+    blocks.push(...fixBlocks(r));
+    const followUp = followUpText(r);
+    if (followUp) blocks.push({ type: "paragraph", label: "Follow-up", text: followUp });
+    blocks.push(...evidenceBlocks(r, 3));
+    if (includeTranscripts) {
+      const transcript = transcriptBlock(r);
+      if (transcript.lines.length) blocks.push({ type: "heading", level: 3, text: "Transcript" }, transcript);
+    }
+  });
+  return { title, blocks };
+}
+
+export function buildPlaybookDocument(entity, playbook, { version = null, updatedAt = null } = {}) {
+  const pb = playbook || {};
+  const title = `${entity?.name || pb.entity?.name || "Entity"} Playbook`;
+  const script = pb.ultimate_script || {};
+  const blocks = [
+    { type: "title", text: title },
+    {
+      type: "fields",
+      items: [
+        ["Offer", entity?.offer || pb.entity?.offer || ""],
+        ["Industry", entity?.industry || pb.entity?.industry || ""],
+        ["Version", version ? `v${version}` : ""],
+        ["Updated", updatedAt ? formatDate(updatedAt) : ""],
+      ].filter(([, v]) => v),
+    },
+    { type: "heading", level: 2, text: "Final optimized script" },
+    ...["opener", "pitch", "qualify", "close"]
+      .filter((k) => script[k])
+      .map((k) => ({ type: "paragraph", label: k[0].toUpperCase() + k.slice(1), text: script[k] })),
+  ];
+  const observed = Array.isArray(pb.observed_objections) ? pb.observed_objections : [];
+  if (observed.length) {
+    blocks.push({ type: "heading", level: 2, text: "Observed objections" });
+    observed.forEach((o) => {
+      blocks.push({ type: "heading", level: 3, text: `${o.objection}${o.count > 1 ? ` (seen in ${o.count} calls)` : ""}` });
+      blocks.push({ type: "paragraph", text: o.best_response || "" });
+      const evidence = Array.isArray(o.evidence) && o.evidence.length
+        ? o.evidence
+        : (o.evidence_quote ? [{ evidence_quote: o.evidence_quote }] : []);
+      evidence.slice(0, 3).forEach((e) => blocks.push({ type: "quote", text: e.evidence_quote || "" }));
+    });
+  }
+  const potential = Array.isArray(pb.potential_objections) ? pb.potential_objections : [];
+  if (potential.length) {
+    blocks.push({ type: "heading", level: 2, text: "Potential objections" });
+    potential.forEach((o) => blocks.push({ type: "paragraph", label: o.objection, text: o.best_response || "" }));
+  }
+  if (Array.isArray(pb.dont_say) && pb.dont_say.length) {
+    blocks.push({ type: "heading", level: 2, text: "Don't say" }, { type: "list", items: pb.dont_say });
+  }
+  if (Array.isArray(pb.say_instead) && pb.say_instead.length) {
+    blocks.push({ type: "heading", level: 2, text: "Say instead" }, { type: "list", items: pb.say_instead });
+  }
+  if (Array.isArray(pb.patterns) && pb.patterns.length) {
+    blocks.push({ type: "heading", level: 2, text: "Patterns" });
+    pb.patterns.forEach((p) => {
+      blocks.push({ type: "heading", level: 3, text: p.pattern || "" });
+      if (p.impact) blocks.push({ type: "paragraph", label: "Impact", text: p.impact });
+      if (p.fix) blocks.push({ type: "paragraph", label: "Fix", text: p.fix });
+    });
+  }
+  return { title, blocks };
+}
+
+const mdEscape = (s) => String(s ?? "").replace(/([\\`*_[\]#|<>])/g, "\\$1");
+const mdCell = (s) => mdEscape(s).replace(/\n+/g, " ");
+
+export function renderMarkdown(doc) {
+  const out = [];
+  doc.blocks.forEach((b) => {
+    switch (b.type) {
+      case "title":
+        out.push(`# ${mdEscape(b.text)}`);
+        break;
+      case "heading":
+        out.push(`${"#".repeat(b.level || 2)} ${mdEscape(b.text)}`);
+        break;
+      case "paragraph":
+        out.push(b.label ? `**${mdEscape(b.label)}:** ${mdEscape(b.text)}` : mdEscape(b.text));
+        break;
+      case "fields":
+        if (!b.items.length) break;
+        out.push(b.items.map(([k, v]) => `- **${mdEscape(k)}:** ${mdEscape(v)}`).join("\n"));
+        break;
+      case "list":
+        out.push(b.items.map((item, i) => `${b.ordered ? `${i + 1}.` : "-"} ${mdEscape(item)}`).join("\n"));
+        break;
+      case "quote":
+        out.push(`> "${mdEscape(b.text)}"${b.meta ? `\n> — ${mdEscape(b.meta)}` : ""}`);
+        break;
+      case "table":
+        if (!b.rows.length) break;
+        out.push([
+          `| ${b.head.map(mdCell).join(" | ")} |`,
+          `| ${b.head.map(() => "---").join(" | ")} |`,
+          ...b.rows.map((r) => `| ${r.map(mdCell).join(" | ")} |`),
+        ].join("\n"));
+        break;
+      case "transcript":
+        out.push(b.lines.map((ln) => {
+          const head = [ln.time ? `[${ln.time}]` : "", ln.speaker ? `${ln.speaker}:` : ""].filter(Boolean).join(" ");
+          return head ? `**${mdEscape(head)}** ${mdEscape(ln.text)}  ` : `${mdEscape(ln.text)}  `;
+        }).join("\n"));
+        break;
+      default:
+        break;
+    }
+  });
+  return `${out.join("\n\n")}\n`;
+}
+
+const htmlEscape = (s) => String(s ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+const htmlText = (s) => htmlEscape(s).replace(/\n/g, "<br>");
+
+// Read-only HTML body for shared links; the page shell lives in share.mjs.
+export function renderHtml(doc) {
+  return doc.blocks.map((b) => {
+    switch (b.type) {
+      case "title":
+        return `<h1>${htmlEscape(b.text)}</h1>`;
+      case "heading": {
+        const level = Math.min(Math.max((b.level || 2), 2), 3);
+        return `<h${level}>${htmlEscape(b.text)}</h${level}>`;
+      }
+      case "paragraph":
+        return `<p>${b.label ? `<strong>${htmlEscape(b.label)}:</strong> ` : ""}${htmlText(b.text)}</p>`;
+      case "fields":
+        if (!b.items.length) return "";
+        return `<dl class="fields">${b.items.map(([k, v]) => `<dt>${htmlEscape(k)}</dt><dd>${htmlText(v)}</dd>`).join("")}</dl>`;
+      case "list": {
+        const tag = b.ordered ? "ol" : "ul";
+        return `<${tag}>${b.items.map((item) => `<li>${htmlText(item)}</li>`).join("")}</${tag}>`;
+      }
+      case "quote":
+        return `<blockquote>“${htmlText(b.text)}”${b.meta ? `<cite>${htmlEscape(b.meta)}</cite>` : ""}</blockquote>`;
+      case "table":
+        if (!b.rows.length) return "";
+        return `<table><thead><tr>${b.head.map((h) => `<th>${htmlEscape(h)}</th>`).join("")}</tr></thead><tbody>${
+          b.rows.map((r) => `<tr>${b.head.map((_, c) => `<td>${htmlText(r[c])}</td>`).join("")}</tr>`).join("")
+        }</tbody></table>`;
+      case "transcript":
+        return `<div class="transcript">${b.lines.map((ln) => {
+          const head = [ln.time ? `[${ln.time}]` : "", ln.speaker ? `${ln.speaker}:` : ""].filter(Boolean).join(" ");
+          return `<p>${head ? `<strong>${htmlEscape(head)}</strong> ` : ""}${htmlText(ln.text)}</p>`;
+        }).join("")}</div>`;
+      default:
+        return "";
+    }
+  }).join("\n");
+}
+
+export function exportFilename(title, format) {
+  const slug = String(title || "export")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "export";
+  return `${slug}.${EXPORT_FORMATS[format].ext}`;
+}
+
+// Returns { body, contentType, filename }.
+export function renderExport(doc, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unsupported export format ${format}`);
+  let body;
+  if (format === "md") body = Buffer.from(renderMarkdown(doc), "utf8");
+  else if (format === "pdf") body = renderPdf(doc);
+  else body = renderDocx(doc);
+  return { body, contentType: spec.contentType, filename: exportFilename(doc.title, format) };
+}
@@ -0,0 +1,330 @@
+// Follow-up drafts. The plain follow_up.text is a short message for whatever
+// channel the rep prefers; follow_up_channels holds a draft per channel:
+//
+//   email       { subject, body }
+//   sms         { text }       at most 320 characters (two segments)
+//   linkedin    { text }
+//   voicemail   { script }     about 20 seconds spoken
+//
+// Each draft is checked against shared rules (rep voice, no placeholders,
+// transcript quotes or coaching leakage, names the offer) plus its channel's
+// own, and falls back to a canned variant when the model can't pass them.
+
+export const FOLLOWUP_CHANNELS = ["email", "sms", "linkedin", "voicemail"];
+export const FOLLOWUP_CHANNEL_FIELDS = {
+  email: ["subject", "body"],
+  sms: ["text"],
+  linkedin: ["text"],
+  voicemail: ["script"],
+};
+
+export const FOLLOWUP_MAX_CHARS = 1200;
+export const EMAIL_SUBJECT_MAX = 78;
+export const EMAIL_BODY_MAX = 1500;
+export const SMS_MAX_CHARS = 320;
+export const LINKEDIN_MAX_CHARS = 600;
+// Voicemail is paced at 150 words a minute: 20 seconds is about 50 words.
+export const VOICEMAIL_WORDS_PER_SECOND = 2.5;
+export const VOICEMAIL_TARGET_SECONDS = 20;
+const VOICEMAIL_MIN_SECONDS = 10;
+const VOICEMAIL_MAX_SECONDS = VOICEMAIL_TARGET_SECONDS + 2;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "that", "this", "from", "your", "you", "our",
+  "are", "was", "were", "have", "has", "had", "will", "would", "could", "should",
+  "into", "about", "their", "they", "them", "then", "than", "just", "also",
+]);
+
+export function countWords(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean).length;
+}
+
+function estimateSpokenSeconds(text) {
+  return Math.round(countWords(text) / VOICEMAIL_WORDS_PER_SECOND);
+}
+
+// Checks shared by every draft, bound to the run they are written for.
+export function createFollowupChecks({ entityName = "", scenario = "", contextText = "", topFixes = [] } = {}) {
+  const topicTerms = []
+    .concat(entityName, scenario, contextText || "")
+    .join(" ")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((w) => w.length >= 4 && !STOPWORDS.has(w));
+
+  const containsPlaceholders = (text) => {
+    const t = String(text || "");
+    return (
+      /\[[^\]]+\]/.test(t)
+      || /\{[^}]+\}/.test(t)
+      || /\bTBD\b/i.test(t)
+      || /\blorem\b/i.test(t)
+      || /\bplaceholder\b/i.test(t)
+    );
+  };
+
+  const containsTopicTerm = (text) => {
+    if (!topicTerms.length) return true;
+    const t = String(text || "").toLowerCase();
+    return topicTerms.some((term) => t.includes(term));
+  };
+
+  const containsNextStep = (text) => (
+    /(tomorrow|thursday|next week|this week|schedule|calendar|time to|available|quick call|follow[- ]?up|chat|meet|15[- ]?min|10[- ]?min)/i
+      .test(String(text || ""))
+  );
+
+  const hasBannedPhrases = (text) => {
+    const t = String(text || "").toLowerCase();
+    return (
+      t.includes("i'll let my wife")
+      || t.includes("my wife")
+      || t.includes("birthday party")
+      || t.includes("party packages")
+    );
+  };
+
+  const includesEntityReference = (text) => {
+    const nm = String(entityName || "").toLowerCase();
+    if (!nm) return true;
+    const tokens = nm.split(/[^a-z0-9]+/).filter((t) => t.length >= 3 || t === "ai");
+    if (!tokens.length) return true;
+    const t = String(text || "").toLowerCase();
+    return tokens.some((tok) => {
+      if (tok.length >= 5) return t.includes(tok);
+      return new RegExp(`\\b${tok.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(t);
+    });
+  };
+
+  const containsPersonalLife = (text) => {
+    const t = String(text || "");
+    return (
+      /\bmy (wife|husband|kid|kids|mom|dad|birthday|party)\b/i.test(t)
+      || /\bI'?ll let my (wife|husband)\b/i.test(t)
+    );
+  };
+
+  const hasCoachingLeakage = (text) => {
+    const t = String(text || "").toLowerCase();
+    const banned = [
+      "quick improvements",
+      "top fixes",
+      "call result",
+      "rejected",
+      "qualified lead",
+      "score",
+      "signals",
+      "evidence",
+    ];
+    if (banned.some((term) => t.includes(term))) return true;
+    if (topFixes.length) {
+      const words = topFixes.join(" ").toLowerCase().split(/[^a-z]+/).filter(Boolean);
+      return words.some((w) => w.length >= 4 && t.includes(w));
+    }
+    return false;
+  };
+
+  const startsWithImperative = (text) => (
+    /^(send|include|follow[ -]?up|recap|propose)\b/i.test(String(text || "").trim())
+  );
+
+  const hasGreetingOrOpener = (text) => (
+    /^(hi|hey|hello|thanks|thank you|appreciate|great speaking|good speaking|good talking|nice speaking|nice talking)\b/i
+      .test(String(text || "").trim())
+  );
+
+  const hasRepVoice = (text) => (
+    /\b(i|we|i'm|we're|i\s*am|we\s*are|i\s*will|we\s*will|i'?ve|we'?ve|i'?d|we'?d)\b/i
+      .test(String(text || ""))
+  );
+
+  const endsWithQuestion = (text) => /\?\s*$/.test(String(text || "").trim());
+
+  const looksLikeInstructional = (text) => {
+    const t = String(text || "").trim().toLowerCase();
+    if (!t) return false;
+    return (
+      startsWithImperative(t)
+      || t.includes("recap")
+      || t.includes("solidify interest")
+      || t.includes("as requested")
+      || t.includes("internal notes")
+      || (/(agenda|calendar invite|calendar|zoom call|zoom meeting|invite)\b/i.test(t)
+        && !hasGreetingOrOpener(t)
+        && !hasRepVoice(t))
+      || (!hasGreetingOrOpener(t) && !hasRepVoice(t) && !t.includes("?"))
+    );
+  };
+
+  const looksLikeTranscript = (text) => {
+    const t = String(text || "").trim();
+    if (!t) return false;
+    const linePrefix = /^(speaker|agent|prospect|rep|customer|caller)\s*[ab]?:/i;
+    if (linePrefix.test(t)) return true;
+    if (/\bSpeaker\s*[AB]:/i.test(t)) return true;
+    const prefixed = t.split(/\r?\n/).filter((l) => linePrefix.test(l.trim())).length;
+    if (prefixed > 0) return true;
+    const quoteCount = (t.match(/["“”]/g) || []).length;
+    return quoteCount >= 4;
+  };
+
+  // The plain follow_up.text.
+  const isFollowupValid = (text) => {
+    const t = String(text || "").trim();
+    if (!t) return false;
+    if (t.length > FOLLOWUP_MAX_CHARS) return false;
+    if (containsPlaceholders(t)) return false;
+    if (looksLikeTranscript(t)) return false;
+    if (looksLikeInstructional(t)) return false;
+    if (hasBannedPhrases(t)) return false;
+    if (hasCoachingLeakage(t)) return false;
+    if (containsPersonalLife(t)) return false;
+    if (!containsNextStep(t)) return false;
+    if (!hasGreetingOrOpener(t)) return false;
+    if (!hasRepVoice(t)) return false;
+    if (!includesEntityReference(t)) return false;
+    if (!endsWithQuestion(t)) return false;
+    if (!containsTopicTerm(t)) return false;
+    return true;
+  };
+
+  // Problems every channel shares; returns a list of short reasons. The offer
+  // may be named in offerText instead (an email subject).
+  const commonProblems = (text, offerText = "") => {
+    const t = String(text || "").trim();
+    const problems = [];
+    if (containsPlaceholders(t)) problems.push("has placeholders");
+    if (looksLikeTranscript(t)) problems.push("quotes the transcript");
+    if (hasBannedPhrases(t) || containsPersonalLife(t)) problems.push("mentions personal life");
+    if (hasCoachingLeakage(t)) problems.push("mentions internal coaching");
+    if (startsWithImperative(t)) problems.push("reads like an instruction, not a message");
+    if (!hasRepVoice(t)) problems.push("is not in the rep's voice");
+    const named = `${t}\n${offerText}`;
+    if (!includesEntityReference(named) && !containsTopicTerm(named)) problems.push("does not name the offer");
+    return problems;
+  };
+
+  // Meeting agenda lines are short noun phrases, so only the content checks apply.
+  const isAgendaItemClean = (text) => {
+    const t = String(text || "").trim();
+    return !!t
+      && !containsPlaceholders(t)
+      && !looksLikeTranscript(t)
+      && !hasBannedPhrases(t)
+      && !containsPersonalLife(t)
+      && !hasCoachingLeakage(t);
+  };
+
+  return {
+    containsNextStep,
+    endsWithQuestion,
+    hasGreetingOrOpener,
+    isAgendaItemClean,
+    isFollowupValid,
+    looksLikeInstructional,
+    commonProblems,
+  };
+}
+
+const CALLBACK_ASK = /(call me back|give me a (call|ring)|call back|reach me|text me|shoot me a text|reply|get back to me|my (number|cell|direct line)|at this number|on this number)/i;
+
+// Returns the reasons a channel draft fails; an empty list means it passes.
+export function channelDraftProblems(channel, draft, checks) {
+  const problems = [];
+  if (channel === "email") {
+    const subject = String(draft?.subject || "").trim();
+    const body = String(draft?.body || "").trim();
+    if (!subject) problems.push("subject is missing");
+    if (subject.length > EMAIL_SUBJECT_MAX) problems.push(`subject is over ${EMAIL_SUBJECT_MAX} characters`);
+    if (/[\r\n]/.test(subject)) problems.push("subject spans more than one line");
+    if (/^(re|fwd?):/i.test(subject)) problems.push("subject fakes a reply");
+    if (!body) return [...problems, "body is missing"];
+    if (body.length > EMAIL_BODY_MAX) problems.push(`body is over ${EMAIL_BODY_MAX} characters`);
+    if (/^subject\s*:/im.test(body)) problems.push("body repeats the subject line");
+    if (!checks.hasGreetingOrOpener(body)) problems.push("body has no greeting");
+    if (!body.includes("?")) problems.push("body asks no question");
+    if (!checks.containsNextStep(body)) problems.push("body has no next step");
+    if (/\[[^\]]+\]|\{[^}]+\}|\bTBD\b/i.test(subject)) problems.push("subject has placeholders");
+    return [...problems, ...checks.commonProblems(body, subject)];
+  }
+  if (channel === "sms") {
+    const text = String(draft?.text || "").trim();
+    if (!text) return ["text is missing"];
+    if (text.length > SMS_MAX_CHARS) problems.push(`over ${SMS_MAX_CHARS} characters`);
+    if (/\n\s*\n/.test(text)) problems.push("has paragraphs");
+    if (/^subject\s*:/i.test(text)) problems.push("has a subject line");
+    if (!checks.endsWithQuestion(text)) problems.push("does not end with a question");
+    return [...problems, ...checks.commonProblems(text)];
+  }
+  if (channel === "linkedin") {
+    const text = String(draft?.text || "").trim();
+    if (!text) return ["text is missing"];
+    if (text.length > LINKEDIN_MAX_CHARS) problems.push(`over ${LINKEDIN_MAX_CHARS} characters`);
+    if (/^subject\s*:/i.test(text)) problems.push("has a subject line");
+    if (!checks.hasGreetingOrOpener(text)) problems.push("has no greeting");
+    if (!text.includes("?")) problems.push("asks no question");
+    return [...problems, ...checks.commonProblems(text)];
+  }
+  if (channel === "voicemail") {
+    const script = String(draft?.script || "").trim();
+    if (!script) return ["script is missing"];
+    const seconds = estimateSpokenSeconds(script);
+    if (seconds < VOICEMAIL_MIN_SECONDS) problems.push(`too short to leave (about ${seconds}s spoken)`);
+    if (seconds > VOICEMAIL_MAX_SECONDS) problems.push(`runs past ${VOICEMAIL_TARGET_SECONDS} seconds (about ${seconds}s spoken)`);
+    if (!checks.hasGreetingOrOpener(script)) problems.push("has no greeting");
+    if (!CALLBACK_ASK.test(script) && !checks.containsNextStep(script)) problems.push("asks for no callback or next step");
+    if (/https?:\/\/|www\./i.test(script)) problems.push("reads out a link");
+    return [...problems, ...checks.commonProblems(script)];
+  }
+  return [`unknown channel ${channel}`];
+}
+
+// Trims and clips a model draft to the fields its channel uses.
+export function normalizeChannelDraft(channel, raw) {
+  const text = (v) => String(v ?? "").replace(/\r\n/g, "\n").trim();
+  if (channel === "email") {
+    return { subject: text(raw?.subject).replace(/\s+/g, " "), body: text(raw?.body ?? raw?.text) };
+  }
+  if (channel === "voicemail") return { script: text(raw?.script ?? raw?.text) };
+  return { text: text(typeof raw === "string" ? raw : raw?.text) };
+}
+
+// `times` is the proposed meeting times as one phrase ("Tue, Oct 20, 10:00 AM PDT
+// or Wed, ..."); without it the written channels ask more generally.
+export function fallbackChannelDraft(channel, { entityName = "", scenario = "", times = "" } = {}, seed = 0) {
+  const topic = entityName || scenario || "your team";
+  const ask = (generic) => (times ? `Would ${times} work for you?` : generic);
+  const variants = {
+    email: [
+      {
+        subject: `Next step on ${topic}`,
+        body: `Hi there,\n\nThanks again for taking the time to talk about ${topic}. I'd like to set up a quick 15-minute follow-up to walk through what fits your situation.\n\n${ask("Would Tuesday at 2pm or Wednesday at 11am work for you?")}\n\nThanks,`,
+      },
+      {
+        subject: `Following up: ${topic}`,
+        body: `Hi,\n\nI appreciated the conversation about ${topic}. I can share a short overview and answer any open questions on a 10-minute call this week.\n\n${ask("Are you available Thursday afternoon or Friday morning?")}\n\nBest,`,
+      },
+      {
+        subject: `Quick follow-up on ${topic}`,
+        body: `Hello,\n\nThanks for the call earlier. I'd be glad to go a bit deeper on ${topic} and see whether it makes sense for you.\n\n${ask("Is there a 15-minute slot next week that suits you?")}\n\nThanks,`,
+      },
+    ],
+    sms: [
+      { text: `Hi - thanks for the chat about ${topic}. I'd love 10 min to follow up. ${ask("Does tomorrow or Thursday work?")}` },
+      { text: `Thanks again for your time on ${topic}. We could do a quick 15-min follow-up ${times ? `- would ${times} work?` : "this week - what time suits you?"}` },
+      { text: `Hi, following up on ${topic}. I'm free ${times || "Thu 3pm or Fri 10am"} for a short call - would either work?` },
+    ],
+    linkedin: [
+      { text: `Hi - thanks for the conversation about ${topic}. I'd be glad to continue it with a quick 15-minute call. Would sometime this week work for you?` },
+      { text: `Hello, great speaking with you about ${topic}. I'm happy to share a bit more on a short follow-up call. Are you open to 10 minutes next week?` },
+      { text: `Hi there - I appreciated your time on ${topic}. If it's useful, we could pick it back up on a quick call. What does your week look like?` },
+    ],
+    voicemail: [
+      { script: `Hi, it's a quick follow-up on our conversation about ${topic}. I'd like to find 15 minutes this week to walk through next steps with you. Give me a call back when you get a moment, or reply to my email with a time that suits you. Thanks.` },
+      { script: `Hello, thanks again for taking my call about ${topic}. I have a couple of ideas I think would help and would love a short follow-up. Call me back at this number when it's convenient, or let me know a good time. Talk soon.` },
+      { script: `Hi there, following up on ${topic}. I'd love to set up a quick 10-minute chat tomorrow or Thursday to answer any questions. Please give me a call back when you can, or reply to my message with a time. Thanks so much.` },
+    ],
+  };
+  const options = variants[channel] || [];
+  return { ...(options[Math.abs(seed) % options.length] || options[0]) };
+}
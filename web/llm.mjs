@@ -0,0 +1,332 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// One chat-completions client for every LLM call (server routes + calibrate.mjs).
+// Providers: "deepseek", "openai" (any OpenAI-compatible base URL) and "mock",
+// which replays fixtures from LLM_FIXTURES_DIR and otherwise answers with
+// deterministic built-ins so the app runs end-to-end with no network.
+
+const PROVIDER_DEFAULTS = {
+  deepseek: {
+    label: "DeepSeek",
+    keyEnv: "DEEPSEEK_API_KEY",
+    baseUrlEnv: "DEEPSEEK_BASE_URL",
+    modelEnv: "DEEPSEEK_MODEL",
+    baseUrl: "https://api.deepseek.com",
+    model: "deepseek-chat",
+  },
+  openai: {
+    label: "OpenAI",
+    keyEnv: "OPENAI_API_KEY",
+    baseUrlEnv: "OPENAI_BASE_URL",
+    modelEnv: "OPENAI_MODEL",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+  },
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function safeJsonParse(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+// Fields that differ on every call (regen_nonce varies the follow-up wording)
+// are left out of the hash, so recorded fixtures still match on replay.
+const VOLATILE_PROMPT_FIELDS = /^(?:regen_nonce)=.*$/gm;
+
+function promptHash(messages) {
+  const body = messages.map((m) => `${m.role}:${String(m.content ?? "").replace(VOLATILE_PROMPT_FIELDS, "")}`).join("\n");
+  return crypto.createHash("sha1").update(body).digest("hex").slice(0, 12);
+}
+
+function slugPurpose(purpose) {
+  return String(purpose || "default").replace(/[^a-z0-9_-]+/gi, "_");
+}
+
+function resolveProvider(env, preferred) {
+  const explicit = String(env.LLM_PROVIDER || "").trim().toLowerCase();
+  if (explicit) {
+    if (explicit !== "mock" && !PROVIDER_DEFAULTS[explicit]) {
+      throw new Error(`Unknown LLM_PROVIDER: ${explicit}`);
+    }
+    return explicit;
+  }
+  const withKey = preferred.find((p) => env[PROVIDER_DEFAULTS[p].keyEnv]);
+  return withKey || preferred[0];
+}
+
+class LlmError extends Error {
+  constructor(message, { retryable = false, status = null } = {}) {
+    super(message);
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// ---- mock backend ----
+
+function promptField(text, key) {
+  const re = new RegExp(`^${key}=(.*)$`, "m");
+  const m = re.exec(String(text || ""));
+  return m ? m[1].trim() : "";
+}
+
+function parseNumberedLines(text) {
+  const section = String(text || "").split(/\nTranscript:\n/).pop() || "";
+  return section
+    .split("\n")
+    .map((l) => /^(\d+)\)\s+([^:]+):\s?(.*)$/.exec(l.trim()))
+    .filter(Boolean)
+    .map((m) => ({ line: Number(m[1]), speaker: m[2], text: m[3] }));
+}
+
+function mockAnalysis(user) {
+  const lines = parseNumberedLines(user).filter((l) => l.text.trim());
+  const evidence = [];
+  const seen = new Set();
+  for (let pass = 0; pass < 4 && evidence.length < 36; pass += 1) {
+    for (const l of lines) {
+      if (evidence.length >= 36) break;
+      const words = l.text.trim().split(/\s+/);
+      const quote = words.slice(pass * 3, pass * 3 + 12).join(" ");
+      const key = `${l.line}|${quote}`;
+      if (!quote || seen.has(key) || !l.text.includes(quote)) continue;
+      seen.add(key);
+      evidence.push({ line: l.line, quote, why: "Mock evidence" });
+    }
+  }
+  const repLines = lines.filter((l) => /you|speaker a/i.test(l.speaker));
+  const rubricKeys = [...String(user || "").matchAll(/^criterion=([a-z0-9_]+)/gm)].map((m) => m[1]);
+  const rubricScores = rubricKeys.map((key, i) => ({
+    key,
+    score: 40 + ((i * 15) % 50),
+    why: "Mock criterion score.",
+    evidence_lines: lines.slice(i, i + 2).map((l) => l.line),
+  }));
+  return {
+    report_title: "Mock Call Review",
+    call_result: { label: "Follow-up Needed", why: "Deterministic mock analysis.", evidence },
+    score: 50,
+    signals: ["mock"],
+    follow_up: { text: "" },
+    top_fixes: [
+      { title: "Open with permission", why: "Mock fix.", do_instead: "Ask for 20 seconds up front." },
+      { title: "Ask one discovery question", why: "Mock fix.", do_instead: "Ask how they handle it today." },
+      { title: "Close on a time", why: "Mock fix.", do_instead: "Offer two specific times." },
+    ],
+    notes: {
+      quotes: repLines.slice(0, 2).map((l) => ({ quote: l.text.split(/\s+/).slice(0, 12).join(" "), why: "Mock quote" })),
+    },
+    ...(rubricScores.length ? { rubric_scores: rubricScores } : {}),
+  };
+}
+
+function mockPlaybook(user) {
+  const name = promptField(user, "name") || "Entity";
+  return {
+    entity: { name, offer: promptField(user, "offer"), industry: promptField(user, "industry") },
+    ultimate_script: {
+      opener: `Hi, it's a quick call about ${name} - do you have 20 seconds?`,
+      pitch: "We help teams like yours handle this without adding headcount.",
+      qualify: "How are you handling it today, and what happens when it slips?",
+      close: "Would Tuesday at 2pm or Wednesday at 11am work for a 15-minute look?",
+    },
+    observed_objections: [],
+    potential_objections: [
+      { objection: "We already have someone for that.", best_response: "Makes sense. Most teams we help did too - the question is what it costs when they're busy. Worth 15 minutes to compare?" },
+    ],
+    dont_say: ["Just checking in"],
+    say_instead: ["I'm calling about one specific gap"],
+    patterns: [{ pattern: "Mock pattern", impact: "Deterministic output", fix: "Replace with recorded fixtures" }],
+  };
+}
+
+function mockFollowup(user) {
+  const entity = promptField(user, "entity_name") || promptField(user, "scenario") || "your team";
+  const nonce = Number(promptField(user, "regen_nonce")) || 0;
+  const options = [
+    `Hi - thanks for the time today on ${entity}. I'd like to show you how this would work for you - could we do a quick 15-min call Tuesday 2pm or Wednesday 11am?`,
+    `Hello - appreciate you talking through ${entity} with me. We can keep the next step short: are you available for a 10-min call this week, Thursday 3pm or Friday 10am?`,
+  ];
+  return { follow_up: { text: options[nonce % options.length] } };
+}
+
+function mockReport() {
+  return [
+    "## 0) Context Check",
+    "Mock backend: no model was called.",
+    "## 1) Scorecard (0-10)",
+    "- Opener: 5\n- Rapport: 5\n- Discovery: 5\n- Objections: 5\n- Close: 5",
+    "## 2) What To Fix First (Top 3)",
+    "1. Ask permission.\n2. Ask one discovery question.\n3. Close on a time.",
+    "## 3) Best Objection Responses (word-for-word)",
+    "\"Totally fair - can I ask one question before you go?\"",
+    "## 4) Rewrite Pack (10 lines)",
+    "- Quick one, is now a bad time?",
+    "## 5) 45-Second Script (single best version)",
+    "Hi, quick one - do you have 20 seconds so I can tell you why I called?",
+  ].join("\n");
+}
+
+const MOCK_BUILDERS = {
+  analysis: mockAnalysis,
+  analysis_repair: mockAnalysis,
+  playbook: mockPlaybook,
+  suggest_name: (user) => ({
+    name: [promptField(user, "entity_name"), promptField(user, "call_result")].filter(Boolean).join(" ") || "Mock Report",
+  }),
+  ai_name: (user) => ({ name: `${promptField(user, "name") || "Mock"} Accounts`.replace(/entity/gi, "").trim() }),
+  regen_followup: mockFollowup,
+  regen_followup_repair: mockFollowup,
+  calibrate_report: mockReport,
+  calibrate_script: () => "Hi, quick one - do you have 20 seconds so I can tell you why I called?",
+};
+
+function readFixture(dir, purpose, hash) {
+  if (!dir) return null;
+  const slug = slugPurpose(purpose);
+  for (const name of [`${slug}.${hash}.json`, `${slug}.json`]) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) continue;
+    const parsed = safeJsonParse(fs.readFileSync(file, "utf-8"));
+    if (parsed && Object.prototype.hasOwnProperty.call(parsed, "content")) return parsed.content;
+    return parsed;
+  }
+  return null;
+}
+
+function writeFixture(dir, purpose, hash, content) {
+  if (!dir) return;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${slugPurpose(purpose)}.${hash}.json`);
+    fs.writeFileSync(file, JSON.stringify({ purpose, content }, null, 2));
+  } catch {
+    console.warn("[llm_record_failed]", { purpose });
+  }
+}
+
+// ---- client ----
+
+// `baseUrls` overrides a provider's default base URL for one caller; the
+// LLM_BASE_URL and per-provider env vars still take precedence.
+export function createLlmClient(env = process.env, { preferred = ["deepseek", "openai"], baseUrls = {} } = {}) {
+  const provider = resolveProvider(env, preferred);
+  const defaults = PROVIDER_DEFAULTS[provider] || null;
+  const apiKey = defaults ? String(env[defaults.keyEnv] || "") : "";
+  const baseUrl = String(
+    env.LLM_BASE_URL || (defaults && env[defaults.baseUrlEnv]) || baseUrls[provider] || defaults?.baseUrl || ""
+  ).replace(/\/+$/, "");
+  const model = String(env.LLM_MODEL || (defaults && env[defaults.modelEnv]) || defaults?.model || "mock");
+  const timeoutMs = Number(env.LLM_TIMEOUT_MS || 60000);
+  const maxRetries = Math.max(0, Number(env.LLM_MAX_RETRIES ?? 2));
+  const backoffMs = Number(env.LLM_BACKOFF_MS || 800);
+  const fixturesDir = String(env.LLM_FIXTURES_DIR || "").trim();
+  const recordDir = String(env.LLM_RECORD_DIR || "").trim();
+  const label = defaults?.label || "LLM";
+
+  const requestOnce = async ({ messages, temperature, json }) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let resp;
+    try {
+      resp = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          authorization: `Bearer ${apiKey}`,
+          "content-type": "application/json",
+        },
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages,
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        }),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      const msg = err?.name === "AbortError" ? `timed out after ${timeoutMs}ms` : String(err?.message || err);
+      throw new LlmError(`${label} request failed: ${msg}`, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+    const txt = await resp.text().catch(() => "");
+    if (!resp.ok) {
+      throw new LlmError(`${label} error: ${txt}`, {
+        retryable: resp.status === 429 || resp.status >= 500,
+        status: resp.status,
+      });
+    }
+    const data = safeJsonParse(txt);
+    const content = data?.choices?.[0]?.message?.content;
+    if (!content) throw new LlmError(`${label} returned empty content`, { retryable: true });
+    return { content, raw: txt };
+  };
+
+  const complete = async ({ messages, temperature = 0.2, json = false, purpose = "default" }) => {
+    const hash = promptHash(messages);
+    if (provider === "mock") {
+      const user = messages.filter((m) => m.role === "user").map((m) => m.content).join("\n");
+      let content = readFixture(fixturesDir, purpose, hash);
+      if (content == null) {
+        const build = MOCK_BUILDERS[purpose];
+        content = build ? build(user) : {};
+      }
+      const text = typeof content === "string" ? content : JSON.stringify(content);
+      return { content: text, raw: JSON.stringify({ mock: true, purpose, content: text }) };
+    }
+    if (!apiKey) throw new Error(`Missing ${defaults.keyEnv}`);
+
+    let lastErr = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+      if (attempt > 0) {
+        const delay = backoffMs * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+        console.warn("[llm_retry]", { purpose, attempt, delay, error: String(lastErr?.message || "").slice(0, 200) });
+        await sleep(delay);
+      }
+      try {
+        const result = await requestOnce({ messages, temperature, json });
+        if (json && !safeJsonParse(result.content)) {
+          throw new LlmError(`${label} returned invalid JSON`, { retryable: true });
+        }
+        writeFixture(recordDir, purpose, hash, json ? safeJsonParse(result.content) : result.content);
+        return result;
+      } catch (err) {
+        lastErr = err;
+        if (!err?.retryable) throw err;
+      }
+    }
+    throw lastErr;
+  };
+
+  return {
+    provider,
+    model,
+    async chat({ messages, temperature = 0.2, purpose = "default" }) {
+      const { content } = await complete({ messages, temperature, json: false, purpose });
+      return content;
+    },
+    async json({ system, user, temperature = 0.2, purpose = "default" }) {
+      const { content, raw } = await complete({
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        temperature,
+        json: true,
+        purpose,
+      });
+      const parsed = safeJsonParse(content);
+      if (!parsed) throw new Error(`${label} returned invalid JSON`);
+      return { parsed, raw };
+    },
+  };
+}
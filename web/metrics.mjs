@@ -0,0 +1,222 @@
+// Deterministic conversation metrics over finalizeTranscriptLines output.
+// No model calls: the same transcript_lines always produce the same metrics,
+// so they can be trended across runs independently of the LLM score.
+
+export const METRICS_VERSION = 1;
+
+// Speaker changes closer than this (or after a cut-off line) count as
+// interruptions; normal turn-taking leaves a few hundred ms. Lines that
+// overlapped in the raw transcript end up 1ms apart after finalization.
+const INTERRUPTION_GAP_MS = 50;
+
+const REP_INTRO_PATTERNS = [
+  /\bmy name is\b/,
+  /\bthis is \w+ (from|with)\b/,
+  /\bi'?m calling\b/,
+  /\bcalling (from|about)\b/,
+  /\breason (i'?m|for my) call/,
+  /\bgot a (quick )?(minute|second)\b/,
+];
+
+const PITCH_PATTERNS = [
+  /\bwe help\b/,
+  /\bwe work with\b/,
+  /\bwe offer\b/,
+  /\bwe specialize\b/,
+  /\bwe provide\b/,
+  /\bour (service|product|platform|team|company)\b/,
+  /\bhelps? (businesses|companies|teams|owners)\b/,
+  /\bthe reason i'?m calling\b/,
+  /\bi'?m calling (about|because|to)\b/,
+];
+
+const QUESTION_START = /^(who|what|when|where|why|how|do|does|did|is|are|can|could|would|will|have|has|should)\b/;
+
+function wordCount(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean).length;
+}
+
+function lineDuration(ln) {
+  if (typeof ln.start_ms !== "number" || typeof ln.end_ms !== "number") return 0;
+  return Math.max(0, ln.end_ms - ln.start_ms);
+}
+
+function countQuestions(text) {
+  const t = String(text || "").trim();
+  if (!t) return 0;
+  const marks = (t.match(/\?/g) || []).length;
+  if (marks) return marks;
+  // Transcribers sometimes drop the question mark on short questions.
+  const words = wordCount(t);
+  return words <= 12 && QUESTION_START.test(t.toLowerCase()) ? 1 : 0;
+}
+
+function round(n, digits = 2) {
+  if (!Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function matchesAny(text, patterns) {
+  const t = String(text || "").toLowerCase();
+  return patterns.some((re) => re.test(t));
+}
+
+// The rep is whoever introduces themselves or pitches first; if nobody does,
+// fall back to the speaker with the most words.
+export function detectRepSpeaker(lines) {
+  const scores = new Map();
+  const words = new Map();
+  (lines || []).forEach((ln, idx) => {
+    const sp = ln.speaker;
+    words.set(sp, (words.get(sp) || 0) + wordCount(ln.text));
+    let s = 0;
+    if (matchesAny(ln.text, REP_INTRO_PATTERNS)) s += 2;
+    if (matchesAny(ln.text, PITCH_PATTERNS)) s += 1;
+    // Early lines carry more weight; intros happen in the first few turns.
+    if (s > 0) scores.set(sp, (scores.get(sp) || 0) + s * (idx < 6 ? 2 : 1));
+  });
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  if (ranked.length && (ranked.length === 1 || ranked[0][1] > ranked[1][1])) {
+    return { speaker: ranked[0][0], source: "intro_or_pitch" };
+  }
+  const byWords = [...words.entries()].sort((a, b) => b[1] - a[1]);
+  return { speaker: byWords[0]?.[0] || null, source: byWords.length ? "most_words" : "none" };
+}
+
+export function computeConversationMetrics(transcriptLines, { repSpeaker = null } = {}) {
+  const lines = (Array.isArray(transcriptLines) ? transcriptLines : [])
+    .filter((ln) => String(ln?.text || "").trim());
+  const rep = repSpeaker
+    ? { speaker: repSpeaker, source: "provided" }
+    : detectRepSpeaker(lines);
+
+  const timed = lines.filter((ln) => lineDuration(ln) > 0);
+  const callStart = timed.length ? timed[0].start_ms : null;
+  const callEnd = timed.length ? Math.max(...timed.map((ln) => ln.end_ms)) : null;
+  const durationMs = callStart != null ? callEnd - callStart : null;
+
+  const speakers = {};
+  lines.forEach((ln) => {
+    const sp = ln.speaker || "Unknown";
+    if (!speakers[sp]) speakers[sp] = { talk_ms: 0, words: 0, turns: 0, questions: 0 };
+    speakers[sp].talk_ms += lineDuration(ln);
+    speakers[sp].words += wordCount(ln.text);
+    speakers[sp].questions += countQuestions(ln.text);
+  });
+
+  // Monologues/turns: consecutive lines from the same speaker.
+  const turns = [];
+  lines.forEach((ln) => {
+    const prev = turns[turns.length - 1];
+    if (prev && prev.speaker === ln.speaker) {
+      prev.end_line = ln.line;
+      prev.end_ms = typeof ln.end_ms === "number" ? ln.end_ms : prev.end_ms;
+      prev.words += wordCount(ln.text);
+      prev.talk_ms += lineDuration(ln);
+      return;
+    }
+    turns.push({
+      speaker: ln.speaker,
+      start_line: ln.line,
+      end_line: ln.line,
+      start_ms: typeof ln.start_ms === "number" ? ln.start_ms : null,
+      end_ms: typeof ln.end_ms === "number" ? ln.end_ms : null,
+      words: wordCount(ln.text),
+      talk_ms: lineDuration(ln),
+    });
+  });
+  turns.forEach((t) => {
+    if (speakers[t.speaker]) speakers[t.speaker].turns += 1;
+  });
+
+  const totalTalk = Object.values(speakers).reduce((acc, s) => acc + s.talk_ms, 0);
+  Object.values(speakers).forEach((s) => {
+    s.talk_share = totalTalk ? round(s.talk_ms / totalTalk, 3) : null;
+    s.wpm = s.talk_ms ? round(s.words / (s.talk_ms / 60000), 1) : null;
+  });
+
+  const longest = turns.reduce((best, t) => {
+    const span = t.start_ms != null && t.end_ms != null ? t.end_ms - t.start_ms : 0;
+    const bestSpan = best ? best.duration_ms : -1;
+    if (span > bestSpan || (span === bestSpan && t.words > (best?.words || 0))) {
+      return {
+        speaker: t.speaker,
+        duration_ms: span,
+        words: t.words,
+        start_line: t.start_line,
+        end_line: t.end_line,
+      };
+    }
+    return best;
+  }, null);
+
+  const interruptions = { count: 0, by_speaker: {}, lines: [] };
+  for (let i = 1; i < lines.length; i++) {
+    const prev = lines[i - 1];
+    const ln = lines[i];
+    if (prev.speaker === ln.speaker) continue;
+    if (typeof prev.end_ms !== "number" || typeof ln.start_ms !== "number") continue;
+    const gap = ln.start_ms - prev.end_ms;
+    const cutOff = /(-|—|\.\.\.|…)$/.test(String(prev.text || "").trim());
+    if (gap < INTERRUPTION_GAP_MS || cutOff) {
+      interruptions.count += 1;
+      interruptions.by_speaker[ln.speaker] = (interruptions.by_speaker[ln.speaker] || 0) + 1;
+      interruptions.lines.push(ln.line);
+    }
+  }
+
+  const repLines = lines.filter((ln) => ln.speaker === rep.speaker);
+  const firstQuestion = repLines.find((ln) => countQuestions(ln.text) > 0) || null;
+  const pitch = repLines.find((ln) => matchesAny(ln.text, PITCH_PATTERNS)) || null;
+  const sinceStart = (ln) => (
+    ln && callStart != null && typeof ln.start_ms === "number"
+      ? Math.max(0, ln.start_ms - callStart)
+      : null
+  );
+
+  const repStats = speakers[rep.speaker] || null;
+  const listenMs = totalTalk - (repStats?.talk_ms || 0);
+  const totalWords = Object.values(speakers).reduce((acc, s) => acc + s.words, 0);
+
+  return {
+    version: METRICS_VERSION,
+    line_count: lines.length,
+    timing_available: timed.length > 0,
+    duration_ms: durationMs,
+    rep_speaker: rep.speaker,
+    rep_speaker_source: rep.source,
+    speakers,
+    talk_listen_ratio: repStats && listenMs > 0 ? round(repStats.talk_ms / listenMs) : null,
+    rep_talk_share: repStats?.talk_share ?? null,
+    wpm: totalTalk ? round(totalWords / (totalTalk / 60000), 1) : null,
+    rep_wpm: repStats?.wpm ?? null,
+    longest_monologue: longest,
+    rep_questions: repStats?.questions || 0,
+    interruptions,
+    time_to_first_question_ms: sinceStart(firstQuestion),
+    first_question_line: firstQuestion?.line ?? null,
+    time_to_pitch_ms: sinceStart(pitch),
+    pitch_line: pitch?.line ?? null,
+  };
+}
+
+function fmtSeconds(ms) {
+  return ms == null ? "n/a" : `${Math.round(ms / 1000)}s`;
+}
+
+// Compact key=value lines for the analysis prompt.
+export function summarizeMetricsForPrompt(metrics) {
+  if (!metrics || !metrics.line_count) return "";
+  const mono = metrics.longest_monologue;
+  return [
+    `rep_speaker=${metrics.rep_speaker || "unknown"}`,
+    `talk_listen_ratio=${metrics.talk_listen_ratio ?? "n/a"}`,
+    `rep_wpm=${metrics.rep_wpm ?? "n/a"}`,
+    `rep_questions=${metrics.rep_questions}`,
+    `interruptions=${metrics.interruptions?.count ?? 0}`,
+    `longest_monologue=${mono ? `${fmtSeconds(mono.duration_ms)} by ${mono.speaker} (lines ${mono.start_line}-${mono.end_line})` : "n/a"}`,
+    `time_to_first_question=${fmtSeconds(metrics.time_to_first_question_ms)}`,
+    `time_to_pitch=${fmtSeconds(metrics.time_to_pitch_ms)}`,
+  ].join("\n");
+}
@@ -0,0 +1,317 @@
+// Print-ready PDF for export documents (see export.mjs), written directly:
+// US Letter pages, the standard Helvetica/Courier fonts (no embedding, so
+// text is limited to WinAnsi; other characters print as "?"), word wrap from
+// the fonts' published widths, and "Page n of N" footers.
+
+import zlib from "zlib";
+
+const PAGE_W = 612;
+const PAGE_H = 792;
+const MARGIN = 54;
+const CONTENT_W = PAGE_W - MARGIN * 2;
+const FOOTER_Y = 30;
+
+// Glyph widths (1/1000 em) for characters 32-126.
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const FONTS = {
+  F1: { base: "Helvetica", widths: HELVETICA },
+  F2: { base: "Helvetica-Bold", widths: HELVETICA_BOLD },
+  F3: { base: "Helvetica-Oblique", widths: HELVETICA },
+  F4: { base: "Courier", widths: null },
+};
+
+// Unicode -> WinAnsiEncoding byte for the characters outside Latin-1 that
+// transcripts and model output commonly contain.
+const WIN_ANSI = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+  0x2021: 0x87, 0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c,
+  0x017d: 0x8e, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95,
+  0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98, 0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b,
+  0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f,
+};
+
+function toWinAnsi(text) {
+  const out = [];
+  for (const ch of String(text ?? "")) {
+    const cp = ch.codePointAt(0);
+    if (cp === 9) out.push(32);
+    else if (cp >= 32 && cp <= 126) out.push(cp);
+    else if (cp >= 160 && cp <= 255) out.push(cp);
+    else if (WIN_ANSI[cp]) out.push(WIN_ANSI[cp]);
+    else if (cp >= 32) out.push(63);
+  }
+  return out;
+}
+
+function textWidth(bytes, font, size) {
+  const widths = FONTS[font].widths;
+  if (!widths) return bytes.length * 600 * size / 1000;
+  let w = 0;
+  bytes.forEach((b) => {
+    w += b >= 32 && b <= 126 ? widths[b - 32] : 556;
+  });
+  return w * size / 1000;
+}
+
+function pdfString(bytes) {
+  let s = "(";
+  bytes.forEach((b) => {
+    if (b === 40 || b === 41 || b === 92) s += `\\${String.fromCharCode(b)}`;
+    else if (b < 32 || b > 126) s += `\\${b.toString(8).padStart(3, "0")}`;
+    else s += String.fromCharCode(b);
+  });
+  return `${s})`;
+}
+
+// Greedy wrap on spaces; words longer than the line are split.
+function wrap(text, font, size, width) {
+  const lines = [];
+  String(text ?? "").split("\n").forEach((para) => {
+    const words = para.split(/ +/).filter(Boolean);
+    let line = [];
+    const fits = (candidate) => textWidth(toWinAnsi(candidate.join(" ")), font, size) <= width;
+    words.forEach((word) => {
+      if (fits([...line, word])) {
+        line.push(word);
+        return;
+      }
+      if (line.length) lines.push(line.join(" "));
+      line = [];
+      let rest = word;
+      while (!fits([rest]) && rest.length > 1) {
+        let cut = rest.length - 1;
+        while (cut > 1 && !fits([rest.slice(0, cut)])) cut -= 1;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = [rest];
+    });
+    lines.push(line.join(" "));
+  });
+  return lines;
+}
+
+class Layout {
+  constructor() {
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    this.y = PAGE_H - MARGIN;
+  }
+
+  ensure(height) {
+    if (this.y - height < MARGIN) this.newPage();
+  }
+
+  space(h) {
+    this.y -= h;
+  }
+
+  text(str, { font = "F1", size = 10.5, x = MARGIN, color = null } = {}) {
+    const fill = color ? `${color.join(" ")} rg ` : "";
+    this.ops.push(`BT ${fill}/${font} ${size} Tf ${x.toFixed(2)} ${this.y.toFixed(2)} Td ${pdfString(toWinAnsi(str))} Tj ET${color ? " 0 0 0 rg" : ""}`);
+  }
+
+  // Wrapped text; `label` is printed bold on the first line.
+  paragraph(str, { font = "F1", size = 10.5, indent = 0, label = "", gap = 6, color = null } = {}) {
+    const lead = size * 1.35;
+    const x = MARGIN + indent;
+    const width = CONTENT_W - indent;
+    if (label) {
+      const labelText = `${label}: `;
+      const labelW = textWidth(toWinAnsi(labelText), "F2", size);
+      const first = wrap(str, font, size, width - labelW);
+      const rest = first.length > 1 ? wrap(first.slice(1).join(" "), font, size, width) : [];
+      this.ensure(lead);
+      this.y -= size;
+      this.text(labelText, { font: "F2", size, x });
+      this.text(first[0] || "", { font, size, x: x + labelW, color });
+      rest.forEach((ln) => {
+        this.ensure(lead);
+        this.y -= lead;
+        this.text(ln, { font, size, x, color });
+      });
+    } else {
+      wrap(str, font, size, width).forEach((ln, i) => {
+        this.ensure(lead);
+        this.y -= i === 0 ? size : lead;
+        this.text(ln, { font, size, x, color });
+      });
+    }
+    this.y -= gap;
+  }
+
+  rule(gap = 8) {
+    this.ops.push(`0.8 0.82 0.86 RG 0.6 w ${MARGIN} ${this.y.toFixed(2)} m ${PAGE_W - MARGIN} ${this.y.toFixed(2)} l S`);
+    this.y -= gap;
+  }
+
+  bar(x, top, bottom) {
+    this.ops.push(`0.75 0.78 0.84 rg ${x} ${bottom.toFixed(2)} 2 ${(top - bottom).toFixed(2)} re f 0 0 0 rg`);
+  }
+}
+
+const GREY = [0.35, 0.38, 0.44];
+
+function layoutTable(layout, head, rows) {
+  const cols = head.length;
+  // Short columns (dates, scores) get less room than free text.
+  const weights = head.map((_, c) => {
+    const longest = Math.max(String(head[c]).length, ...rows.map((r) => String(r[c] ?? "").length));
+    return Math.min(Math.max(longest, 6), 60);
+  });
+  const total = weights.reduce((a, b) => a + b, 0);
+  const widths = weights.map((w) => (CONTENT_W * w) / total);
+  const size = 9.5;
+  const lead = size * 1.3;
+  const drawRow = (cells, font) => {
+    const wrapped = cells.map((cell, c) => wrap(String(cell ?? ""), font, size, widths[c] - 6));
+    const height = Math.max(...wrapped.map((w) => w.length)) * lead + 4;
+    layout.ensure(height);
+    const top = layout.y;
+    let x = MARGIN;
+    wrapped.forEach((lines, c) => {
+      lines.forEach((ln, i) => {
+        layout.y = top - size - i * lead;
+        layout.text(ln, { font, size, x });
+      });
+      x += widths[c];
+    });
+    layout.y = top - height;
+    layout.rule(4);
+  };
+  drawRow(head, "F2");
+  rows.forEach((r) => drawRow(r.slice(0, cols), "F1"));
+  layout.space(6);
+}
+
+export function renderPdf(doc) {
+  const layout = new Layout();
+  doc.blocks.forEach((b) => {
+    switch (b.type) {
+      case "title":
+        layout.paragraph(b.text, { font: "F2", size: 20, gap: 6 });
+        layout.rule(10);
+        break;
+      case "heading": {
+        const size = b.level === 3 ? 11.5 : 14;
+        // Keep a heading with at least a couple of lines of what follows.
+        layout.ensure(size + 40);
+        layout.space(b.level === 3 ? 2 : 8);
+        layout.paragraph(b.text, { font: "F2", size, gap: 4 });
+        break;
+      }
+      case "paragraph":
+        layout.paragraph(b.text, { label: b.label || "" });
+        break;
+      case "fields":
+        b.items.forEach(([k, v]) => layout.paragraph(v, { label: k, gap: 2 }));
+        layout.space(6);
+        break;
+      case "list":
+        b.items.forEach((item, i) => {
+          layout.paragraph(`${b.ordered ? `${i + 1}.` : "•"} ${item}`, { indent: 10, gap: 3 });
+        });
+        layout.space(4);
+        break;
+      case "quote": {
+        layout.ensure(30);
+        const top = layout.y;
+        layout.paragraph(`“${b.text}”`, { font: "F3", indent: 12, gap: 2 });
+        if (b.meta) layout.paragraph(b.meta, { size: 9, indent: 12, gap: 2, color: GREY });
+        // The bar is drawn per page segment; a quote split across pages gets no bar.
+        if (layout.y < top) layout.bar(MARGIN + 2, top, layout.y + 2);
+        layout.space(6);
+        break;
+      }
+      case "table":
+        if (b.rows.length) layoutTable(layout, b.head, b.rows);
+        break;
+      case "transcript":
+        b.lines.forEach((ln) => {
+          const head = [ln.time ? `[${ln.time}]` : "", ln.speaker ? `${ln.speaker}` : ""].filter(Boolean).join(" ");
+          layout.paragraph(ln.text, { label: head, size: 9.5, gap: 3 });
+        });
+        break;
+      default:
+        break;
+    }
+  });
+  return writePdf(layout.pages, doc.title);
+}
+
+function writePdf(pages, title) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const fontIds = {};
+  Object.entries(FONTS).forEach(([name, f]) => {
+    fontIds[name] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`);
+  });
+  const fontDict = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(" ");
+  const pagesId = objects.length + 1;
+  objects.push(null); // Pages, filled in below
+  const pageIds = pages.map((ops, i) => {
+    const footer = `BT 0.35 0.38 0.44 rg /F1 8.5 Tf ${MARGIN} ${FOOTER_Y} Td ${pdfString(toWinAnsi(`Page ${i + 1} of ${pages.length}`))} Tj ET`;
+    const content = zlib.deflateSync(Buffer.from([...ops, footer].join("\n"), "latin1"));
+    const contentId = add({ dict: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << ${fontDict} >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  const catalogId = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+  const infoId = add(`<< /Title ${pdfString(toWinAnsi(title || "Export"))} /Producer (Calibrate) >>`);
+
+  const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let length = chunks[0].length;
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(length);
+    const parts = typeof obj === "string"
+      ? [Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, "latin1")]
+      : [
+          Buffer.from(`${i + 1} 0 obj\n${obj.dict}\nstream\n`, "latin1"),
+          obj.stream,
+          Buffer.from("\nendstream\nendobj\n", "latin1"),
+        ];
+    parts.forEach((p) => {
+      chunks.push(p);
+      length += p.length;
+    });
+  });
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    "startxref",
+    String(length),
+    "%%EOF",
+    "",
+  ].join("\n");
+  chunks.push(Buffer.from(xref, "latin1"));
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,128 @@
+// Human edits to entity playbooks. A playbook is split into sections that can
+// be edited and locked one at a time:
+//
+//   ultimate_script.opener | .pitch | .qualify | .close   string
+//   observed_objections | potential_objections             [{ objection, best_response, ... }]
+//   dont_say | say_instead                                  string[]
+//   patterns                                                [{ pattern, impact, fix }]
+//
+// Regeneration never touches locked sections. Once a person has locked or
+// edited any section, changes the model makes to unlocked sections are held
+// back as suggestions instead of overwriting the reviewed text.
+
+import { randomUUID } from "crypto";
+
+export const PLAYBOOK_SECTIONS = [
+  "ultimate_script.opener",
+  "ultimate_script.pitch",
+  "ultimate_script.qualify",
+  "ultimate_script.close",
+  "observed_objections",
+  "potential_objections",
+  "dont_say",
+  "say_instead",
+  "patterns",
+];
+
+const MAX_SCRIPT_TEXT = 2000;
+const MAX_ITEM_TEXT = 1000;
+const MAX_LIST_ITEMS = 50;
+
+export function getPlaybookSection(playbook, key) {
+  if (key.startsWith("ultimate_script.")) {
+    return playbook?.ultimate_script?.[key.slice("ultimate_script.".length)] ?? "";
+  }
+  return Array.isArray(playbook?.[key]) ? playbook[key] : [];
+}
+
+export function setPlaybookSection(playbook, key, value) {
+  const next = { ...(playbook || {}) };
+  if (key.startsWith("ultimate_script.")) {
+    next.ultimate_script = { ...(next.ultimate_script || {}), [key.slice("ultimate_script.".length)]: value };
+  } else {
+    next[key] = value;
+  }
+  return next;
+}
+
+const clip = (value, max) => String(value ?? "").trim().slice(0, max);
+
+// Returns { value } or { error }. Objection fields the editor does not show
+// (count, variants, evidence) are kept from the submitted item.
+export function normalizePlaybookSection(key, value) {
+  if (!PLAYBOOK_SECTIONS.includes(key)) return { error: `Unknown section ${key}` };
+  if (key.startsWith("ultimate_script.")) {
+    if (typeof value !== "string") return { error: `${key} must be text` };
+    return { value: clip(value, MAX_SCRIPT_TEXT) };
+  }
+  if (!Array.isArray(value)) return { error: `${key} must be a list` };
+  if (value.length > MAX_LIST_ITEMS) return { error: `${key} has more than ${MAX_LIST_ITEMS} items` };
+  if (key === "dont_say" || key === "say_instead") {
+    return { value: value.map((v) => clip(v, MAX_ITEM_TEXT)).filter(Boolean) };
+  }
+  if (key === "patterns") {
+    return {
+      value: value
+        .map((p) => ({ pattern: clip(p?.pattern, MAX_ITEM_TEXT), impact: clip(p?.impact, MAX_ITEM_TEXT), fix: clip(p?.fix, MAX_ITEM_TEXT) }))
+        .filter((p) => p.pattern),
+    };
+  }
+  const items = [];
+  for (const o of value) {
+    const objection = clip(o?.objection, MAX_ITEM_TEXT);
+    if (!objection) continue;
+    const bestResponse = clip(o?.best_response, MAX_ITEM_TEXT);
+    if (!bestResponse) return { error: `Objection "${objection.slice(0, 40)}" needs a response` };
+    items.push({ ...(o && typeof o === "object" ? o : {}), objection, best_response: bestResponse });
+  }
+  return { value: items };
+}
+
+export function normalizeLocks(locks) {
+  return [...new Set((Array.isArray(locks) ? locks : []).filter((k) => PLAYBOOK_SECTIONS.includes(k)))];
+}
+
+// Key order is not stable across a jsonb round trip, so compare sorted.
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sameSection(a, b) {
+  return stableJson(a) === stableJson(b);
+}
+
+// Combines a freshly generated playbook with the stored one. Locked sections
+// keep their stored value; when `propose` is set, unlocked sections that
+// changed keep their stored value too and the generated value becomes a
+// pending suggestion (replacing any older suggestion for that section).
+// `changed` is false when the result equals the stored playbook, e.g. when
+// every difference was held back as a suggestion.
+export function reconcileRegeneratedPlaybook(current, generated, { locks = [], propose = false, suggestions = [] } = {}) {
+  if (!current) return { playbook: generated, suggestions: [], changed: true };
+  let playbook = { ...generated };
+  const pending = (Array.isArray(suggestions) ? suggestions : []).filter((s) => !locks.includes(s.section));
+  PLAYBOOK_SECTIONS.forEach((key) => {
+    const stored = getPlaybookSection(current, key);
+    const fresh = getPlaybookSection(generated, key);
+    if (locks.includes(key)) {
+      playbook = setPlaybookSection(playbook, key, stored);
+      return;
+    }
+    if (!propose) return;
+    const idx = pending.findIndex((s) => s.section === key);
+    if (sameSection(stored, fresh)) {
+      // The model now agrees with the stored text; an older suggestion is stale.
+      if (idx !== -1) pending.splice(idx, 1);
+      return;
+    }
+    playbook = setPlaybookSection(playbook, key, stored);
+    const suggestion = { id: randomUUID(), section: key, proposed: fresh, created_at: new Date().toISOString() };
+    if (idx === -1) pending.push(suggestion);
+    else pending[idx] = suggestion;
+  });
+  return { playbook, suggestions: pending, changed: !sameSection(current, playbook) };
+}
@@ -0,0 +1,90 @@
+// Redaction for shared reports. Phone numbers are any run of 7-15 digits
+// written with the usual separators. Prospect names are found from how the
+// rep greets them ("Hi Dan", "is this Dan?"), how the follow-up opens, and
+// self-introductions on prospect lines; the owner can add names the
+// heuristics miss.
+
+const PHONE_CANDIDATE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const NAME = "([A-Z][a-z]+(?:[ -][A-Z][a-z]+)?)";
+const ADDRESS = new RegExp(`\\b(?:hi|hey|hello|morning|afternoon|is this|am i speaking (?:with|to)|speaking with|talking (?:with|to)|looking for)[,\\s]+${NAME}\\b`, "gi");
+const SELF_INTRO = new RegExp(`\\b(?:my name is|this is|it's|i'm|name's)\\s+${NAME}\\b`, "gi");
+const FOLLOW_UP_GREETING = new RegExp(`^\\s*(?:hi|hey|hello|dear|good (?:morning|afternoon))\\s+${NAME}\\b`, "i");
+const PROSPECT_SPEAKER = /prospect|customer|caller|client|lead/i;
+const NOT_NAMES = new Set([
+  "There", "Sir", "Madam", "Maam", "Everyone", "All", "Guys", "Team", "Again", "Yes", "Yeah", "Thanks", "Thank",
+  "Good", "Just", "Calling", "Sorry", "Okay", "Great", "Well", "So", "Quick", "The", "This", "That", "It",
+]);
+const SKIP_KEYS = /(^id$|_id$|_ids$|_at$|^line$|_ms$|^key$|^status$)/;
+
+// The patterns are case-insensitive for their lead-in, so only the leading
+// capitalized words of a match count as a name ("Dan and" -> "Dan").
+function addName(names, raw) {
+  const words = [];
+  for (const w of String(raw || "").trim().split(/[ -]/)) {
+    if (!/^[A-Z][a-z]+$/.test(w) || NOT_NAMES.has(w)) break;
+    words.push(w);
+  }
+  if (words.length) names.add(words.join(" "));
+}
+
+function matchAll(pattern, text, names) {
+  for (const m of String(text || "").matchAll(pattern)) addName(names, m[1]);
+}
+
+// run: { transcript_lines, transcript_text, analysis_json }.
+export function detectProspectNames(run) {
+  const names = new Set();
+  const lines = Array.isArray(run?.transcript_lines) && run.transcript_lines.length
+    ? run.transcript_lines
+    : String(run?.transcript_text || "").split("\n").map((t) => {
+        const m = t.match(/^([^:]{1,40}):\s*(.*)$/);
+        return { speaker: m ? m[1] : "", text: m ? m[2] : t };
+      });
+  lines.forEach((ln) => {
+    matchAll(ADDRESS, ln.text, names);
+    if (PROSPECT_SPEAKER.test(String(ln.speaker || ""))) matchAll(SELF_INTRO, ln.text, names);
+  });
+  const followUp = String(run?.analysis_json?.follow_up?.text || run?.analysis_json?.followup || "");
+  const greeting = followUp.match(FOLLOW_UP_GREETING);
+  if (greeting) addName(names, greeting[1]);
+  return [...names];
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns a function that redacts one string.
+export function createRedactor({ names = [], phones = false } = {}) {
+  // Full names first, then each part on its own ("Dan Smith", then "Dan", "Smith").
+  const parts = new Set();
+  names.map((n) => String(n || "").trim()).filter((n) => n.length > 1).forEach((n) => {
+    parts.add(n);
+    n.split(/\s+/).filter((p) => p.length > 1).forEach((p) => parts.add(p));
+  });
+  const nameRe = parts.size
+    ? new RegExp(`\\b(?:${[...parts].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})\\b`, "gi")
+    : null;
+  return (text) => {
+    let out = String(text ?? "");
+    if (phones) {
+      out = out.replace(PHONE_CANDIDATE, (m) => {
+        const digits = m.replace(/\D/g, "").length;
+        if (digits < 7 || digits > 15 || ISO_DATE.test(m.trim())) return m;
+        return "[phone]";
+      });
+    }
+    if (nameRe) out = out.replace(nameRe, "[prospect]");
+    return out;
+  };
+}
+
+// Deep-copies a JSON value with every string redacted, leaving ids,
+// timestamps and other bookkeeping keys alone.
+export function redactValue(value, redact, key = "") {
+  if (typeof value === "string") return SKIP_KEYS.test(key) ? value : redact(value);
+  if (Array.isArray(value)) return value.map((v) => redactValue(v, redact, key));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, redact, k)]));
+  }
+  return value;
+}
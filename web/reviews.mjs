@@ -0,0 +1,141 @@
+// Manager review of runs. Comments hang off one of:
+//
+//   run        the call as a whole
+//   line       transcript lines line_start..line_end (1-based, as in transcript_lines)
+//   time       start_ms..end_ms of the recording
+//   fix        analysis_json.top_fixes[item_index]
+//   evidence   analysis_json.call_result.evidence[item_index]
+//
+// Fix and evidence anchors also store item_key (the fix title or evidence
+// quote) and are re-resolved against the current analysis on every read, so
+// they survive re-analysis and version switches; when the item is gone the
+// thread is detached (item_index null) rather than moved to another item.
+// Line anchors are rewritten when the transcript is edited.
+//
+// Replies are one level deep and share their thread's anchor.
+
+import { remapLineNumbers } from "./transcript_edit.mjs";
+
+export const REVIEW_STATUSES = ["unreviewed", "in_review", "reviewed", "needs_rerecord"];
+export const COMMENT_ANCHORS = ["run", "line", "time", "fix", "evidence"];
+
+export const COMMENT_MAX_LEN = 4000;
+export const TASK_TITLE_MAX_LEN = 200;
+export const TASK_DETAILS_MAX_LEN = 4000;
+
+const MAX_RANGE_MS = 24 * 60 * 60 * 1000;
+
+export function runFixes(analysis) {
+  const fixes = analysis?.top_fixes || analysis?.fixes;
+  return Array.isArray(fixes) ? fixes : [];
+}
+
+export function runEvidence(analysis) {
+  const evidence = analysis?.call_result?.evidence;
+  return Array.isArray(evidence) ? evidence : [];
+}
+
+const toInt = (v) => (v === "" || v == null ? NaN : Number(v));
+
+const ITEM_KEY_MAX_LEN = 500;
+
+export function anchorItemKey(type, item) {
+  const raw = type === "fix" ? item?.title || item?.do_instead || item?.why : item?.quote;
+  return String(raw || "").replace(/\s+/g, " ").trim().toLowerCase().slice(0, ITEM_KEY_MAX_LEN) || null;
+}
+
+// Returns { value } with the anchor columns of a run_comments row, or { error }.
+// run: { transcript_lines, analysis_json }.
+export function normalizeCommentAnchor(input, run) {
+  const type = String(input?.type || "run");
+  const empty = { anchor_type: type, line_start: null, line_end: null, start_ms: null, end_ms: null, item_index: null, item_key: null };
+  if (!COMMENT_ANCHORS.includes(type)) return { error: `Unknown anchor ${type}` };
+  if (type === "run") return { value: empty };
+
+  if (type === "line") {
+    const lines = Array.isArray(run?.transcript_lines) ? run.transcript_lines : [];
+    if (!lines.length) return { error: "This run has no transcript lines" };
+    const start = toInt(input.line_start);
+    const end = input.line_end == null || input.line_end === "" ? start : toInt(input.line_end);
+    const known = new Set(lines.map((ln, i) => Number(ln?.line) || i + 1));
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end < start) return { error: "Line range is invalid" };
+    if (!known.has(start) || !known.has(end)) return { error: "Line range is outside the transcript" };
+    return { value: { ...empty, line_start: start, line_end: end } };
+  }
+
+  if (type === "time") {
+    const start = toInt(input.start_ms);
+    const end = input.end_ms == null || input.end_ms === "" ? start : toInt(input.end_ms);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > MAX_RANGE_MS) {
+      return { error: "Time range is invalid" };
+    }
+    return { value: { ...empty, start_ms: start, end_ms: end } };
+  }
+
+  const items = type === "fix" ? runFixes(run?.analysis_json) : runEvidence(run?.analysis_json);
+  const index = toInt(input.index ?? input.item_index);
+  if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+    return { error: type === "fix" ? "No such fix on this run" : "No such evidence item on this run" };
+  }
+  return { value: { ...empty, item_index: index, item_key: anchorItemKey(type, items[index]) } };
+}
+
+// Points fix/evidence comments at where their item sits in `analysis` now.
+// Rows from before item_key keep their stored index while it is in range.
+export function resolveItemAnchors(comments, analysis) {
+  const lists = { fix: runFixes(analysis), evidence: runEvidence(analysis) };
+  return (comments || []).map((c) => {
+    const items = lists[c.anchor_type];
+    if (!items) return c;
+    if (!c.item_key) return c.item_index != null && c.item_index < items.length ? c : { ...c, item_index: null, detached: true };
+    const index = items.findIndex((item) => anchorItemKey(c.anchor_type, item) === c.item_key);
+    return index >= 0 ? { ...c, item_index: index } : { ...c, item_index: null, detached: true };
+  });
+}
+
+// New line_start/line_end for a line anchor after a transcript edit, from
+// buildLineMap; null when none of its lines survive.
+export function remapLineAnchor(comment, lineMap) {
+  const old = [];
+  for (let n = comment.line_start; n <= comment.line_end; n += 1) old.push(n);
+  const lines = remapLineNumbers(old, lineMap);
+  if (!lines.length) return null;
+  return { line_start: Math.min(...lines), line_end: Math.max(...lines) };
+}
+
+// Nests replies under their root comment; threads and replies oldest first.
+export function threadComments(rows) {
+  const sorted = [...(rows || [])].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const roots = new Map();
+  sorted.forEach((c) => {
+    if (!c.parent_id) roots.set(c.id, { ...c, replies: [] });
+  });
+  sorted.forEach((c) => {
+    if (c.parent_id) roots.get(c.parent_id)?.replies.push(c);
+  });
+  return [...roots.values()];
+}
+
+// Open thread counts keyed the way the report view looks them up: "line:N",
+// "fix:N", "evidence:N" and "run". Time ranges count against every transcript
+// line they overlap.
+export function summarizeThreads(threads, transcriptLines = []) {
+  const counts = {};
+  const bump = (key) => { counts[key] = (counts[key] || 0) + 1; };
+  const timed = (Array.isArray(transcriptLines) ? transcriptLines : [])
+    .map((ln, i) => ({ line: Number(ln?.line) || i + 1, start: ln?.start_ms, end: ln?.end_ms }))
+    .filter((ln) => typeof ln.start === "number" && typeof ln.end === "number");
+  (threads || []).forEach((t) => {
+    if (t.resolved_at) return;
+    if (t.anchor_type === "line") {
+      for (let n = t.line_start; n <= t.line_end; n += 1) bump(`line:${n}`);
+    } else if (t.anchor_type === "time") {
+      timed.filter((ln) => ln.start <= t.end_ms && t.start_ms < ln.end).forEach((ln) => bump(`line:${ln.line}`));
+    } else if ((t.anchor_type === "fix" || t.anchor_type === "evidence") && t.item_index != null) {
+      bump(`${t.anchor_type}:${t.item_index}`);
+    } else {
+      bump("run");
+    }
+  });
+  return counts;
+}
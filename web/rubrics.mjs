@@ -0,0 +1,167 @@
+// Scoring rubrics: user-defined criteria the analysis scores one by one.
+// Storage and lookup live in server.mjs; this module only validates rubric
+// definitions, renders them into the analysis prompt and turns the model's
+// per-criterion answer into a weighted overall score.
+
+export const RUBRIC_MAX_CRITERIA = 12;
+
+// Mirrors the scorecard from the original calibrate.mjs report.
+export const DEFAULT_RUBRIC_TEMPLATE = {
+  name: "Cold call scorecard",
+  criteria: [
+    {
+      key: "opener",
+      name: "Opener",
+      weight: 20,
+      description: "Earns the next 30 seconds: permission, clear reason for the call.",
+      anchors: [
+        { score: 0, description: "No introduction or reason; prospect confused." },
+        { score: 50, description: "Introduces self but reason for calling is vague." },
+        { score: 100, description: "Permission-based opener with a specific, relevant reason." },
+      ],
+    },
+    {
+      key: "rapport",
+      name: "Rapport",
+      weight: 15,
+      description: "Tone, listening and acknowledging what the prospect says.",
+      anchors: [
+        { score: 0, description: "Talks over the prospect, ignores cues." },
+        { score: 50, description: "Polite but scripted." },
+        { score: 100, description: "Mirrors the prospect and acknowledges before responding." },
+      ],
+    },
+    {
+      key: "discovery",
+      name: "Discovery",
+      weight: 25,
+      description: "Asks questions that uncover the current process and pain.",
+      anchors: [
+        { score: 0, description: "No discovery questions." },
+        { score: 50, description: "Asks generic questions without follow-up." },
+        { score: 100, description: "Open questions with follow-ups that surface a concrete problem." },
+      ],
+    },
+    {
+      key: "objections",
+      name: "Objections",
+      weight: 20,
+      description: "Handles pushback without arguing and keeps the call alive.",
+      anchors: [
+        { score: 0, description: "Gives up or argues at the first objection." },
+        { score: 50, description: "Responds but does not re-engage." },
+        { score: 100, description: "Acknowledges, reframes and asks a question to continue." },
+      ],
+    },
+    {
+      key: "close",
+      name: "Close",
+      weight: 20,
+      description: "Asks for a specific next step.",
+      anchors: [
+        { score: 0, description: "No ask." },
+        { score: 50, description: "Soft ask (\"can I send info?\")." },
+        { score: 100, description: "Specific time-bound ask for a meeting." },
+      ],
+    },
+  ],
+};
+
+function slugKey(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40);
+}
+
+export function normalizeRubricCriteria(input) {
+  const errors = [];
+  const list = Array.isArray(input) ? input : [];
+  if (!list.length) errors.push("At least one criterion is required");
+  if (list.length > RUBRIC_MAX_CRITERIA) {
+    errors.push(`At most ${RUBRIC_MAX_CRITERIA} criteria are allowed`);
+  }
+  const seen = new Set();
+  const criteria = list.slice(0, RUBRIC_MAX_CRITERIA).map((c, i) => {
+    const name = String(c?.name || "").trim().slice(0, 80);
+    const key = slugKey(c?.key || name) || `criterion_${i + 1}`;
+    const weight = Number(c?.weight);
+    if (!name) errors.push(`Criterion ${i + 1}: missing name`);
+    if (!Number.isFinite(weight) || weight <= 0) errors.push(`Criterion ${i + 1}: weight must be > 0`);
+    if (seen.has(key)) errors.push(`Criterion ${i + 1}: duplicate key ${key}`);
+    seen.add(key);
+    const anchors = (Array.isArray(c?.anchors) ? c.anchors : [])
+      .map((a) => ({
+        score: Math.max(0, Math.min(100, Math.round(Number(a?.score)))),
+        description: String(a?.description || "").trim().slice(0, 240),
+      }))
+      .filter((a) => Number.isFinite(a.score) && a.description)
+      .sort((a, b) => a.score - b.score);
+    return {
+      key,
+      name,
+      weight: Number.isFinite(weight) ? weight : 0,
+      description: String(c?.description || "").trim().slice(0, 400),
+      anchors,
+    };
+  });
+  return { criteria, errors };
+}
+
+export function buildRubricPromptSection(rubric) {
+  const criteria = Array.isArray(rubric?.criteria) ? rubric.criteria : [];
+  if (!criteria.length) return "";
+  const blocks = criteria.map((c) => {
+    const anchors = c.anchors?.length
+      ? c.anchors.map((a) => `    ${a.score}: ${a.description}`).join("\n")
+      : "    (no anchors)";
+    return `criterion=${c.key} | name=${c.name} | weight=${c.weight}\n  ${c.description || ""}\n  anchors:\n${anchors}`;
+  });
+  return `
+Scoring rubric "${rubric.name || "Rubric"}" (score every criterion 0-100 using the anchors):
+${blocks.join("\n")}
+`;
+}
+
+export function buildRubricPromptRules() {
+  return `- rubric_scores: [{ key: string, score: number (0-100), why: string, evidence_lines: number[] }] — one item per rubric criterion, keys exactly as given.
+- evidence_lines must be numbered transcript lines that justify the criterion score (1-3 lines).
+- The overall score is computed from rubric_scores; still return score as your best estimate.`;
+}
+
+// Returns { rubric_scores, score } where score is the weighted average of the
+// per-criterion scores (weights need not sum to 100).
+export function applyRubricScores(rawScores, rubric, transcriptLines) {
+  const criteria = Array.isArray(rubric?.criteria) ? rubric.criteria : [];
+  const maxLine = Array.isArray(transcriptLines) ? transcriptLines.length : 0;
+  const byKey = new Map();
+  (Array.isArray(rawScores) ? rawScores : []).forEach((s) => {
+    const key = slugKey(s?.key || s?.name);
+    if (key && !byKey.has(key)) byKey.set(key, s);
+  });
+  const errors = [];
+  const scores = criteria.map((c) => {
+    const raw = byKey.get(c.key);
+    if (!raw) errors.push(`rubric_scores missing ${c.key}`);
+    const n = Number(raw?.score);
+    const score = Number.isFinite(n) ? Math.max(0, Math.min(100, Math.round(n))) : null;
+    const lines = (Array.isArray(raw?.evidence_lines) ? raw.evidence_lines : [])
+      .map((l) => Math.floor(Number(l)))
+      .filter((l) => Number.isFinite(l) && l >= 1 && l <= maxLine);
+    return {
+      key: c.key,
+      name: c.name,
+      weight: c.weight,
+      score,
+      why: String(raw?.why || "").trim(),
+      evidence_lines: [...new Set(lines)].slice(0, 5),
+    };
+  });
+  const scored = scores.filter((s) => s.score != null);
+  const totalWeight = scored.reduce((acc, s) => acc + s.weight, 0);
+  const score = totalWeight
+    ? Math.round(scored.reduce((acc, s) => acc + s.score * s.weight, 0) / totalWeight)
+    : null;
+  return { rubric_scores: scores, score, errors };
+}
@@ -0,0 +1,103 @@
+// Follow-up sequences: the 5-7 touch cadence a rep runs after a call. Each
+// touch has a day offset from the call, a channel and the message for it.
+// "call" touches carry the voicemail to leave if nobody picks up, so they are
+// checked like voicemail drafts.
+
+import { channelDraftProblems, fallbackChannelDraft } from "./followup.mjs";
+
+export const SEQUENCE_CHANNELS = ["email", "sms", "linkedin", "call"];
+export const SEQUENCE_MIN_TOUCHES = 5;
+export const SEQUENCE_MAX_TOUCHES = 7;
+export const SEQUENCE_MAX_DAY = 30;
+export const TOUCH_STATUSES = ["pending", "sent", "skipped"];
+
+const GOAL_MAX_LEN = 200;
+
+// Outcome labels are free text from the model, so they are matched loosely.
+// A bare "scheduled" is not a booking ("Callback scheduled"), and a negated
+// booking ("Not booked", "No meeting set") is not one either.
+const BOOKED = /\b(booked|(?:meeting|appointment|demo) (?:set|booked|scheduled))\b/i;
+const NEGATED_BOOKING = /\b(?:not|no|never|without|(?:was|is|were|did|could|would)n'?t|unable to|failed to)\b[^.;,]{0,40}?\b(?:booked|set|scheduled)\b/i;
+const NOT_INTERESTED = /\b(not interested|no interest|do not call|don't call|unsubscribe)\b/i;
+
+// "booked", "not_interested" or null for a run's outcome label.
+export function sequenceStopReason(label) {
+  const text = String(label || "");
+  if (NOT_INTERESTED.test(text)) return "not_interested";
+  if (NEGATED_BOOKING.test(text)) return null;
+  if (BOOKED.test(text)) return "booked";
+  return null;
+}
+
+// YYYY-MM-DD plus n days.
+export function addDays(date, n) {
+  const d = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function touchDraft(touch) {
+  if (touch.channel === "email") return { channel: "email", draft: { subject: touch.subject, body: touch.body } };
+  if (touch.channel === "call") return { channel: "voicemail", draft: { script: touch.body } };
+  return { channel: touch.channel, draft: { text: touch.body } };
+}
+
+// Validates a model cadence. Returns { touches, problems }: touches is null
+// when the cadence itself is unusable; problems maps touch index to the
+// reasons its message failed (those messages can be swapped for fallbacks).
+export function normalizeSequenceTouches(raw, checks) {
+  const list = Array.isArray(raw?.touches) ? raw.touches : Array.isArray(raw) ? raw : [];
+  const cadence = [];
+  if (list.length < SEQUENCE_MIN_TOUCHES || list.length > SEQUENCE_MAX_TOUCHES) {
+    cadence.push(`needs ${SEQUENCE_MIN_TOUCHES}-${SEQUENCE_MAX_TOUCHES} touches, got ${list.length}`);
+  }
+  const touches = list.map((t) => ({
+    day_offset: Number(t?.day ?? t?.day_offset),
+    channel: String(t?.channel || "").trim().toLowerCase(),
+    subject: String(t?.subject || "").replace(/\s+/g, " ").trim() || null,
+    body: String(t?.body ?? t?.text ?? t?.script ?? "").replace(/\r\n/g, "\n").trim(),
+    goal: String(t?.goal || "").trim().slice(0, GOAL_MAX_LEN) || null,
+  }));
+  touches.forEach((t, i) => {
+    if (!Number.isInteger(t.day_offset) || t.day_offset < 0 || t.day_offset > SEQUENCE_MAX_DAY) {
+      cadence.push(`touch ${i + 1} day must be 0-${SEQUENCE_MAX_DAY}`);
+    } else if (i && t.day_offset < touches[i - 1].day_offset) {
+      cadence.push(`touch ${i + 1} comes before touch ${i}`);
+    }
+    if (!SEQUENCE_CHANNELS.includes(t.channel)) cadence.push(`touch ${i + 1} channel must be one of ${SEQUENCE_CHANNELS.join(", ")}`);
+    if (t.channel !== "email") t.subject = null;
+  });
+  if (new Set(touches.map((t) => t.channel)).size < 2) cadence.push("uses a single channel");
+  if (cadence.length) return { touches: null, problems: { cadence } };
+
+  const problems = {};
+  touches.forEach((t, i) => {
+    const { channel, draft } = touchDraft(t);
+    const found = channelDraftProblems(channel, draft, checks);
+    if (found.length) problems[i] = found;
+  });
+  return { touches, problems };
+}
+
+// A message for one touch when the model's failed its checks.
+export function fallbackTouchMessage(channel, context, seed) {
+  if (channel === "email") {
+    const d = fallbackChannelDraft("email", context, seed);
+    return { subject: d.subject, body: d.body };
+  }
+  if (channel === "call") return { subject: null, body: fallbackChannelDraft("voicemail", context, seed).script };
+  return { subject: null, body: fallbackChannelDraft(channel, context, seed).text };
+}
+
+const FALLBACK_CADENCE = [
+  { day_offset: 0, channel: "email", goal: "Thank them and propose a next step" },
+  { day_offset: 1, channel: "call", goal: "Follow up by phone" },
+  { day_offset: 3, channel: "linkedin", goal: "Connect and stay visible" },
+  { day_offset: 5, channel: "sms", goal: "Short nudge with two time options" },
+  { day_offset: 8, channel: "email", goal: "Share one reason it is worth another conversation" },
+  { day_offset: 14, channel: "email", goal: "Close the loop politely" },
+];
+
+export function fallbackSequence(context, seed = 0) {
+  return FALLBACK_CADENCE.map((t, i) => ({ ...t, ...fallbackTouchMessage(t.channel, context, seed + i) }));
+}
@@ -9,6 +9,113 @@ import { fileURLToPath } from "url";
 import { createClient } from "@supabase/supabase-js";
 import ffmpeg from "ffmpeg-static";
 import { spawn } from "child_process";
+import { EventEmitter } from "events";
+import { createTranscriptionProvider } from "./transcription.mjs";
+import { createLlmClient } from "./llm.mjs";
+import { computeConversationMetrics, summarizeMetricsForPrompt } from "./metrics.mjs";
+import {
+  applyTranscriptEdits,
+  buildLineMap,
+  remapEvidence,
+  remapLineNumbers,
+} from "./transcript_edit.mjs";
+import {
+  DEFAULT_RUBRIC_TEMPLATE,
+  applyRubricScores,
+  buildRubricPromptRules,
+  buildRubricPromptSection,
+  normalizeRubricCriteria,
+} from "./rubrics.mjs";
+import { extractZipFile, isZipUpload } from "./zip.mjs";
+import { findNearDuplicate, groupDuplicateRuns, hashFile, transcriptSignature } from "./dedupe.mjs";
+import {
+  EXPORT_FORMATS,
+  buildPlaybookDocument,
+  buildRunReportDocument,
+  buildRunsSummaryDocument,
+  renderExport,
+  renderHtml,
+} from "./export.mjs";
+import { createRedactor, detectProspectNames, redactValue } from "./redact.mjs";
+import {
+  SHARE_DEFAULT_DAYS,
+  SHARE_MAX_DAYS,
+  SHARE_PASSCODE_MAX,
+  SHARE_PASSCODE_MIN,
+  createShareToken,
+  hashPasscode,
+  hashShareToken,
+  hashViewerIp,
+  shareUnavailablePage,
+  sharePasscodePage,
+  sharedDocumentPage,
+  verifyPasscode,
+} from "./share.mjs";
+import { buildEntityVocabularies, isAutoEntityName, suggestEntityMerges } from "./entity_merge.mjs";
+import {
+  EMAIL_BODY_MAX,
+  EMAIL_SUBJECT_MAX,
+  FOLLOWUP_CHANNELS,
+  FOLLOWUP_CHANNEL_FIELDS,
+  LINKEDIN_MAX_CHARS,
+  SMS_MAX_CHARS,
+  VOICEMAIL_TARGET_SECONDS,
+  channelDraftProblems,
+  createFollowupChecks,
+  fallbackChannelDraft,
+  normalizeChannelDraft,
+} from "./followup.mjs";
+import {
+  SEQUENCE_MAX_DAY,
+  SEQUENCE_MAX_TOUCHES,
+  SEQUENCE_MIN_TOUCHES,
+  TOUCH_STATUSES,
+  addDays,
+  fallbackSequence,
+  fallbackTouchMessage,
+  normalizeSequenceTouches,
+  sequenceStopReason,
+} from "./sequences.mjs";
+import {
+  AGENDA_MAX_ITEMS,
+  CALENDAR_DEFAULTS,
+  buildIcs,
+  defaultAgenda,
+  meetingDescription,
+  normalizeAgenda,
+  normalizeCalendarSettings,
+  proposeSlots,
+  slotOptionsText,
+} from "./calendar.mjs";
+import { buildMessage, isEmailAddress, newMessageId, sendMail, startCaptureServer } from "./smtp.mjs";
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_TEST_EVENT,
+  deliverWebhook,
+  newWebhookSecret,
+  normalizeWebhookInput,
+  retryDelayMs,
+  webhookEnvelope,
+} from "./webhooks.mjs";
+import {
+  COMMENT_MAX_LEN,
+  REVIEW_STATUSES,
+  TASK_DETAILS_MAX_LEN,
+  TASK_TITLE_MAX_LEN,
+  normalizeCommentAnchor,
+  remapLineAnchor,
+  resolveItemAnchors,
+  summarizeThreads,
+  threadComments,
+} from "./reviews.mjs";
+import {
+  getPlaybookSection,
+  normalizeLocks,
+  normalizePlaybookSection,
+  reconcileRegeneratedPlaybook,
+  setPlaybookSection,
+} from "./playbook_edit.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,6 +129,17 @@ const upload = multer({
   dest: path.join(os.tmpdir(), "calibrate_uploads"),
   limits: { fileSize: MAX_UPLOAD_BYTES },
 });
+const RUN_BATCH_MAX_FILES = Math.max(1, Number(process.env.RUN_BATCH_MAX_FILES || 100));
+const RUN_BATCH_MAX_ZIP_BYTES = Number(process.env.RUN_BATCH_MAX_ZIP_BYTES || 500 * 1024 * 1024);
+// Zips can be much larger than a single recording; per-recording size is
+// checked again in /api/run_batch.
+const batchUpload = multer({
+  dest: path.join(os.tmpdir(), "calibrate_uploads"),
+  limits: {
+    fileSize: Math.max(MAX_UPLOAD_BYTES, RUN_BATCH_MAX_ZIP_BYTES),
+    files: RUN_BATCH_MAX_FILES,
+  },
+});
 
 const PORT = process.env.PORT || 3000;
 
@@ -38,8 +156,8 @@ const SUPABASE_ANON_KEY = cleanEnv(
 const SUPABASE_SERVICE_ROLE_KEY = cleanEnv(process.env.SUPABASE_SERVICE_ROLE_KEY || "");
 const STORAGE_BUCKET = "uploads";
 
-const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY || "";
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY || "";
+const transcriptionProvider = createTranscriptionProvider(process.env);
+const llm = createLlmClient(process.env);
 
 if (!SUPABASE_URL || !SUPABASE_ANON_KEY || !SUPABASE_SERVICE_ROLE_KEY) {
   console.warn(
@@ -58,6 +176,7 @@ console.log("[supabase_env]", {
   anonLen: SUPABASE_ANON_KEY.length,
   serviceLen: SUPABASE_SERVICE_ROLE_KEY.length,
 });
+console.log("[llm_env]", { provider: llm.provider, model: llm.model });
 
 function sha1(buf) {
   return crypto.createHash("sha1").update(buf).digest("hex");
@@ -124,14 +243,34 @@ async function insertEntityUniqueName(userId, baseName) {
   throw new Error("Failed to create unique entity name");
 }
 
-const runJobQueue = [];
-let runJobWorking = false;
+const RUN_WORKER_CONCURRENCY = Math.max(1, Number(process.env.RUN_WORKER_CONCURRENCY || 1));
+const RUN_JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.RUN_JOB_MAX_ATTEMPTS || 3));
+const RUN_JOB_POLL_MS = Number(process.env.RUN_JOB_POLL_MS || 5000);
+const RUN_JOB_STALE_MS = Number(process.env.RUN_JOB_STALE_MS || 15 * 60 * 1000);
+// A running job refreshes locked_at this often, so only jobs whose worker died
+// ever look stale, however long the pipeline takes.
+const RUN_JOB_HEARTBEAT_MS = Math.max(1000, Math.min(60 * 1000, Math.floor(RUN_JOB_STALE_MS / 3)));
+const RUN_STEP_MAX_ATTEMPTS = Math.max(1, Number(process.env.RUN_STEP_MAX_ATTEMPTS || 3));
+const RUN_STEP_BACKOFF_MS = Number(process.env.RUN_STEP_BACKOFF_MS || 2000);
+// Unique per process boot: a restarted process never shares an id with the
+// one it replaced or with a sibling on the same host.
+const RUN_WORKER_ID = `${os.hostname()}:${process.pid}:${randSuffix(6)}`;
+let runWorkersActive = 0;
+let runWorkersStarted = false;
 
 function truncateErrorText(err, maxLen = 300) {
   const msg = String(err?.message || err || "");
   return msg.length > maxLen ? msg.slice(0, maxLen) : msg;
 }
 
+// In-process fan-out for run progress; SSE streams subscribe per user.
+const runEvents = new EventEmitter();
+runEvents.setMaxListeners(0);
+
+function emitRunEvent(runId, userId, type, data = {}) {
+  runEvents.emit(`user:${userId}`, { type, run_id: runId, at: nowIso(), ...data });
+}
+
 async function updateRunStatus(runId, userId, updates) {
   const { error } = await supabaseAdmin
     .from("runs")
@@ -141,6 +280,91 @@ async function updateRunStatus(runId, userId, updates) {
   if (error) {
     console.warn("[run_status_update_failed]", { run_id: runId });
   }
+  const statusFields = {};
+  ["status", "progress_step", "error_text"].forEach((k) => {
+    if (k in updates) statusFields[k] = updates[k];
+  });
+  if (Object.keys(statusFields).length) {
+    emitRunEvent(runId, userId, "status", statusFields);
+  }
+}
+
+function buildRunSummary(run) {
+  const a = run?.analysis_json || {};
+  return {
+    status: run?.status || "unknown",
+    error_text: run?.error_text || null,
+    outcome_label: run?.outcome_label || a?.call_result?.label || null,
+    report_title: a?.report_title || null,
+    score: Number.isFinite(Number(a?.score)) ? Number(a.score) : null,
+    evidence_count: Array.isArray(a?.call_result?.evidence) ? a.call_result.evidence.length : 0,
+    transcript_lines_count: Array.isArray(run?.transcript_lines) ? run.transcript_lines.length : 0,
+  };
+}
+
+const DUPLICATE_SCAN_LIMIT = Number(process.env.DUPLICATE_SCAN_LIMIT || 200);
+
+function isTruthyFlag(value) {
+  return ["1", "true", "yes"].includes(String(value || "").trim().toLowerCase());
+}
+
+// Latest non-failed run of this user with the same audio content hash.
+async function findAudioDuplicate(userId, audioHash) {
+  if (!audioHash) return null;
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, status, created_at, entity_id")
+    .eq("user_id", userId)
+    .eq("audio_hash", audioHash)
+    .neq("status", "failed")
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    console.warn("[duplicate_audio_check_failed]", { user_id: userId, error: error.message });
+    return null;
+  }
+  return data || null;
+}
+
+// Exact transcript_hash match first, then the closest recent transcript by
+// stored signature. signature: transcriptSignature() of the new transcript.
+async function findTranscriptDuplicate(userId, runId, signature, transcriptHash) {
+  const { data: exact, error } = await supabaseAdmin
+    .from("runs")
+    .select("id")
+    .eq("user_id", userId)
+    .eq("transcript_hash", transcriptHash)
+    .neq("id", runId)
+    .is("deleted_at", null)
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    console.warn("[duplicate_transcript_check_failed]", { run_id: runId, error: error.message });
+    return null;
+  }
+  if (exact) return { id: exact.id, score: 1 };
+
+  const { data: recent, error: rErr } = await supabaseAdmin
+    .from("runs")
+    .select("id, transcript_minhash, transcript_shingles")
+    .eq("user_id", userId)
+    .eq("status", "complete")
+    .not("transcript_minhash", "is", null)
+    .neq("id", runId)
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(DUPLICATE_SCAN_LIMIT);
+  if (rErr) {
+    console.warn("[duplicate_transcript_check_failed]", { run_id: runId, error: rErr.message });
+    return null;
+  }
+  return findNearDuplicate(signature, recent || []);
+}
+
+function duplicateFields(dup) {
+  return { duplicate_of: dup?.id || null, duplicate_score: dup ? dup.score : null };
 }
 
 async function processRunJob(job) {
@@ -153,10 +377,16 @@ async function processRunJob(job) {
     scenario,
     context,
     entityId,
+    storagePath,
   } = job;
 
   let inputPath = filePath;
-  const cleanupPaths = [filePath];
+  const cleanupPaths = [];
+  const progress = (step, name, data = {}) => emitRunEvent(runId, userId, "substep", {
+    step,
+    name,
+    ...data,
+  });
   try {
     await updateRunStatus(runId, userId, { progress_step: "transcribing" });
 
@@ -169,7 +399,14 @@ async function processRunJob(job) {
       cleanupPaths.push(audioPath);
     }
 
-    const { transcriptText, transcriptJson, transcriptLines } = await assemblyTranscribe(inputPath);
+    const { transcriptText, transcriptJson, transcriptLines } = await retryStep(
+      "transcribing",
+      { runId, progress },
+      () => transcribeAudio(inputPath, {
+        originalname,
+        onProgress: (name, data) => progress("transcribing", name, data),
+      })
+    );
     const artifactRoot = `artifacts/${runId}`;
     await uploadJsonArtifact(
       STORAGE_BUCKET,
@@ -185,74 +422,30 @@ async function processRunJob(job) {
     const rawLines = transcriptLines || [];
     const finalTranscriptLines = finalizeTranscriptLines(rawLines);
     const transcriptHash = sha1(Buffer.from(transcriptText, "utf-8"));
+    const signature = transcriptSignature(transcriptText);
+    const metrics = computeConversationMetrics(finalTranscriptLines);
+    const duplicate = await findTranscriptDuplicate(userId, runId, signature, transcriptHash);
+    if (duplicate) progress("transcribing", "duplicate_detected", duplicate);
 
     await updateRunStatus(runId, userId, { progress_step: "analyzing" });
 
-    let entityAggregate = null;
-    if (entityId) {
-      entityAggregate = await buildEntityAggregate(userId, entityId);
-    }
-
-    const prompt = buildAnalysisPrompt({
-      transcript: transcriptText,
+    const {
+      analysis: finalAnalysis,
+      outcomeLabel: outcomeLabelFinal,
+      rubric,
+    } = await analyzeTranscript({
+      userId,
+      transcriptText,
       transcriptLines: finalTranscriptLines,
       context,
       scenario,
-      entityAggregate,
+      entityId,
+      artifactRoot,
+      metrics,
+      progress: (name, data) => progress("analyzing", name, data),
+      retry: (fn) => retryStep("analyzing", { runId, progress }, fn),
     });
 
-    const deepseekResult = await deepseekJSONWithRaw(prompt.system, prompt.user, 0.25);
-    await uploadJsonArtifact(
-      STORAGE_BUCKET,
-      `${artifactRoot}/deepseek_raw.json`,
-      { raw: deepseekResult.raw }
-    );
-    const rawAnalysis = deepseekResult.parsed;
-    const outcomeLabel = await inferOutcomeLabel(rawAnalysis);
-    let { fixedJson: finalAnalysis, errors } = validateAndCoerceAnalysisJson(
-      rawAnalysis,
-      finalTranscriptLines,
-      outcomeLabel
-    );
-    let evidenceCount = finalAnalysis?.call_result?.evidence?.length || 0;
-
-    if (errors.length > 0 || evidenceCount !== 36) {
-      const errorLines = errors.slice(0, 10);
-      if (evidenceCount !== 36) {
-        errorLines.push(`evidence_count=${evidenceCount} (must be 36)`);
-      }
-      const numberedTranscript = buildNumberedTranscriptLines(finalTranscriptLines).join("\n");
-      const repairSystem = `
-You are a strict JSON fixer. Return a corrected FULL analysis JSON only.
-Follow the required keys and types, and ensure evidence has exactly 36 items.
-Each evidence item must reference a valid transcript line and include an exact substring quote from that line (keep quotes short).
-`;
-      const repairUser = `
-Errors:
-${errorLines.map((e) => `- ${e}`).join("\n")}
-
-Transcript:
-${numberedTranscript}
-
-Return the corrected JSON only.
-`;
-      const repaired = await deepseekJSON(repairSystem.trim(), repairUser.trim(), 0.2);
-      const repairedOutcome = await inferOutcomeLabel(repaired) || outcomeLabel;
-      const repairedResult = validateAndCoerceAnalysisJson(
-        repaired,
-        finalTranscriptLines,
-        repairedOutcome
-      );
-      finalAnalysis = repairedResult.fixedJson;
-      evidenceCount = finalAnalysis?.call_result?.evidence?.length || 0;
-      if (repairedResult.errors.length > 0 || evidenceCount !== 36) {
-        finalAnalysis = buildFallbackAnalysisJson(repairedOutcome, finalTranscriptLines);
-      }
-    }
-
-    const outcomeLabelFinal =
-      finalAnalysis?.call_result?.label || outcomeLabel || "Unknown";
-
     await updateRunStatus(runId, userId, { progress_step: "saving" });
 
     await uploadJsonArtifact(
@@ -260,6 +453,13 @@ Return the corrected JSON only.
       `${artifactRoot}/analysis_final.json`,
       finalAnalysis
     );
+    const audio = await storeOriginalUpload({
+      runId,
+      filePath,
+      originalname,
+      mimetype,
+      stagedPath: storagePath,
+    });
 
     await updateRunStatus(runId, userId, {
       status: "complete",
@@ -269,39 +469,401 @@ Return the corrected JSON only.
       transcript_lines: finalTranscriptLines,
       transcript_json: transcriptJson,
       transcript_hash: transcriptHash,
+      ...signature,
+      outcome_label: outcomeLabelFinal,
+      analysis_json: finalAnalysis,
+      metrics,
+      rubric_id: rubric?.id || null,
+      ...audio,
+      ...duplicateFields(duplicate),
+    });
+    emitRunEvent(runId, userId, "summary", buildRunSummary({
+      status: "complete",
       outcome_label: outcomeLabelFinal,
       analysis_json: finalAnalysis,
+      transcript_lines: finalTranscriptLines,
+    }));
+    await stopSequencesAfterRun(userId, runId);
+    emitWebhookEvent(userId, "run.completed", {
+      run_id: runId,
+      entity_id: entityId || null,
+      outcome_label: outcomeLabelFinal,
+      score: finalAnalysis?.score ?? null,
+      report_title: finalAnalysis?.report_title || null,
+    });
+  } finally {
+    cleanupPaths.forEach((p) => {
+      try { fs.unlinkSync(p); } catch {}
+    });
+  }
+}
+
+async function retryStep(step, { runId, progress }, fn) {
+  let lastErr = null;
+  for (let attempt = 1; attempt <= RUN_STEP_MAX_ATTEMPTS; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastErr = err;
+      if (attempt === RUN_STEP_MAX_ATTEMPTS) break;
+      const delay = RUN_STEP_BACKOFF_MS * 2 ** (attempt - 1);
+      console.warn("[run_step_retry]", {
+        run_id: runId,
+        step,
+        attempt,
+        delay,
+        error: truncateErrorText(err, 200),
+      });
+      if (progress) progress(step, "retry", { attempt, delay_ms: delay });
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+  throw lastErr;
+}
+
+function uploadExt(originalname) {
+  const ext = path.extname(String(originalname || "")).toLowerCase().replace(/[^.a-z0-9]/g, "");
+  return ext || ".bin";
+}
+
+function stagedUploadPath(runId, originalname) {
+  return `jobs/${runId}/source${uploadExt(originalname)}`;
+}
+
+// Keeps the original upload next to the run's JSON artifacts for playback.
+// A staged queue upload is moved into place instead of re-uploaded.
+async function storeOriginalUpload({ runId, filePath, originalname, mimetype, stagedPath }) {
+  const target = `artifacts/${runId}/source${uploadExt(originalname)}`;
+  const stored = { audio_path: target, audio_mimetype: mimetype || null };
+  if (stagedPath) {
+    const { error } = await supabaseAdmin.storage.from(STORAGE_BUCKET).move(stagedPath, target);
+    if (!error) return stored;
+  }
+  try {
+    const { error } = await uploadFileStream(target, filePath, mimetype);
+    if (error) throw new Error(error.message);
+    return stored;
+  } catch {
+    console.warn("[source_upload_failed]", { run_id: runId });
+    return { audio_path: null, audio_mimetype: null };
+  }
+}
+
+function uploadFileStream(storagePath, filePath, mimetype) {
+  return supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, fs.createReadStream(filePath), {
+      contentType: mimetype || "application/octet-stream",
+      upsert: true,
+      duplex: "half",
+    });
+}
+
+// The job is queued on the local file first, so the request can answer at
+// once; the staged copy that survives a restart is streamed up afterwards.
+async function enqueueRunJob(job) {
+  const payload = {
+    file_path: job.filePath,
+    storage_path: null,
+    originalname: job.originalname || "",
+    mimetype: job.mimetype || "",
+    scenario: job.scenario || "",
+    context: job.context || "",
+    entity_id: job.entityId || null,
+  };
+  const { data, error } = await supabaseAdmin
+    .from("run_jobs")
+    .insert([
+      {
+        run_id: job.runId,
+        user_id: job.userId,
+        status: "queued",
+        max_attempts: RUN_JOB_MAX_ATTEMPTS,
+        payload,
+      },
+    ])
+    .select("id")
+    .single();
+  if (error) throw new Error(error.message || "Failed to enqueue run job");
+  wakeRunWorkers();
+  stageRunJobUpload(data.id, job, payload).catch((err) => {
+    console.warn("[run_job_stage_failed]", { run_id: job.runId, msg: truncateErrorText(err, 200) });
+  });
+}
+
+// Records the staged path only while the job still waits in the queue; a
+// worker that already claimed it reads the local file, so the copy goes.
+async function stageRunJobUpload(jobId, job, payload) {
+  const storagePath = stagedUploadPath(job.runId, job.originalname);
+  emitRunEvent(job.runId, job.userId, "substep", { step: "queued", name: "staging" });
+  const { error: upErr } = await uploadFileStream(storagePath, job.filePath, job.mimetype);
+  if (upErr) {
+    console.warn("[run_job_stage_failed]", { run_id: job.runId });
+    return;
+  }
+  const { data, error } = await supabaseAdmin
+    .from("run_jobs")
+    .update({ payload: { ...payload, storage_path: storagePath }, updated_at: nowIso() })
+    .eq("id", jobId)
+    .eq("status", "queued")
+    .select("id");
+  if (error) console.warn("[run_job_update_failed]", { job_id: jobId });
+  if (error || !data?.length) await removeStagedUpload({ runId: job.runId, storagePath });
+}
+
+function jobFromRow(row) {
+  const payload = row?.payload || {};
+  return {
+    jobId: row.id,
+    runId: row.run_id,
+    userId: row.user_id,
+    attempts: row.attempts || 0,
+    maxAttempts: row.max_attempts || RUN_JOB_MAX_ATTEMPTS,
+    filePath: payload.file_path || "",
+    storagePath: payload.storage_path || "",
+    originalname: payload.originalname || "",
+    mimetype: payload.mimetype || "",
+    scenario: payload.scenario || "",
+    context: payload.context || "",
+    entityId: payload.entity_id || null,
+  };
+}
+
+async function updateRunJob(jobId, updates) {
+  const { error } = await supabaseAdmin
+    .from("run_jobs")
+    .update({ ...updates, updated_at: nowIso() })
+    .eq("id", jobId);
+  if (error) {
+    console.warn("[run_job_update_failed]", { job_id: jobId });
+  }
+}
+
+async function ensureLocalJobFile(job) {
+  if (job.filePath && fs.existsSync(job.filePath)) return job.filePath;
+  if (!job.storagePath) {
+    throw Object.assign(new Error("Upload file lost before processing; please re-upload"), { retryable: false });
+  }
+  const { data, error } = await supabaseAdmin.storage.from(STORAGE_BUCKET).download(job.storagePath);
+  if (error || !data) throw new Error("Failed to restore staged upload");
+  const localPath = path.join(
+    os.tmpdir(),
+    `calibrate_job_${job.runId}${path.extname(job.storagePath)}`
+  );
+  fs.writeFileSync(localPath, Buffer.from(await data.arrayBuffer()));
+  return localPath;
+}
+
+async function removeStagedUpload(job) {
+  if (!job.storagePath) return;
+  const { error } = await supabaseAdmin.storage.from(STORAGE_BUCKET).remove([job.storagePath]);
+  if (error) {
+    console.warn("[run_job_unstage_failed]", { run_id: job.runId });
+  }
+}
+
+function startRunJobHeartbeat(jobId) {
+  const timer = setInterval(async () => {
+    const { error } = await supabaseAdmin
+      .from("run_jobs")
+      .update({ locked_at: nowIso(), updated_at: nowIso() })
+      .eq("id", jobId)
+      .eq("status", "running")
+      .eq("locked_by", RUN_WORKER_ID);
+    if (error) console.warn("[run_job_heartbeat_failed]", { job_id: jobId, msg: error.message });
+  }, RUN_JOB_HEARTBEAT_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+function runJobBackoffMs(attempts) {
+  return RUN_STEP_BACKOFF_MS * 2 ** Math.max(0, (attempts || 1) - 1);
+}
+
+// Failed attempts go back to the queue with backoff until max_attempts; only
+// the last one (or an error flagged retryable: false) fails the run.
+async function runClaimedJob(row) {
+  const job = jobFromRow(row);
+  let localPath = "";
+  let requeued = false;
+  const stopHeartbeat = startRunJobHeartbeat(job.jobId);
+  try {
+    localPath = await ensureLocalJobFile(job);
+    await processRunJob({ ...job, filePath: localPath });
+    await updateRunJob(job.jobId, {
+      status: "complete",
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      finished_at: nowIso(),
     });
+    await removeStagedUpload(job);
   } catch (err) {
-    await updateRunStatus(runId, userId, {
+    const errorText = truncateErrorText(err);
+    if (job.attempts < job.maxAttempts && err?.retryable !== false) {
+      const backoffMs = runJobBackoffMs(job.attempts);
+      await updateRunJob(job.jobId, {
+        status: "queued",
+        last_error: errorText,
+        locked_by: null,
+        locked_at: null,
+        run_after: new Date(Date.now() + backoffMs).toISOString(),
+      });
+      await updateRunStatus(job.runId, job.userId, { progress_step: "queued" });
+      console.warn("[run_job_retry]", { run_id: job.runId, attempts: job.attempts, delay: backoffMs, error: truncateErrorText(err, 200) });
+      requeued = true;
+      return;
+    }
+    await updateRunStatus(job.runId, job.userId, {
       status: "failed",
       progress_step: null,
-      error_text: truncateErrorText(err),
+      error_text: errorText,
+    });
+    await updateRunJob(job.jobId, {
+      status: "failed",
+      last_error: errorText,
+      locked_by: null,
+      locked_at: null,
+      finished_at: nowIso(),
     });
+    await removeStagedUpload(job);
+    emitRunEvent(job.runId, job.userId, "summary", { status: "failed", error_text: errorText });
+    emitWebhookEvent(job.userId, "run.failed", { run_id: job.runId, entity_id: job.entityId || null, error_text: errorText });
   } finally {
-    cleanupPaths.forEach((p) => {
+    stopHeartbeat();
+    // An unstaged upload only exists locally; the retry still needs it.
+    const keep = requeued && !job.storagePath ? job.filePath : null;
+    [localPath, job.filePath].filter((p) => p && p !== keep).forEach((p) => {
       try { fs.unlinkSync(p); } catch {}
     });
   }
 }
 
-async function processRunJobQueue() {
-  if (runJobWorking) return;
-  runJobWorking = true;
+async function claimRunJob() {
+  const { data, error } = await supabaseAdmin.rpc("claim_run_job", { p_worker: RUN_WORKER_ID });
+  if (error) {
+    console.warn("[run_job_claim_failed]", { msg: String(error?.message || "") });
+    return null;
+  }
+  return Array.isArray(data) ? data[0] || null : data || null;
+}
+
+async function runWorkerLoop() {
+  runWorkersActive += 1;
   try {
-    while (runJobQueue.length) {
-      const job = runJobQueue.shift();
-      if (!job) continue;
-      await processRunJob(job);
+    for (;;) {
+      const row = await claimRunJob();
+      if (!row) break;
+      await runClaimedJob(row);
     }
   } finally {
-    runJobWorking = false;
+    runWorkersActive -= 1;
+  }
+}
+
+function wakeRunWorkers() {
+  if (!runWorkersStarted) return;
+  while (runWorkersActive < RUN_WORKER_CONCURRENCY) {
+    runWorkerLoop().catch((err) => {
+      console.warn("[run_worker_failed]", { msg: truncateErrorText(err, 200) });
+    });
+  }
+}
+
+// Jobs whose worker stopped heartbeating go back to the queue. Live workers,
+// on this host or another, keep refreshing locked_at and are never touched.
+async function requeueStaleRunJobs() {
+  const staleBefore = new Date(Date.now() - RUN_JOB_STALE_MS).toISOString();
+  const { data: running, error } = await supabaseAdmin
+    .from("run_jobs")
+    .select("id, run_id, user_id, attempts, max_attempts, locked_by, locked_at")
+    .eq("status", "running")
+    .limit(500);
+  if (error) {
+    console.warn("[run_job_recover_failed]", { msg: String(error?.message || "") });
+    return;
+  }
+  for (const row of running || []) {
+    if (row.locked_by === RUN_WORKER_ID) continue;
+    if (row.locked_at && row.locked_at >= staleBefore) continue;
+    if ((row.attempts || 0) >= (row.max_attempts || RUN_JOB_MAX_ATTEMPTS)) {
+      await updateRunJob(row.id, {
+        status: "failed",
+        last_error: "Worker stopped while processing; attempts exhausted",
+        locked_by: null,
+        locked_at: null,
+        finished_at: nowIso(),
+      });
+      await updateRunStatus(row.run_id, row.user_id, {
+        status: "failed",
+        progress_step: null,
+        error_text: "Processing was interrupted too many times",
+      });
+      emitWebhookEvent(row.user_id, "run.failed", { run_id: row.run_id, error_text: "Processing was interrupted too many times" });
+      continue;
+    }
+    const backoffMs = runJobBackoffMs(row.attempts);
+    // Only if no heartbeat landed since the row was read.
+    let requeue = supabaseAdmin
+      .from("run_jobs")
+      .update({
+        status: "queued",
+        locked_by: null,
+        locked_at: null,
+        run_after: new Date(Date.now() + backoffMs).toISOString(),
+        updated_at: nowIso(),
+      })
+      .eq("id", row.id)
+      .eq("status", "running");
+    requeue = row.locked_at ? requeue.eq("locked_at", row.locked_at) : requeue.is("locked_at", null);
+    const { data: requeued, error: qErr } = await requeue.select("id");
+    if (qErr) {
+      console.warn("[run_job_update_failed]", { job_id: row.id });
+      continue;
+    }
+    if (!requeued?.length) continue;
+    await updateRunStatus(row.run_id, row.user_id, { progress_step: "queued" });
+    console.warn("[run_job_requeued]", { run_id: row.run_id, attempts: row.attempts });
+  }
+}
+
+async function failOrphanedRuns() {
+  // Runs left "processing" by the old in-memory queue have no job row to resume.
+  const { data: runs, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, user_id")
+    .eq("status", "processing")
+    .limit(500);
+  if (error || !runs?.length) return;
+  const { data: jobs } = await supabaseAdmin
+    .from("run_jobs")
+    .select("run_id")
+    .in("run_id", runs.map((r) => r.id));
+  const withJob = new Set((jobs || []).map((j) => j.run_id));
+  for (const run of runs) {
+    if (withJob.has(run.id)) continue;
+    await updateRunStatus(run.id, run.user_id, {
+      status: "failed",
+      progress_step: null,
+      error_text: "Interrupted by a server restart; please re-upload",
+    });
   }
 }
 
-function enqueueRunJob(job) {
-  runJobQueue.push(job);
-  processRunJobQueue();
+async function startRunWorkers() {
+  try {
+    await requeueStaleRunJobs();
+    await failOrphanedRuns();
+  } catch (err) {
+    console.warn("[run_job_recover_failed]", { msg: truncateErrorText(err, 200) });
+  }
+  runWorkersStarted = true;
+  wakeRunWorkers();
+  setInterval(() => {
+    requeueStaleRunJobs()
+      .catch(() => {})
+      .finally(wakeRunWorkers);
+  }, RUN_JOB_POLL_MS).unref();
 }
 
 let smokeUserCache = null;
@@ -429,6 +991,7 @@ app.get("/api/config", (req, res) => {
   return res.json({
     supabaseUrl,
     supabaseAnonKey,
+    restoreWindowDays: RESTORE_WINDOW_DAYS,
   });
 });
 
@@ -436,38 +999,8 @@ app.get("/api/health", (req, res) => {
   res.json({ ok: true });
 });
 
-async function assemblyTranscribe(filePath) {
-  if (!ASSEMBLYAI_API_KEY) throw new Error("Missing ASSEMBLYAI_API_KEY");
-
-  const audioData = fs.readFileSync(filePath);
-
-  const startTranscript = async (payload) => {
-    const tr = await fetch("https://api.assemblyai.com/v2/transcript", {
-      method: "POST",
-      headers: {
-        authorization: ASSEMBLYAI_API_KEY,
-        "content-type": "application/json",
-      },
-      body: JSON.stringify(payload),
-    });
-    if (!tr.ok) throw new Error(`AssemblyAI transcript start failed: ${await tr.text()}`);
-    const trJson = await tr.json();
-    return trJson.id;
-  };
-
-  const waitTranscript = async (id) => {
-    for (let i = 0; i < 120; i++) {
-      await new Promise((r) => setTimeout(r, 2500));
-      const st = await fetch(`https://api.assemblyai.com/v2/transcript/${id}`, {
-        headers: { authorization: ASSEMBLYAI_API_KEY },
-      });
-      if (!st.ok) throw new Error(`AssemblyAI transcript status failed: ${await st.text()}`);
-      const stJson = await st.json();
-      if (stJson.status === "completed") return stJson;
-      if (stJson.status === "error") throw new Error(`AssemblyAI error: ${stJson.error}`);
-    }
-    throw new Error("AssemblyAI transcript timed out");
-  };
+async function transcribeAudio(filePath, { originalname, onProgress = () => {} } = {}) {
+  const provider = transcriptionProvider;
 
   const buildCandidate = (stJson) => {
     const utterances = stJson?.utterances || [];
@@ -522,27 +1055,13 @@ async function assemblyTranscribe(filePath) {
     return a;
   };
 
-  // 1) upload file
-  const up = await fetch("https://api.assemblyai.com/v2/upload", {
-    method: "POST",
-    headers: {
-      authorization: ASSEMBLYAI_API_KEY,
-      "content-type": "application/octet-stream",
-    },
-    body: audioData,
-  });
-  if (!up.ok) throw new Error(`AssemblyAI upload failed: ${await up.text()}`);
-  const upJson = await up.json();
+  // 1) upload / prepare source
+  onProgress("upload_started", { provider: provider.name });
+  const source = await provider.prepare(filePath, { originalname });
+  onProgress("upload_done", { provider: provider.name });
 
   // 2) request transcript
-  const initialId = await startTranscript({
-    audio_url: upJson.upload_url,
-    speaker_labels: true,
-    speaker_options: { min_speakers: 1, max_speakers: 2 },
-    punctuate: true,
-    format_text: true,
-  });
-  const initialJson = await waitTranscript(initialId);
+  const initialJson = await provider.transcribe(source, {});
   const initialCandidate = buildCandidate(initialJson);
   const baseBad = isUnreliable(initialCandidate.metrics);
 
@@ -552,16 +1071,10 @@ async function assemblyTranscribe(filePath) {
   let retryCandidate = null;
   let retryBad = false;
 
-  if (baseBad) {
+  if (baseBad && provider.supportsRetry) {
     usedRetry = true;
-    const retryId = await startTranscript({
-      audio_url: upJson.upload_url,
-      speaker_labels: true,
-      speakers_expected: 2,
-      punctuate: true,
-      format_text: true,
-    });
-    const retryJson = await waitTranscript(retryId);
+    onProgress("diarization_retry", { metrics: initialCandidate.metrics });
+    const retryJson = await provider.transcribe(source, { speakersExpected: 2 });
     retryCandidate = buildCandidate(retryJson);
     retryBad = isUnreliable(retryCandidate.metrics);
     chosen = chooseBetter(initialCandidate, retryCandidate);
@@ -572,12 +1085,13 @@ async function assemblyTranscribe(filePath) {
   const transcriptJson = {
     utterances: chosen.utterances,
     diarization_meta: {
+      provider: provider.name,
       used_retry: usedRetry,
       chosen_config: chosenConfig,
       metrics_base: initialCandidate.metrics,
       metrics_retry: retryCandidate ? retryCandidate.metrics : null,
       speech_model_used: chosen.speechModel,
-      low_confidence: baseBad && retryBad,
+      low_confidence: baseBad && (retryBad || !provider.supportsRetry),
     },
   };
 
@@ -1244,67 +1758,31 @@ function extractAudioFromMp4(mp4Path) {
   });
 }
 
-async function deepseekJSON(system, user, temperature = 0.2) {
-  if (!DEEPSEEK_API_KEY) throw new Error("Missing DEEPSEEK_API_KEY");
-
-  const resp = await fetch("https://api.deepseek.com/chat/completions", {
-    method: "POST",
-    headers: {
-      authorization: `Bearer ${DEEPSEEK_API_KEY}`,
-      "content-type": "application/json",
-    },
-    body: JSON.stringify({
-      model: "deepseek-chat",
-      temperature,
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: user },
-      ],
-      response_format: { type: "json_object" },
-    }),
-  });
-
-  const txt = await resp.text();
-  if (!resp.ok) throw new Error(`DeepSeek error: ${txt}`);
-
-  const data = safeJsonParse(txt);
-  const content = data?.choices?.[0]?.message?.content || "{}";
-  const parsed = safeJsonParse(content);
-  if (!parsed) throw new Error("DeepSeek returned invalid JSON");
+async function llmJSON(system, user, temperature = 0.2, purpose = "default") {
+  const { parsed } = await llm.json({ system, user, temperature, purpose });
   return parsed;
 }
 
-async function deepseekJSONWithRaw(system, user, temperature = 0.2) {
-  if (!DEEPSEEK_API_KEY) throw new Error("Missing DEEPSEEK_API_KEY");
-
-  const resp = await fetch("https://api.deepseek.com/chat/completions", {
-    method: "POST",
-    headers: {
-      authorization: `Bearer ${DEEPSEEK_API_KEY}`,
-      "content-type": "application/json",
-    },
-    body: JSON.stringify({
-      model: "deepseek-chat",
-      temperature,
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: user },
-      ],
-      response_format: { type: "json_object" },
-    }),
-  });
-
-  const txt = await resp.text();
-  if (!resp.ok) throw new Error(`DeepSeek error: ${txt}`);
-
-  const data = safeJsonParse(txt);
-  const content = data?.choices?.[0]?.message?.content || "{}";
-  const parsed = safeJsonParse(content);
-  if (!parsed) throw new Error("DeepSeek returned invalid JSON");
-  return { parsed, raw: txt };
+async function llmJSONWithRaw(system, user, temperature = 0.2, purpose = "default") {
+  return llm.json({ system, user, temperature, purpose });
 }
 
-function buildAnalysisPrompt({ transcript, transcriptLines, context, scenario, entityAggregate }) {
+// v1: original prompt, used for every new upload. v2: adds the deterministic
+// call metrics as grounding; opt-in per re-analysis only, so metrics stay
+// independent of the model unless the user asks otherwise.
+const ANALYSIS_PROMPT_VERSIONS = ["v1", "v2"];
+const ANALYSIS_PROMPT_VERSION = "v1";
+
+function buildAnalysisPrompt({
+  transcript,
+  transcriptLines,
+  context,
+  scenario,
+  entityAggregate,
+  rubric = null,
+  promptVersion = ANALYSIS_PROMPT_VERSION,
+  metrics = null,
+}) {
   const numberedTranscript = Array.isArray(transcriptLines) && transcriptLines.length
     ? transcriptLines
       .map((line, i) => {
@@ -1345,12 +1823,21 @@ Rules:
 - If transcript has 36+ lines, evidence must use 36 distinct line numbers.
 - If transcript has fewer than 36 lines, repeats are allowed.
 - If the transcript does not support it, do not include it.
+${rubric ? buildRubricPromptRules() : ""}
 `;
 
   const extra = entityAggregate
     ? `
 Entity aggregate context (patterns across calls):
 ${entityAggregate}
+`
+    : "";
+
+  const metricsText = promptVersion === "v1" ? "" : summarizeMetricsForPrompt(metrics);
+  const metricsBlock = metricsText
+    ? `
+Call metrics (computed from timestamps, treat as facts):
+${metricsText}
 `
     : "";
 
@@ -1358,6 +1845,8 @@ ${entityAggregate}
 Scenario: ${scenario || "None"}
 User context: ${context || ""}
 ${extra}
+${metricsBlock}
+${rubric ? buildRubricPromptSection(rubric) : ""}
 
 Transcript:
 ${numberedTranscript || ""}
@@ -1508,32 +1997,182 @@ async function inferOutcomeLabel(analysisJson) {
   return analysisJson?.call_result?.label || "Unknown";
 }
 
-function toNum(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : null;
+// Entity rubric wins over a scenario rubric; no match keeps the model's score.
+async function resolveRubric(userId, { entityId, scenario }) {
+  if (entityId) {
+    const { data } = await supabaseAdmin
+      .from("rubrics")
+      .select("id, name, scenario, entity_id, criteria")
+      .eq("user_id", userId)
+      .eq("entity_id", entityId)
+      .order("updated_at", { ascending: false })
+      .limit(1);
+    if (data?.[0]) return data[0];
+  }
+  if (scenario) {
+    const { data } = await supabaseAdmin
+      .from("rubrics")
+      .select("id, name, scenario, entity_id, criteria")
+      .eq("user_id", userId)
+      .eq("scenario", scenario)
+      .is("entity_id", null)
+      .order("updated_at", { ascending: false })
+      .limit(1);
+    if (data?.[0]) return data[0];
+  }
+  return null;
 }
 
-function normalizeSpeakerFinal(raw) {
-  const s = String(raw ?? "").trim().toLowerCase();
-  if (!s || s === "speaker" || s === "unknown") return "Speaker A";
-  if (raw === 0 || s === "0") return "Speaker A";
-  if (raw === 1 || s === "1") return "Speaker B";
-  if (s.includes("speaker b") || s.endsWith("b")) return "Speaker B";
-  if (s.includes("speaker a") || s.endsWith("a")) return "Speaker A";
-  return "Speaker A";
+function applyRubricToAnalysis(analysis, rubric, transcriptLines) {
+  if (!rubric || !analysis) return analysis;
+  const { rubric_scores: rubricScores, score, errors } = applyRubricScores(
+    analysis.rubric_scores,
+    rubric,
+    transcriptLines
+  );
+  if (errors.length) {
+    console.warn("[rubric_scores_incomplete]", { rubric_id: rubric.id, errors: errors.slice(0, 5) });
+  }
+  return {
+    ...analysis,
+    rubric: { id: rubric.id, name: rubric.name },
+    rubric_scores: rubricScores,
+    model_score: analysis.score,
+    score: score == null ? analysis.score : score,
+  };
 }
 
-function subdivideDuplicateTimeRanges(lines) {
-  const groups = new Map();
-  lines.forEach((ln, idx) => {
-    const s = ln.start_ms;
-    const e = ln.end_ms;
-    if (typeof s !== "number" || typeof e !== "number") return;
-    if (!(e > s)) return;
-    const k = `${s}|${e}`;
-    if (!groups.has(k)) groups.set(k, []);
-    groups.get(k).push(idx);
-  });
+// Prompt -> validate -> JSON repair -> fallback, shared by uploads and
+// re-analysis. Pass rubric: null to skip rubric lookup entirely.
+async function analyzeTranscript({
+  userId,
+  transcriptText,
+  transcriptLines,
+  context,
+  scenario,
+  entityId,
+  artifactRoot = null,
+  rubric,
+  promptVersion = ANALYSIS_PROMPT_VERSION,
+  metrics = computeConversationMetrics(transcriptLines),
+  progress = () => {},
+  retry = (fn) => fn(),
+}) {
+  let entityAggregate = null;
+  if (entityId) {
+    entityAggregate = await buildEntityAggregate(userId, entityId);
+  }
+  const activeRubric = rubric === undefined
+    ? await resolveRubric(userId, { entityId, scenario })
+    : rubric;
+
+  const prompt = buildAnalysisPrompt({
+    transcript: transcriptText,
+    transcriptLines,
+    context,
+    scenario,
+    entityAggregate,
+    rubric: activeRubric,
+    promptVersion,
+    metrics,
+  });
+
+  const llmResult = await retry(
+    () => llmJSONWithRaw(prompt.system, prompt.user, 0.25, "analysis")
+  );
+  if (artifactRoot) {
+    await uploadJsonArtifact(
+      STORAGE_BUCKET,
+      `${artifactRoot}/deepseek_raw.json`,
+      { raw: llmResult.raw }
+    );
+  }
+  const rawAnalysis = llmResult.parsed;
+  const outcomeLabel = await inferOutcomeLabel(rawAnalysis);
+  let { fixedJson: finalAnalysis, errors } = validateAndCoerceAnalysisJson(
+    rawAnalysis,
+    transcriptLines,
+    outcomeLabel
+  );
+  let evidenceCount = finalAnalysis?.call_result?.evidence?.length || 0;
+  let repairUsed = false;
+  let fallbackUsed = false;
+
+  if (errors.length > 0 || evidenceCount !== 36) {
+    repairUsed = true;
+    const errorLines = errors.slice(0, 10);
+    if (evidenceCount !== 36) {
+      errorLines.push(`evidence_count=${evidenceCount} (must be 36)`);
+    }
+    const numberedTranscript = buildNumberedTranscriptLines(transcriptLines).join("\n");
+    const repairSystem = `
+You are a strict JSON fixer. Return a corrected FULL analysis JSON only.
+Follow the required keys and types, and ensure evidence has exactly 36 items.
+Each evidence item must reference a valid transcript line and include an exact substring quote from that line (keep quotes short).
+`;
+    const repairUser = `
+Errors:
+${errorLines.map((e) => `- ${e}`).join("\n")}
+
+Transcript:
+${numberedTranscript}
+
+Return the corrected JSON only.
+`;
+    progress("json_repair", { errors: errorLines.length });
+    const repaired = await llmJSON(repairSystem.trim(), repairUser.trim(), 0.2, "analysis_repair");
+    const repairedOutcome = await inferOutcomeLabel(repaired) || outcomeLabel;
+    const repairedResult = validateAndCoerceAnalysisJson(
+      repaired,
+      transcriptLines,
+      repairedOutcome
+    );
+    finalAnalysis = repairedResult.fixedJson;
+    evidenceCount = finalAnalysis?.call_result?.evidence?.length || 0;
+    if (repairedResult.errors.length > 0 || evidenceCount !== 36) {
+      fallbackUsed = true;
+      progress("fallback_used", { evidence_count: evidenceCount });
+      finalAnalysis = buildFallbackAnalysisJson(repairedOutcome, transcriptLines);
+    }
+  }
+
+  finalAnalysis = applyRubricToAnalysis(finalAnalysis, activeRubric, transcriptLines);
+  finalAnalysis.prompt_version = promptVersion;
+  return {
+    analysis: finalAnalysis,
+    outcomeLabel: finalAnalysis?.call_result?.label || outcomeLabel || "Unknown",
+    rubric: activeRubric,
+    repairUsed,
+    fallbackUsed,
+  };
+}
+
+function toNum(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeSpeakerFinal(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (!s || s === "speaker" || s === "unknown") return "Speaker A";
+  if (raw === 0 || s === "0") return "Speaker A";
+  if (raw === 1 || s === "1") return "Speaker B";
+  if (s.includes("speaker b") || s.endsWith("b")) return "Speaker B";
+  if (s.includes("speaker a") || s.endsWith("a")) return "Speaker A";
+  return "Speaker A";
+}
+
+function subdivideDuplicateTimeRanges(lines) {
+  const groups = new Map();
+  lines.forEach((ln, idx) => {
+    const s = ln.start_ms;
+    const e = ln.end_ms;
+    if (typeof s !== "number" || typeof e !== "number") return;
+    if (!(e > s)) return;
+    const k = `${s}|${e}`;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(idx);
+  });
 
   for (const [k, idxs] of groups.entries()) {
     if (idxs.length <= 1) continue;
@@ -1661,18 +2300,22 @@ function jaccardSimilarity(a, b) {
   return intersect / union;
 }
 
+function findObservedObjection(list, objection) {
+  const keyB = normalizeKey(objection);
+  return list.findIndex((m) => {
+    const keyA = normalizeKey(m?.objection);
+    if (!keyA || !keyB) return false;
+    if (keyA === keyB) return true;
+    return jaccardSimilarity(keyA, keyB) >= 0.6;
+  });
+}
+
 function mergeObservedObjections(existing, incoming) {
   const merged = Array.isArray(existing) ? existing.map((o) => ({ ...o })) : [];
   (Array.isArray(incoming) ? incoming : []).forEach((obs) => {
     const obsText = obs?.objection || "";
     if (!obsText) return;
-    const idx = merged.findIndex((m) => {
-      const keyA = normalizeKey(m?.objection);
-      const keyB = normalizeKey(obsText);
-      if (!keyA || !keyB) return false;
-      if (keyA === keyB) return true;
-      return jaccardSimilarity(keyA, keyB) >= 0.6;
-    });
+    const idx = findObservedObjection(merged, obsText);
     if (idx === -1) {
       const evidence =
         obs?.evidence_quote && obs?.run_id
@@ -1733,950 +2376,5210 @@ function mergeObservedObjections(existing, incoming) {
   return merged;
 }
 
-// -------- Entities API --------
+// Folds one playbook's accumulated observed_objections into another's.
+// mergeObservedObjections counts every incoming item as a single sighting;
+// here the counts, variants and evidence already gathered are carried over.
+function combineObservedObjections(target, source) {
+  let merged = Array.isArray(target) ? target.map((o) => ({ ...o })) : [];
+  (Array.isArray(source) ? source : []).forEach((obs) => {
+    if (!obs?.objection) return;
+    const idx = findObservedObjection(merged, obs.objection);
+    const before = idx === -1 ? null : merged[idx];
+    merged = mergeObservedObjections(merged, [obs]);
+    const at = idx === -1 ? merged.length - 1 : idx;
+    const current = merged[at];
+    const variants = Array.isArray(current.variants) ? current.variants.slice() : [];
+    (Array.isArray(obs.variants) ? obs.variants : []).forEach((v) => {
+      if (v && !variants.some((x) => normalizeKey(x) === normalizeKey(v))) variants.push(v);
+    });
+    const evidence = Array.isArray(current.evidence) ? current.evidence.slice() : [];
+    (Array.isArray(obs.evidence) ? obs.evidence : []).forEach((e) => {
+      const key = `${normalizeKey(e?.evidence_quote)}|${e?.run_id}`;
+      if (!e?.evidence_quote || !e?.run_id) return;
+      if (!evidence.some((x) => `${normalizeKey(x?.evidence_quote)}|${x?.run_id}` === key)) evidence.push(e);
+    });
+    merged[at] = {
+      ...current,
+      count: (before ? before.count || 1 : 0) + (obs.count || 1),
+      variants,
+      evidence: evidence.slice(-5),
+    };
+  });
+  return merged;
+}
 
-app.get("/api/entities", async (req, res) => {
-  const user = await requireUser(req, res);
-  if (!user) return;
+// -------- Teams --------
+
+const ORG_ROLES = ["owner", "manager", "rep"];
+const ORG_MANAGER_ROLES = new Set(["owner", "manager"]);
+const TEAM_ANALYTICS_MAX_RUNS = 5000;
 
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Returns { membership: { org_id, role, email } | null, error }.
+async function loadMembership(userId) {
   const { data, error } = await supabaseAdmin
-    .from("entities")
-    .select("*")
-    .eq("user_id", user.id)
-    .order("created_at", { ascending: false });
+    .from("org_members")
+    .select("org_id, role, email")
+    .eq("user_id", userId)
+    .maybeSingle();
+  return { membership: data || null, error };
+}
 
+async function loadOrgMembers(orgId) {
+  const { data, error } = await supabaseAdmin
+    .from("org_members")
+    .select("user_id, role, email, created_at")
+    .eq("org_id", orgId)
+    .order("created_at", { ascending: true });
+  return { members: data || [], error };
+}
+
+// User ids whose runs this user may read: their own, plus every member of
+// their org when they are an owner or manager. Lookup failures fall back to
+// own runs only.
+async function readableRunUserIds(userId) {
+  const { membership, error } = await loadMembership(userId);
   if (error) {
-    if (handleMissingUserId(res, "entities", error)) return;
+    console.warn("[org_membership_load_failed]", { user_id: userId, error: error.message });
+    return [userId];
+  }
+  if (!membership || !ORG_MANAGER_ROLES.has(membership.role)) return [userId];
+  const { members, error: mErr } = await loadOrgMembers(membership.org_id);
+  if (mErr) {
+    console.warn("[org_members_load_failed]", { org_id: membership.org_id, error: mErr.message });
+    return [userId];
+  }
+  return [...new Set([userId, ...members.map((m) => m.user_id)])];
+}
+
+// Loads the caller's membership and answers 403 unless their role is allowed.
+async function requireOrgRole(res, user, roles = ORG_ROLES) {
+  const { membership, error } = await loadMembership(user.id);
+  if (error) {
+    if (handleMissingUserId(res, "org_members", error)) return null;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+  if (!membership) {
+    res.status(404).json({ error: "You are not in a team", code: "ORG_NONE" });
+    return null;
+  }
+  if (!roles.includes(membership.role)) {
+    res.status(403).json({ error: "Your role cannot do this", code: "ORG_FORBIDDEN" });
+    return null;
+  }
+  return membership;
+}
+
+app.get("/api/org", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { membership, error } = await loadMembership(user.id);
+  if (error) {
+    if (handleMissingUserId(res, "org_members", error)) return;
     return res.status(400).json({ error: error.message });
   }
-  res.json({ entities: data || [] });
+  if (!membership) {
+    // Invites are matched by the signed-in email.
+    const email = normalizeEmail(user.email);
+    let invites = [];
+    if (email) {
+      const { data, error: iErr } = await supabaseAdmin
+        .from("org_invites")
+        .select("id, role, created_at, orgs(name)")
+        .ilike("email", email)
+        .is("accepted_at", null)
+        .is("revoked_at", null);
+      if (iErr) return res.status(400).json({ error: iErr.message });
+      invites = (data || []).map((i) => ({ id: i.id, role: i.role, created_at: i.created_at, org_name: i.orgs?.name || "" }));
+    }
+    return res.json({ org: null, role: null, members: [], invites: [], my_invites: invites });
+  }
+
+  const { data: org, error: oErr } = await supabaseAdmin
+    .from("orgs")
+    .select("id, name, created_at")
+    .eq("id", membership.org_id)
+    .maybeSingle();
+  if (oErr) return res.status(400).json({ error: oErr.message });
+  const { members, error: mErr } = await loadOrgMembers(membership.org_id);
+  if (mErr) return res.status(400).json({ error: mErr.message });
+  let invites = [];
+  if (ORG_MANAGER_ROLES.has(membership.role)) {
+    const { data, error: iErr } = await supabaseAdmin
+      .from("org_invites")
+      .select("id, email, role, created_at")
+      .eq("org_id", membership.org_id)
+      .is("accepted_at", null)
+      .is("revoked_at", null)
+      .order("created_at", { ascending: false });
+    if (iErr) return res.status(400).json({ error: iErr.message });
+    invites = data || [];
+  }
+  res.json({ org, role: membership.role, members, invites, my_invites: [] });
 });
 
-app.post("/api/entities", async (req, res) => {
+app.post("/api/org", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
-
-  const { id, name, offer, industry, notes } = req.body || {};
+  const name = String(req.body?.name || "").trim().slice(0, 120);
   if (!name) return res.status(400).json({ error: "Missing name" });
 
-  if (id) {
-    const { error } = await supabaseAdmin
-      .from("entities")
-      .update({ name, offer, industry, notes })
-      .eq("id", id)
-      .eq("user_id", user.id);
+  const { membership, error } = await loadMembership(user.id);
+  if (error) {
+    if (handleMissingUserId(res, "org_members", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (membership) return res.status(409).json({ error: "Leave your current team first", code: "ORG_EXISTS" });
 
-    if (error) {
-      if (handleMissingUserId(res, "entities", error)) return;
-      return res.status(400).json({ error: error.message });
-    }
-    return res.json({ ok: true });
+  const { data: org, error: oErr } = await supabaseAdmin
+    .from("orgs")
+    .insert({ name, created_by: user.id })
+    .select("id, name, created_at")
+    .single();
+  if (oErr) return res.status(400).json({ error: oErr.message });
+  const { error: mErr } = await supabaseAdmin
+    .from("org_members")
+    .insert({ org_id: org.id, user_id: user.id, role: "owner", email: normalizeEmail(user.email) || null });
+  if (mErr) {
+    await supabaseAdmin.from("orgs").delete().eq("id", org.id);
+    if (mErr.code === "23505") return res.status(409).json({ error: "Leave your current team first", code: "ORG_EXISTS" });
+    return res.status(400).json({ error: mErr.message });
+  }
+  console.warn("[org_created]", { user_id: user.id, org_id: org.id });
+  res.json({ org, role: "owner" });
+});
+
+app.post("/api/org/invites", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const membership = await requireOrgRole(res, user, ["owner", "manager"]);
+  if (!membership) return;
+
+  const email = normalizeEmail(req.body?.email);
+  const role = String(req.body?.role || "rep");
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return res.status(400).json({ error: "Enter a valid email", code: "ORG_INVITE_INVALID" });
+  }
+  if (!ORG_ROLES.includes(role)) return res.status(400).json({ error: "Unknown role", code: "ORG_INVITE_INVALID" });
+  if (membership.role !== "owner" && role !== "rep") {
+    return res.status(403).json({ error: "Managers can only invite reps", code: "ORG_FORBIDDEN" });
+  }
+
+  const { members, error: mErr } = await loadOrgMembers(membership.org_id);
+  if (mErr) return res.status(400).json({ error: mErr.message });
+  if (members.some((m) => normalizeEmail(m.email) === email)) {
+    return res.status(409).json({ error: "Already a member", code: "ORG_MEMBER_EXISTS" });
   }
 
   const { data, error } = await supabaseAdmin
-    .from("entities")
-    .insert([{ user_id: user.id, name, offer, industry, notes }])
-    .select()
+    .from("org_invites")
+    .insert({ org_id: membership.org_id, email, role, invited_by: user.id })
+    .select("id, email, role, created_at")
     .single();
-
   if (error) {
-    if (handleMissingUserId(res, "entities", error)) return;
+    if (error.code === "23505") return res.status(409).json({ error: "Already invited", code: "ORG_INVITE_EXISTS" });
     return res.status(400).json({ error: error.message });
   }
-  res.json({ entity: data });
+  console.warn("[org_invite_created]", { user_id: user.id, org_id: membership.org_id, invite_id: data.id, role });
+  res.json({ invite: data });
 });
 
-app.post("/api/entities/:id/ai_name", async (req, res) => {
+app.post("/api/org/invites/:id/revoke", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
+  const membership = await requireOrgRole(res, user, ["owner", "manager"]);
+  if (!membership) return;
 
-  const entityId = req.params.id;
-  const { data: entity, error: eErr } = await supabaseAdmin
-    .from("entities")
-    .select("id, name, offer, industry, notes")
-    .eq("id", entityId)
-    .eq("user_id", user.id)
+  const { data, error } = await supabaseAdmin
+    .from("org_invites")
+    .update({ revoked_at: nowIso() })
+    .eq("id", req.params.id)
+    .eq("org_id", membership.org_id)
+    .is("accepted_at", null)
+    .is("revoked_at", null)
+    .select("id")
     .maybeSingle();
+  if (error) return res.status(400).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ id: data.id, revoked: true });
+});
 
-  if (eErr) {
-    if (handleMissingUserId(res, "entities", eErr)) return;
-    return res.status(400).json({ error: eErr.message });
+app.post("/api/org/invites/:id/accept", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const email = normalizeEmail(user.email);
+
+  const { data: invite, error } = await supabaseAdmin
+    .from("org_invites")
+    .select("id, org_id, email, role")
+    .eq("id", req.params.id)
+    .is("accepted_at", null)
+    .is("revoked_at", null)
+    .maybeSingle();
+  if (error) return res.status(400).json({ error: error.message });
+  if (!invite || !email || normalizeEmail(invite.email) !== email) return res.status(404).json({ error: "Not found" });
+
+  const { error: mErr } = await supabaseAdmin
+    .from("org_members")
+    .insert({ org_id: invite.org_id, user_id: user.id, role: invite.role, email });
+  if (mErr) {
+    if (mErr.code === "23505") return res.status(409).json({ error: "Leave your current team first", code: "ORG_EXISTS" });
+    return res.status(400).json({ error: mErr.message });
   }
-  if (!entity) return res.status(404).json({ error: "Not found" });
+  await supabaseAdmin.from("org_invites").update({ accepted_at: nowIso() }).eq("id", invite.id);
+  console.warn("[org_invite_accepted]", { user_id: user.id, org_id: invite.org_id, role: invite.role });
+  res.json({ org_id: invite.org_id, role: invite.role });
+});
 
-  const { data: runs, error: rErr } = await supabaseAdmin
-    .from("runs")
-    .select("scenario, context_text, outcome_label, created_at")
-    .eq("user_id", user.id)
-    .eq("entity_id", entityId)
-    .order("created_at", { ascending: false })
-    .limit(13);
+function countOwners(members) {
+  return members.filter((m) => m.role === "owner").length;
+}
 
-  if (rErr) {
-    if (handleMissingUserId(res, "runs", rErr)) return;
-    return res.status(400).json({ error: rErr.message });
+app.post("/api/org/members/:userId/role", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const membership = await requireOrgRole(res, user, ["owner"]);
+  if (!membership) return;
+
+  const role = String(req.body?.role || "");
+  if (!ORG_ROLES.includes(role)) return res.status(400).json({ error: "Unknown role", code: "ORG_ROLE_INVALID" });
+  const { members, error } = await loadOrgMembers(membership.org_id);
+  if (error) return res.status(400).json({ error: error.message });
+  const target = members.find((m) => m.user_id === req.params.userId);
+  if (!target) return res.status(404).json({ error: "Not found" });
+  if (target.role === "owner" && role !== "owner" && countOwners(members) === 1) {
+    return res.status(409).json({ error: "A team needs at least one owner", code: "ORG_LAST_OWNER" });
   }
 
-  const summary = (runs || []).map((r, i) => {
-    const scenario = r.scenario || "";
-    const outcome = r.outcome_label || "";
-    const ctx = r.context_text || "";
-    return `Report ${i + 1}: scenario=${scenario}; outcome=${outcome}; context=${ctx}`;
-  }).join("\n");
-
-  const system = `
-You are Calibrate. Return valid JSON only.
-`.trim();
-
-  const prompt = `
-Create a short, professional entity name.
-Return JSON: { "name": string }
-Rules:
-- 2-6 words, no quotes, no placeholders, no "Entity".
-- Avoid private personal-life content.
-- Must be clear and business-appropriate.
-Entity details:
-name=${entity.name || ""}
-offer=${entity.offer || ""}
-industry=${entity.industry || ""}
-notes=${entity.notes || ""}
-Recent reports:
-${summary}
-`.trim();
-
-  const containsPlaceholders = (text) => {
-    const t = String(text || "");
-    return (
-      /\[[^\]]+\]/.test(t)
-      || /\{[^}]+\}/.test(t)
-      || /\bTBD\b/i.test(t)
-      || /\blorem\b/i.test(t)
-      || /\bplaceholder\b/i.test(t)
-    );
-  };
-
-  const containsPersonalLife = (text) => (
-    /\b(wife|husband|kid|kids|mom|dad|birthday|party)\b/i.test(String(text || ""))
-  );
-
-  const normalizeName = (raw) => String(raw || "")
-    .replace(/["']/g, "")
-    .replace(/\bentity\b/gi, "")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  let name = "";
-  try {
-    const result = await deepseekJSON(system, prompt, 0.2);
-    name = normalizeName(result?.name);
-  } catch {
-    name = "";
-  }
+  const { error: uErr } = await supabaseAdmin
+    .from("org_members")
+    .update({ role })
+    .eq("org_id", membership.org_id)
+    .eq("user_id", target.user_id);
+  if (uErr) return res.status(400).json({ error: uErr.message });
+  console.warn("[org_role_changed]", { user_id: user.id, org_id: membership.org_id, member_id: target.user_id, role });
+  res.json({ member: { ...target, role } });
+});
 
-  const wordCount = name ? name.split(/\s+/).length : 0;
-  if (!name || containsPlaceholders(name) || containsPersonalLife(name) || wordCount < 2 || wordCount > 6) {
-    name = entity.name || `Unassigned ${new Date().toISOString().slice(0, 10)}`;
+// Owners remove anyone, managers remove reps, and anyone can leave. The last
+// member leaving deletes the team; entities shared with it become private.
+app.post("/api/org/members/:userId/remove", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const membership = await requireOrgRole(res, user);
+  if (!membership) return;
+
+  const { members, error } = await loadOrgMembers(membership.org_id);
+  if (error) return res.status(400).json({ error: error.message });
+  const target = members.find((m) => m.user_id === req.params.userId);
+  if (!target) return res.status(404).json({ error: "Not found" });
+  const self = target.user_id === user.id;
+  const allowed = self
+    || membership.role === "owner"
+    || (membership.role === "manager" && target.role === "rep");
+  if (!allowed) return res.status(403).json({ error: "Your role cannot do this", code: "ORG_FORBIDDEN" });
+  if (target.role === "owner" && members.length > 1 && countOwners(members) === 1) {
+    return res.status(409).json({ error: "Make someone else an owner first", code: "ORG_LAST_OWNER" });
   }
 
-  const { error: uErr } = await supabaseAdmin
+  // Their entities stop being shared with a team they are no longer in.
+  const { error: eErr } = await supabaseAdmin
     .from("entities")
-    .update({ name })
-    .eq("id", entityId)
-    .eq("user_id", user.id);
-
-  if (uErr) {
-    if (handleMissingUserId(res, "entities", uErr)) return;
-    return res.status(400).json({ error: uErr.message });
+    .update({ org_id: null })
+    .eq("user_id", target.user_id)
+    .eq("org_id", membership.org_id);
+  if (eErr) return res.status(400).json({ error: eErr.message });
+  if (members.length === 1) {
+    const { error: oErr } = await supabaseAdmin.from("orgs").delete().eq("id", membership.org_id);
+    if (oErr) return res.status(400).json({ error: oErr.message });
+  } else {
+    const { error: dErr } = await supabaseAdmin
+      .from("org_members")
+      .delete()
+      .eq("org_id", membership.org_id)
+      .eq("user_id", target.user_id);
+    if (dErr) return res.status(400).json({ error: dErr.message });
   }
-
-  res.json({ name });
+  console.warn("[org_member_removed]", { user_id: user.id, org_id: membership.org_id, member_id: target.user_id });
+  res.json({ user_id: target.user_id, removed: true, org_deleted: members.length === 1 });
 });
 
-async function buildEntityAggregate(userId, entityId) {
+app.post("/api/entities/:id/org_share", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const shared = !!req.body?.shared;
+  let orgId = null;
+  if (shared) {
+    const membership = await requireOrgRole(res, user);
+    if (!membership) return;
+    orgId = membership.org_id;
+  }
   const { data, error } = await supabaseAdmin
-    .from("runs")
-    .select("transcript_text, analysis_json, created_at")
-    .eq("user_id", userId)
-    .eq("entity_id", entityId)
-    .order("created_at", { ascending: false })
-    .limit(12);
-
-  if (error) return null;
-  if (!data?.length) return null;
+    .from("entities")
+    .update({ org_id: orgId })
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .is("deleted_at", null)
+    .select("*")
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "entities", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ entity: data });
+});
 
-  // lightweight summary for prompt
-  const snippets = data
-    .map((r, i) => {
-      const label = r.analysis_json?.call_result?.label || "Unknown";
-      const fixes = (r.analysis_json?.top_fixes || [])
-        .slice(0, 2)
-        .map((f) => f.title)
-        .filter(Boolean)
-        .join(", ");
-      return `Call ${i + 1}: result=${label}; recurring_fixes=${fixes}`;
-    })
-    .join("\n");
+// Entities teammates shared with the org, with whose they are.
+app.get("/api/team/entities", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const membership = await requireOrgRole(res, user);
+  if (!membership) return;
 
-  return snippets;
-}
+  const { members, error: mErr } = await loadOrgMembers(membership.org_id);
+  if (mErr) return res.status(400).json({ error: mErr.message });
+  const { data, error } = await supabaseAdmin
+    .from("entities")
+    .select("id, name, offer, industry, user_id, created_at")
+    .eq("org_id", membership.org_id)
+    .is("deleted_at", null)
+    .order("name", { ascending: true });
+  if (error) return res.status(400).json({ error: error.message });
+  const emails = new Map(members.map((m) => [m.user_id, m.email || ""]));
+  res.json({
+    entities: (data || []).map((e) => ({ ...e, owner_email: emails.get(e.user_id) || "", mine: e.user_id === user.id })),
+  });
+});
 
-app.post("/api/entities/:id/playbook", async (req, res) => {
+// Read-only playbook of an org-shared entity (pinned or cached; no regeneration).
+app.get("/api/team/entities/:id/playbook", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
+  const membership = await requireOrgRole(res, user);
+  if (!membership) return;
 
-  const entityId = req.params.id;
-
-  const { data: entityCheck, error: entityCheckErr } = await supabaseAdmin
+  const { data: entity, error } = await supabaseAdmin
     .from("entities")
-    .select("id")
-    .eq("id", entityId)
-    .eq("user_id", user.id)
+    .select("id, user_id")
+    .eq("id", req.params.id)
+    .eq("org_id", membership.org_id)
+    .is("deleted_at", null)
     .maybeSingle();
-  if (entityCheckErr) {
-    if (handleMissingUserId(res, "entities", entityCheckErr)) return;
-    return res.status(400).json({ error: entityCheckErr.message });
+  if (error) return res.status(400).json({ error: error.message });
+  if (!entity) return res.status(404).json({ error: "Not found" });
+  const out = await loadExportPlaybook(entity.user_id, entity.id);
+  if (out.error) {
+    return res.status(out.status).json(out.code ? { error: out.error, code: out.code } : { error: out.error });
   }
-  if (!entityCheck) return res.status(404).json({ error: "Not found" });
+  res.json({ entity: out.entity, playbook: out.playbook, version: out.version, updated_at: out.updatedAt });
+});
 
-  const { data: latestRun, error: lrErr } = await supabaseAdmin
+app.get("/api/team/analytics", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const membership = await requireOrgRole(res, user, ["owner", "manager"]);
+  if (!membership) return;
+
+  const days = Math.min(365, Math.max(1, Number(req.query.days) || 30));
+  const { members, error: mErr } = await loadOrgMembers(membership.org_id);
+  if (mErr) return res.status(400).json({ error: mErr.message });
+  const { data, error } = await supabaseAdmin
     .from("runs")
-    .select("created_at")
-    .eq("user_id", user.id)
-    .eq("entity_id", entityId)
+    .select("user_id, created_at, outcome_label, score, top_fixes:analysis_json->top_fixes")
+    .in("user_id", members.map((m) => m.user_id))
+    .eq("status", "complete")
+    .is("deleted_at", null)
+    .gte("created_at", new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString())
     .order("created_at", { ascending: false })
-    .limit(1)
-    .maybeSingle();
-
-  if (lrErr) {
-    if (handleMissingUserId(res, "runs", lrErr)) return;
-    return res.status(400).json({ error: lrErr.message });
-  }
-  if (!latestRun) return res.status(400).json({ error: "No reports found for this entity yet." });
-
-  const latestRunCreatedAt = latestRun.created_at;
-
-  const { data: cached, error: cErr } = await supabaseAdmin
-    .from("entity_playbooks")
-    .select("playbook_json, last_run_created_at, updated_at")
-    .eq("entity_id", entityId)
-    .eq("user_id", user.id)
-    .maybeSingle();
-
-  if (cErr) {
-    if (handleMissingUserId(res, "entity_playbooks", cErr)) return;
-    return res.status(400).json({ error: cErr.message });
-  }
-  if (
-    cached?.playbook_json
-    && cached.last_run_created_at
-    && cached.last_run_created_at >= latestRunCreatedAt
-  ) {
-    return res.json({
-      playbook: cached.playbook_json,
-      updated_at: cached.updated_at,
-      last_run_created_at: cached.last_run_created_at,
+    .limit(TEAM_ANALYTICS_MAX_RUNS);
+  if (error) return res.status(400).json({ error: error.message });
+
+  const summarize = (runs) => {
+    const scores = runs.map((r) => r.score).filter((s) => s != null).map(Number).filter(Number.isFinite);
+    const outcomes = {};
+    const fixes = new Map();
+    runs.forEach((r) => {
+      const label = r.outcome_label || "Unknown";
+      outcomes[label] = (outcomes[label] || 0) + 1;
+      (Array.isArray(r.top_fixes) ? r.top_fixes : []).slice(0, 3).forEach((f) => {
+        if (f?.title) fixes.set(f.title, (fixes.get(f.title) || 0) + 1);
+      });
     });
-  }
+    return {
+      runs: runs.length,
+      avg_score: scores.length ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 10) / 10 : null,
+      outcomes,
+      top_fixes: [...fixes.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([title, count]) => ({ title, count })),
+      last_run_at: runs[0]?.created_at || null,
+    };
+  };
+  const byMember = new Map(members.map((m) => [m.user_id, []]));
+  (data || []).forEach((r) => byMember.get(r.user_id)?.push(r));
+  res.json({
+    days,
+    truncated: (data || []).length >= TEAM_ANALYTICS_MAX_RUNS,
+    team: summarize(data || []),
+    members: members.map((m) => ({ user_id: m.user_id, email: m.email, role: m.role, ...summarize(byMember.get(m.user_id)) })),
+  });
+});
 
-  const { data: entity, error: eErr } = await supabaseAdmin
-    .from("entities")
-    .select("*")
-    .eq("id", entityId)
-    .eq("user_id", user.id)
-    .single();
+// -------- Reviews --------
 
-  if (eErr) {
-    if (handleMissingUserId(res, "entities", eErr)) return;
-    return res.status(400).json({ error: eErr.message });
-  }
+const REVIEW_QUEUE_MAX_RUNS = 200;
+const REVIEW_COMMENT_COLUMNS = "id, run_id, author_id, author_email, parent_id, anchor_type, line_start, line_end, start_ms, end_ms, item_index, item_key, body, resolved_at, created_at";
+const COACHING_TASK_COLUMNS = "id, run_id, assignee_id, assigner_id, assigner_email, comment_id, title, details, status, due_date, created_at, completed_at";
 
-  const { data: runs, error: rErr } = await supabaseAdmin
+// A run the caller can read: their own, or a teammate's when they manage the
+// team. Reviewers are readers who are not the run owner.
+async function loadReviewRun(res, user, runId, columns = "id, user_id") {
+  const { data, error } = await supabaseAdmin
     .from("runs")
-    .select("id, transcript_text, analysis_json, created_at")
-    .eq("user_id", user.id)
-    .eq("entity_id", entityId)
-    .order("created_at", { ascending: false })
-    .limit(18);
-
-  if (rErr) {
-    if (handleMissingUserId(res, "runs", rErr)) return;
-    return res.status(400).json({ error: rErr.message });
+    .select(columns)
+    .eq("id", runId)
+    .in("user_id", await readableRunUserIds(user.id))
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return null;
+    res.status(400).json({ error: error.message });
+    return null;
   }
-  if (!runs?.length) return res.status(400).json({ error: "No reports found for this entity yet." });
-
-  const runTextById = new Map(runs.map((r) => [r.id, r.transcript_text || ""]));
-  const transcripts = runs
-    .map((r) => (r.transcript_text ? `run_id=${r.id}\n${r.transcript_text}` : ""))
-    .filter(Boolean);
-  const system = `
-You are Calibrate. Generate an MVP playbook for a cold-calling entity.
-
-Return valid JSON:
-{
-  "entity": { "name": string, "offer": string, "industry": string },
-  "ultimate_script": { "opener": string, "pitch": string, "qualify": string, "close": string },
-  "observed_objections": [
-    { "objection": string, "best_response": string, "evidence_quote": string, "run_id": string }
-  ],
-  "potential_objections": [
-    { "objection": string, "best_response": string }
-  ],
-  "dont_say": string[],
-  "say_instead": string[],
-  "patterns": [{ "pattern": string, "impact": string, "fix": string }]
+  if (!data) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  return data;
 }
 
-Rules:
-- Observed objections MUST come only from the transcripts provided.
-- Each observed objection MUST include a short direct evidence_quote and the run_id it came from.
-- run_id MUST exactly match the UUID shown after run_id= in the transcript header.
-- evidence_quote MUST be an exact substring from that transcript.
-- If no objections appear in transcripts, observed_objections must be [].
-- Potential objections are predicted and may not appear in transcripts.
-- Keep each script section under ~90 words.
-- Objection responses should be 2-4 sentences.
-- Focus on what repeatedly worked/failed across calls.
-`.trim();
-
-  const userPrompt = `
-Entity:
-name=${entity.name}
-offer=${entity.offer || ""}
-industry=${entity.industry || ""}
+async function loadRunReview(runId) {
+  const { data, error } = await supabaseAdmin
+    .from("run_reviews")
+    .select("run_id, status, reviewer_id, reviewer_email, updated_at")
+    .eq("run_id", runId)
+    .maybeSingle();
+  return { review: data || { run_id: runId, status: "unreviewed", reviewer_id: null, reviewer_email: null, updated_at: null }, error };
+}
 
-Recent transcripts (most recent first):
-${transcripts.slice(0, 15).map((t, i) => `--- TRANSCRIPT ${i + 1} ---\n${t}`).join("\n\n")}
-`.trim();
+async function saveRunReview(run, user, status) {
+  return supabaseAdmin
+    .from("run_reviews")
+    .upsert({
+      run_id: run.id,
+      user_id: run.user_id,
+      status,
+      reviewer_id: user.id,
+      reviewer_email: normalizeEmail(user.email) || null,
+      updated_at: nowIso(),
+    }, { onConflict: "run_id" })
+    .select("run_id, status, reviewer_id, reviewer_email, updated_at")
+    .single();
+}
 
-  const playbook = await deepseekJSON(system, userPrompt, 0.25);
-  const oldObserved = Array.isArray(cached?.playbook_json?.observed_objections)
-    ? cached.playbook_json.observed_objections
-    : [];
-  const newObserved = Array.isArray(playbook?.observed_objections)
-    ? playbook.observed_objections.filter((o) => {
-        const runText = runTextById.get(o?.run_id);
-        if (!runText) return false;
-        if (!o?.objection || !o?.best_response) return false;
-        return quoteAppearsInTranscript(o?.evidence_quote, runText);
-      })
-    : [];
-  playbook.observed_objections = mergeObservedObjections(
-    oldObserved,
-    mergeObservedObjections([], newObserved)
-  );
-  playbook.potential_objections = Array.isArray(playbook?.potential_objections)
-    ? playbook.potential_objections
-    : [];
+app.get("/api/runs/:id/comments", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const run = await loadReviewRun(res, user, req.params.id, "id, user_id, transcript_lines, analysis_json");
+  if (!run) return;
 
-  // store (optional)
-  const { data: savedPlaybook, error: pErr } = await supabaseAdmin
-    .from("entity_playbooks")
-    .upsert(
-      [
-        {
-          user_id: user.id,
-          entity_id: entityId,
-          title: `Playbook ${new Date().toISOString().slice(0, 10)}`,
-          playbook_json: playbook,
-          updated_at: nowIso(),
-          last_run_created_at: latestRunCreatedAt,
-        },
-      ],
-      { onConflict: "user_id,entity_id" }
-    )
-    .select("playbook_json, updated_at, last_run_created_at")
-    .maybeSingle();
+  const { data, error } = await supabaseAdmin
+    .from("run_comments")
+    .select(REVIEW_COMMENT_COLUMNS)
+    .eq("run_id", run.id)
+    .order("created_at", { ascending: true });
+  if (error) return res.status(400).json({ error: error.message });
+  const { review, error: rErr } = await loadRunReview(run.id);
+  if (rErr) return res.status(400).json({ error: rErr.message });
+  const { data: tasks, error: tErr } = await supabaseAdmin
+    .from("coaching_tasks")
+    .select(COACHING_TASK_COLUMNS)
+    .eq("run_id", run.id)
+    .order("created_at", { ascending: false });
+  if (tErr) return res.status(400).json({ error: tErr.message });
 
-  if (pErr) {
-    if (handleMissingUserId(res, "entity_playbooks", pErr)) return;
-    return res.status(500).json({
-      error: "Playbook store misconfigured",
-      code: "PLAYBOOK_UPSERT_SCHEMA",
-    });
-  }
+  const threads = threadComments(resolveItemAnchors(data || [], run.analysis_json));
   res.json({
-    playbook: savedPlaybook?.playbook_json || playbook,
-    updated_at: savedPlaybook?.updated_at || null,
-    last_run_created_at: savedPlaybook?.last_run_created_at || latestRunCreatedAt,
+    review,
+    threads,
+    counts: summarizeThreads(threads, run.transcript_lines),
+    tasks: tasks || [],
+    can_review: run.user_id !== user.id,
   });
 });
 
-// -------- Runs API --------
-
-app.get("/api/runs", async (req, res) => {
+// Replies join the root of the thread they answer and take its anchor.
+app.post("/api/runs/:id/comments", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
+  const run = await loadReviewRun(res, user, req.params.id, "id, user_id, transcript_lines, analysis_json");
+  if (!run) return;
 
-  const entityId = (req.query.entity_id || "").trim();
-  let runsQuery = supabaseAdmin
-    .from("runs")
-    .select("id, name, created_at, scenario, outcome_label, analysis_json, transcript_lines, entity_id, entities(name), status, progress_step, error_text")
-    .eq("user_id", user.id);
-  if (entityId) runsQuery = runsQuery.eq("entity_id", entityId);
-  const { data, error } = await runsQuery
-    .order("created_at", { ascending: false })
-    .limit(50);
+  const body = String(req.body?.body || "").trim();
+  if (!body) return res.status(400).json({ error: "Comment is empty", code: "COMMENT_INVALID" });
+  if (body.length > COMMENT_MAX_LEN) {
+    return res.status(400).json({ error: `Comments are limited to ${COMMENT_MAX_LEN} characters`, code: "COMMENT_INVALID" });
+  }
 
-  if (error) {
-    if (handleMissingUserId(res, "runs", error)) return;
-    return res.status(400).json({ error: error.message });
+  let anchor;
+  let parentId = null;
+  const replyTo = String(req.body?.parent_id || "").trim();
+  if (replyTo) {
+    const { data: parent, error } = await supabaseAdmin
+      .from("run_comments")
+      .select("id, parent_id, anchor_type, line_start, line_end, start_ms, end_ms, item_index, item_key")
+      .eq("id", replyTo)
+      .eq("run_id", run.id)
+      .maybeSingle();
+    if (error) return res.status(400).json({ error: error.message });
+    if (!parent) return res.status(404).json({ error: "Not found" });
+    parentId = parent.parent_id || parent.id;
+    const { id, parent_id, ...parentAnchor } = parent;
+    anchor = parentAnchor;
+  } else {
+    const out = normalizeCommentAnchor(req.body?.anchor, run);
+    if (out.error) return res.status(400).json({ error: out.error, code: "COMMENT_INVALID" });
+    anchor = out.value;
   }
 
-  const runs = (data || []).map((r) => ({
-    ...r,
-    report_title: r.analysis_json?.report_title || r.outcome_label || "Call",
-    entity_name: r.entities?.name || "",
-  }));
+  const { data, error } = await supabaseAdmin
+    .from("run_comments")
+    .insert({
+      ...anchor,
+      run_id: run.id,
+      run_user_id: run.user_id,
+      author_id: user.id,
+      author_email: normalizeEmail(user.email) || null,
+      parent_id: parentId,
+      body,
+    })
+    .select(REVIEW_COMMENT_COLUMNS)
+    .single();
+  if (error) return res.status(400).json({ error: error.message });
+
+  // A reviewer's first comment starts the review.
+  if (run.user_id !== user.id) {
+    const { review } = await loadRunReview(run.id);
+    if (review.status === "unreviewed") {
+      const { error: sErr } = await saveRunReview(run, user, "in_review");
+      if (sErr) console.warn("[run_review_start_failed]", { run_id: run.id, error: sErr.message });
+    }
+  }
+  res.json({ comment: data });
+});
 
-  res.json({ runs });
+app.post("/api/run_comments/:id/delete", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data, error } = await supabaseAdmin
+    .from("run_comments")
+    .delete()
+    .eq("id", req.params.id)
+    .eq("author_id", user.id)
+    .select("id")
+    .maybeSingle();
+  if (error) return res.status(400).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ id: data.id, deleted: true });
 });
 
-app.get("/api/runs/:id", async (req, res) => {
+// Either side of the review can resolve or reopen a thread.
+app.post("/api/run_comments/:id/resolve", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data: comment, error } = await supabaseAdmin
+    .from("run_comments")
+    .select("id, run_id, parent_id")
+    .eq("id", req.params.id)
+    .in("run_user_id", await readableRunUserIds(user.id))
+    .maybeSingle();
+  if (error) return res.status(400).json({ error: error.message });
+  if (!comment) return res.status(404).json({ error: "Not found" });
+  if (comment.parent_id) return res.status(400).json({ error: "Resolve the thread, not a reply", code: "COMMENT_INVALID" });
+
+  const resolved = req.body?.resolved !== false;
+  const { data, error: uErr } = await supabaseAdmin
+    .from("run_comments")
+    .update({ resolved_at: resolved ? nowIso() : null })
+    .eq("id", comment.id)
+    .select(REVIEW_COMMENT_COLUMNS)
+    .single();
+  if (uErr) return res.status(400).json({ error: uErr.message });
+  res.json({ comment: data });
+});
+
+app.post("/api/runs/:id/review", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
+  const status = String(req.body?.status || "");
+  if (!REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: "Unknown review status", code: "REVIEW_INVALID" });
+  const run = await loadReviewRun(res, user, req.params.id);
+  if (!run) return;
+  if (run.user_id === user.id) {
+    return res.status(403).json({ error: "You cannot review your own run", code: "REVIEW_FORBIDDEN" });
+  }
 
-  const id = req.params.id;
+  const { data, error } = await saveRunReview(run, user, status);
+  if (error) return res.status(400).json({ error: error.message });
+  console.warn("[run_review_status]", { user_id: user.id, run_id: run.id, status });
+  res.json({ review: data });
+});
 
-  if (
-    process.env.NODE_ENV === "test"
-    && process.env.SMOKE_BYPASS_TOKEN
-    && req.headers["x-smoke-bypass"] === process.env.SMOKE_BYPASS_TOKEN
-  ) {
-    return res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
+app.post("/api/runs/:id/coaching_tasks", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const run = await loadReviewRun(res, user, req.params.id);
+  if (!run) return;
+  if (run.user_id === user.id) {
+    return res.status(403).json({ error: "Coaching tasks are assigned by a reviewer", code: "REVIEW_FORBIDDEN" });
   }
 
-  const { data, error } = await supabaseAdmin
-    .from("runs")
-    .select("id, name, user_id, created_at, scenario, context_text, transcript_text, transcript_lines, transcript_json, transcript_hash, outcome_label, analysis_json, entity_id")
-    .eq("id", id)
-    .eq("user_id", user.id)
-    .maybeSingle();
-
-  if (error) {
-    if (handleMissingUserId(res, "runs", error)) return;
-    return res.status(500).json({ error: "Server error", code: "SERVER_ERROR" });
-  }
-  if (!data) {
-    return res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
+  const invalid = (error) => res.status(400).json({ error, code: "TASK_INVALID" });
+  const title = String(req.body?.title || "").trim();
+  const details = String(req.body?.details || "").trim();
+  if (!title) return invalid("Title is required");
+  if (title.length > TASK_TITLE_MAX_LEN) return invalid(`Titles are limited to ${TASK_TITLE_MAX_LEN} characters`);
+  if (details.length > TASK_DETAILS_MAX_LEN) return invalid(`Details are limited to ${TASK_DETAILS_MAX_LEN} characters`);
+  const dueDate = String(req.body?.due_date || "").trim();
+  if (dueDate && (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate) || Number.isNaN(Date.parse(dueDate)))) {
+    return invalid("due_date must be YYYY-MM-DD");
   }
-
-  let entityName = "";
-  if (data.entity_id) {
-    const { data: entityRow, error: eErr } = await supabaseAdmin
-      .from("entities")
-      .select("name")
-      .eq("id", data.entity_id)
-      .eq("user_id", user.id)
+  const commentId = String(req.body?.comment_id || "").trim();
+  if (commentId) {
+    const { data: comment, error } = await supabaseAdmin
+      .from("run_comments")
+      .select("id")
+      .eq("id", commentId)
+      .eq("run_id", run.id)
       .maybeSingle();
-    if (eErr) {
-      if (handleMissingUserId(res, "entities", eErr)) return;
-      return res.status(500).json({ error: "Server error", code: "SERVER_ERROR" });
-    }
-    if (!entityRow) {
-      return res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
-    }
-    entityName = entityRow?.name || "";
+    if (error) return res.status(400).json({ error: error.message });
+    if (!comment) return invalid("comment_id is not on this run");
   }
 
-  const run = {
-    ...data,
-    entity_name: entityName,
-  };
-  res.json({ run });
+  const { data, error } = await supabaseAdmin
+    .from("coaching_tasks")
+    .insert({
+      run_id: run.id,
+      assignee_id: run.user_id,
+      assigner_id: user.id,
+      assigner_email: normalizeEmail(user.email) || null,
+      comment_id: commentId || null,
+      title,
+      details: details || null,
+      due_date: dueDate || null,
+    })
+    .select(COACHING_TASK_COLUMNS)
+    .single();
+  if (error) return res.status(400).json({ error: error.message });
+  console.warn("[coaching_task_created]", { user_id: user.id, run_id: run.id, task_id: data.id });
+  res.json({ task: data });
 });
 
-app.post("/api/runs/:id/reassign_entity", async (req, res) => {
+app.post("/api/coaching_tasks/:id/status", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
+  const status = String(req.body?.status || "");
+  if (status !== "open" && status !== "done") return res.status(400).json({ error: "status must be open or done", code: "TASK_INVALID" });
 
-  const id = req.params.id;
-  const { entity_id: entityId } = req.body || {};
-  if (!entityId) return res.status(400).json({ error: "Missing entity_id" });
-
-  const { data: run, error: rErr } = await supabaseAdmin
-    .from("runs")
-    .select("id")
-    .eq("id", id)
-    .eq("user_id", user.id)
-    .maybeSingle();
-  if (rErr) {
-    if (handleMissingUserId(res, "runs", rErr)) return;
-    return res.status(400).json({ error: rErr.message });
-  }
-  if (!run) return res.status(404).json({ error: "Not found" });
-
-  const { data: entityRow, error: eErr } = await supabaseAdmin
-    .from("entities")
-    .select("id, name")
-    .eq("id", entityId)
-    .eq("user_id", user.id)
+  const { data, error } = await supabaseAdmin
+    .from("coaching_tasks")
+    .update({ status, completed_at: status === "done" ? nowIso() : null })
+    .eq("id", req.params.id)
+    .or(`assignee_id.eq.${user.id},assigner_id.eq.${user.id}`)
+    .select(COACHING_TASK_COLUMNS)
     .maybeSingle();
-  if (eErr) {
-    if (handleMissingUserId(res, "entities", eErr)) return;
-    return res.status(400).json({ error: eErr.message });
-  }
-  if (!entityRow) return res.status(404).json({ error: "Not found" });
-
-  const { data: saved, error: uErr } = await supabaseAdmin
-    .from("runs")
-    .update({ entity_id: entityId })
-    .eq("id", id)
-    .eq("user_id", user.id)
-    .select("*")
-    .single();
-  if (uErr) {
-    if (handleMissingUserId(res, "runs", uErr)) return;
-    return res.status(400).json({ error: uErr.message });
-  }
+  if (error) return res.status(400).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ task: data });
+});
 
+// scope=mine (assigned to the caller, the default) or assigned (by the caller).
+app.get("/api/coaching_tasks", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const scope = req.query.scope === "assigned" ? "assigned" : "mine";
+  let query = supabaseAdmin
+    .from("coaching_tasks")
+    .select(`${COACHING_TASK_COLUMNS}, runs(name, created_at)`)
+    .eq(scope === "assigned" ? "assigner_id" : "assignee_id", user.id);
+  const status = String(req.query.status || "");
+  if (status === "open" || status === "done") query = query.eq("status", status);
+  const { data, error } = await query.order("created_at", { ascending: false }).limit(200);
+  if (error) return res.status(400).json({ error: error.message });
   res.json({
-    run: {
-      ...saved,
-      entity_name: entityRow.name || "",
-    },
+    tasks: (data || []).map(({ runs, ...t }) => ({ ...t, run_name: runs?.name || "", run_created_at: runs?.created_at || null })),
   });
 });
 
-app.post("/api/runs/:id/set_name", async (req, res) => {
+// Teammates' completed runs for owners and managers, newest first. Runs with no
+// review row are unreviewed. Defaults to runs still waiting on a reviewer.
+app.get("/api/reviews/queue", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
-
-  const id = req.params.id;
-  const name = String(req.body?.name || "").trim();
-
-  if (!name) return res.status(400).json({ error: "Missing name" });
-  if (name.length > 180) return res.status(400).json({ error: "Name too long" });
-  if (/\[[^\]]+\]/.test(name) || /\{[^}]+\}/.test(name) || /\bTBD\b/i.test(name) || /\blorem\b/i.test(name)) {
-    return res.status(400).json({ error: "Invalid name" });
+  const membership = await requireOrgRole(res, user, ["owner", "manager"]);
+  if (!membership) return;
+
+  const statuses = listParam(req.query.status).filter((s) => REVIEW_STATUSES.includes(s));
+  const wanted = new Set(statuses.length ? statuses : ["unreviewed", "in_review"]);
+  const days = Math.min(365, Math.max(1, Number(req.query.days) || 30));
+  const { members, error: mErr } = await loadOrgMembers(membership.org_id);
+  if (mErr) return res.status(400).json({ error: mErr.message });
+  const others = members.filter((m) => m.user_id !== user.id);
+  if (!others.length) return res.json({ runs: [], truncated: false });
+
+  const { data: runs, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, user_id, created_at, outcome_label, score, entity_id")
+    .in("user_id", others.map((m) => m.user_id))
+    .eq("status", "complete")
+    .is("deleted_at", null)
+    .gte("created_at", new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString())
+    .order("created_at", { ascending: false })
+    .limit(REVIEW_QUEUE_MAX_RUNS);
+  if (error) return res.status(400).json({ error: error.message });
+  const ids = (runs || []).map((r) => r.id);
+  const reviews = new Map();
+  const openThreads = new Map();
+  if (ids.length) {
+    const { data: rows, error: rErr } = await supabaseAdmin
+      .from("run_reviews")
+      .select("run_id, status, reviewer_email, updated_at")
+      .in("run_id", ids);
+    if (rErr) return res.status(400).json({ error: rErr.message });
+    (rows || []).forEach((r) => reviews.set(r.run_id, r));
+    const { data: comments, error: cErr } = await supabaseAdmin
+      .from("run_comments")
+      .select("run_id")
+      .in("run_id", ids)
+      .is("parent_id", null)
+      .is("resolved_at", null);
+    if (cErr) return res.status(400).json({ error: cErr.message });
+    (comments || []).forEach((c) => openThreads.set(c.run_id, (openThreads.get(c.run_id) || 0) + 1));
   }
+  const emails = new Map(members.map((m) => [m.user_id, m.email || ""]));
+  res.json({
+    truncated: ids.length >= REVIEW_QUEUE_MAX_RUNS,
+    runs: (runs || [])
+      .map((r) => {
+        const review = reviews.get(r.id);
+        return {
+          ...r,
+          member_email: emails.get(r.user_id) || "",
+          review_status: review?.status || "unreviewed",
+          reviewer_email: review?.reviewer_email || null,
+          reviewed_at: review?.updated_at || null,
+          open_threads: openThreads.get(r.id) || 0,
+        };
+      })
+      .filter((r) => wanted.has(r.review_status)),
+  });
+});
 
-  const { data: saved, error: uErr } = await supabaseAdmin
-    .from("runs")
-    .update({ name })
-    .eq("id", id)
-    .eq("user_id", user.id)
-    .select()
-    .single();
+// -------- Settings --------
 
-  if (uErr) {
-    if (handleMissingUserId(res, "runs", uErr)) return;
-    return res.status(400).json({ error: uErr.message });
-  }
+// Defaults when the user has never saved settings (or the table is missing).
+async function loadCalendarSettings(userId) {
+  const { data, error } = await supabaseAdmin
+    .from("user_settings")
+    .select("timezone, work_day_start, work_day_end, work_days, meeting_minutes")
+    .eq("user_id", userId)
+    .maybeSingle();
+  return { settings: { ...CALENDAR_DEFAULTS, ...(data || {}) }, saved: !!data, error };
+}
 
-  res.json({ run: saved });
+app.get("/api/settings", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { settings, saved, error } = await loadCalendarSettings(user.id);
+  const { sender, error: sErr } = error ? {} : await loadSenderSettings(user.id);
+  if (error || sErr) {
+    if (handleMissingUserId(res, "user_settings", error || sErr)) return;
+    return res.status(400).json({ error: (error || sErr).message });
+  }
+  res.json({
+    calendar: settings,
+    saved,
+    sender: { ...sender, default_email: user.email || "" },
+    smtp: { mode: SMTP_MODE, ready: !!smtpTransport(), allowed_from_domains: SMTP_ALLOWED_FROM_DOMAINS },
+  });
 });
 
-app.post("/api/runs/:id/suggest_name", async (req, res) => {
+app.post("/api/settings/calendar", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
-
-  const id = req.params.id;
-  const { data: run, error } = await supabaseAdmin
-    .from("runs")
-    .select("id, name, scenario, outcome_label, analysis_json, transcript_text, entity_id, entity_name")
-    .eq("id", id)
-    .eq("user_id", user.id)
+  const { value, error: vErr } = normalizeCalendarSettings(req.body || {});
+  if (vErr) return res.status(400).json({ error: vErr, code: "SETTINGS_INVALID" });
+  const { data, error } = await supabaseAdmin
+    .from("user_settings")
+    .upsert({ user_id: user.id, ...value, updated_at: nowIso() }, { onConflict: "user_id" })
+    .select("timezone, work_day_start, work_day_end, work_days, meeting_minutes")
     .single();
-
   if (error) {
-    if (handleMissingUserId(res, "runs", error)) return;
+    if (handleMissingUserId(res, "user_settings", error)) return;
     return res.status(400).json({ error: error.message });
   }
+  res.json({ calendar: data, saved: true, preview: proposeSlots(data) });
+});
 
-  let entityName = run.entity_name || "";
-  if (!entityName && run.entity_id) {
-    const { data: ent } = await supabaseAdmin
-      .from("entities")
-      .select("name")
-      .eq("id", run.entity_id)
-      .eq("user_id", user.id)
-      .maybeSingle();
-    entityName = ent?.name || "";
-  }
+// -------- Webhooks --------
+// emitWebhookEvent queues one delivery per matching subscription; the
+// dispatcher posts due deliveries and reschedules failures with backoff until
+// WEBHOOK_MAX_ATTEMPTS. Emitting never throws and never waits on a receiver.
 
-  const displayEntity = (() => {
-    const n = String(entityName || "").trim();
-    if (/^unassigned entity/i.test(n) || /^unspecified entity/i.test(n)) return "Unspecified entity";
-    return n || "Unspecified entity";
-  })();
-  const callLabel = run.analysis_json?.call_result?.label || run.outcome_label || "Report";
-  const fallback = `${displayEntity}  ${callLabel}`.slice(0, 180);
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 15000);
+const WEBHOOK_BATCH = 20;
+const WEBHOOK_LOCK_STALE_MS = 5 * 60 * 1000;
+// Private and loopback receivers are for local development only.
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+const WEBHOOK_SUBSCRIPTION_COLUMNS = "id, url, description, events, active, created_at, updated_at";
+const WEBHOOK_DELIVERY_COLUMNS = "id, subscription_id, event, event_id, status, attempts, next_attempt_at, last_status_code, last_error, last_response, duration_ms, replay_of, created_at, delivered_at";
 
-  const snippet = String(run.transcript_text || "").slice(0, 500);
-  const system = `You are Calibrate. Return valid JSON only.`.trim();
-  const prompt = `
-Generate a short report name. Return JSON: { "name": "..." }
-Rules:
-- 38 words max, title-case-ish, not a full sentence.
-- No trailing punctuation.
-- Must not include "Call Report" or "Unassigned Entity".
-- No placeholders like [Name], {company}, TBD, lorem.
-Context:
-entity_name=${entityName}
-scenario=${run.scenario || ""}
-call_result=${callLabel}
-snippet=${snippet}
-`.trim();
+let webhookDispatching = false;
 
-  const isValidName = (name) => {
-    const n = String(name || "").trim();
-    if (!n) return false;
-    if (n.length > 180) return false;
-    if (/\[[^\]]+\]/.test(n) || /\{[^}]+\}/.test(n) || /\bTBD\b/i.test(n) || /\blorem\b/i.test(n)) return false;
-    if (/call report/i.test(n)) return false;
-    if (/unassigned entity/i.test(n) || /unspecified entity/i.test(n)) return false;
-    if (/[.!?;:,]\s*$/.test(n)) return false;
-    const words = n.split(/\s+/).filter(Boolean);
-    if (words.length > 38) return false;
-    return true;
-  };
+async function emitWebhookEvent(userId, event, data) {
+  try {
+    const { data: subs, error } = await supabaseAdmin
+      .from("webhook_subscriptions")
+      .select("id")
+      .eq("user_id", userId)
+      .eq("active", true)
+      .contains("events", [event]);
+    if (error) throw error;
+    if (!subs?.length) return;
+    const envelope = webhookEnvelope(event, data);
+    const { error: iErr } = await supabaseAdmin.from("webhook_deliveries").insert(subs.map((s) => ({
+      subscription_id: s.id,
+      user_id: userId,
+      event,
+      event_id: envelope.id,
+      payload: envelope,
+    })));
+    if (iErr) throw iErr;
+    wakeWebhookDispatcher();
+  } catch (err) {
+    console.warn("[webhook_emit_failed]", { user_id: userId, event, msg: String(err?.message || err) });
+  }
+}
 
-  let name = "";
+// Claims the delivery (pending -> delivering) so two dispatchers never post it
+// twice, posts it once and records the outcome.
+async function attemptWebhookDelivery(delivery, { retry: allowRetry = true } = {}) {
+  const { data: claimed } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .update({ status: "delivering", locked_at: nowIso() })
+    .eq("id", delivery.id)
+    .eq("status", "pending")
+    .select("id, user_id, event, payload, attempts, subscription_id, webhook_subscriptions(url, secret, active)")
+    .maybeSingle();
+  if (!claimed) return null;
+  const sub = claimed.webhook_subscriptions;
+  const attempts = claimed.attempts + 1;
+  const result = !sub?.active
+    ? { ok: false, status: null, error: sub ? "Subscription is paused" : "Subscription was deleted", response: null, duration_ms: 0 }
+    : await deliverWebhook({ url: sub.url, secret: sub.secret, envelope: claimed.payload, deliveryId: claimed.id, allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+  const retry = allowRetry && !result.ok && !!sub?.active && attempts < WEBHOOK_MAX_ATTEMPTS;
+  const { data: saved, error } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .update({
+      status: result.ok ? "succeeded" : retry ? "pending" : "failed",
+      attempts,
+      locked_at: null,
+      next_attempt_at: retry ? new Date(Date.now() + retryDelayMs(attempts)).toISOString() : nowIso(),
+      last_status_code: result.status,
+      last_error: result.error,
+      last_response: result.response,
+      duration_ms: result.duration_ms,
+      delivered_at: result.ok ? nowIso() : null,
+    })
+    .eq("id", claimed.id)
+    .select(WEBHOOK_DELIVERY_COLUMNS)
+    .single();
+  if (error) console.warn("[webhook_delivery_save_failed]", { delivery_id: claimed.id, msg: error.message });
+  if (!result.ok) {
+    console.warn("[webhook_delivery_failed]", { delivery_id: claimed.id, event: claimed.event, attempts, error: result.error, retry });
+  }
+  return saved || null;
+}
+
+async function dispatchWebhooks() {
+  if (webhookDispatching) return;
+  webhookDispatching = true;
   try {
-    const result = await deepseekJSON(system, prompt, 0.2);
-    name = String(result?.name || "").trim();
-  } catch {
-    name = "";
+    // A dispatcher that died mid-post leaves rows "delivering"; retry them.
+    await supabaseAdmin
+      .from("webhook_deliveries")
+      .update({ status: "pending", locked_at: null })
+      .eq("status", "delivering")
+      .lt("locked_at", new Date(Date.now() - WEBHOOK_LOCK_STALE_MS).toISOString());
+    for (;;) {
+      const { data: due, error } = await supabaseAdmin
+        .from("webhook_deliveries")
+        .select("id")
+        .eq("status", "pending")
+        .lte("next_attempt_at", nowIso())
+        .order("next_attempt_at", { ascending: true })
+        .limit(WEBHOOK_BATCH);
+      if (error) throw error;
+      for (const d of due || []) await attemptWebhookDelivery(d);
+      if ((due || []).length < WEBHOOK_BATCH) break;
+    }
+  } catch (err) {
+    console.warn("[webhook_dispatch_failed]", { msg: String(err?.message || err) });
+  } finally {
+    webhookDispatching = false;
   }
-  if (!isValidName(name)) name = fallback;
+}
 
-  const { data: saved, error: uErr } = await supabaseAdmin
-    .from("runs")
-    .update({ name })
+function wakeWebhookDispatcher() {
+  setImmediate(() => dispatchWebhooks());
+}
+
+function startWebhookDispatcher() {
+  dispatchWebhooks();
+  setInterval(dispatchWebhooks, WEBHOOK_POLL_MS).unref();
+}
+
+async function loadWebhookSubscription(res, user, id) {
+  const { data, error } = await supabaseAdmin
+    .from("webhook_subscriptions")
+    .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
     .eq("id", id)
     .eq("user_id", user.id)
-    .select()
-    .single();
-  if (uErr) {
-    if (handleMissingUserId(res, "runs", uErr)) return;
-    return res.status(400).json({ error: uErr.message });
+    .maybeSingle();
+  if (error) {
+    if (!handleMissingUserId(res, "webhook_subscriptions", error)) res.status(400).json({ error: error.message });
+    return null;
   }
-  res.json({ run: saved });
-});
+  if (!data) res.status(404).json({ error: "Not found" });
+  return data;
+}
 
-app.post("/api/runs/:id/regen_followup", async (req, res) => {
+app.get("/api/webhooks", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
-
-  const id = req.params.id;
-
-  const { data: run, error } = await supabaseAdmin
-    .from("runs")
-    .select("*")
-    .eq("id", id)
+  const { data, error } = await supabaseAdmin
+    .from("webhook_subscriptions")
+    .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
     .eq("user_id", user.id)
+    .order("created_at", { ascending: true });
+  if (error) {
+    if (handleMissingUserId(res, "webhook_subscriptions", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ subscriptions: data || [], events: WEBHOOK_EVENTS });
+});
+
+// The secret is only ever returned here and by rotate_secret.
+app.post("/api/webhooks", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { value, error: vErr } = normalizeWebhookInput(req.body || {}, { allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+  if (vErr) return res.status(400).json({ error: vErr, code: "WEBHOOK_INVALID" });
+  const secret = newWebhookSecret();
+  const { data, error } = await supabaseAdmin
+    .from("webhook_subscriptions")
+    .insert({ user_id: user.id, ...value, secret })
+    .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
     .single();
+  if (error) {
+    if (handleMissingUserId(res, "webhook_subscriptions", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ subscription: data, secret });
+});
 
+app.post("/api/webhooks/:id/update", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { value, error: vErr } = normalizeWebhookInput(req.body || {}, { partial: true, allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+  if (vErr) return res.status(400).json({ error: vErr, code: "WEBHOOK_INVALID" });
+  const { data, error } = await supabaseAdmin
+    .from("webhook_subscriptions")
+    .update({ ...value, updated_at: nowIso() })
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
+    .maybeSingle();
   if (error) {
-    if (handleMissingUserId(res, "runs", error)) return;
+    if (handleMissingUserId(res, "webhook_subscriptions", error)) return;
     return res.status(400).json({ error: error.message });
   }
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ subscription: data });
+});
 
-  const prev = String(run.analysis_json?.follow_up?.text || "").trim();
+app.post("/api/webhooks/:id/rotate_secret", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const secret = newWebhookSecret();
+  const { data, error } = await supabaseAdmin
+    .from("webhook_subscriptions")
+    .update({ secret, updated_at: nowIso() })
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .select(WEBHOOK_SUBSCRIPTION_COLUMNS)
+    .maybeSingle();
+  if (error) return res.status(400).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ subscription: data, secret });
+});
 
-  // Ensure we have entity_name when entity_id exists
-  let entityName = run.entity_name || "";
-  if (!entityName && run.entity_id) {
-    const { data: ent } = await supabaseAdmin
+app.post("/api/webhooks/:id/delete", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data, error } = await supabaseAdmin
+    .from("webhook_subscriptions")
+    .delete()
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .select("id")
+    .maybeSingle();
+  if (error) return res.status(400).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ ok: true });
+});
+
+// Sends a webhook.test event right away and returns the logged delivery. A
+// failed test is not retried.
+app.post("/api/webhooks/:id/test", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const sub = await loadWebhookSubscription(res, user, req.params.id);
+  if (!sub) return;
+  const envelope = webhookEnvelope(WEBHOOK_TEST_EVENT, { subscription_id: sub.id, message: "Test delivery from Calibrate" });
+  const { data: queued, error } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .insert({
+      subscription_id: sub.id,
+      user_id: user.id,
+      event: WEBHOOK_TEST_EVENT,
+      event_id: envelope.id,
+      payload: envelope,
+    })
+    .select("id")
+    .single();
+  if (error) return res.status(400).json({ error: error.message });
+  const delivery = await attemptWebhookDelivery(queued, { retry: false });
+  res.json({ delivery });
+});
+
+app.get("/api/webhooks/:id/deliveries", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  let query = supabaseAdmin
+    .from("webhook_deliveries")
+    .select(WEBHOOK_DELIVERY_COLUMNS)
+    .eq("subscription_id", req.params.id)
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false })
+    .limit(50);
+  const statuses = listParam(req.query.status);
+  if (statuses.length) query = query.in("status", statuses);
+  const { data, error } = await query;
+  if (error) {
+    if (handleMissingUserId(res, "webhook_deliveries", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ deliveries: data || [] });
+});
+
+// Re-sends a failed delivery's payload (same event id) as a new delivery with
+// a fresh retry budget, attempting it right away.
+app.post("/api/webhook_deliveries/:id/replay", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data: original, error } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .select("id, subscription_id, event, event_id, payload, status")
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (error) return res.status(400).json({ error: error.message });
+  if (!original) return res.status(404).json({ error: "Not found" });
+  if (original.status !== "failed") {
+    return res.status(409).json({ error: "Only failed deliveries can be replayed", code: "WEBHOOK_NOT_FAILED" });
+  }
+  const { data: queued, error: iErr } = await supabaseAdmin
+    .from("webhook_deliveries")
+    .insert({
+      subscription_id: original.subscription_id,
+      user_id: user.id,
+      event: original.event,
+      event_id: original.event_id,
+      payload: original.payload,
+      replay_of: original.id,
+    })
+    .select("id")
+    .single();
+  if (iErr) return res.status(400).json({ error: iErr.message });
+  const delivery = await attemptWebhookDelivery(queued);
+  res.json({ delivery });
+});
+
+// -------- Rubrics API --------
+
+async function validateRubricInput(userId, body) {
+  const name = String(body?.name || "").trim().slice(0, 120);
+  const scenario = String(body?.scenario || "").trim() || null;
+  const entityId = String(body?.entity_id || "").trim() || null;
+  const { criteria, errors } = normalizeRubricCriteria(body?.criteria);
+  if (!name) errors.unshift("Missing name");
+  if (!scenario && !entityId) errors.push("Attach the rubric to a scenario or an entity");
+  if (entityId) {
+    const { data: entityRow, error } = await supabaseAdmin
       .from("entities")
-      .select("name")
-      .eq("id", run.entity_id)
-      .eq("user_id", user.id)
+      .select("id")
+      .eq("id", entityId)
+      .eq("user_id", userId)
       .maybeSingle();
-    entityName = ent?.name || "";
+    if (error) throw new Error(error.message);
+    if (!entityRow) errors.push("Entity not found");
+  }
+  return {
+    row: { name, scenario: entityId ? null : scenario, entity_id: entityId, criteria },
+    errors,
+  };
+}
+
+app.get("/api/rubrics", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data, error } = await supabaseAdmin
+    .from("rubrics")
+    .select("*")
+    .eq("user_id", user.id)
+    .order("updated_at", { ascending: false });
+  if (error) {
+    if (handleMissingUserId(res, "rubrics", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ rubrics: data || [], template: DEFAULT_RUBRIC_TEMPLATE });
+});
+
+app.post("/api/rubrics", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = String(req.body?.id || "").trim() || null;
+  let validated;
+  try {
+    validated = await validateRubricInput(user.id, req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+  if (validated.errors.length) {
+    return res.status(400).json({
+      error: validated.errors[0],
+      code: "RUBRIC_INVALID",
+      errors: validated.errors,
+    });
+  }
+
+  const query = id
+    ? supabaseAdmin
+      .from("rubrics")
+      .update({ ...validated.row, updated_at: nowIso() })
+      .eq("id", id)
+      .eq("user_id", user.id)
+    : supabaseAdmin
+      .from("rubrics")
+      .insert([{ ...validated.row, user_id: user.id }]);
+  const { data, error } = await query.select().maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "rubrics", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ rubric: data });
+});
+
+app.post("/api/rubrics/:id/delete", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data, error } = await supabaseAdmin
+    .from("rubrics")
+    .delete()
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .select("id");
+  if (error) {
+    if (handleMissingUserId(res, "rubrics", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!data?.length) return res.status(404).json({ error: "Not found" });
+  res.json({ ok: true });
+});
+
+// -------- Entities API --------
+
+app.get("/api/entities", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const query = supabaseAdmin
+    .from("entities")
+    .select("*")
+    .eq("user_id", user.id);
+  const { data, error } = await applyLifecycleFilter(query, req.query.state)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    if (handleMissingUserId(res, "entities", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({
+    entities: (data || []).map((e) => ({
+      ...e,
+      restore_until: e.deleted_at ? restoreDeadline(e.deleted_at) : null,
+    })),
+  });
+});
+
+app.post("/api/entities", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { id, name, offer, industry, notes } = req.body || {};
+  if (!name) return res.status(400).json({ error: "Missing name" });
+
+  if (id) {
+    const { error } = await supabaseAdmin
+      .from("entities")
+      .update({ name, offer, industry, notes })
+      .eq("id", id)
+      .eq("user_id", user.id);
+
+    if (error) {
+      if (handleMissingUserId(res, "entities", error)) return;
+      return res.status(400).json({ error: error.message });
+    }
+    return res.json({ ok: true });
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from("entities")
+    .insert([{ user_id: user.id, name, offer, industry, notes }])
+    .select()
+    .single();
+
+  if (error) {
+    if (handleMissingUserId(res, "entities", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ entity: data });
+});
+
+app.post("/api/entities/:id/ai_name", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const entityId = req.params.id;
+  const { data: entity, error: eErr } = await supabaseAdmin
+    .from("entities")
+    .select("id, name, offer, industry, notes")
+    .eq("id", entityId)
+    .eq("user_id", user.id)
+    .maybeSingle();
+
+  if (eErr) {
+    if (handleMissingUserId(res, "entities", eErr)) return;
+    return res.status(400).json({ error: eErr.message });
+  }
+  if (!entity) return res.status(404).json({ error: "Not found" });
+
+  const { data: runs, error: rErr } = await supabaseAdmin
+    .from("runs")
+    .select("scenario, context_text, outcome_label, created_at")
+    .eq("user_id", user.id)
+    .eq("entity_id", entityId)
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(13);
+
+  if (rErr) {
+    if (handleMissingUserId(res, "runs", rErr)) return;
+    return res.status(400).json({ error: rErr.message });
+  }
+
+  const summary = (runs || []).map((r, i) => {
+    const scenario = r.scenario || "";
+    const outcome = r.outcome_label || "";
+    const ctx = r.context_text || "";
+    return `Report ${i + 1}: scenario=${scenario}; outcome=${outcome}; context=${ctx}`;
+  }).join("\n");
+
+  const system = `
+You are Calibrate. Return valid JSON only.
+`.trim();
+
+  const prompt = `
+Create a short, professional entity name.
+Return JSON: { "name": string }
+Rules:
+- 2-6 words, no quotes, no placeholders, no "Entity".
+- Avoid private personal-life content.
+- Must be clear and business-appropriate.
+Entity details:
+name=${entity.name || ""}
+offer=${entity.offer || ""}
+industry=${entity.industry || ""}
+notes=${entity.notes || ""}
+Recent reports:
+${summary}
+`.trim();
+
+  const containsPlaceholders = (text) => {
+    const t = String(text || "");
+    return (
+      /\[[^\]]+\]/.test(t)
+      || /\{[^}]+\}/.test(t)
+      || /\bTBD\b/i.test(t)
+      || /\blorem\b/i.test(t)
+      || /\bplaceholder\b/i.test(t)
+    );
+  };
+
+  const containsPersonalLife = (text) => (
+    /\b(wife|husband|kid|kids|mom|dad|birthday|party)\b/i.test(String(text || ""))
+  );
+
+  const normalizeName = (raw) => String(raw || "")
+    .replace(/["']/g, "")
+    .replace(/\bentity\b/gi, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  let name = "";
+  try {
+    const result = await llmJSON(system, prompt, 0.2, "ai_name");
+    name = normalizeName(result?.name);
+  } catch {
+    name = "";
+  }
+
+  const wordCount = name ? name.split(/\s+/).length : 0;
+  if (!name || containsPlaceholders(name) || containsPersonalLife(name) || wordCount < 2 || wordCount > 6) {
+    name = entity.name || `Unassigned ${new Date().toISOString().slice(0, 10)}`;
+  }
+
+  const { error: uErr } = await supabaseAdmin
+    .from("entities")
+    .update({ name })
+    .eq("id", entityId)
+    .eq("user_id", user.id);
+
+  if (uErr) {
+    if (handleMissingUserId(res, "entities", uErr)) return;
+    return res.status(400).json({ error: uErr.message });
+  }
+
+  res.json({ name });
+});
+
+async function buildEntityAggregate(userId, entityId) {
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .select("transcript_text, analysis_json, created_at")
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(12);
+
+  if (error) return null;
+  if (!data?.length) return null;
+
+  // lightweight summary for prompt
+  const snippets = data
+    .map((r, i) => {
+      const label = r.analysis_json?.call_result?.label || "Unknown";
+      const fixes = (r.analysis_json?.top_fixes || [])
+        .slice(0, 2)
+        .map((f) => f.title)
+        .filter(Boolean)
+        .join(", ");
+      return `Call ${i + 1}: result=${label}; recurring_fixes=${fixes}`;
+    })
+    .join("\n");
+
+  return snippets;
+}
+
+// Returns the cached playbook when no run is newer than it, otherwise
+// regenerates and stores it. Failures carry { status, error, code } and, for
+// query errors, { table, dbError }.
+async function buildEntityPlaybook(userId, entityId) {
+  const { data: latestRun, error: lrErr } = await supabaseAdmin
+    .from("runs")
+    .select("created_at")
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (lrErr) return { table: "runs", dbError: lrErr };
+  if (!latestRun) return { status: 400, error: "No reports found for this entity yet." };
+
+  const latestRunCreatedAt = latestRun.created_at;
+
+  const { data: cached, error: cErr } = await supabaseAdmin
+    .from("entity_playbooks")
+    .select("playbook_json, last_run_created_at, updated_at, current_version_id, pinned_version_id, locks, suggestions, edited_at")
+    .eq("entity_id", entityId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (cErr) return { table: "entity_playbooks", dbError: cErr };
+  const locks = normalizeLocks(cached?.locks);
+  if (
+    cached?.playbook_json
+    && cached.last_run_created_at
+    && cached.last_run_created_at >= latestRunCreatedAt
+  ) {
+    return {
+      playbook: cached.playbook_json,
+      updated_at: cached.updated_at,
+      last_run_created_at: cached.last_run_created_at,
+      current_version_id: cached.current_version_id || null,
+      pinned_version_id: cached.pinned_version_id || null,
+      locks,
+      suggestions: cached.suggestions || [],
+      edited_at: cached.edited_at || null,
+    };
+  }
+
+  const { data: entity, error: eErr } = await supabaseAdmin
+    .from("entities")
+    .select("*")
+    .eq("id", entityId)
+    .eq("user_id", userId)
+    .single();
+
+  if (eErr) return { table: "entities", dbError: eErr };
+
+  const { data: runs, error: rErr } = await supabaseAdmin
+    .from("runs")
+    .select("id, transcript_text, analysis_json, created_at")
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(18);
+
+  if (rErr) return { table: "runs", dbError: rErr };
+  if (!runs?.length) return { status: 400, error: "No reports found for this entity yet." };
+
+  const runTextById = new Map(runs.map((r) => [r.id, r.transcript_text || ""]));
+  const transcripts = runs
+    .map((r) => (r.transcript_text ? `run_id=${r.id}\n${r.transcript_text}` : ""))
+    .filter(Boolean);
+  const system = `
+You are Calibrate. Generate an MVP playbook for a cold-calling entity.
+
+Return valid JSON:
+{
+  "entity": { "name": string, "offer": string, "industry": string },
+  "ultimate_script": { "opener": string, "pitch": string, "qualify": string, "close": string },
+  "observed_objections": [
+    { "objection": string, "best_response": string, "evidence_quote": string, "run_id": string }
+  ],
+  "potential_objections": [
+    { "objection": string, "best_response": string }
+  ],
+  "dont_say": string[],
+  "say_instead": string[],
+  "patterns": [{ "pattern": string, "impact": string, "fix": string }]
+}
+
+Rules:
+- Observed objections MUST come only from the transcripts provided.
+- Each observed objection MUST include a short direct evidence_quote and the run_id it came from.
+- run_id MUST exactly match the UUID shown after run_id= in the transcript header.
+- evidence_quote MUST be an exact substring from that transcript.
+- If no objections appear in transcripts, observed_objections must be [].
+- Potential objections are predicted and may not appear in transcripts.
+- Keep each script section under ~90 words.
+- Objection responses should be 2-4 sentences.
+- Focus on what repeatedly worked/failed across calls.
+`.trim();
+
+  const userPrompt = `
+Entity:
+name=${entity.name}
+offer=${entity.offer || ""}
+industry=${entity.industry || ""}
+
+Recent transcripts (most recent first):
+${transcripts.slice(0, 15).map((t, i) => `--- TRANSCRIPT ${i + 1} ---\n${t}`).join("\n\n")}
+${locks.length ? `
+Locked sections (approved by the team; return them unchanged):
+${locks.map((k) => `${k}=${JSON.stringify(getPlaybookSection(cached.playbook_json, k))}`).join("\n")}` : ""}
+`.trim();
+
+  const playbook = await llmJSON(system, userPrompt, 0.25, "playbook");
+  const oldObserved = Array.isArray(cached?.playbook_json?.observed_objections)
+    ? cached.playbook_json.observed_objections
+    : [];
+  const newObserved = Array.isArray(playbook?.observed_objections)
+    ? playbook.observed_objections.filter((o) => {
+        const runText = runTextById.get(o?.run_id);
+        if (!runText) return false;
+        if (!o?.objection || !o?.best_response) return false;
+        return quoteAppearsInTranscript(o?.evidence_quote, runText);
+      })
+    : [];
+  playbook.observed_objections = mergeObservedObjections(
+    oldObserved,
+    mergeObservedObjections([], newObserved)
+  );
+  playbook.potential_objections = Array.isArray(playbook?.potential_objections)
+    ? playbook.potential_objections
+    : [];
+
+  const reconciled = reconcileRegeneratedPlaybook(cached?.playbook_json || null, playbook, {
+    locks,
+    propose: locks.length > 0 || !!cached?.edited_at,
+    suggestions: cached?.suggestions,
+  });
+
+  const fedRunIds = runs.filter((r) => r.transcript_text).slice(0, 15).map((r) => r.id);
+  // Nothing new to record when every change was held back as a suggestion.
+  const version = reconciled.changed
+    ? await insertPlaybookVersion(userId, entityId, reconciled.playbook, fedRunIds)
+    : null;
+
+  // store (optional)
+  const { data: savedPlaybook, error: pErr } = await supabaseAdmin
+    .from("entity_playbooks")
+    .upsert(
+      [
+        {
+          user_id: userId,
+          entity_id: entityId,
+          title: `Playbook ${new Date().toISOString().slice(0, 10)}`,
+          playbook_json: reconciled.playbook,
+          suggestions: reconciled.suggestions,
+          updated_at: nowIso(),
+          last_run_created_at: latestRunCreatedAt,
+          ...(version ? { current_version_id: version.id } : {}),
+        },
+      ],
+      { onConflict: "user_id,entity_id" }
+    )
+    .select("playbook_json, updated_at, last_run_created_at, current_version_id, pinned_version_id, suggestions, edited_at")
+    .maybeSingle();
+
+  if (pErr) {
+    return {
+      table: "entity_playbooks",
+      dbError: pErr,
+      status: 500,
+      error: "Playbook store misconfigured",
+      code: "PLAYBOOK_UPSERT_SCHEMA",
+    };
+  }
+  if (reconciled.changed) {
+    emitWebhookEvent(userId, "playbook.updated", {
+      entity_id: entityId,
+      source: "regenerate",
+      version_id: savedPlaybook?.current_version_id || version?.id || null,
+      run_ids: fedRunIds,
+    });
+  }
+  return {
+    playbook: savedPlaybook?.playbook_json || reconciled.playbook,
+    updated_at: savedPlaybook?.updated_at || null,
+    last_run_created_at: savedPlaybook?.last_run_created_at || latestRunCreatedAt,
+    current_version_id: savedPlaybook?.current_version_id || version?.id || null,
+    pinned_version_id: savedPlaybook?.pinned_version_id || null,
+    locks,
+    suggestions: savedPlaybook?.suggestions || reconciled.suggestions,
+    edited_at: savedPlaybook?.edited_at || null,
+  };
+}
+
+app.post("/api/entities/:id/playbook", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const entityId = req.params.id;
+
+  const { data: entityCheck, error: entityCheckErr } = await supabaseAdmin
+    .from("entities")
+    .select("id, archived_at, deleted_at")
+    .eq("id", entityId)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (entityCheckErr) {
+    if (handleMissingUserId(res, "entities", entityCheckErr)) return;
+    return res.status(400).json({ error: entityCheckErr.message });
+  }
+  if (!entityCheck || entityCheck.deleted_at) return res.status(404).json({ error: "Not found" });
+  if (entityCheck.archived_at) {
+    return res.status(409).json({ error: "Restore this entity to update its playbook", code: "ENTITY_ARCHIVED" });
+  }
+
+  const out = await buildEntityPlaybook(user.id, entityId);
+  if (out.dbError && handleMissingUserId(res, out.table, out.dbError)) return;
+  if (out.error || out.dbError) {
+    const body = { error: out.error || out.dbError.message };
+    if (out.code) body.code = out.code;
+    return res.status(out.status || 400).json(body);
+  }
+  const { current_version_id: currentId, pinned_version_id: pinnedId, ...rest } = out;
+  const versions = await loadPlaybookVersions(user.id, entityId, [currentId, pinnedId], "id, version, created_at, playbook_json");
+  const meta = (v) => (v ? { id: v.id, version: v.version, created_at: v.created_at } : null);
+  const pinned = versions.get(pinnedId);
+  res.json({
+    ...rest,
+    version: meta(versions.get(currentId)),
+    pinned: pinned ? { ...meta(pinned), playbook: pinned.playbook_json } : null,
+  });
+});
+
+// -------- Playbook versions --------
+
+const PLAYBOOK_VERSIONS_LIMIT = 100;
+const SCRIPT_SECTIONS = ["opener", "pitch", "qualify", "close"];
+const WORD_DIFF_MAX_WORDS = 400;
+
+// Every regenerated playbook is kept as an immutable version along with the
+// runs whose transcripts fed it. A failure here is logged, not fatal: the
+// cached playbook still updates.
+async function insertPlaybookVersion(userId, entityId, playbook, runIds, source = "generated") {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const { data: last } = await supabaseAdmin
+      .from("entity_playbook_versions")
+      .select("version")
+      .eq("entity_id", entityId)
+      .order("version", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    const { data, error } = await supabaseAdmin
+      .from("entity_playbook_versions")
+      .insert([{
+        user_id: userId,
+        entity_id: entityId,
+        version: (last?.version || 0) + 1,
+        source,
+        playbook_json: playbook,
+        run_ids: runIds,
+      }])
+      .select("id, version, created_at")
+      .single();
+    if (!error) return data;
+    // Two refreshes raced for the same version number.
+    if (error.code === "23505") continue;
+    console.warn("[playbook_version_insert_failed]", { user_id: userId, entity_id: entityId, error: error.message });
+    return null;
+  }
+  return null;
+}
+
+async function loadPlaybookVersions(userId, entityId, ids, columns) {
+  const wanted = [...new Set((ids || []).filter(Boolean))];
+  if (!wanted.length) return new Map();
+  const { data, error } = await supabaseAdmin
+    .from("entity_playbook_versions")
+    .select(columns)
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .in("id", wanted);
+  if (error) {
+    console.warn("[playbook_versions_load_failed]", { user_id: userId, entity_id: entityId, error: error.message });
+    return new Map();
+  }
+  return new Map((data || []).map((v) => [v.id, v]));
+}
+
+// Word-level diff (LCS) for script sections: [{ op: "same" | "add" | "del", text }].
+function diffWords(before, after) {
+  const a = String(before || "").split(/\s+/).filter(Boolean);
+  const b = String(after || "").split(/\s+/).filter(Boolean);
+  if (a.length > WORD_DIFF_MAX_WORDS || b.length > WORD_DIFF_MAX_WORDS) {
+    return [
+      ...(a.length ? [{ op: "del", text: a.join(" ") }] : []),
+      ...(b.length ? [{ op: "add", text: b.join(" ") }] : []),
+    ];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  const push = (op, text) => {
+    const prev = ops[ops.length - 1];
+    if (prev && prev.op === op) prev.text += ` ${text}`;
+    else ops.push({ op, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("del", a[i]);
+      i += 1;
+    } else {
+      push("add", b[j]);
+      j += 1;
+    }
+  }
+  while (i < a.length) push("del", a[i++]);
+  while (j < b.length) push("add", b[j++]);
+  return ops;
+}
+
+function diffStringList(before, after) {
+  const a = (Array.isArray(before) ? before : []).map(String).filter(Boolean);
+  const b = (Array.isArray(after) ? after : []).map(String).filter(Boolean);
+  const keysA = new Set(a.map(normalizeKey));
+  const keysB = new Set(b.map(normalizeKey));
+  return {
+    added: b.filter((x) => !keysA.has(normalizeKey(x))),
+    removed: a.filter((x) => !keysB.has(normalizeKey(x))),
+    kept: b.filter((x) => keysA.has(normalizeKey(x))),
+  };
+}
+
+// Objections are matched the same way mergeObservedObjections matches them,
+// so rewording alone does not show up as added + dropped.
+function diffObjections(before, after) {
+  const a = (Array.isArray(before) ? before : []).filter((o) => o?.objection);
+  const b = (Array.isArray(after) ? after : []).filter((o) => o?.objection);
+  const view = (o) => ({ objection: o.objection, best_response: o.best_response || "", count: o.count ?? null });
+  const kept = [];
+  b.forEach((o) => {
+    const idx = findObservedObjection(a, o.objection);
+    if (idx === -1) return;
+    const prev = a[idx];
+    kept.push({
+      objection: o.objection,
+      previous_objection: prev.objection !== o.objection ? prev.objection : null,
+      count_before: prev.count ?? null,
+      count_after: o.count ?? null,
+      response_changed: normalizeKey(prev.best_response) !== normalizeKey(o.best_response),
+      response_before: prev.best_response || "",
+      response_after: o.best_response || "",
+    });
+  });
+  return {
+    added: b.filter((o) => findObservedObjection(a, o.objection) === -1).map(view),
+    dropped: a.filter((o) => findObservedObjection(b, o.objection) === -1).map(view),
+    kept,
+  };
+}
+
+function diffPlaybooks(before, after) {
+  const scriptA = before?.ultimate_script || {};
+  const scriptB = after?.ultimate_script || {};
+  return {
+    ultimate_script: SCRIPT_SECTIONS.map((section) => ({
+      section,
+      before: scriptA[section] || "",
+      after: scriptB[section] || "",
+      changed: normalizeKey(scriptA[section]) !== normalizeKey(scriptB[section]),
+      words: diffWords(scriptA[section], scriptB[section]),
+    })),
+    dont_say: diffStringList(before?.dont_say, after?.dont_say),
+    say_instead: diffStringList(before?.say_instead, after?.say_instead),
+    observed_objections: diffObjections(before?.observed_objections, after?.observed_objections),
+    potential_objections: diffObjections(before?.potential_objections, after?.potential_objections),
+  };
+}
+
+async function loadPlaybookRow(res, userId, entityId) {
+  const { data, error } = await supabaseAdmin
+    .from("entity_playbooks")
+    .select("current_version_id, pinned_version_id")
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "entity_playbooks", error)) return null;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+  return data || { current_version_id: null, pinned_version_id: null };
+}
+
+app.get("/api/entities/:id/playbook/versions", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const entityId = req.params.id;
+
+  const row = await loadPlaybookRow(res, user.id, entityId);
+  if (!row) return;
+  const { data, error } = await supabaseAdmin
+    .from("entity_playbook_versions")
+    .select("id, version, source, run_ids, created_at")
+    .eq("user_id", user.id)
+    .eq("entity_id", entityId)
+    .order("version", { ascending: false })
+    .limit(PLAYBOOK_VERSIONS_LIMIT);
+  if (error) {
+    if (handleMissingUserId(res, "entity_playbook_versions", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({
+    versions: (data || []).map((v) => ({ ...v, run_count: (v.run_ids || []).length })),
+    current_version_id: row.current_version_id,
+    pinned_version_id: row.pinned_version_id,
+  });
+});
+
+app.get("/api/entities/:id/playbook/versions/:versionId", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const versions = await loadPlaybookVersions(
+    user.id,
+    req.params.id,
+    [req.params.versionId],
+    "id, version, source, run_ids, playbook_json, created_at"
+  );
+  const version = versions.get(req.params.versionId);
+  if (!version) return res.status(404).json({ error: "Not found" });
+  res.json({ version });
+});
+
+app.get("/api/entities/:id/playbook/diff", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const fromId = String(req.query.from || "").trim();
+  const toId = String(req.query.to || "").trim();
+  if (!fromId || !toId) {
+    return res.status(400).json({ error: "from and to version ids are required", code: "DIFF_INVALID" });
+  }
+  const versions = await loadPlaybookVersions(user.id, req.params.id, [fromId, toId], "id, version, playbook_json, created_at");
+  const from = versions.get(fromId);
+  const to = versions.get(toId);
+  if (!from || !to) return res.status(404).json({ error: "Not found" });
+  const meta = (v) => ({ id: v.id, version: v.version, created_at: v.created_at });
+  res.json({ from: meta(from), to: meta(to), diff: diffPlaybooks(from.playbook_json, to.playbook_json) });
+});
+
+// Pins a version as the team's current script; version_id null unpins.
+app.post("/api/entities/:id/playbook/pin", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const entityId = req.params.id;
+  const versionId = req.body?.version_id ? String(req.body.version_id).trim() : null;
+
+  if (versionId) {
+    const versions = await loadPlaybookVersions(user.id, entityId, [versionId], "id");
+    if (!versions.has(versionId)) return res.status(404).json({ error: "Not found" });
+  }
+  const { data, error } = await supabaseAdmin
+    .from("entity_playbooks")
+    .update({ pinned_version_id: versionId })
+    .eq("user_id", user.id)
+    .eq("entity_id", entityId)
+    .select("entity_id")
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "entity_playbooks", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ entity_id: entityId, pinned_version_id: versionId });
+});
+
+// -------- Playbook edits --------
+
+async function loadEditablePlaybook(res, userId, entityId) {
+  const { data, error } = await supabaseAdmin
+    .from("entity_playbooks")
+    .select("playbook_json, locks, suggestions, edited_at, archived_at")
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "entity_playbooks", error)) return null;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+  if (!data?.playbook_json) {
+    res.status(404).json({ error: "Generate the playbook before editing it", code: "PLAYBOOK_MISSING" });
+    return null;
+  }
+  if (data.archived_at) {
+    res.status(409).json({ error: "Restore this entity to update its playbook", code: "ENTITY_ARCHIVED" });
+    return null;
+  }
+  return data;
+}
+
+// Saves the edited playbook as a new version and makes it current.
+async function savePlaybookEdit(userId, entityId, playbook, patch, source) {
+  const version = await insertPlaybookVersion(userId, entityId, playbook, [], source);
+  const { data, error } = await supabaseAdmin
+    .from("entity_playbooks")
+    .update({
+      ...patch,
+      playbook_json: playbook,
+      edited_at: nowIso(),
+      updated_at: nowIso(),
+      ...(version ? { current_version_id: version.id } : {}),
+    })
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .select("playbook_json, locks, suggestions, edited_at, updated_at")
+    .single();
+  if (error) throw new Error(error.message);
+  emitWebhookEvent(userId, "playbook.updated", { entity_id: entityId, source, version_id: version?.id || null });
+  return { ...data, version: version ? { id: version.id, version: version.version, created_at: version.created_at } : null };
+}
+
+// body: { sections: { "<section key>": value, ... }, locks?: ["<section key>", ...] }
+app.post("/api/entities/:id/playbook/edit", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const entityId = req.params.id;
+
+  const sections = req.body?.sections && typeof req.body.sections === "object" ? req.body.sections : {};
+  const errors = [];
+  const values = {};
+  Object.entries(sections).forEach(([key, value]) => {
+    const out = normalizePlaybookSection(key, value);
+    if (out.error) errors.push(out.error);
+    else values[key] = out.value;
+  });
+  if (errors.length) return res.status(400).json({ error: errors[0], errors, code: "PLAYBOOK_EDIT_INVALID" });
+  const hasLocks = Array.isArray(req.body?.locks);
+  if (!Object.keys(values).length && !hasLocks) {
+    return res.status(400).json({ error: "Nothing to save", code: "PLAYBOOK_EDIT_INVALID" });
+  }
+
+  const row = await loadEditablePlaybook(res, user.id, entityId);
+  if (!row) return;
+  const locks = hasLocks ? normalizeLocks(req.body.locks) : normalizeLocks(row.locks);
+
+  if (!Object.keys(values).length) {
+    const { error } = await supabaseAdmin
+      .from("entity_playbooks")
+      .update({ locks })
+      .eq("user_id", user.id)
+      .eq("entity_id", entityId);
+    if (error) return res.status(400).json({ error: error.message });
+    return res.json({ playbook: row.playbook_json, locks, suggestions: row.suggestions || [], edited_at: row.edited_at });
+  }
+
+  const playbook = Object.entries(values).reduce(
+    (pb, [key, value]) => setPlaybookSection(pb, key, value),
+    row.playbook_json
+  );
+  try {
+    const saved = await savePlaybookEdit(user.id, entityId, playbook, { locks }, "edited");
+    res.json({ ...saved, locks: normalizeLocks(saved.locks) });
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
+  }
+});
+
+app.post("/api/entities/:id/playbook/suggestions/:suggestionId/:decision", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { id: entityId, suggestionId, decision } = req.params;
+  if (decision !== "accept" && decision !== "reject") return res.status(404).json({ error: "Not found" });
+
+  const row = await loadEditablePlaybook(res, user.id, entityId);
+  if (!row) return;
+  const pending = Array.isArray(row.suggestions) ? row.suggestions : [];
+  const suggestion = pending.find((sg) => sg.id === suggestionId);
+  if (!suggestion) return res.status(404).json({ error: "Not found" });
+  const remaining = pending.filter((sg) => sg.id !== suggestionId);
+
+  if (decision === "reject") {
+    const { error } = await supabaseAdmin
+      .from("entity_playbooks")
+      .update({ suggestions: remaining })
+      .eq("user_id", user.id)
+      .eq("entity_id", entityId);
+    if (error) return res.status(400).json({ error: error.message });
+    return res.json({ playbook: row.playbook_json, locks: normalizeLocks(row.locks), suggestions: remaining, edited_at: row.edited_at });
+  }
+
+  if (normalizeLocks(row.locks).includes(suggestion.section)) {
+    return res.status(409).json({ error: "Unlock this section before accepting a change to it", code: "SECTION_LOCKED" });
+  }
+  const out = normalizePlaybookSection(suggestion.section, suggestion.proposed);
+  if (out.error) return res.status(400).json({ error: out.error, code: "PLAYBOOK_EDIT_INVALID" });
+  try {
+    const saved = await savePlaybookEdit(
+      user.id,
+      entityId,
+      setPlaybookSection(row.playbook_json, suggestion.section, out.value),
+      { suggestions: remaining },
+      "suggestion"
+    );
+    res.json({ ...saved, locks: normalizeLocks(saved.locks) });
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
+  }
+});
+
+// -------- Runs API --------
+
+// Runs saved before metrics existed get them computed on read.
+function runMetrics(run) {
+  if (run?.metrics && typeof run.metrics === "object") return run.metrics;
+  if (!Array.isArray(run?.transcript_lines) || !run.transcript_lines.length) return null;
+  return computeConversationMetrics(run.transcript_lines);
+}
+
+const RUNS_PAGE_DEFAULT = 50;
+const RUNS_PAGE_MAX = 100;
+const RUN_TAG_MAX = 20;
+const RUN_TAG_MAX_LEN = 40;
+
+// Cursor = base64url("<created_at>|<id>") of the last row on the page.
+function encodeRunsCursor(row) {
+  return Buffer.from(`${row.created_at}|${row.id}`, "utf-8").toString("base64url");
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ISO_TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?(?:Z|[+-]\d{2}:\d{2})$/;
+
+// Both parts end up inside a PostgREST .or() filter, so anything but a uuid
+// and a plain ISO timestamp is rejected rather than escaped.
+function decodeRunsCursor(cursor) {
+  const raw = Buffer.from(String(cursor || ""), "base64url").toString("utf-8");
+  const parts = raw.split("|");
+  if (parts.length !== 2) return null;
+  const [createdAt, id] = parts;
+  if (!UUID_RE.test(id) || !ISO_TIMESTAMP_RE.test(createdAt) || Number.isNaN(Date.parse(createdAt))) return null;
+  return { createdAt, id };
+}
+
+function listParam(value) {
+  return String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function normalizeRunTags(input) {
+  const list = Array.isArray(input) ? input : listParam(input);
+  const tags = [];
+  list.forEach((t) => {
+    const tag = String(t || "").trim().toLowerCase().replace(/\s+/g, "-").slice(0, RUN_TAG_MAX_LEN);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags.slice(0, RUN_TAG_MAX);
+}
+
+// GET /api/runs?limit&cursor&entity_id&scenario&outcome_label&status&tags
+//   &score_min&score_max&from&to&q&state
+// List params (scenario, outcome_label, status, tags) take comma-separated
+// values; tags must all be present. q is a websearch-style full-text query.
+// state is active (default), archived, deleted or all (active + archived).
+app.get("/api/runs", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const q = req.query;
+  const limit = Math.min(RUNS_PAGE_MAX, Math.max(1, Number(q.limit) || RUNS_PAGE_DEFAULT));
+  let runsQuery = supabaseAdmin
+    .from("runs")
+    .select("id, user_id, name, created_at, scenario, outcome_label, analysis_json, transcript_lines, metrics, tags, entity_id, entities(name), status, progress_step, error_text, archived_at, deleted_at, merged_into, followup_sent_at");
+  // scope=team lists every run the caller can read (their org's runs for
+  // owners and managers); member_id narrows that to one person.
+  if (q.scope === "team" || q.member_id) {
+    const readable = await readableRunUserIds(user.id);
+    const memberId = String(q.member_id || "").trim();
+    if (memberId && !readable.includes(memberId)) {
+      return res.status(403).json({ error: "You cannot view this member's runs", code: "ORG_FORBIDDEN" });
+    }
+    runsQuery = memberId ? runsQuery.eq("user_id", memberId) : runsQuery.in("user_id", readable);
+  } else {
+    runsQuery = runsQuery.eq("user_id", user.id);
+  }
+  runsQuery = applyLifecycleFilter(runsQuery, q.state);
+
+  const entityId = String(q.entity_id || "").trim();
+  if (entityId) runsQuery = runsQuery.eq("entity_id", entityId);
+  [["scenario", "scenario"], ["outcome_label", "outcome_label"], ["status", "status"]].forEach(([param, column]) => {
+    const values = listParam(q[param]);
+    if (values.length) runsQuery = runsQuery.in(column, values);
+  });
+  const tags = normalizeRunTags(q.tags);
+  if (tags.length) runsQuery = runsQuery.contains("tags", tags);
+
+  const scoreMin = q.score_min === undefined || q.score_min === "" ? null : Number(q.score_min);
+  const scoreMax = q.score_max === undefined || q.score_max === "" ? null : Number(q.score_max);
+  if ((scoreMin != null && !Number.isFinite(scoreMin)) || (scoreMax != null && !Number.isFinite(scoreMax))) {
+    return res.status(400).json({ error: "score_min/score_max must be numbers", code: "BAD_FILTER" });
+  }
+  if (scoreMin != null) runsQuery = runsQuery.gte("score", scoreMin);
+  if (scoreMax != null) runsQuery = runsQuery.lte("score", scoreMax);
+
+  for (const [param, op] of [["from", "gte"], ["to", "lte"]]) {
+    const raw = String(q[param] || "").trim();
+    if (!raw) continue;
+    const ts = Date.parse(raw);
+    if (Number.isNaN(ts)) {
+      return res.status(400).json({ error: `${param} must be a date`, code: "BAD_FILTER" });
+    }
+    // A bare date for `to` means the whole day.
+    const bound = param === "to" && /^\d{4}-\d{2}-\d{2}$/.test(raw) ? ts + 24 * 60 * 60 * 1000 - 1 : ts;
+    runsQuery = runsQuery[op]("created_at", new Date(bound).toISOString());
+  }
+
+  const search = String(q.q || "").trim();
+  if (search) {
+    runsQuery = runsQuery.textSearch("search_tsv", search, { type: "websearch", config: "english" });
+  }
+
+  if (q.cursor) {
+    const cursor = decodeRunsCursor(q.cursor);
+    if (!cursor) return res.status(400).json({ error: "Invalid cursor", code: "BAD_CURSOR" });
+    runsQuery = runsQuery.or(
+      `created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`
+    );
+  }
+
+  const { data, error } = await runsQuery
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(limit + 1);
+
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+
+  const page = (data || []).slice(0, limit);
+  const runs = page.map((r) => ({
+    ...r,
+    report_title: r.analysis_json?.report_title || r.outcome_label || "Call",
+    entity_name: r.entities?.name || "",
+    metrics: runMetrics(r),
+    restore_until: r.deleted_at ? restoreDeadline(r.deleted_at) : null,
+  }));
+
+  res.json({
+    runs,
+    next_cursor: (data || []).length > limit ? encodeRunsCursor(page[page.length - 1]) : null,
+  });
+});
+
+// Distinct tags and outcome labels for the Call Reports filters.
+app.get("/api/run_facets", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .select("tags, outcome_label")
+    .eq("user_id", user.id)
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(2000);
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+
+  const tags = new Set();
+  const outcomes = new Set();
+  (data || []).forEach((r) => {
+    (r.tags || []).forEach((t) => tags.add(t));
+    if (r.outcome_label) outcomes.add(r.outcome_label);
+  });
+  res.json({
+    tags: [...tags].sort(),
+    outcome_labels: [...outcomes].sort(),
+  });
+});
+
+app.post("/api/runs/:id/tags", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const tags = normalizeRunTags(req.body?.tags);
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .update({ tags })
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .select("id, tags")
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ run: data });
+});
+
+app.get("/api/runs/:id", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+
+  if (
+    process.env.NODE_ENV === "test"
+    && process.env.SMOKE_BYPASS_TOKEN
+    && req.headers["x-smoke-bypass"] === process.env.SMOKE_BYPASS_TOKEN
+  ) {
+    return res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, user_id, created_at, scenario, context_text, transcript_text, transcript_lines, transcript_json, transcript_hash, transcript_revision, outcome_label, analysis_json, metrics, rubric_id, analysis_version, audio_path, audio_mimetype, duplicate_of, duplicate_score, tags, archived_at, deleted_at, entity_id")
+    .eq("id", id)
+    .in("user_id", await readableRunUserIds(user.id))
+    .maybeSingle();
+
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(500).json({ error: "Server error", code: "SERVER_ERROR" });
+  }
+  if (!data) {
+    return res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
+  }
+
+  let entityName = "";
+  if (data.entity_id) {
+    const { data: entityRow, error: eErr } = await supabaseAdmin
+      .from("entities")
+      .select("name")
+      .eq("id", data.entity_id)
+      .eq("user_id", data.user_id)
+      .maybeSingle();
+    if (eErr) {
+      if (handleMissingUserId(res, "entities", eErr)) return;
+      return res.status(500).json({ error: "Server error", code: "SERVER_ERROR" });
+    }
+    if (!entityRow) {
+      return res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
+    }
+    entityName = entityRow?.name || "";
+  }
+
+  const run = {
+    ...data,
+    entity_name: entityName,
+    metrics: runMetrics(data),
+    // Managers can open their reps' runs but only the owner can change them.
+    read_only: data.user_id !== user.id,
+  };
+  res.json({ run });
+});
+
+app.post("/api/runs/:id/reassign_entity", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+  const { entity_id: entityId } = req.body || {};
+  if (!entityId) return res.status(400).json({ error: "Missing entity_id" });
+
+  const { data: run, error: rErr } = await supabaseAdmin
+    .from("runs")
+    .select("id")
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (rErr) {
+    if (handleMissingUserId(res, "runs", rErr)) return;
+    return res.status(400).json({ error: rErr.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+
+  const { data: entityRow, error: eErr } = await supabaseAdmin
+    .from("entities")
+    .select("id, name")
+    .eq("id", entityId)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (eErr) {
+    if (handleMissingUserId(res, "entities", eErr)) return;
+    return res.status(400).json({ error: eErr.message });
+  }
+  if (!entityRow) return res.status(404).json({ error: "Not found" });
+
+  const { data: saved, error: uErr } = await supabaseAdmin
+    .from("runs")
+    .update({ entity_id: entityId })
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .select("*")
+    .single();
+  if (uErr) {
+    if (handleMissingUserId(res, "runs", uErr)) return;
+    return res.status(400).json({ error: uErr.message });
+  }
+  const { error: sqErr } = await supabaseAdmin
+    .from("followup_sequences")
+    .update({ entity_id: entityId, updated_at: nowIso() })
+    .eq("user_id", user.id)
+    .eq("run_id", id);
+  if (sqErr) console.warn("[reassign_sequence_failed]", { run_id: id, msg: sqErr.message });
+  await stopSequencesAfterRun(user.id, id);
+  await recheckEntitySequences(user.id, entityId);
+
+  res.json({
+    run: {
+      ...saved,
+      entity_name: entityRow.name || "",
+    },
+  });
+});
+
+app.post("/api/runs/:id/set_name", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+  const name = String(req.body?.name || "").trim();
+
+  if (!name) return res.status(400).json({ error: "Missing name" });
+  if (name.length > 180) return res.status(400).json({ error: "Name too long" });
+  if (/\[[^\]]+\]/.test(name) || /\{[^}]+\}/.test(name) || /\bTBD\b/i.test(name) || /\blorem\b/i.test(name)) {
+    return res.status(400).json({ error: "Invalid name" });
+  }
+
+  const { data: saved, error: uErr } = await supabaseAdmin
+    .from("runs")
+    .update({ name })
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .select()
+    .single();
+
+  if (uErr) {
+    if (handleMissingUserId(res, "runs", uErr)) return;
+    return res.status(400).json({ error: uErr.message });
+  }
+
+  res.json({ run: saved });
+});
+
+app.post("/api/runs/:id/suggest_name", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, scenario, outcome_label, analysis_json, transcript_text, entity_id, entity_name")
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .single();
+
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+
+  let entityName = run.entity_name || "";
+  if (!entityName && run.entity_id) {
+    const { data: ent } = await supabaseAdmin
+      .from("entities")
+      .select("name")
+      .eq("id", run.entity_id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    entityName = ent?.name || "";
+  }
+
+  const displayEntity = (() => {
+    const n = String(entityName || "").trim();
+    if (/^unassigned entity/i.test(n) || /^unspecified entity/i.test(n)) return "Unspecified entity";
+    return n || "Unspecified entity";
+  })();
+  const callLabel = run.analysis_json?.call_result?.label || run.outcome_label || "Report";
+  const fallback = `${displayEntity}  ${callLabel}`.slice(0, 180);
+
+  const snippet = String(run.transcript_text || "").slice(0, 500);
+  const system = `You are Calibrate. Return valid JSON only.`.trim();
+  const prompt = `
+Generate a short report name. Return JSON: { "name": "..." }
+Rules:
+- 38 words max, title-case-ish, not a full sentence.
+- No trailing punctuation.
+- Must not include "Call Report" or "Unassigned Entity".
+- No placeholders like [Name], {company}, TBD, lorem.
+Context:
+entity_name=${entityName}
+scenario=${run.scenario || ""}
+call_result=${callLabel}
+snippet=${snippet}
+`.trim();
+
+  const isValidName = (name) => {
+    const n = String(name || "").trim();
+    if (!n) return false;
+    if (n.length > 180) return false;
+    if (/\[[^\]]+\]/.test(n) || /\{[^}]+\}/.test(n) || /\bTBD\b/i.test(n) || /\blorem\b/i.test(n)) return false;
+    if (/call report/i.test(n)) return false;
+    if (/unassigned entity/i.test(n) || /unspecified entity/i.test(n)) return false;
+    if (/[.!?;:,]\s*$/.test(n)) return false;
+    const words = n.split(/\s+/).filter(Boolean);
+    if (words.length > 38) return false;
+    return true;
+  };
+
+  let name = "";
+  try {
+    const result = await llmJSON(system, prompt, 0.2, "suggest_name");
+    name = String(result?.name || "").trim();
+  } catch {
+    name = "";
+  }
+  if (!isValidName(name)) name = fallback;
+
+  const { data: saved, error: uErr } = await supabaseAdmin
+    .from("runs")
+    .update({ name })
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .select()
+    .single();
+  if (uErr) {
+    if (handleMissingUserId(res, "runs", uErr)) return;
+    return res.status(400).json({ error: uErr.message });
+  }
+  res.json({ run: saved });
+});
+
+app.post("/api/runs/:id/regen_followup", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("*")
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .single();
+
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+
+  const prev = String(run.analysis_json?.follow_up?.text || "").trim();
+  // With a channel, only that channel's draft is rewritten.
+  const onlyChannel = FOLLOWUP_CHANNELS.includes(req.body?.channel) ? req.body.channel : "";
+  if (req.body?.channel && !onlyChannel) {
+    return res.status(400).json({ error: "Unknown channel", code: "FOLLOWUP_CHANNEL_INVALID" });
+  }
+
+  // Ensure we have entity_name when entity_id exists
+  let entityName = run.entity_name || "";
+  let entityOffer = "";
+  if (run.entity_id) {
+    const { data: ent } = await supabaseAdmin
+      .from("entities")
+      .select("name, offer")
+      .eq("id", run.entity_id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (!entityName) entityName = ent?.name || "";
+    entityOffer = ent?.offer || "";
+  }
+  const scenario = run.scenario || "";
+  const callWhy = run.analysis_json?.call_result?.why || "";
+  const topFixes = Array.isArray(run.analysis_json?.top_fixes)
+    ? run.analysis_json.top_fixes
+        .map((f) => f?.title || f?.fix || f?.problem || f?.do_instead || f?.instead || "")
+        .filter(Boolean)
+        .slice(0, 12)
+    : [];
+
+  const checks = createFollowupChecks({ entityName, scenario, contextText: run.context_text || "", topFixes });
+  const { isFollowupValid } = checks;
+
+  const { settings: calendarSettings, error: calendarErr } = await loadCalendarSettings(user.id);
+  if (calendarErr) console.warn("[calendar_settings_load_failed]", { user_id: user.id, msg: calendarErr.message });
+  // Rewriting one channel keeps the times the other drafts already offer.
+  const previousSlots = run.analysis_json?.follow_up?.slots;
+  const slots = onlyChannel && Array.isArray(previousSlots) && previousSlots.length
+    ? previousSlots
+    : proposeSlots(calendarSettings);
+  const slotText = slotOptionsText(slots);
+
+  const buildFallbackFollowup = () => {
+    const topic = entityName || scenario || "your team";
+    const msg = `Hi - thanks again for taking the call about ${topic}. If it makes sense, can we do a quick 10-min follow-up tomorrow or Thursday?`;
+    return msg.slice(0, 1200);
+  };
+
+  const buildFollowupGuidance = () => {
+    const parts = [];
+    if (scenario) parts.push(`Scenario: ${scenario}.`);
+    if (callWhy) parts.push(`Call takeaway: ${String(callWhy).trim()}.`);
+    if (topFixes.length) parts.push(`Top fixes: ${topFixes.join("; ")}.`);
+    const text = parts.join(" ").trim();
+    if (!text) return "";
+    const sentences = text.split(/(?<=[.!?])\s+/).slice(0, 12);
+    return sentences.join(" ").trim();
+  };
+
+  console.log("[regen_followup]", { run_id: id, prev_len: prev.length, entityName, scenario });
+
+  const normalizeText = (text) => (
+    String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+  );
+
+  const buildFallbackFollowupVariant = (seed) => {
+    const topic = entityName || scenario || "your team";
+    const options = [
+      `Hi there - thanks again for the time on ${topic}. Could we set a quick 10-min check-in, ${slotText}?`,
+      `Thanks for the call about ${topic}. If it helps, I can send a brief recap and we can pick a 15-min slot. Does ${slotText} work?`,
+      `Appreciate the conversation around ${topic}. Are you open to a short follow-up? I can do ${slotText}, or share another time that works.`,
+    ];
+    const pick = options[seed % options.length] || options[0];
+    return pick.slice(0, 1200);
+  };
+
+  const system = `You are Calibrate. Return valid JSON only.`.trim();
+  const buildBasePrompt = (nonce) => `
+Write a concise follow-up message from the SALES REP to the PROSPECT.
+Return JSON: { "follow_up": { "text": string, "agenda": string[] } }
+Rules:
+- One message only, no analysis.
+- <=1200 characters.
+- No placeholders like [Your Name], {company}, TBD, lorem.
+- Do not quote the transcript verbatim or include speaker labels.
+- Professional and direct, with a concrete next step.
+- Write as the sales rep.
+- Mention the offer/company topic (entity_name) explicitly.
+- Offer exactly these meeting times, written as given: ${slotText}.
+- agenda: ${AGENDA_MAX_ITEMS - 2}-${AGENDA_MAX_ITEMS} short items for that meeting, written for the prospect (what you will cover together). No coaching, scores or call outcomes.
+- Do not ask for product/package details or sound like the prospect replying.
+- Do not include personal-life lines (wife/birthday/party/etc).
+- Do not mention internal fixes, diagnostics, scores, call outcomes, or anything like top fixes.
+- The new follow-up MUST be meaningfully different from previous_follow_up (different wording + structure). Do not repeat it.
+Context:
+entity_name=${entityName}
+scenario=${scenario}
+call_why=${callWhy}
+top_fixes=${topFixes.join(" | ")}
+notes=${run.context_text || ""}
+previous_follow_up=${prev}
+regen_nonce=${nonce}
+`.trim();
+
+  const buildRepairPrompt = (nonce) => `
+Fix the follow-up. Return JSON only: { "follow_up": { "text": string, "agenda": string[] } }
+Write the exact text message/email to send to the prospect. Do not write instructions or notes.
+Hard rules: no placeholders, no transcript quotes, no speaker labels, <=1200 chars, one message only.
+Must include a concrete next step and a CTA question offering these meeting times, written as given: ${slotText}.
+agenda: ${AGENDA_MAX_ITEMS - 2}-${AGENDA_MAX_ITEMS} short prospect-facing items for that meeting.
+Must include the entity_name or scenario topic.
+Do not ask for product/package details or sound like the prospect replying.
+Do not include personal-life lines (wife/birthday/party/etc).
+Do not mention internal fixes, diagnostics, scores, call outcomes, or anything like top fixes.
+The new follow-up MUST be meaningfully different from previous_follow_up (different wording + structure). Do not repeat it.
+Context:
+entity_name=${entityName}
+scenario=${scenario}
+call_why=${callWhy}
+top_fixes=${topFixes.join(" | ")}
+notes=${run.context_text || ""}
+previous_follow_up=${prev}
+regen_nonce=${nonce}
+`.trim();
+  let followText = prev;
+  let mode = "kept";
+  let nonce = Date.now();
+  let agenda = normalizeAgenda(run.analysis_json?.follow_up?.agenda);
+  if (!onlyChannel) {
+    followText = "";
+    agenda = [];
+    mode = "ai";
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      nonce = Date.now();
+      try {
+        const result = await llmJSON(system, buildBasePrompt(nonce), 0.2, "regen_followup");
+        followText = String(result?.follow_up?.text || result?.follow_up || "").trim();
+        agenda = normalizeAgenda(result?.follow_up?.agenda);
+        if (!isFollowupValid(followText)) {
+          const repaired = await llmJSON(system, buildRepairPrompt(nonce), 0.2, "regen_followup_repair");
+          followText = String(repaired?.follow_up?.text || repaired?.follow_up || "").trim();
+          agenda = normalizeAgenda(repaired?.follow_up?.agenda);
+        }
+        const normalized = normalizeText(followText);
+        const prevNormalized = normalizeText(prev);
+        if (!isFollowupValid(followText)) continue;
+        if (prevNormalized && normalized === prevNormalized) continue;
+        mode = "ai";
+        break;
+      } catch {
+        followText = "";
+      }
+    }
+    if (!isFollowupValid(followText) || (prev && normalizeText(followText) === normalizeText(prev))) {
+      followText = buildFallbackFollowupVariant(nonce);
+      mode = "fallback";
+    }
+    // Agenda items end up in the invite the prospect sees.
+    agenda = agenda.filter(checks.isAgendaItemClean);
+    if (!agenda.length) agenda = defaultAgenda({ entityName, offer: entityOffer });
+  }
+  console.log("[regen_followup_result]", { run_id: id, mode, len: followText.length });
+
+  const previousChannels = run.analysis_json?.follow_up_channels || {};
+  const sameAsPrevious = (channel, draft) => {
+    const before = previousChannels[channel];
+    if (!before) return false;
+    return FOLLOWUP_CHANNEL_FIELDS[channel].every((k) => normalizeText(before[k]) === normalizeText(draft[k]));
+  };
+  const buildChannelsPrompt = (channels, problems, channelNonce) => `
+Write follow-up drafts from the SALES REP to the PROSPECT, one per channel listed.
+Return JSON only with exactly these keys: ${channels.map((c) => `"${c}"`).join(", ")}.
+Shapes:
+- "email": { "subject": string, "body": string } - subject <=${EMAIL_SUBJECT_MAX} chars, one line, no "Re:"; body opens with a greeting, asks one clear question and proposes a concrete next step, <=${EMAIL_BODY_MAX} chars. No signature name.
+- "sms": { "text": string } - <=${SMS_MAX_CHARS} characters including spaces, one short paragraph, ends with a question.
+- "linkedin": { "text": string } - a direct message, <=${LINKEDIN_MAX_CHARS} chars, friendly greeting, no subject line, asks a question.
+- "voicemail": { "script": string } - words spoken into a voicemail, ${VOICEMAIL_TARGET_SECONDS} seconds at a normal pace (35-50 words), greeting, why you're calling, and a clear callback ask. No links.
+Rules for every channel:
+- Write as the sales rep. No placeholders like [Your Name], {company}, TBD.
+- Name the offer/company topic (entity_name) explicitly.
+- Do not quote the transcript or include speaker labels.
+- Do not mention internal fixes, diagnostics, scores, call outcomes, or anything like top fixes.
+- Do not include personal-life lines.
+- Each channel reads differently; do not paste one message into every channel.
+- Email, SMS and LinkedIn offer these meeting times, written as given: ${slotText}. The voicemail just asks for a callback.
+${Object.keys(problems).length ? `Previous drafts failed these checks, fix them:
+${Object.entries(problems).map(([c, p]) => `- ${c}: ${p.join("; ")}`).join("\n")}
+` : ""}Context:
+entity_name=${entityName}
+entity_offer=${entityOffer}
+scenario=${scenario}
+call_why=${callWhy}
+notes=${run.context_text || ""}
+previous_drafts=${JSON.stringify(Object.fromEntries(channels.map((c) => [c, previousChannels[c] || null])))}
+regen_nonce=${channelNonce}
+`.trim();
+
+  const wantedChannels = onlyChannel ? [onlyChannel] : FOLLOWUP_CHANNELS;
+  const pending = new Set(wantedChannels);
+  const channelProblems = {};
+  const channelDrafts = {};
+  for (let attempt = 0; attempt < 2 && pending.size; attempt += 1) {
+    try {
+      const result = await llmJSON(
+        system,
+        buildChannelsPrompt([...pending], channelProblems, Date.now()),
+        0.3,
+        attempt ? "regen_followup_channels_repair" : "regen_followup_channels"
+      );
+      [...pending].forEach((channel) => {
+        const draft = normalizeChannelDraft(channel, result?.[channel]);
+        const problems = channelDraftProblems(channel, draft, checks);
+        if (!problems.length && sameAsPrevious(channel, draft)) problems.push("repeats the previous draft");
+        if (problems.length) {
+          channelProblems[channel] = problems;
+          return;
+        }
+        channelDrafts[channel] = { ...draft, source: "ai" };
+        pending.delete(channel);
+        delete channelProblems[channel];
+      });
+    } catch (err) {
+      console.warn("[regen_followup_channels_failed]", { run_id: id, msg: String(err?.message || err) });
+    }
+  }
+  wantedChannels.forEach((channel, i) => {
+    if (!pending.has(channel)) return;
+    channelDrafts[channel] = { ...fallbackChannelDraft(channel, { entityName, scenario, times: slotText }, nonce + i), source: "fallback" };
+  });
+  console.log("[regen_followup_channels_result]", {
+    run_id: id,
+    channels: Object.fromEntries(wantedChannels.map((c) => [c, channelDrafts[c].source])),
+    problems: channelProblems,
+  });
+
+  const guidance = buildFollowupGuidance();
+
+  const updated = {
+    ...(run.analysis_json || {}),
+    follow_up: { text: followText, slots, agenda },
+    follow_up_guidance: guidance || "",
+    follow_up_channels: { ...previousChannels, ...channelDrafts },
+  };
+
+  const { data: saved, error: uErr } = await supabaseAdmin
+    .from("runs")
+    .update({ analysis_json: updated })
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .select()
+    .single();
+
+  if (uErr) {
+    if (handleMissingUserId(res, "runs", uErr)) return;
+    return res.status(400).json({ error: uErr.message });
+  }
+  emitWebhookEvent(user.id, "followup.regenerated", {
+    run_id: id,
+    entity_id: run.entity_id || null,
+    channel: onlyChannel || "all",
+    follow_up: updated.follow_up,
+    channels: onlyChannel ? { [onlyChannel]: updated.follow_up_channels[onlyChannel] } : updated.follow_up_channels,
+  });
+  res.json({ run: saved, guidance });
+});
+
+// -------- Meeting invites --------
+
+// An .ics for one of the follow-up's proposed slots (?slot=N, default 0) or
+// any other start time (?start=ISO), lasting the user's meeting length.
+app.get("/api/runs/:id/invite.ics", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, analysis_json, entity_id")
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+
+  const followUp = run.analysis_json?.follow_up || {};
+  let start;
+  let end;
+  if (req.query.start) {
+    start = new Date(String(req.query.start));
+    if (!Number.isFinite(start.getTime())) {
+      return res.status(400).json({ error: "start must be an ISO date-time", code: "INVITE_SLOT_INVALID" });
+    }
+    const { settings } = await loadCalendarSettings(user.id);
+    end = new Date(start.getTime() + settings.meeting_minutes * 60 * 1000);
+  } else {
+    const slots = Array.isArray(followUp.slots) ? followUp.slots : [];
+    if (!slots.length) {
+      return res.status(409).json({ error: "Regenerate the follow-up to get proposed times", code: "INVITE_NO_SLOTS" });
+    }
+    const slot = slots[Number(req.query.slot || 0)];
+    if (!slot) return res.status(400).json({ error: "No such slot", code: "INVITE_SLOT_INVALID" });
+    start = new Date(slot.start);
+    end = new Date(slot.end);
+  }
+
+  let entityName = "";
+  let offer = "";
+  if (run.entity_id) {
+    const { data: ent } = await supabaseAdmin
+      .from("entities")
+      .select("name, offer")
+      .eq("id", run.entity_id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    entityName = ent?.name || "";
+    offer = ent?.offer || "";
+  }
+  const ics = buildIcs({
+    uid: `${run.id}-${start.getTime()}@calibrate`,
+    start,
+    end,
+    summary: `Follow-up call: ${entityName || run.name || "next steps"}`,
+    description: meetingDescription(normalizeAgenda(followUp.agenda), { entityName, offer }),
+    organizerEmail: user.email || "",
+  });
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="follow-up-${start.toISOString().slice(0, 10)}.ics"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.send(ics);
+});
+
+// -------- Follow-up email --------
+// SMTP_MODE=capture delivers to an in-process capture server instead of a real
+// relay so the send flow works offline; GET /api/dev/mail lists what it got.
+// Otherwise sending is on when SMTP_HOST is set. The sender identity is per
+// user (user_settings); the relay is shared, so From is limited to the
+// account's verified email or a domain in SMTP_ALLOWED_FROM_DOMAINS, and sends
+// are capped per user per hour.
+
+const SMTP_MODE = process.env.SMTP_MODE === "capture" ? "capture" : process.env.SMTP_HOST ? "smtp" : "off";
+const SMTP_SECURE = /^(1|true)$/i.test(process.env.SMTP_SECURE || "");
+const SMTP_TRANSPORT = {
+  host: process.env.SMTP_HOST || "",
+  port: Number(process.env.SMTP_PORT || (SMTP_SECURE ? 465 : 587)),
+  secure: SMTP_SECURE,
+  user: process.env.SMTP_USER || "",
+  pass: process.env.SMTP_PASS || "",
+};
+const SMTP_CAPTURE_PORT = Number(process.env.SMTP_CAPTURE_PORT || 2525);
+const SMTP_ALLOWED_FROM_DOMAINS = listParam(process.env.SMTP_ALLOWED_FROM_DOMAINS).map((d) => d.toLowerCase().replace(/^@/, ""));
+const SEND_RATE_LIMIT_PER_HOUR = Number(process.env.SEND_RATE_LIMIT_PER_HOUR || 30);
+const SEND_SUBJECT_MAX = 200;
+const SEND_BODY_MAX = 10000;
+const SENDER_COLUMNS = "sender_name, sender_email, reply_to, bcc_crm";
+
+let smtpCapture = null;
+
+async function startSmtpCapture() {
+  if (SMTP_MODE !== "capture") return;
+  try {
+    smtpCapture = await startCaptureServer({ port: SMTP_CAPTURE_PORT });
+    console.log("[smtp_capture]", { port: smtpCapture.port });
+  } catch (err) {
+    console.warn("[smtp_capture_failed]", { port: SMTP_CAPTURE_PORT, msg: String(err?.message || err) });
+  }
+}
+
+function smtpTransport() {
+  if (SMTP_MODE === "capture") return smtpCapture ? { host: "127.0.0.1", port: smtpCapture.port } : null;
+  return SMTP_MODE === "smtp" ? SMTP_TRANSPORT : null;
+}
+
+async function loadSenderSettings(userId) {
+  const { data, error } = await supabaseAdmin
+    .from("user_settings")
+    .select(SENDER_COLUMNS)
+    .eq("user_id", userId)
+    .maybeSingle();
+  return { sender: data || { sender_name: null, sender_email: null, reply_to: null, bcc_crm: null }, error };
+}
+
+function verifiedAccountEmail(user) {
+  return user?.email && (user.email_confirmed_at || user.is_smoke) ? String(user.email).toLowerCase() : "";
+}
+
+// From must be the account's own verified address or on an allowed domain.
+function isAllowedSender(user, email) {
+  const address = String(email || "").trim().toLowerCase();
+  if (!address) return false;
+  if (address === verifiedAccountEmail(user)) return true;
+  return SMTP_ALLOWED_FROM_DOMAINS.includes(address.split("@")[1]);
+}
+
+function senderNotAllowedMessage() {
+  return SMTP_ALLOWED_FROM_DOMAINS.length
+    ? `From must be your verified account email or an address at ${SMTP_ALLOWED_FROM_DOMAINS.join(", ")}`
+    : "From must be your verified account email";
+}
+
+// Returns { value } with the sender columns, or { error, code }. Blank clears a
+// field.
+function normalizeSenderSettings(input = {}, user) {
+  const value = {};
+  const text = (v, max) => String(v ?? "").replace(/[\r\n]+/g, " ").trim().slice(0, max) || null;
+  value.sender_name = text(input.sender_name, 120);
+  for (const key of ["sender_email", "reply_to", "bcc_crm"]) {
+    value[key] = text(input[key], 254);
+    if (value[key] && !isEmailAddress(value[key])) return { error: `${key} is not an email address`, code: "SETTINGS_INVALID" };
+  }
+  if (value.sender_email && !isAllowedSender(user, value.sender_email)) {
+    return { error: senderNotAllowedMessage(), code: "SENDER_NOT_ALLOWED" };
+  }
+  return { value };
+}
+
+// Sends (failed ones included) in the last hour.
+async function recentSendCount(userId) {
+  const { count, error } = await supabaseAdmin
+    .from("followup_sends")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .gte("created_at", new Date(Date.now() - 3600 * 1000).toISOString());
+  return { count: count || 0, error };
+}
+
+app.post("/api/settings/sender", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { value, error: vErr, code } = normalizeSenderSettings(req.body || {}, user);
+  if (vErr) return res.status(400).json({ error: vErr, code });
+  const { data, error } = await supabaseAdmin
+    .from("user_settings")
+    .upsert({ user_id: user.id, ...value, updated_at: nowIso() }, { onConflict: "user_id" })
+    .select(SENDER_COLUMNS)
+    .single();
+  if (error) {
+    if (handleMissingUserId(res, "user_settings", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ sender: data });
+});
+
+app.get("/api/runs/:id/sends", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data, error } = await supabaseAdmin
+    .from("followup_sends")
+    .select("id, channel, to_email, from_email, reply_to, bcc, subject, body, status, transport, error_text, created_at")
+    .eq("run_id", req.params.id)
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false })
+    .limit(50);
+  if (error) {
+    if (handleMissingUserId(res, "followup_sends", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ sends: data || [] });
+});
+
+// Sends one follow-up email and logs the attempt against the run, failed or
+// not. body: { to, subject, body, channel: "email" | "message", bcc_crm }.
+app.post("/api/runs/:id/send_followup", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const transport = smtpTransport();
+  if (!transport) {
+    return res.status(503).json({ error: "Email sending is not configured on this server", code: "SMTP_NOT_CONFIGURED" });
+  }
+  const to = String(req.body?.to || "").trim();
+  const subject = String(req.body?.subject || "").replace(/[\r\n]+/g, " ").trim();
+  const text = String(req.body?.body || "").replace(/\r\n/g, "\n").trim();
+  const channel = req.body?.channel === "message" ? "message" : "email";
+  if (!isEmailAddress(to)) return res.status(400).json({ error: "Recipient is not an email address", code: "SEND_INVALID" });
+  if (!subject || subject.length > SEND_SUBJECT_MAX) {
+    return res.status(400).json({ error: `Subject is required (max ${SEND_SUBJECT_MAX} characters)`, code: "SEND_INVALID" });
+  }
+  if (!text || text.length > SEND_BODY_MAX) {
+    return res.status(400).json({ error: `Message is required (max ${SEND_BODY_MAX} characters)`, code: "SEND_INVALID" });
+  }
+
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id")
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+
+  const { sender, error: sErr } = await loadSenderSettings(user.id);
+  if (sErr) console.warn("[sender_settings_load_failed]", { user_id: user.id, msg: sErr.message });
+  const fromEmail = sender.sender_email || user.email || "";
+  if (!isEmailAddress(fromEmail)) {
+    return res.status(400).json({ error: "Set a sender email in Settings first", code: "SENDER_NOT_CONFIGURED" });
+  }
+  // Checked again here: the setting may predate the rule or the allowed domains.
+  if (!isAllowedSender(user, fromEmail)) {
+    return res.status(403).json({ error: senderNotAllowedMessage(), code: "SENDER_NOT_ALLOWED" });
+  }
+  const { count: sentLastHour, error: cErr } = await recentSendCount(user.id);
+  if (cErr) {
+    if (handleMissingUserId(res, "followup_sends", cErr)) return;
+    return res.status(400).json({ error: cErr.message });
+  }
+  if (sentLastHour >= SEND_RATE_LIMIT_PER_HOUR) {
+    console.warn("[followup_send_rate_limited]", { user_id: user.id, run_id: run.id, sent_last_hour: sentLastHour });
+    return res.status(429).json({
+      error: `Send limit reached (${SEND_RATE_LIMIT_PER_HOUR} emails per hour). Try again later.`,
+      code: "SEND_RATE_LIMITED",
+    });
+  }
+  const bcc = req.body?.bcc_crm === false ? null : sender.bcc_crm || null;
+  const messageId = newMessageId(fromEmail);
+  const message = buildMessage({
+    fromEmail,
+    fromName: sender.sender_name || "",
+    to: [to],
+    replyTo: sender.reply_to || "",
+    subject,
+    text,
+    messageId,
+  });
+
+  let result = null;
+  let sendErr = null;
+  try {
+    result = await sendMail(transport, { from: fromEmail, recipients: bcc ? [to, bcc] : [to], message });
+  } catch (err) {
+    sendErr = err;
+    console.warn("[followup_send_failed]", { run_id: run.id, msg: truncateErrorText(err, 200) });
+  }
+
+  const { data: logged, error: lErr } = await supabaseAdmin
+    .from("followup_sends")
+    .insert({
+      run_id: run.id,
+      user_id: user.id,
+      channel,
+      to_email: to,
+      from_email: fromEmail,
+      reply_to: sender.reply_to || null,
+      bcc,
+      subject,
+      body: text,
+      message_id: messageId,
+      status: sendErr ? "failed" : "sent",
+      transport: SMTP_MODE === "capture" ? "capture" : "smtp",
+      smtp_response: result?.response || null,
+      error_text: sendErr ? truncateErrorText(sendErr) : null,
+    })
+    .select("id, channel, to_email, from_email, reply_to, bcc, subject, body, status, transport, error_text, created_at")
+    .single();
+  if (lErr) console.warn("[followup_send_log_failed]", { run_id: run.id, msg: lErr.message });
+  if (sendErr) {
+    return res.status(502).json({ error: truncateErrorText(sendErr, 200), code: "SMTP_SEND_FAILED", send: logged || null });
+  }
+  const sentAt = logged?.created_at || nowIso();
+  const { error: uErr } = await supabaseAdmin
+    .from("runs")
+    .update({ followup_sent_at: sentAt })
+    .eq("id", run.id)
+    .eq("user_id", user.id);
+  if (uErr) console.warn("[followup_sent_at_failed]", { run_id: run.id, msg: uErr.message });
+  console.log("[followup_sent]", { run_id: run.id, channel, transport: SMTP_MODE, bcc: !!bcc });
+  res.json({ send: logged, followup_sent_at: sentAt });
+});
+
+// Development only: what the capture server received for the caller's own
+// sends, newest first.
+app.get("/api/dev/mail", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  if (!smtpCapture || process.env.NODE_ENV === "production") return res.status(404).json({ error: "Not found" });
+  const { data, error } = await supabaseAdmin
+    .from("followup_sends")
+    .select("message_id")
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false })
+    .limit(200);
+  if (error) {
+    if (handleMissingUserId(res, "followup_sends", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  const own = new Set((data || []).map((r) => r.message_id).filter(Boolean));
+  res.json({
+    messages: smtpCapture.messages().filter((m) => own.has(m.message_id)).map(({ raw: _raw, ...m }) => m),
+  });
+});
+
+// -------- Follow-up sequences --------
+
+const SEQUENCE_TOUCH_COLUMNS = "id, position, day_offset, due_date, channel, subject, body, goal, source, status, status_at";
+const SEQUENCE_COLUMNS = "id, run_id, entity_id, status, stop_reason, stopped_by_run_id, stopped_at, created_at, updated_at";
+const SEQUENCE_CLOSING_SCAN_RUNS = 200;
+
+// The first run for the entity after `afterIso` whose outcome ends the cadence.
+async function findClosingRun(userId, entityId, afterIso) {
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, outcome_label, created_at")
+    .eq("user_id", userId)
+    .eq("entity_id", entityId)
+    .eq("status", "complete")
+    .is("deleted_at", null)
+    .gt("created_at", afterIso)
+    .order("created_at", { ascending: true })
+    .limit(SEQUENCE_CLOSING_SCAN_RUNS);
+  if (error) return { error };
+  const run = (data || []).find((r) => sequenceStopReason(r.outcome_label));
+  return { run: run ? { ...run, stop_reason: sequenceStopReason(run.outcome_label) } : null };
+}
+
+// Called whenever a run completes or changes outcome or entity: a booked or
+// not-interested call stops the active sequences of earlier calls to the same
+// entity. Never throws; a failure here must not fail the run.
+async function stopSequencesAfterRun(userId, runId) {
+  try {
+    const { data: run, error } = await supabaseAdmin
+      .from("runs")
+      .select("id, entity_id, outcome_label, created_at, status")
+      .eq("id", runId)
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!run?.entity_id || run.status !== "complete") return;
+    const reason = sequenceStopReason(run.outcome_label);
+    if (!reason) return;
+    const { data: stopped, error: sErr } = await supabaseAdmin
+      .from("followup_sequences")
+      .update({ status: "stopped", stop_reason: reason, stopped_by_run_id: run.id, stopped_at: nowIso(), updated_at: nowIso() })
+      .eq("user_id", userId)
+      .eq("entity_id", run.entity_id)
+      .eq("status", "active")
+      .lt("run_created_at", run.created_at)
+      .select("id");
+    if (sErr) throw sErr;
+    if (stopped?.length) {
+      console.warn("[sequences_stopped]", { user_id: userId, run_id: run.id, reason, sequence_ids: stopped.map((s) => s.id) });
+    }
+  } catch (err) {
+    console.warn("[sequences_stop_failed]", { user_id: userId, run_id: runId, msg: String(err?.message || err) });
+  }
+}
+
+// Stops every active sequence of the entity that a later booked or
+// not-interested run already closes. Used when runs change entity: after a
+// merge, a run from one source can close a sequence from another. Never throws.
+async function recheckEntitySequences(userId, entityId) {
+  try {
+    const { data: active, error } = await supabaseAdmin
+      .from("followup_sequences")
+      .select("id, run_created_at")
+      .eq("user_id", userId)
+      .eq("entity_id", entityId)
+      .eq("status", "active");
+    if (error) throw error;
+    for (const sequence of active || []) {
+      const { run: closing, error: cErr } = await findClosingRun(userId, entityId, sequence.run_created_at);
+      if (cErr) throw cErr;
+      if (!closing) continue;
+      const { error: sErr } = await supabaseAdmin
+        .from("followup_sequences")
+        .update({ status: "stopped", stop_reason: closing.stop_reason, stopped_by_run_id: closing.id, stopped_at: nowIso(), updated_at: nowIso() })
+        .eq("id", sequence.id)
+        .eq("status", "active");
+      if (sErr) throw sErr;
+      console.warn("[sequences_stopped]", { user_id: userId, run_id: closing.id, reason: closing.stop_reason, sequence_ids: [sequence.id] });
+    }
+  } catch (err) {
+    console.warn("[sequences_stop_failed]", { user_id: userId, entity_id: entityId, msg: String(err?.message || err) });
+  }
+}
+
+async function loadRunSequence(userId, runId) {
+  const { data: sequence, error } = await supabaseAdmin
+    .from("followup_sequences")
+    .select(SEQUENCE_COLUMNS)
+    .eq("run_id", runId)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error || !sequence) return { sequence: null, touches: [], error };
+  const { data: touches, error: tErr } = await supabaseAdmin
+    .from("followup_touches")
+    .select(SEQUENCE_TOUCH_COLUMNS)
+    .eq("sequence_id", sequence.id)
+    .order("position", { ascending: true });
+  return { sequence, touches: touches || [], error: tErr };
+}
+
+app.get("/api/runs/:id/sequence", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { sequence, touches, error } = await loadRunSequence(user.id, req.params.id);
+  if (error) {
+    if (handleMissingUserId(res, "followup_sequences", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ sequence, touches });
+});
+
+// Generates (or with replace, regenerates) the run's cadence. Day offsets count
+// from the call date.
+app.post("/api/runs/:id/sequence", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, created_at, status, scenario, context_text, outcome_label, analysis_json, entity_id")
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+  if (run.status && run.status !== "complete") {
+    return res.status(409).json({ error: "Run is not complete", code: "RUN_NOT_COMPLETE" });
+  }
+
+  const notNeeded = (reason) => res.status(409).json({
+    error: reason === "booked" ? "A meeting is already booked for this prospect" : "The prospect said they are not interested",
+    code: "SEQUENCE_NOT_NEEDED",
+  });
+  const ownReason = sequenceStopReason(run.outcome_label || run.analysis_json?.call_result?.label);
+  if (ownReason) return notNeeded(ownReason);
+  if (run.entity_id) {
+    const { run: closing, error: cErr } = await findClosingRun(user.id, run.entity_id, run.created_at);
+    if (cErr) return res.status(400).json({ error: cErr.message });
+    if (closing) return notNeeded(closing.stop_reason);
+  }
+
+  const existing = await loadRunSequence(user.id, run.id);
+  if (existing.error) {
+    if (handleMissingUserId(res, "followup_sequences", existing.error)) return;
+    return res.status(400).json({ error: existing.error.message });
+  }
+  if (existing.sequence && existing.touches.some((t) => t.status !== "pending") && !req.body?.replace) {
+    return res.status(409).json({ error: "Some touches are already sent or skipped", code: "SEQUENCE_STARTED" });
+  }
+
+  let entityName = "";
+  let entityOffer = "";
+  if (run.entity_id) {
+    const { data: ent } = await supabaseAdmin
+      .from("entities")
+      .select("name, offer")
+      .eq("id", run.entity_id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    entityName = ent?.name || "";
+    entityOffer = ent?.offer || "";
+  }
+  const a = run.analysis_json || {};
+  const callWhy = String(a.call_result?.why || "").trim();
+  const topFixes = (Array.isArray(a.top_fixes) ? a.top_fixes : [])
+    .map((f) => f?.title || f?.fix || f?.problem || f?.do_instead || f?.instead || "")
+    .filter(Boolean)
+    .slice(0, 12);
+  const checks = createFollowupChecks({ entityName, scenario: run.scenario || "", contextText: run.context_text || "", topFixes });
+  const context = { entityName, scenario: run.scenario || "" };
+
+  const system = `You are Calibrate. Return valid JSON only.`;
+  const buildPrompt = (problems) => `
+Plan the follow-up sequence a SALES REP runs after this call. Return JSON only:
+{ "touches": [{ "day": number, "channel": "email" | "sms" | "linkedin" | "call", "subject": string, "body": string, "goal": string }] }
+Rules:
+- ${SEQUENCE_MIN_TOUCHES}-${SEQUENCE_MAX_TOUCHES} touches in send order. day = days after the call (0 = the call day), never decreasing, at most ${SEQUENCE_MAX_DAY}.
+- Use at least two channels.
+- Ground the sequence in why the call ended the way it did (call_why) and what is being offered (entity_offer). Every touch adds something new - a reason, an answer to what held them back, a concrete next step - never "just checking in".
+- goal: one short phrase saying what the touch is for.
+- email: subject <=${EMAIL_SUBJECT_MAX} chars; body opens with a greeting, asks a question, proposes a next step.
+- sms: body <=${SMS_MAX_CHARS} characters, ends with a question.
+- linkedin: body <=${LINKEDIN_MAX_CHARS} chars, greeting, asks a question.
+- call: body is the voicemail to leave if nobody answers, 35-50 words, greeting and a callback ask.
+- subject only for email; use "" otherwise.
+- Write as the sales rep. Name the offer/company topic (entity_name). No placeholders like [Your Name], {company}, TBD.
+- Do not quote the transcript, and do not mention internal fixes, scores, call outcomes or coaching.
+${problems ? `The previous plan failed these checks, fix them:\n${problems}\n` : ""}Context:
+entity_name=${entityName}
+entity_offer=${entityOffer}
+scenario=${run.scenario || ""}
+call_result=${a.call_result?.label || run.outcome_label || ""}
+call_why=${callWhy}
+notes=${run.context_text || ""}
+`.trim();
+
+  let touches = null;
+  let problems = {};
+  let feedback = "";
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const result = await llmJSON(system, buildPrompt(feedback), 0.3, attempt ? "sequence_repair" : "sequence");
+      const out = normalizeSequenceTouches(result, checks);
+      if (out.touches) {
+        touches = out.touches;
+        problems = out.problems;
+        if (!Object.keys(problems).length) break;
+      } else if (!touches) {
+        problems = out.problems;
+      }
+      feedback = Object.entries(problems)
+        .map(([k, p]) => `- ${k === "cadence" ? "cadence" : `touch ${Number(k) + 1}`}: ${p.join("; ")}`)
+        .join("\n");
+    } catch (err) {
+      console.warn("[sequence_generate_failed]", { run_id: run.id, msg: String(err?.message || err) });
+    }
+  }
+  const seed = Date.now();
+  const planned = touches
+    ? touches.map((t, i) => (problems[i]
+      ? { ...t, ...fallbackTouchMessage(t.channel, context, seed + i), source: "fallback" }
+      : { ...t, source: "ai" }))
+    : fallbackSequence(context, seed).map((t) => ({ ...t, source: "fallback" }));
+
+  if (existing.sequence) {
+    const { error: dErr } = await supabaseAdmin.from("followup_sequences").delete().eq("id", existing.sequence.id);
+    if (dErr) return res.status(400).json({ error: dErr.message });
+  }
+  const { data: sequence, error: sErr } = await supabaseAdmin
+    .from("followup_sequences")
+    .insert({ user_id: user.id, run_id: run.id, entity_id: run.entity_id || null, run_created_at: run.created_at })
+    .select(SEQUENCE_COLUMNS)
+    .single();
+  if (sErr) {
+    if (handleMissingUserId(res, "followup_sequences", sErr)) return;
+    return res.status(400).json({ error: sErr.message });
+  }
+  const startDate = String(run.created_at).slice(0, 10);
+  const { data: saved, error: tErr } = await supabaseAdmin
+    .from("followup_touches")
+    .insert(planned.map((t, i) => ({
+      sequence_id: sequence.id,
+      user_id: user.id,
+      run_id: run.id,
+      position: i + 1,
+      day_offset: t.day_offset,
+      due_date: addDays(startDate, t.day_offset),
+      channel: t.channel,
+      subject: t.subject || null,
+      body: t.body,
+      goal: t.goal || null,
+      source: t.source,
+    })))
+    .select(SEQUENCE_TOUCH_COLUMNS);
+  if (tErr) {
+    await supabaseAdmin.from("followup_sequences").delete().eq("id", sequence.id);
+    return res.status(400).json({ error: tErr.message });
+  }
+  console.log("[sequence_generated]", {
+    run_id: run.id,
+    touches: planned.length,
+    mode: touches ? "ai" : "fallback",
+    fallback_touches: planned.filter((t) => t.source === "fallback").length,
+  });
+  res.json({ sequence, touches: (saved || []).sort((x, y) => x.position - y.position) });
+});
+
+app.post("/api/runs/:id/sequence/stop", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data, error } = await supabaseAdmin
+    .from("followup_sequences")
+    .update({ status: "stopped", stop_reason: "manual", stopped_at: nowIso(), updated_at: nowIso() })
+    .eq("run_id", req.params.id)
+    .eq("user_id", user.id)
+    .eq("status", "active")
+    .select(SEQUENCE_COLUMNS)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "followup_sequences", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!data) return res.status(404).json({ error: "Not found" });
+  res.json({ sequence: data });
+});
+
+// A sequence completes once no touch is pending, and reopens if one is undone.
+app.post("/api/followup_touches/:id/status", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const status = String(req.body?.status || "");
+  if (!TOUCH_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be ${TOUCH_STATUSES.join(", ")}`, code: "TOUCH_INVALID" });
+  }
+  const { data: touch, error } = await supabaseAdmin
+    .from("followup_touches")
+    .update({ status, status_at: status === "pending" ? null : nowIso() })
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .select(`${SEQUENCE_TOUCH_COLUMNS}, sequence_id`)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "followup_touches", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!touch) return res.status(404).json({ error: "Not found" });
+
+  const { count, error: cErr } = await supabaseAdmin
+    .from("followup_touches")
+    .select("id", { count: "exact", head: true })
+    .eq("sequence_id", touch.sequence_id)
+    .eq("status", "pending");
+  if (cErr) return res.status(400).json({ error: cErr.message });
+  const [from, to] = count ? ["completed", "active"] : ["active", "completed"];
+  const { data: sequence, error: sErr } = await supabaseAdmin
+    .from("followup_sequences")
+    .update({ status: to, updated_at: nowIso() })
+    .eq("id", touch.sequence_id)
+    .eq("status", from)
+    .select(SEQUENCE_COLUMNS)
+    .maybeSingle();
+  if (sErr) return res.status(400).json({ error: sErr.message });
+  const { sequence_id: sequenceId, ...rest } = touch;
+  res.json({ touch: rest, sequence_id: sequenceId, sequence_status: sequence?.status || null });
+});
+
+// Pending touches of active sequences due on or before `date` (the caller's
+// local YYYY-MM-DD; defaults to today in UTC), oldest first.
+app.get("/api/followup_touches/due", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.date || ""))
+    ? String(req.query.date)
+    : new Date().toISOString().slice(0, 10);
+  const { data, error } = await supabaseAdmin
+    .from("followup_touches")
+    .select(`${SEQUENCE_TOUCH_COLUMNS}, run_id, followup_sequences!inner(status), runs(name, entity_id, entities(name))`)
+    .eq("user_id", user.id)
+    .eq("status", "pending")
+    .eq("followup_sequences.status", "active")
+    .lte("due_date", date)
+    .order("due_date", { ascending: true })
+    .order("position", { ascending: true })
+    .limit(200);
+  if (error) {
+    if (handleMissingUserId(res, "followup_touches", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({
+    date,
+    touches: (data || []).map(({ followup_sequences: _sequence, runs, ...t }) => ({
+      ...t,
+      run_name: runs?.name || "",
+      entity_id: runs?.entity_id || null,
+      entity_name: runs?.entities?.name || "",
+      overdue: t.due_date < date,
+    })),
+  });
+});
+
+// -------- Re-analysis + analysis versions --------
+
+// The run's analysis before its first re-analysis becomes version 1.
+async function ensureBaseAnalysisVersion(run, userId) {
+  const { data: existing, error } = await supabaseAdmin
+    .from("run_analysis_versions")
+    .select("version")
+    .eq("run_id", run.id)
+    .eq("user_id", userId)
+    .order("version", { ascending: false })
+    .limit(1);
+  if (error) throw new Error(error.message);
+  if (existing?.length) return existing[0].version;
+  if (!run.analysis_json) return 0;
+  // A concurrent re-analysis may have saved the original already.
+  const { error: insErr } = await supabaseAdmin
+    .from("run_analysis_versions")
+    .upsert([
+      {
+        run_id: run.id,
+        user_id: userId,
+        version: 1,
+        analysis_json: run.analysis_json,
+        outcome_label: run.outcome_label || null,
+        context_text: run.context_text || "",
+        prompt_version: run.analysis_json?.prompt_version || "v1",
+        rubric_id: run.rubric_id || null,
+        source: "original",
+      },
+    ], { onConflict: "run_id,version", ignoreDuplicates: true });
+  if (insErr) throw new Error(insErr.message);
+  return 1;
+}
+
+const ANALYSIS_VERSION_RESERVE_TRIES = 5;
+
+// Claims the next version number with a placeholder row (source "pending")
+// before the model is called, so concurrent re-analyses of one run never hit
+// the unique index after the call has been paid for.
+async function reserveAnalysisVersion(runId, userId, baseVersion) {
+  let version = baseVersion + 1;
+  for (let i = 0; i < ANALYSIS_VERSION_RESERVE_TRIES; i += 1) {
+    const { data, error } = await supabaseAdmin
+      .from("run_analysis_versions")
+      .insert([{ run_id: runId, user_id: userId, version, analysis_json: {}, source: "pending" }])
+      .select("id")
+      .single();
+    if (!error) return { id: data.id, version };
+    if (String(error.code) !== "23505") throw new Error(error.message);
+    const { data: top, error: tErr } = await supabaseAdmin
+      .from("run_analysis_versions")
+      .select("version")
+      .eq("run_id", runId)
+      .order("version", { ascending: false })
+      .limit(1);
+    if (tErr) throw new Error(tErr.message);
+    version = Math.max(version, top?.[0]?.version || 0) + 1;
+  }
+  throw new Error("Too many re-analyses of this run at once; try again");
+}
+
+function summarizeAnalysisVersion(row, currentVersion) {
+  const a = row.analysis_json || {};
+  return {
+    version: row.version,
+    created_at: row.created_at,
+    source: row.source,
+    prompt_version: row.prompt_version || a.prompt_version || null,
+    rubric_id: row.rubric_id || null,
+    rubric_name: a.rubric?.name || null,
+    outcome_label: row.outcome_label || a.call_result?.label || null,
+    score: Number.isFinite(Number(a.score)) ? Number(a.score) : null,
+    context_text: row.context_text || "",
+    is_current: row.version === currentVersion,
+  };
+}
+
+app.post("/api/runs/:id/reanalyze", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, status, scenario, context_text, transcript_text, transcript_lines, outcome_label, analysis_json, analysis_version, rubric_id, entity_id, metrics")
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+  if (run.status && run.status !== "complete") {
+    return res.status(409).json({ error: "Run is not complete", code: "RUN_NOT_COMPLETE" });
+  }
+  const transcriptLines = Array.isArray(run.transcript_lines) ? run.transcript_lines : [];
+  if (!transcriptLines.length) {
+    return res.status(400).json({ error: "Run has no transcript lines", code: "NO_TRANSCRIPT" });
+  }
+
+  const body = req.body || {};
+  const context = typeof body.context === "string" ? body.context.trim() : run.context_text || "";
+  const promptVersion = String(body.prompt_version || ANALYSIS_PROMPT_VERSION).trim();
+  if (!ANALYSIS_PROMPT_VERSIONS.includes(promptVersion)) {
+    return res.status(400).json({
+      error: `Unknown prompt_version (use ${ANALYSIS_PROMPT_VERSIONS.join(", ")})`,
+      code: "BAD_PROMPT_VERSION",
+    });
+  }
+
+  // rubric_id: omitted = resolve as for a new upload, "none" = model score only.
+  let rubric;
+  const rubricId = body.rubric_id == null ? "" : String(body.rubric_id).trim();
+  if (rubricId === "none") {
+    rubric = null;
+  } else if (rubricId) {
+    const { data: rubricRow, error: rErr } = await supabaseAdmin
+      .from("rubrics")
+      .select("id, name, scenario, entity_id, criteria")
+      .eq("id", rubricId)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (rErr) {
+      if (handleMissingUserId(res, "rubrics", rErr)) return;
+      return res.status(400).json({ error: rErr.message });
+    }
+    if (!rubricRow) return res.status(404).json({ error: "Not found" });
+    rubric = rubricRow;
+  }
+
+  let reserved = null;
+  try {
+    const baseVersion = await ensureBaseAnalysisVersion(run, user.id);
+    reserved = await reserveAnalysisVersion(id, user.id, baseVersion);
+    const nextVersion = reserved.version;
+    const progress = (name, data = {}) => emitRunEvent(id, user.id, "substep", {
+      step: "reanalyzing",
+      name,
+      ...data,
+    });
+    progress("started", { version: nextVersion });
+
+    const result = await analyzeTranscript({
+      userId: user.id,
+      transcriptText: run.transcript_text || transcriptLines.map((l) => l.text).join(" "),
+      transcriptLines,
+      context,
+      scenario: run.scenario || "",
+      entityId: run.entity_id,
+      artifactRoot: `artifacts/${id}/analysis_v${nextVersion}`,
+      rubric,
+      promptVersion,
+      metrics: run.metrics || computeConversationMetrics(transcriptLines),
+      progress,
+    });
+
+    const { error: vErr } = await supabaseAdmin
+      .from("run_analysis_versions")
+      .update({
+        analysis_json: result.analysis,
+        outcome_label: result.outcomeLabel,
+        context_text: context,
+        prompt_version: promptVersion,
+        rubric_id: result.rubric?.id || null,
+        source: "reanalyze",
+      })
+      .eq("id", reserved.id);
+    if (vErr) throw new Error(vErr.message);
+    reserved = null;
+
+    const { data: saved, error: uErr } = await supabaseAdmin
+      .from("runs")
+      .update({
+        analysis_json: result.analysis,
+        outcome_label: result.outcomeLabel,
+        context_text: context,
+        rubric_id: result.rubric?.id || null,
+        analysis_version: nextVersion,
+      })
+      .eq("id", id)
+      .eq("user_id", user.id)
+      .select("*")
+      .single();
+    if (uErr) throw new Error(uErr.message);
+
+    console.log("[reanalyze]", {
+      run_id: id,
+      version: nextVersion,
+      prompt_version: promptVersion,
+      rubric_id: result.rubric?.id || null,
+      repair_used: result.repairUsed,
+      fallback_used: result.fallbackUsed,
+    });
+    emitRunEvent(id, user.id, "summary", buildRunSummary(saved));
+    await stopSequencesAfterRun(user.id, id);
+    res.json({ run: { ...saved, metrics: runMetrics(saved) }, version: nextVersion });
+  } catch (err) {
+    if (reserved) {
+      const { error: dErr } = await supabaseAdmin.from("run_analysis_versions").delete().eq("id", reserved.id);
+      if (dErr) console.warn("[reanalyze_release_failed]", { run_id: id, version: reserved.version, error: dErr.message });
+    }
+    console.warn("[reanalyze_failed]", { run_id: id, error: truncateErrorText(err, 200) });
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+});
+
+app.get("/api/runs/:id/analysis_versions", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, analysis_version")
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+
+  const { data, error: vErr } = await supabaseAdmin
+    .from("run_analysis_versions")
+    .select("*")
+    .eq("run_id", id)
+    .eq("user_id", user.id)
+    .neq("source", "pending")
+    .order("version", { ascending: false });
+  if (vErr) {
+    if (handleMissingUserId(res, "run_analysis_versions", vErr)) return;
+    return res.status(400).json({ error: vErr.message });
+  }
+
+  const currentVersion = run.analysis_version || 1;
+  const includeJson = req.query.include === "analysis";
+  res.json({
+    current_version: currentVersion,
+    prompt_versions: ANALYSIS_PROMPT_VERSIONS,
+    default_prompt_version: ANALYSIS_PROMPT_VERSION,
+    versions: (data || []).map((row) => ({
+      ...summarizeAnalysisVersion(row, currentVersion),
+      ...(includeJson ? { analysis_json: row.analysis_json } : {}),
+    })),
+  });
+});
+
+app.post("/api/runs/:id/analysis_versions/:version/activate", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: "Invalid version" });
+  }
+  const { data: row, error } = await supabaseAdmin
+    .from("run_analysis_versions")
+    .select("*")
+    .eq("run_id", id)
+    .eq("user_id", user.id)
+    .eq("version", version)
+    .neq("source", "pending")
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "run_analysis_versions", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!row) return res.status(404).json({ error: "Not found" });
+
+  const { data: saved, error: uErr } = await supabaseAdmin
+    .from("runs")
+    .update({
+      analysis_json: row.analysis_json,
+      outcome_label: row.outcome_label,
+      context_text: row.context_text,
+      rubric_id: row.rubric_id || null,
+      analysis_version: version,
+    })
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .select("*")
+    .single();
+  if (uErr) {
+    if (handleMissingUserId(res, "runs", uErr)) return;
+    return res.status(400).json({ error: uErr.message });
+  }
+  res.json({ run: { ...saved, metrics: runMetrics(saved) } });
+});
+
+// -------- Call audio --------
+
+const AUDIO_URL_TTL_S = Number(process.env.AUDIO_URL_TTL_S || 60 * 60);
+
+app.get("/api/runs/:id/audio_url", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, audio_path, audio_mimetype")
+    .eq("id", req.params.id)
+    .in("user_id", await readableRunUserIds(user.id))
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
+  if (!run.audio_path) {
+    return res.status(404).json({ error: "No audio stored for this run", code: "NO_AUDIO" });
+  }
+
+  const { data, error: sErr } = await supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .createSignedUrl(run.audio_path, AUDIO_URL_TTL_S);
+  if (sErr || !data?.signedUrl) {
+    return res.status(502).json({ error: "Could not sign audio URL", code: "AUDIO_SIGN_FAILED" });
+  }
+  res.json({
+    url: data.signedUrl,
+    mimetype: run.audio_mimetype || null,
+    expires_at: new Date(Date.now() + AUDIO_URL_TTL_S * 1000).toISOString(),
+  });
+});
+
+// -------- Archive, delete and restore --------
+// Archived rows are hidden from default lists but kept indefinitely.
+// Deleted rows are hidden everywhere and can be restored for
+// RESTORE_WINDOW_DAYS; after that the sweeper purges them for good.
+
+const RESTORE_WINDOW_DAYS = Number(process.env.RESTORE_WINDOW_DAYS || 30);
+const PURGE_SWEEP_MS = Number(process.env.PURGE_SWEEP_MS || 60 * 60 * 1000);
+
+function restoreDeadline(deletedAt) {
+  return new Date(Date.parse(deletedAt) + RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function applyLifecycleFilter(query, state) {
+  switch (String(state || "active")) {
+    case "archived":
+      return query.is("deleted_at", null).not("archived_at", "is", null);
+    case "deleted":
+      return query.not("deleted_at", "is", null);
+    case "all":
+      return query.is("deleted_at", null);
+    default:
+      return query.is("deleted_at", null).is("archived_at", null);
+  }
+}
+
+// Forces the next playbook request to regenerate while keeping the cached
+// observed_objections it merges into.
+async function invalidatePlaybookCache(userId, entityIds) {
+  const ids = [...new Set((entityIds || []).filter(Boolean))];
+  if (!ids.length) return;
+  const { error } = await supabaseAdmin
+    .from("entity_playbooks")
+    .update({ last_run_created_at: null })
+    .eq("user_id", userId)
+    .in("entity_id", ids);
+  if (error) console.warn("[playbook_cache_invalidate_failed]", { user_id: userId, error: error.message });
+}
+
+async function purgeRuns(userId, runIds) {
+  if (!runIds.length) return;
+  await supabaseAdmin.from("run_jobs").delete().eq("user_id", userId).in("run_id", runIds);
+  const { error } = await supabaseAdmin
+    .from("runs")
+    .delete()
+    .eq("user_id", userId)
+    .in("id", runIds);
+  if (error) throw new Error(error.message);
+  for (const id of runIds) await removeRunArtifacts(id);
+}
+
+async function purgeEntity(userId, entityId) {
+  const { data: runs, error } = await supabaseAdmin
+    .from("runs")
+    .select("id")
+    .eq("user_id", userId)
+    .eq("entity_id", entityId);
+  if (error) throw new Error(error.message);
+  await purgeRuns(userId, (runs || []).map((r) => r.id));
+  await supabaseAdmin.from("entity_playbooks").delete().eq("user_id", userId).eq("entity_id", entityId);
+  const { error: eErr } = await supabaseAdmin
+    .from("entities")
+    .delete()
+    .eq("id", entityId)
+    .eq("user_id", userId);
+  if (eErr) throw new Error(eErr.message);
+}
+
+async function purgeExpiredDeletions() {
+  const cutoff = new Date(Date.now() - RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { data: entities, error } = await supabaseAdmin
+    .from("entities")
+    .select("id, user_id")
+    .lt("deleted_at", cutoff)
+    .limit(50);
+  if (error) throw new Error(error.message);
+  for (const e of entities || []) await purgeEntity(e.user_id, e.id);
+
+  const { data: runs, error: rErr } = await supabaseAdmin
+    .from("runs")
+    .select("id, user_id")
+    .lt("deleted_at", cutoff)
+    .limit(200);
+  if (rErr) throw new Error(rErr.message);
+  const byUser = new Map();
+  (runs || []).forEach((r) => byUser.set(r.user_id, [...(byUser.get(r.user_id) || []), r.id]));
+  for (const [userId, ids] of byUser) await purgeRuns(userId, ids);
+
+  if ((entities || []).length || (runs || []).length) {
+    console.warn("[purge_sweep]", { entities: (entities || []).length, runs: (runs || []).length });
+  }
+}
+
+function startPurgeSweeper() {
+  const sweep = () => purgeExpiredDeletions().catch((err) => {
+    console.warn("[purge_sweep_failed]", { msg: truncateErrorText(err, 200) });
+  });
+  sweep();
+  setInterval(sweep, PURGE_SWEEP_MS).unref();
+}
+
+async function loadLifecycleRow(res, table, id, userId, columns) {
+  const { data, error } = await supabaseAdmin
+    .from(table)
+    .select(`id, archived_at, deleted_at${columns ? `, ${columns}` : ""}`)
+    .eq("id", id)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, table, error)) return null;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+  if (!data) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  return data;
+}
+
+function restoreExpired(row) {
+  return row.deleted_at && Date.parse(restoreDeadline(row.deleted_at)) < Date.now();
+}
+
+app.post("/api/runs/:id/archive", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const run = await loadLifecycleRow(res, "runs", req.params.id, user.id, "status");
+  if (!run) return;
+  if (run.deleted_at) return res.status(409).json({ error: "Run is deleted", code: "RUN_DELETED" });
+
+  const archivedAt = run.archived_at || nowIso();
+  const { error } = await supabaseAdmin
+    .from("runs")
+    .update({ archived_at: archivedAt })
+    .eq("id", run.id)
+    .eq("user_id", user.id);
+  if (error) return res.status(400).json({ error: error.message });
+  res.json({ id: run.id, archived_at: archivedAt });
+});
+
+app.post("/api/runs/:id/delete", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const run = await loadLifecycleRow(res, "runs", req.params.id, user.id, "status, entity_id");
+  if (!run) return;
+  if (run.status === "processing") {
+    return res.status(409).json({ error: "Wait for processing to finish", code: "RUN_NOT_COMPLETE" });
+  }
+
+  const deletedAt = run.deleted_at || nowIso();
+  const { error } = await supabaseAdmin
+    .from("runs")
+    .update({ deleted_at: deletedAt })
+    .eq("id", run.id)
+    .eq("user_id", user.id);
+  if (error) return res.status(400).json({ error: error.message });
+  await invalidatePlaybookCache(user.id, [run.entity_id]);
+  res.json({ id: run.id, deleted_at: deletedAt, restore_until: restoreDeadline(deletedAt) });
+});
+
+app.post("/api/runs/:id/restore", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const run = await loadLifecycleRow(res, "runs", req.params.id, user.id, "entity_id");
+  if (!run) return;
+  if (restoreExpired(run)) {
+    return res.status(410).json({ error: "Restore window has passed", code: "RESTORE_EXPIRED" });
+  }
+
+  const { error } = await supabaseAdmin
+    .from("runs")
+    .update({ archived_at: null, deleted_at: null, merged_into: null })
+    .eq("id", run.id)
+    .eq("user_id", user.id);
+  if (error) return res.status(400).json({ error: error.message });
+  if (run.deleted_at) await invalidatePlaybookCache(user.id, [run.entity_id]);
+  res.json({ id: run.id, restored: true });
+});
+
+app.post("/api/runs/:id/purge", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const run = await loadLifecycleRow(res, "runs", req.params.id, user.id);
+  if (!run) return;
+  if (!run.deleted_at) {
+    return res.status(409).json({ error: "Delete the run before purging it", code: "NOT_DELETED" });
+  }
+  try {
+    await purgeRuns(user.id, [run.id]);
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+  console.warn("[run_purged]", { user_id: user.id, run_id: run.id });
+  res.json({ id: run.id, purged: true });
+});
+
+app.post("/api/entities/:id/archive", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const entity = await loadLifecycleRow(res, "entities", req.params.id, user.id);
+  if (!entity) return;
+  if (entity.deleted_at) return res.status(409).json({ error: "Entity is deleted", code: "ENTITY_DELETED" });
+
+  const archivedAt = entity.archived_at || nowIso();
+  const { error } = await supabaseAdmin
+    .from("entities")
+    .update({ archived_at: archivedAt })
+    .eq("id", entity.id)
+    .eq("user_id", user.id);
+  if (error) return res.status(400).json({ error: error.message });
+  await supabaseAdmin
+    .from("entity_playbooks")
+    .update({ archived_at: archivedAt })
+    .eq("entity_id", entity.id)
+    .eq("user_id", user.id);
+  res.json({ id: entity.id, archived_at: archivedAt });
+});
+
+// Deleting an entity deletes its runs with the same timestamp, so restoring
+// it brings back exactly those runs and not ones deleted separately.
+app.post("/api/entities/:id/delete", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const entity = await loadLifecycleRow(res, "entities", req.params.id, user.id);
+  if (!entity) return;
+  if (entity.deleted_at) {
+    return res.json({ id: entity.id, deleted_at: entity.deleted_at, restore_until: restoreDeadline(entity.deleted_at) });
+  }
+
+  const { data: busy } = await supabaseAdmin
+    .from("runs")
+    .select("id")
+    .eq("user_id", user.id)
+    .eq("entity_id", entity.id)
+    .eq("status", "processing")
+    .limit(1);
+  if (busy?.length) {
+    return res.status(409).json({ error: "Wait for processing runs to finish", code: "RUN_NOT_COMPLETE" });
+  }
+
+  const deletedAt = nowIso();
+  const { error } = await supabaseAdmin
+    .from("entities")
+    .update({ deleted_at: deletedAt })
+    .eq("id", entity.id)
+    .eq("user_id", user.id);
+  if (error) return res.status(400).json({ error: error.message });
+  await supabaseAdmin
+    .from("runs")
+    .update({ deleted_at: deletedAt })
+    .eq("user_id", user.id)
+    .eq("entity_id", entity.id)
+    .is("deleted_at", null);
+  await supabaseAdmin
+    .from("entity_playbooks")
+    .update({ archived_at: deletedAt })
+    .eq("entity_id", entity.id)
+    .eq("user_id", user.id);
+  res.json({ id: entity.id, deleted_at: deletedAt, restore_until: restoreDeadline(deletedAt) });
+});
+
+app.post("/api/entities/:id/restore", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const entity = await loadLifecycleRow(res, "entities", req.params.id, user.id);
+  if (!entity) return;
+  if (restoreExpired(entity)) {
+    return res.status(410).json({ error: "Restore window has passed", code: "RESTORE_EXPIRED" });
+  }
+
+  const { error } = await supabaseAdmin
+    .from("entities")
+    .update({ archived_at: null, deleted_at: null })
+    .eq("id", entity.id)
+    .eq("user_id", user.id);
+  if (error) return res.status(400).json({ error: error.message });
+  if (entity.deleted_at) {
+    await supabaseAdmin
+      .from("runs")
+      .update({ deleted_at: null })
+      .eq("user_id", user.id)
+      .eq("entity_id", entity.id)
+      .eq("deleted_at", entity.deleted_at);
+  }
+  await supabaseAdmin
+    .from("entity_playbooks")
+    .update({ archived_at: null })
+    .eq("entity_id", entity.id)
+    .eq("user_id", user.id);
+  res.json({ id: entity.id, restored: true });
+});
+
+app.post("/api/entities/:id/purge", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const entity = await loadLifecycleRow(res, "entities", req.params.id, user.id);
+  if (!entity) return;
+  if (!entity.deleted_at) {
+    return res.status(409).json({ error: "Delete the entity before purging it", code: "NOT_DELETED" });
+  }
+  try {
+    await purgeEntity(user.id, entity.id);
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
+  }
+  console.warn("[entity_purged]", { user_id: user.id, entity_id: entity.id });
+  res.json({ id: entity.id, purged: true });
+});
+
+// -------- Duplicates --------
+
+const DUPLICATE_VIEW_LIMIT = Number(process.env.DUPLICATE_VIEW_LIMIT || 300);
+
+// Removes everything stored under artifacts/<runId>, including nested
+// analysis_v<n> folders and the original upload.
+async function removeRunArtifacts(runId) {
+  const bucket = supabaseAdmin.storage.from(STORAGE_BUCKET);
+  const paths = [];
+  const walk = async (prefix) => {
+    const { data, error } = await bucket.list(prefix, { limit: 1000 });
+    if (error) throw new Error(error.message);
+    for (const entry of data || []) {
+      const full = `${prefix}/${entry.name}`;
+      if (entry.id) paths.push(full);
+      else await walk(full);
+    }
+  };
+  try {
+    await walk(`artifacts/${runId}`);
+    if (paths.length) {
+      const { error } = await bucket.remove(paths);
+      if (error) throw new Error(error.message);
+    }
+  } catch (err) {
+    console.warn("[run_artifacts_remove_failed]", { run_id: runId, error: err.message || String(err) });
+  }
+}
+
+function duplicateRunView(r) {
+  return {
+    id: r.id,
+    name: r.name || null,
+    created_at: r.created_at,
+    status: r.status || null,
+    scenario: r.scenario || null,
+    outcome_label: r.outcome_label || null,
+    score: r.score ?? null,
+    entity_id: r.entity_id || null,
+    entity_name: r.entities?.name || null,
+    has_audio: !!r.audio_path,
+  };
+}
+
+const SIGNATURE_BACKFILL_BATCH = 25;
+
+// Runs from before transcript signatures existed get one a few at a time, so
+// the duplicates view catches up without loading every transcript at once.
+async function backfillTranscriptSignatures(userId) {
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, transcript_text")
+    .eq("user_id", userId)
+    .eq("status", "complete")
+    .is("transcript_minhash", null)
+    .not("transcript_text", "is", null)
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(SIGNATURE_BACKFILL_BATCH);
+  if (error) {
+    console.warn("[signature_backfill_failed]", { user_id: userId, msg: error.message });
+    return;
+  }
+  for (const r of data || []) {
+    const signature = transcriptSignature(r.transcript_text);
+    if (!signature.transcript_minhash) continue;
+    const { error: uErr } = await supabaseAdmin.from("runs").update(signature).eq("id", r.id);
+    if (uErr) console.warn("[signature_backfill_failed]", { run_id: r.id, msg: uErr.message });
+  }
+}
+
+app.get("/api/duplicates", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  await backfillTranscriptSignatures(user.id);
+
+  const { data, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, created_at, status, scenario, outcome_label, score:analysis_json->score, entity_id, entities(name), audio_path, audio_hash, transcript_hash, transcript_minhash, transcript_shingles")
+    .eq("user_id", user.id)
+    .neq("status", "processing")
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(DUPLICATE_VIEW_LIMIT);
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+
+  const groups = groupDuplicateRuns(data || []).map((g) => ({
+    reasons: g.reasons,
+    score: g.score,
+    runs: g.runs
+      .map(duplicateRunView)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))),
+  }));
+  res.json({ groups, scanned: (data || []).length });
+});
+
+// Keeps keep_id and moves the other runs to the trash with merged_into set,
+// so they can be restored until the purge sweeper removes them. The kept run
+// inherits a name if it had none.
+app.post("/api/duplicates/merge", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const keepId = String(req.body?.keep_id || "").trim();
+  const mergeIds = [...new Set((Array.isArray(req.body?.merge_ids) ? req.body.merge_ids : [])
+    .map((id) => String(id || "").trim())
+    .filter((id) => id && id !== keepId))];
+  if (!keepId || !mergeIds.length) {
+    return res.status(400).json({ error: "keep_id and merge_ids are required", code: "MERGE_INVALID" });
+  }
+
+  const { data: rows, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, status, entity_id")
+    .eq("user_id", user.id)
+    .in("id", [keepId, ...mergeIds]);
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  const keep = (rows || []).find((r) => r.id === keepId);
+  const merged = (rows || []).filter((r) => r.id !== keepId);
+  if (!keep || merged.length !== mergeIds.length) return res.status(404).json({ error: "Not found" });
+  if ([keep, ...merged].some((r) => r.status === "processing")) {
+    return res.status(409).json({ error: "Wait for processing runs to finish", code: "RUN_NOT_COMPLETE" });
+  }
+
+  if (!keep.name) {
+    const named = merged.find((r) => r.name);
+    if (named) {
+      await supabaseAdmin.from("runs").update({ name: named.name }).eq("id", keepId).eq("user_id", user.id);
+    }
+  }
+
+  const deletedAt = nowIso();
+  const { error: dErr } = await supabaseAdmin
+    .from("runs")
+    .update({ deleted_at: deletedAt, merged_into: keepId })
+    .eq("user_id", user.id)
+    .in("id", mergeIds)
+    .is("deleted_at", null);
+  if (dErr) return res.status(400).json({ error: dErr.message });
+  await invalidatePlaybookCache(user.id, [keep, ...merged].map((r) => r.entity_id));
+
+  console.warn("[runs_merged]", { user_id: user.id, keep_id: keepId, removed: mergeIds });
+  res.json({ kept: keepId, removed: mergeIds, deleted_at: deletedAt, restore_until: restoreDeadline(deletedAt) });
+});
+
+// -------- Entity merge --------
+
+const ENTITY_MERGE_MAX_SOURCES = 20;
+const MERGE_SUGGEST_SCAN_RUNS = Number(process.env.MERGE_SUGGEST_SCAN_RUNS || 400);
+const MERGE_SUGGEST_TEXTS_PER_ENTITY = 5;
+
+function combineEntityNotes(list) {
+  const seen = new Set();
+  const parts = [];
+  list.forEach((n) => {
+    const text = String(n || "").trim();
+    if (!text || seen.has(normalizeKey(text))) return;
+    seen.add(normalizeKey(text));
+    parts.push(text);
+  });
+  return parts.join("\n\n") || null;
+}
+
+// Merges the source entities into :id. Runs, rubrics, sequences, playbook
+// versions and share links move to the target, observed objections are
+// combined into its cached playbook, and the sources are removed, all inside
+// merge_entities. The playbook is then rebuilt from the combined runs.
+app.post("/api/entities/:id/merge", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const targetId = req.params.id;
+  const sourceIds = [...new Set((Array.isArray(req.body?.source_ids) ? req.body.source_ids : [req.body?.source_id])
+    .map((id) => String(id || "").trim())
+    .filter((id) => id && id !== targetId))];
+  if (!sourceIds.length) {
+    return res.status(400).json({ error: "source_ids are required", code: "MERGE_INVALID" });
+  }
+  if (sourceIds.length > ENTITY_MERGE_MAX_SOURCES) {
+    return res.status(400).json({ error: `Merge at most ${ENTITY_MERGE_MAX_SOURCES} entities at once`, code: "MERGE_INVALID" });
+  }
+
+  const { data: rows, error } = await supabaseAdmin
+    .from("entities")
+    .select("id, name, offer, industry, notes, archived_at, deleted_at, created_at")
+    .eq("user_id", user.id)
+    .in("id", [targetId, ...sourceIds]);
+  if (error) {
+    if (handleMissingUserId(res, "entities", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  const target = (rows || []).find((e) => e.id === targetId);
+  const sources = sourceIds.map((id) => (rows || []).find((e) => e.id === id));
+  if (!target || sources.some((e) => !e)) return res.status(404).json({ error: "Not found" });
+  if ([target, ...sources].some((e) => e.deleted_at)) {
+    return res.status(409).json({ error: "Restore deleted entities before merging", code: "ENTITY_DELETED" });
+  }
+  if (target.archived_at) {
+    return res.status(409).json({ error: "Restore this entity to merge into it", code: "ENTITY_ARCHIVED" });
+  }
+
+  const { data: busy } = await supabaseAdmin
+    .from("runs")
+    .select("id")
+    .eq("user_id", user.id)
+    .in("entity_id", sourceIds)
+    .eq("status", "processing")
+    .limit(1);
+  if (busy?.length) {
+    return res.status(409).json({ error: "Wait for processing runs to finish", code: "RUN_NOT_COMPLETE" });
+  }
+
+  const { data: playbooks, error: pbErr } = await supabaseAdmin
+    .from("entity_playbooks")
+    .select("entity_id, playbook_json, locks")
+    .eq("user_id", user.id)
+    .in("entity_id", [targetId, ...sourceIds]);
+  if (pbErr) {
+    if (handleMissingUserId(res, "entity_playbooks", pbErr)) return;
+    return res.status(400).json({ error: pbErr.message });
+  }
+
+  const playbookOf = (id) => (playbooks || []).find((p) => p.entity_id === id)?.playbook_json || null;
+  const basePlaybook = playbookOf(targetId) || sourceIds.map(playbookOf).find(Boolean);
+  const targetLocks = normalizeLocks((playbooks || []).find((p) => p.entity_id === targetId)?.locks);
+  let mergedPlaybook = null;
+  if (basePlaybook && !targetLocks.includes("observed_objections")) {
+    const observed = sourceIds.reduce(
+      (acc, id) => combineObservedObjections(acc, playbookOf(id)?.observed_objections),
+      playbookOf(targetId)?.observed_objections || []
+    );
+    mergedPlaybook = {
+      title: `Playbook ${new Date().toISOString().slice(0, 10)}`,
+      playbook_json: { ...basePlaybook, observed_objections: observed },
+    };
+  }
+
+  const firstSet = (field) => [target, ...sources].map((e) => String(e[field] || "").trim()).find(Boolean) || null;
+  const patch = {
+    offer: firstSet("offer"),
+    industry: firstSet("industry"),
+    notes: combineEntityNotes([target, ...sources].map((e) => e.notes)),
+  };
+  // An auto-named target takes the first real name; the sources are gone by
+  // then, so the unique name constraint no longer gets in the way.
+  if (isAutoEntityName(target.name)) {
+    const named = sources.find((e) => !isAutoEntityName(e.name));
+    if (named) patch.name = named.name;
+  }
+
+  // One transaction: runs, rubrics, sequences, playbook versions and share
+  // links move to the target before the sources are deleted.
+  const { data: mergeResult, error: mErr } = await supabaseAdmin.rpc("merge_entities", {
+    p_user: user.id,
+    p_target: targetId,
+    p_sources: sourceIds,
+    p_patch: patch,
+    p_playbook: mergedPlaybook,
+  });
+  if (mErr) {
+    if (mErr.code === "P0002") {
+      return res.status(409).json({ error: "Entities changed during the merge; try again", code: "MERGE_CONFLICT" });
+    }
+    return res.status(400).json({ error: mErr.message });
+  }
+  const movedIds = mergeResult?.run_ids || [];
+
+  const { data: entity, error: tErr } = await supabaseAdmin
+    .from("entities")
+    .select("*")
+    .eq("id", targetId)
+    .eq("user_id", user.id)
+    .single();
+  if (tErr) return res.status(400).json({ error: tErr.message });
+
+  await recheckEntitySequences(user.id, targetId);
+
+  let rebuilt = null;
+  try {
+    rebuilt = await buildEntityPlaybook(user.id, targetId);
+  } catch (err) {
+    rebuilt = { error: err.message || String(err) };
+  }
+  const playbookError = rebuilt?.error || rebuilt?.dbError?.message || null;
+  if (playbookError) {
+    console.warn("[entity_merge_playbook_rebuild_failed]", { user_id: user.id, entity_id: targetId, error: playbookError });
+  }
+
+  console.warn("[entities_merged]", {
+    user_id: user.id,
+    target_id: targetId,
+    source_ids: sourceIds,
+    moved_runs: movedIds.length,
+  });
+  emitWebhookEvent(user.id, "entity.merged", {
+    entity_id: targetId,
+    entity_name: entity.name,
+    merged_ids: sourceIds,
+    merged_names: sources.map((e) => e.name),
+    run_ids: movedIds,
+  });
+  res.json({
+    entity,
+    removed: sourceIds,
+    moved_runs: movedIds.length,
+    playbook: playbookError ? null : rebuilt.playbook,
+    playbook_error: playbookError,
+  });
+});
+
+// Pairs of active entities that look like the same company, by name and by
+// distinctive words shared across their most recent transcripts.
+app.get("/api/entities/merge_suggestions", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data: ents, error } = await applyLifecycleFilter(
+    supabaseAdmin.from("entities").select("id, name, created_at").eq("user_id", user.id),
+    "active"
+  );
+  if (error) {
+    if (handleMissingUserId(res, "entities", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { data: runs, error: rErr } = await supabaseAdmin
+    .from("runs")
+    .select("entity_id, transcript_text")
+    .eq("user_id", user.id)
+    .not("entity_id", "is", null)
+    .neq("status", "processing")
+    .is("deleted_at", null)
+    .order("created_at", { ascending: false })
+    .limit(MERGE_SUGGEST_SCAN_RUNS);
+  if (rErr) {
+    if (handleMissingUserId(res, "runs", rErr)) return;
+    return res.status(400).json({ error: rErr.message });
+  }
+
+  // Run counts are over the scanned window; they only pick which side of a
+  // pair is suggested as the target.
+  const runCounts = new Map();
+  const textsByEntity = new Map();
+  (runs || []).forEach((r) => {
+    runCounts.set(r.entity_id, (runCounts.get(r.entity_id) || 0) + 1);
+    if (!r.transcript_text) return;
+    const list = textsByEntity.get(r.entity_id) || [];
+    if (list.length < MERGE_SUGGEST_TEXTS_PER_ENTITY) list.push(r.transcript_text);
+    textsByEntity.set(r.entity_id, list);
+  });
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const suggestions = suggestEntityMerges(ents || [], buildEntityVocabularies(textsByEntity), { runCounts, limit });
+  res.json({ suggestions, scanned_runs: (runs || []).length });
+});
+
+// -------- Transcript revisions --------
+
+function transcriptTextFromLines(lines) {
+  return (lines || []).map((ln) => `${ln.speaker}: ${ln.text}`).join("\n");
+}
+
+function remapAnalysisToTranscript(analysis, lineMap, editedLines) {
+  if (!analysis || typeof analysis !== "object") return { analysis, dropped: 0 };
+  const { evidence, dropped } = remapEvidence(analysis?.call_result?.evidence, lineMap, editedLines);
+  const next = {
+    ...analysis,
+    call_result: {
+      ...(analysis.call_result || {}),
+      evidence: enforceEvidence36(evidence, editedLines),
+    },
+  };
+  if (Array.isArray(analysis.rubric_scores)) {
+    next.rubric_scores = analysis.rubric_scores.map((c) => ({
+      ...c,
+      evidence_lines: remapLineNumbers(c.evidence_lines, lineMap),
+    }));
+  }
+  return { analysis: next, dropped };
+}
+
+// Line-anchored review threads follow their lines through a transcript edit.
+async function remapCommentLines(runId, lineMap) {
+  const { data, error } = await supabaseAdmin
+    .from("run_comments")
+    .select("id, line_start, line_end")
+    .eq("run_id", runId)
+    .eq("anchor_type", "line");
+  if (error) {
+    console.warn("[comment_lines_remap_failed]", { run_id: runId, msg: error.message });
+    return;
+  }
+  for (const c of data || []) {
+    const next = remapLineAnchor(c, lineMap);
+    if (!next || (next.line_start === c.line_start && next.line_end === c.line_end)) continue;
+    const { error: uErr } = await supabaseAdmin.from("run_comments").update(next).eq("id", c.id);
+    if (uErr) console.warn("[comment_lines_remap_failed]", { run_id: runId, comment_id: c.id, msg: uErr.message });
+  }
+}
+
+app.post("/api/runs/:id/transcript", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const id = req.params.id;
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, status, transcript_lines, transcript_text, transcript_revision, analysis_json, analysis_version")
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+  if (run.status && run.status !== "complete") {
+    return res.status(409).json({ error: "Run is not complete", code: "RUN_NOT_COMPLETE" });
+  }
+
+  const currentRevision = run.transcript_revision || 1;
+  const baseRevision = req.body?.base_revision;
+  if (baseRevision != null && Number(baseRevision) !== currentRevision) {
+    return res.status(409).json({
+      error: "Transcript changed since you started editing",
+      code: "TRANSCRIPT_CONFLICT",
+      current_revision: currentRevision,
+    });
+  }
+
+  const ops = Array.isArray(req.body?.ops) ? req.body.ops : [];
+  if (!ops.length) return res.status(400).json({ error: "Missing ops" });
+  const { lines: edited, errors } = applyTranscriptEdits(run.transcript_lines, ops);
+  if (errors.length) {
+    return res.status(400).json({ error: errors[0], code: "TRANSCRIPT_EDIT_INVALID", errors });
+  }
+  if (!edited.length) return res.status(400).json({ error: "Transcript would be empty" });
+
+  const lineMap = buildLineMap(edited);
+  const newLines = edited.map(({ origin, ...ln }) => ln);
+  const newText = transcriptTextFromLines(newLines);
+  const nextRevision = currentRevision + 1;
+
+  try {
+    if (!run.transcript_revision) {
+      const { error: baseErr } = await supabaseAdmin
+        .from("run_transcript_revisions")
+        .upsert([
+          {
+            run_id: id,
+            user_id: user.id,
+            revision: 1,
+            transcript_lines: run.transcript_lines || [],
+            transcript_text: run.transcript_text || "",
+            source: "original",
+          },
+        ], { onConflict: "run_id,revision", ignoreDuplicates: true });
+      if (baseErr) throw new Error(baseErr.message);
+    }
+    const { error: revErr } = await supabaseAdmin
+      .from("run_transcript_revisions")
+      .insert([
+        {
+          run_id: id,
+          user_id: user.id,
+          revision: nextRevision,
+          transcript_lines: newLines,
+          transcript_text: newText,
+          edits: ops,
+          source: "edit",
+        },
+      ]);
+    if (revErr) {
+      // Unique (run_id, revision): someone else saved first.
+      if (String(revErr.code) === "23505") {
+        return res.status(409).json({
+          error: "Transcript changed since you started editing",
+          code: "TRANSCRIPT_CONFLICT",
+        });
+      }
+      throw new Error(revErr.message);
+    }
+
+    const remapped = remapAnalysisToTranscript(run.analysis_json, lineMap, newLines);
+    const analysis = remapped.analysis
+      ? { ...remapped.analysis, transcript_revision: nextRevision }
+      : remapped.analysis;
+    const { data: saved, error: uErr } = await supabaseAdmin
+      .from("runs")
+      .update({
+        transcript_lines: newLines,
+        transcript_text: newText,
+        transcript_revision: nextRevision,
+        transcript_hash: sha1(Buffer.from(newText, "utf-8")),
+        ...transcriptSignature(newText),
+        metrics: computeConversationMetrics(newLines),
+        analysis_json: analysis,
+      })
+      .eq("id", id)
+      .eq("user_id", user.id)
+      .select("*")
+      .single();
+    if (uErr) throw new Error(uErr.message);
+
+    // Every stored analysis version moves to the new line numbers, so
+    // activating an older one later still points at the right lines.
+    const { data: versions, error: vErr } = await supabaseAdmin
+      .from("run_analysis_versions")
+      .select("id, version, analysis_json")
+      .eq("run_id", id)
+      .eq("user_id", user.id)
+      .neq("source", "pending");
+    if (vErr) console.warn("[transcript_versions_remap_failed]", { run_id: id, msg: vErr.message });
+    await remapCommentLines(id, lineMap);
+    for (const v of versions || []) {
+      const next = v.version === run.analysis_version && analysis
+        ? analysis
+        : { ...remapAnalysisToTranscript(v.analysis_json, lineMap, newLines).analysis, transcript_revision: nextRevision };
+      const { error: vuErr } = await supabaseAdmin
+        .from("run_analysis_versions")
+        .update({ analysis_json: next })
+        .eq("id", v.id);
+      if (vuErr) console.warn("[transcript_versions_remap_failed]", { run_id: id, version: v.version, msg: vuErr.message });
+    }
+
+    console.log("[transcript_revision]", {
+      run_id: id,
+      revision: nextRevision,
+      ops: ops.length,
+      evidence_dropped: remapped.dropped,
+    });
+    res.json({
+      run: saved,
+      revision: nextRevision,
+      evidence_dropped: remapped.dropped,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message || String(err) });
   }
-  const scenario = run.scenario || "";
-  const callWhy = run.analysis_json?.call_result?.why || "";
-  const topFixes = Array.isArray(run.analysis_json?.top_fixes)
-    ? run.analysis_json.top_fixes
-        .map((f) => f?.title || f?.fix || f?.problem || f?.do_instead || f?.instead || "")
-        .filter(Boolean)
-        .slice(0, 12)
-    : [];
+});
 
-  const stopwords = new Set([
-    "the", "and", "for", "with", "that", "this", "from", "your", "you", "our",
-    "are", "was", "were", "have", "has", "had", "will", "would", "could", "should",
-    "into", "about", "their", "they", "them", "then", "than", "just", "also",
-  ]);
-  const topicTerms = []
-    .concat(entityName, scenario, run.context_text || "")
-    .join(" ")
-    .toLowerCase()
-    .split(/[^a-z]+/)
-    .filter((w) => w.length >= 4 && !stopwords.has(w));
+app.get("/api/runs/:id/transcript_revisions", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
 
-  const containsPlaceholders = (text) => {
-    const t = String(text || "");
-    return (
-      /\[[^\]]+\]/.test(t)
-      || /\{[^}]+\}/.test(t)
-      || /\bTBD\b/i.test(t)
-      || /\blorem\b/i.test(t)
-      || /\bplaceholder\b/i.test(t)
-    );
-  };
+  const { data, error } = await supabaseAdmin
+    .from("run_transcript_revisions")
+    .select("revision, source, edits, created_at")
+    .eq("run_id", req.params.id)
+    .eq("user_id", user.id)
+    .order("revision", { ascending: false });
+  if (error) {
+    if (handleMissingUserId(res, "run_transcript_revisions", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({
+    revisions: (data || []).map((r) => ({
+      revision: r.revision,
+      source: r.source,
+      edit_count: Array.isArray(r.edits) ? r.edits.length : 0,
+      created_at: r.created_at,
+    })),
+  });
+});
 
-  const containsTopicTerm = (text) => {
-    if (!topicTerms.length) return true;
-    const t = String(text || "").toLowerCase();
-    return topicTerms.some((term) => t.includes(term));
-  };
+// -------- Exports --------
 
-  const containsNextStep = (text) => (
-    /(tomorrow|thursday|next week|this week|schedule|calendar|time to|available|quick call|follow[- ]?up|chat|meet|15[- ]?min|10[- ]?min)/i
-      .test(String(text || ""))
-  );
+const EXPORT_SUMMARY_MAX_RUNS = 50;
+const EXPORT_RUN_COLUMNS = "id, name, created_at, scenario, outcome_label, analysis_json, transcript_text, transcript_lines, metrics, tags, entity_id, entities(name), status";
 
-  const hasBannedPhrases = (text) => {
-    const t = String(text || "").toLowerCase();
-    return (
-      t.includes("i'll let my wife")
-      || t.includes("my wife")
-      || t.includes("birthday party")
-      || t.includes("party packages")
-    );
-  };
+function exportFormat(req, res) {
+  const format = String(req.query.format || "md").trim().toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`, code: "EXPORT_FORMAT_INVALID" });
+    return null;
+  }
+  return format;
+}
 
-  const includesEntityReference = (text, name) => {
-    const nm = String(name || "").toLowerCase();
-    if (!nm) return true;
-    const tokens = nm.split(/[^a-z0-9]+/).filter((t) => t.length >= 3 || t === "ai");
-    if (!tokens.length) return true;
-    const t = String(text || "").toLowerCase();
-    return tokens.some((tok) => {
-      if (tok.length >= 5) return t.includes(tok);
-      return new RegExp(`\\b${tok.replace(/[.*+?^${}()|[\\]\\\\]/g, "\\\\$&")}\\b`, "i").test(t);
-    });
-  };
+function sendExport(res, doc, format) {
+  const out = renderExport(doc, format);
+  res.setHeader("Content-Type", out.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${out.filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.send(out.body);
+}
 
-  const containsPersonalLife = (text) => {
-    const t = String(text || "");
-    return (
-      /\bmy (wife|husband|kid|kids|mom|dad|birthday|party)\b/i.test(t)
-      || /\bI'?ll let my (wife|husband)\b/i.test(t)
-    );
-  };
+const withEntityName = (run) => ({ ...run, entity_name: run.entities?.name || "" });
 
-  const hasCoachingLeakage = (text) => {
-    const t = String(text || "").toLowerCase();
-    const banned = [
-      "quick improvements",
-      "top fixes",
-      "call result",
-      "rejected",
-      "qualified lead",
-      "score",
-      "signals",
-      "evidence",
-    ];
-    if (banned.some((term) => t.includes(term))) return true;
-    if (topFixes.length) {
-      const words = topFixes.join(" ").toLowerCase().split(/[^a-z]+/).filter(Boolean);
-      return words.some((w) => w.length >= 4 && t.includes(w));
+app.get("/api/exports/runs/:id", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const format = exportFormat(req, res);
+  if (!format) return;
+
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select(EXPORT_RUN_COLUMNS)
+    .eq("id", req.params.id)
+    .in("user_id", await readableRunUserIds(user.id))
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!run) return res.status(404).json({ error: "Not found" });
+  if (run.status && run.status !== "complete") {
+    return res.status(409).json({ error: "Run is not complete", code: "RUN_NOT_COMPLETE" });
+  }
+
+  const includeTranscript = String(req.query.transcript ?? "1") !== "0";
+  sendExport(res, buildRunReportDocument(withEntityName(run), { includeTranscript }), format);
+});
+
+// Multi-run summary: ids=a,b,c (in that order) or entity_id for its latest
+// completed runs. transcripts=1 appends each transcript.
+app.get("/api/exports/runs", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const format = exportFormat(req, res);
+  if (!format) return;
+
+  const ids = listParam(req.query.ids);
+  const entityId = String(req.query.entity_id || "").trim();
+  if (!ids.length && !entityId) {
+    return res.status(400).json({ error: "ids or entity_id is required", code: "EXPORT_INVALID" });
+  }
+  if (ids.length > EXPORT_SUMMARY_MAX_RUNS) {
+    return res.status(400).json({ error: `At most ${EXPORT_SUMMARY_MAX_RUNS} reports per summary`, code: "EXPORT_INVALID" });
+  }
+
+  let query = supabaseAdmin
+    .from("runs")
+    .select(EXPORT_RUN_COLUMNS)
+    .in("user_id", await readableRunUserIds(user.id))
+    .eq("status", "complete")
+    .is("deleted_at", null);
+  if (ids.length) query = query.in("id", ids);
+  else query = query.eq("entity_id", entityId).is("archived_at", null);
+  const { data, error } = await query
+    .order("created_at", { ascending: false })
+    .limit(EXPORT_SUMMARY_MAX_RUNS);
+  if (error) {
+    if (handleMissingUserId(res, "runs", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  let runs = (data || []).map(withEntityName);
+  if (ids.length) {
+    const order = new Map(ids.map((id, i) => [id, i]));
+    runs = runs.sort((a, b) => order.get(a.id) - order.get(b.id));
+  }
+  if (!runs.length) return res.status(404).json({ error: "No completed reports to export", code: "EXPORT_EMPTY" });
+
+  let title = String(req.query.title || "").trim().slice(0, 120);
+  if (!title) {
+    const names = [...new Set(runs.map((r) => r.entity_name).filter(Boolean))];
+    title = names.length === 1 ? `${names[0]} call summary` : "Call summary";
+  }
+  const includeTranscripts = String(req.query.transcripts || "") === "1";
+  sendExport(res, buildRunsSummaryDocument(runs, { title, includeTranscripts }), format);
+});
+
+// The playbook the team is using: the pinned version when there is one,
+// otherwise the cached playbook. Never regenerates. Returns
+// { entity, playbook, version, updatedAt } or { status, error, code?, table?, dbError? }.
+async function loadExportPlaybook(userId, entityId, requestedVersionId = "") {
+  const { data: entity, error: eErr } = await supabaseAdmin
+    .from("entities")
+    .select("id, name, offer, industry")
+    .eq("id", entityId)
+    .eq("user_id", userId)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (eErr) return { status: 400, error: eErr.message, table: "entities", dbError: eErr };
+  if (!entity) return { status: 404, error: "Not found" };
+
+  const { data: cached, error: pErr } = await supabaseAdmin
+    .from("entity_playbooks")
+    .select("playbook_json, updated_at, current_version_id, pinned_version_id")
+    .eq("user_id", userId)
+    .eq("entity_id", entity.id)
+    .maybeSingle();
+  if (pErr) return { status: 400, error: pErr.message, table: "entity_playbooks", dbError: pErr };
+
+  const versionId = requestedVersionId || cached?.pinned_version_id || cached?.current_version_id || null;
+  let playbook = cached?.playbook_json || null;
+  let version = null;
+  let updatedAt = cached?.updated_at || null;
+  if (versionId) {
+    const versions = await loadPlaybookVersions(userId, entity.id, [versionId], "id, version, playbook_json, created_at");
+    const row = versions.get(versionId);
+    if (row) {
+      playbook = row.playbook_json;
+      version = row.version;
+      updatedAt = row.created_at;
+    } else if (requestedVersionId) {
+      return { status: 404, error: "Not found" };
     }
-    return false;
-  };
+  }
+  if (!playbook) {
+    return { status: 404, error: "Generate the playbook before exporting it", code: "PLAYBOOK_MISSING" };
+  }
+  return { entity, playbook, version, updatedAt };
+}
 
-  const startsWithImperative = (text) => (
-    /^(send|include|follow[ -]?up|recap|propose)\b/i.test(String(text || "").trim())
-  );
+app.get("/api/exports/entities/:id/playbook", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const format = exportFormat(req, res);
+  if (!format) return;
 
-  const hasGreetingOrOpener = (text) => (
-    /^(hi|hey|hello|thanks|thank you|appreciate|great speaking|good speaking|good talking|nice speaking|nice talking)\b/i
-      .test(String(text || "").trim())
-  );
+  const out = await loadExportPlaybook(user.id, req.params.id, String(req.query.version || "").trim());
+  if (out.error) {
+    if (out.dbError && handleMissingUserId(res, out.table, out.dbError)) return;
+    return res.status(out.status).json(out.code ? { error: out.error, code: out.code } : { error: out.error });
+  }
+  sendExport(res, buildPlaybookDocument(out.entity, out.playbook, { version: out.version, updatedAt: out.updatedAt }), format);
+});
 
-  const hasRepVoice = (text) => (
-    /\b(i|we|i'm|we're|i\s*am|we\s*are|i\s*will|we\s*will|i'?ve|we'?ve|i'?d|we'?d)\b/i
-      .test(String(text || ""))
-  );
+// -------- Share links --------
 
-  const endsWithQuestion = (text) => /\?\s*$/.test(String(text || "").trim());
+const SHARE_PASSCODE_MAX_FAILURES = 10;
+const SHARE_PASSCODE_WINDOW_MS = 15 * 60 * 1000;
+const SHARE_MAX_REDACT_TERMS = 20;
+const SHARE_VIEW_SALT = process.env.SHARE_VIEW_SALT || SUPABASE_SERVICE_ROLE_KEY;
+const SHARE_LINK_COLUMNS = "id, resource_type, run_id, entity_id, passcode_hash, redact_names, redact_phones, redact_terms, expires_at, revoked_at, view_count, last_viewed_at, created_at";
 
-  const looksLikeInstructional = (text) => {
-    const t = String(text || "").trim().toLowerCase();
-    if (!t) return false;
-    return (
-      startsWithImperative(t)
-      || t.includes("recap")
-      || t.includes("solidify interest")
-      || t.includes("as requested")
-      || t.includes("internal notes")
-      || (/(agenda|calendar invite|calendar|zoom call|zoom meeting|invite)\b/i.test(t)
-        && !hasGreetingOrOpener(t)
-        && !hasRepVoice(t))
-      || (!hasGreetingOrOpener(t) && !hasRepVoice(t) && !t.includes("?"))
-    );
-  };
+function shareLinkState(link) {
+  if (link.revoked_at) return "revoked";
+  if (Date.parse(link.expires_at) <= Date.now()) return "expired";
+  return "active";
+}
 
-  const looksLikeTranscript = (text) => {
-    const t = String(text || "").trim();
-    if (!t) return false;
-    const linePrefix = /^(speaker|agent|prospect|rep|customer|caller)\s*[ab]?:/i;
-    if (linePrefix.test(t)) return true;
-    if (/\bSpeaker\s*[AB]:/i.test(t)) return true;
-    const prefixed = t.split(/\r?\n/).filter((l) => linePrefix.test(l.trim())).length;
-    if (prefixed > 0) return true;
-    const quoteCount = (t.match(/["“”]/g) || []).length;
-    return quoteCount >= 4;
-  };
+function publicShareLink(link) {
+  const { passcode_hash: passcodeHash, ...rest } = link;
+  return { ...rest, has_passcode: !!passcodeHash, state: shareLinkState(link) };
+}
 
-  const isFollowupValid = (text) => {
-    const t = String(text || "").trim();
-    if (!t) return false;
-    if (t.length > 1200) return false;
-    if (containsPlaceholders(t)) return false;
-    if (looksLikeTranscript(t)) return false;
-    if (looksLikeInstructional(t)) return false;
-    if (hasBannedPhrases(t)) return false;
-    if (hasCoachingLeakage(t)) return false;
-    if (containsPersonalLife(t)) return false;
-    if (!containsNextStep(t)) return false;
-    if (!hasGreetingOrOpener(t)) return false;
-    if (!hasRepVoice(t)) return false;
-    if (!includesEntityReference(t, entityName)) return false;
-    if (!endsWithQuestion(t)) return false;
-    if (!containsTopicTerm(t)) return false;
-    return true;
-  };
+function shareUrl(req, token) {
+  const base = (process.env.PUBLIC_APP_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+  return `${base}/s/${token}`;
+}
 
-  const buildFallbackFollowup = () => {
-    const topic = entityName || scenario || "your team";
-    const msg = `Hi - thanks again for taking the call about ${topic}. If it makes sense, can we do a quick 10-min follow-up tomorrow or Thursday?`;
-    return msg.slice(0, 1200);
+app.post("/api/share_links", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const body = req.body || {};
+  const invalid = (error) => res.status(400).json({ error, code: "SHARE_INVALID" });
+
+  const resourceType = String(body.resource_type || "").trim();
+  if (resourceType !== "run" && resourceType !== "playbook") return invalid("resource_type must be run or playbook");
+  const days = body.expires_in_days == null || body.expires_in_days === "" ? SHARE_DEFAULT_DAYS : Number(body.expires_in_days);
+  if (!Number.isFinite(days) || days <= 0 || days > SHARE_MAX_DAYS) {
+    return invalid(`expires_in_days must be between 1 and ${SHARE_MAX_DAYS}`);
+  }
+  const passcode = body.passcode == null ? "" : String(body.passcode);
+  if (passcode && (passcode.length < SHARE_PASSCODE_MIN || passcode.length > SHARE_PASSCODE_MAX)) {
+    return invalid(`Passcode must be ${SHARE_PASSCODE_MIN}-${SHARE_PASSCODE_MAX} characters`);
+  }
+  const redactTerms = [...new Set((Array.isArray(body.redact_terms) ? body.redact_terms : [])
+    .map((t) => String(t || "").trim().slice(0, 80))
+    .filter((t) => t.length > 1))];
+  if (redactTerms.length > SHARE_MAX_REDACT_TERMS) return invalid(`At most ${SHARE_MAX_REDACT_TERMS} redacted names`);
+
+  const row = {
+    user_id: user.id,
+    resource_type: resourceType,
+    run_id: null,
+    entity_id: null,
+    redact_names: !!body.redact_names,
+    redact_phones: !!body.redact_phones,
+    redact_terms: redactTerms,
+    expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
   };
+  let detectedNames = [];
+  if (resourceType === "run") {
+    const runId = String(body.run_id || "").trim();
+    if (!runId) return invalid("run_id is required");
+    const { data: run, error } = await supabaseAdmin
+      .from("runs")
+      .select("id, status, transcript_text, transcript_lines, analysis_json")
+      .eq("id", runId)
+      .eq("user_id", user.id)
+      .is("deleted_at", null)
+      .maybeSingle();
+    if (error) {
+      if (handleMissingUserId(res, "runs", error)) return;
+      return res.status(400).json({ error: error.message });
+    }
+    if (!run) return res.status(404).json({ error: "Not found" });
+    if (run.status && run.status !== "complete") {
+      return res.status(409).json({ error: "Run is not complete", code: "RUN_NOT_COMPLETE" });
+    }
+    row.run_id = run.id;
+    detectedNames = detectProspectNames(run);
+  } else {
+    const entityId = String(body.entity_id || "").trim();
+    if (!entityId) return invalid("entity_id is required");
+    const out = await loadExportPlaybook(user.id, entityId);
+    if (out.error) {
+      if (out.dbError && handleMissingUserId(res, out.table, out.dbError)) return;
+      return res.status(out.status).json(out.code ? { error: out.error, code: out.code } : { error: out.error });
+    }
+    row.entity_id = out.entity.id;
+  }
 
-  const buildFollowupGuidance = () => {
-    const parts = [];
-    if (scenario) parts.push(`Scenario: ${scenario}.`);
-    if (callWhy) parts.push(`Call takeaway: ${String(callWhy).trim()}.`);
-    if (topFixes.length) parts.push(`Top fixes: ${topFixes.join("; ")}.`);
-    const text = parts.join(" ").trim();
-    if (!text) return "";
-    const sentences = text.split(/(?<=[.!?])\s+/).slice(0, 12);
-    return sentences.join(" ").trim();
-  };
+  const token = createShareToken();
+  row.token_hash = hashShareToken(token);
+  row.passcode_hash = passcode ? hashPasscode(passcode) : null;
+  const { data: link, error } = await supabaseAdmin
+    .from("share_links")
+    .insert(row)
+    .select(SHARE_LINK_COLUMNS)
+    .single();
+  if (error) {
+    if (handleMissingUserId(res, "share_links", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  console.warn("[share_link_created]", { user_id: user.id, link_id: link.id, resource_type: resourceType });
+  // The token is only returned here; the server keeps its hash.
+  res.json({ link: publicShareLink(link), url: shareUrl(req, token), detected_names: detectedNames });
+});
 
-  console.log("[regen_followup]", { run_id: id, prev_len: prev.length, entityName, scenario });
+app.get("/api/share_links", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  let query = supabaseAdmin
+    .from("share_links")
+    .select(SHARE_LINK_COLUMNS)
+    .eq("user_id", user.id);
+  const runId = String(req.query.run_id || "").trim();
+  const entityId = String(req.query.entity_id || "").trim();
+  if (runId) query = query.eq("run_id", runId);
+  if (entityId) query = query.eq("entity_id", entityId);
+  const { data, error } = await query.order("created_at", { ascending: false }).limit(100);
+  if (error) {
+    if (handleMissingUserId(res, "share_links", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ links: (data || []).map(publicShareLink) });
+});
 
-  const normalizeText = (text) => (
-    String(text || "")
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, " ")
-      .replace(/\s+/g, " ")
-      .trim()
-  );
+app.post("/api/share_links/:id/revoke", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data, error } = await supabaseAdmin
+    .from("share_links")
+    .update({ revoked_at: nowIso() })
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .is("revoked_at", null)
+    .select(SHARE_LINK_COLUMNS)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "share_links", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!data) return res.status(404).json({ error: "Not found" });
+  console.warn("[share_link_revoked]", { user_id: user.id, link_id: data.id });
+  res.json({ link: publicShareLink(data) });
+});
 
-  const buildFallbackFollowupVariant = (seed) => {
-    const topic = entityName || scenario || "your team";
-    const options = [
-      `Hi there - thanks again for the time on ${topic}. Could we set a quick 10-min check-in tomorrow morning or Thursday afternoon?`,
-      `Thanks for the call about ${topic}. If it helps, I can send a brief recap and we can pick a 15-min slot this week. Does Tue 2pm or Wed 11am work?`,
-      `Appreciate the conversation around ${topic}. Are you open to a short follow-up? I can do Thu 3pm or Fri 10am, or share another time that works.`,
-    ];
-    const pick = options[seed % options.length] || options[0];
-    return pick.slice(0, 1200);
-  };
+app.get("/api/share_links/:id/views", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const { data, error } = await supabaseAdmin
+    .from("share_link_views")
+    .select("id, outcome, ip_hash, user_agent, viewed_at")
+    .eq("link_id", req.params.id)
+    .eq("user_id", user.id)
+    .order("viewed_at", { ascending: false })
+    .limit(200);
+  if (error) {
+    if (handleMissingUserId(res, "share_link_views", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ views: data || [] });
+});
 
-  const system = `You are Calibrate. Return valid JSON only.`.trim();
-  const buildBasePrompt = (nonce) => `
-Write a concise follow-up message from the SALES REP to the PROSPECT.
-Return JSON: { "follow_up": { "text": string } }
-Rules:
-- One message only, no analysis.
-- <=1200 characters.
-- No placeholders like [Your Name], {company}, TBD, lorem.
-- Do not quote the transcript verbatim or include speaker labels.
-- Professional and direct, with a concrete next step.
-- Write as the sales rep.
-- Mention the offer/company topic (entity_name) explicitly.
-- Propose 2 specific time options or ask for availability.
-- Do not ask for product/package details or sound like the prospect replying.
-- Do not include personal-life lines (wife/birthday/party/etc).
-- Do not mention internal fixes, diagnostics, scores, call outcomes, or anything like top fixes.
-- The new follow-up MUST be meaningfully different from previous_follow_up (different wording + structure). Do not repeat it.
-Context:
-entity_name=${entityName}
-scenario=${scenario}
-call_why=${callWhy}
-top_fixes=${topFixes.join(" | ")}
-notes=${run.context_text || ""}
-previous_follow_up=${prev}
-regen_nonce=${nonce}
-`.trim();
+// Owners and managers see their team's links without hashes or the view
+// log, which stays with each link's owner.
+app.get("/api/team/share_links", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const membership = await requireOrgRole(res, user, ["owner", "manager"]);
+  if (!membership) return;
+  const { members, error: mErr } = await loadOrgMembers(membership.org_id);
+  if (mErr) return res.status(400).json({ error: mErr.message });
 
-  const buildRepairPrompt = (nonce) => `
-Fix the follow-up. Return JSON only: { "follow_up": { "text": string } }
-Write the exact text message/email to send to the prospect. Do not write instructions or notes.
-Hard rules: no placeholders, no transcript quotes, no speaker labels, <=1200 chars, one message only.
-Must include a concrete next step or scheduling ask and a CTA question.
-Must include the entity_name or scenario topic.
-Do not ask for product/package details or sound like the prospect replying.
-Do not include personal-life lines (wife/birthday/party/etc).
-Do not mention internal fixes, diagnostics, scores, call outcomes, or anything like top fixes.
-The new follow-up MUST be meaningfully different from previous_follow_up (different wording + structure). Do not repeat it.
-Context:
-entity_name=${entityName}
-scenario=${scenario}
-call_why=${callWhy}
-top_fixes=${topFixes.join(" | ")}
-notes=${run.context_text || ""}
-previous_follow_up=${prev}
-regen_nonce=${nonce}
-`.trim();
-  let followText = "";
-  let mode = "ai";
-  let nonce = Date.now();
-  for (let attempt = 0; attempt < 3; attempt += 1) {
-    nonce = Date.now();
-    try {
-      const result = await deepseekJSON(system, buildBasePrompt(nonce), 0.2);
-      followText = String(result?.follow_up?.text || result?.follow_up || "").trim();
-      if (!isFollowupValid(followText)) {
-        const repaired = await deepseekJSON(system, buildRepairPrompt(nonce), 0.2);
-        followText = String(repaired?.follow_up?.text || repaired?.follow_up || "").trim();
-      }
-      const normalized = normalizeText(followText);
-      const prevNormalized = normalizeText(prev);
-      if (!isFollowupValid(followText)) continue;
-      if (prevNormalized && normalized === prevNormalized) continue;
-      mode = "ai";
-      break;
-    } catch {
-      followText = "";
+  const { data, error } = await supabaseAdmin
+    .from("share_links")
+    .select(`user_id, ${SHARE_LINK_COLUMNS}`)
+    .in("user_id", members.map((m) => m.user_id))
+    .order("created_at", { ascending: false })
+    .limit(200);
+  if (error) {
+    if (handleMissingUserId(res, "share_links", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ links: (data || []).map(publicShareLink) });
+});
+
+async function logShareView(link, req, outcome) {
+  const { error } = await supabaseAdmin.from("share_link_views").insert({
+    link_id: link.id,
+    user_id: link.user_id,
+    outcome,
+    ip_hash: hashViewerIp(req.ip, SHARE_VIEW_SALT),
+    user_agent: String(req.get("user-agent") || "").slice(0, 300) || null,
+  });
+  if (error) console.warn("[share_view_log_failed]", { link_id: link.id, error: error.message });
+  if (outcome !== "ok") return;
+  const { error: uErr } = await supabaseAdmin
+    .from("share_links")
+    .update({ view_count: (link.view_count || 0) + 1, last_viewed_at: nowIso() })
+    .eq("id", link.id);
+  if (uErr) console.warn("[share_view_count_failed]", { link_id: link.id, error: uErr.message });
+}
+
+async function recentPasscodeFailures(linkId) {
+  const { count, error } = await supabaseAdmin
+    .from("share_link_views")
+    .select("id", { count: "exact", head: true })
+    .eq("link_id", linkId)
+    .eq("outcome", "passcode_invalid")
+    .gte("viewed_at", new Date(Date.now() - SHARE_PASSCODE_WINDOW_MS).toISOString());
+  if (error) {
+    console.warn("[share_failures_count_failed]", { link_id: linkId, error: error.message });
+    return 0;
+  }
+  return count || 0;
+}
+
+// Builds the redacted document for a link, or null when the run or
+// playbook is gone.
+async function buildSharedDocument(link) {
+  const terms = link.redact_terms || [];
+  if (link.resource_type === "run") {
+    const { data: run, error } = await supabaseAdmin
+      .from("runs")
+      .select(EXPORT_RUN_COLUMNS)
+      .eq("id", link.run_id)
+      .eq("user_id", link.user_id)
+      .is("deleted_at", null)
+      .maybeSingle();
+    if (error || !run) return null;
+    const names = link.redact_names ? detectProspectNames(run) : [];
+    const redact = createRedactor({ names: [...names, ...terms], phones: link.redact_phones });
+    return buildRunReportDocument(redactValue(withEntityName(run), redact));
+  }
+
+  const out = await loadExportPlaybook(link.user_id, link.entity_id);
+  if (out.error) return null;
+  let names = [];
+  if (link.redact_names) {
+    // Evidence quotes are the only call text a playbook carries.
+    const quotes = (out.playbook.observed_objections || []).flatMap((o) => [
+      o.evidence_quote,
+      ...(Array.isArray(o.evidence) ? o.evidence.map((e) => e.evidence_quote) : []),
+    ]);
+    names = detectProspectNames({ transcript_text: quotes.filter(Boolean).join("\n") });
+  }
+  const redact = createRedactor({ names: [...names, ...terms], phones: link.redact_phones });
+  return buildPlaybookDocument(out.entity, redactValue(out.playbook, redact), { version: out.version, updatedAt: out.updatedAt });
+}
+
+async function serveShareLink(req, res, passcode) {
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Robots-Tag", "noindex, nofollow");
+  res.setHeader("Referrer-Policy", "no-referrer");
+  res.type("html");
+
+  const { data: link, error } = await supabaseAdmin
+    .from("share_links")
+    .select(`${SHARE_LINK_COLUMNS}, user_id`)
+    .eq("token_hash", hashShareToken(req.params.token))
+    .maybeSingle();
+  if (error) {
+    console.warn("[share_link_lookup_failed]", { error: error.message });
+    return res.status(500).send(shareUnavailablePage("Something went wrong. Try again later."));
+  }
+  if (!link) return res.status(404).send(shareUnavailablePage("This link does not exist."));
+
+  const state = shareLinkState(link);
+  if (state !== "active") {
+    await logShareView(link, req, state);
+    return res.status(410).send(shareUnavailablePage(`This link has ${state === "revoked" ? "been revoked" : "expired"}.`));
+  }
+
+  if (link.passcode_hash) {
+    if (await recentPasscodeFailures(link.id) >= SHARE_PASSCODE_MAX_FAILURES) {
+      await logShareView(link, req, "locked");
+      return res.status(429).send(shareUnavailablePage("Too many wrong passcodes. Try again in a few minutes."));
+    }
+    if (passcode == null) {
+      await logShareView(link, req, "passcode_required");
+      return res.status(401).send(sharePasscodePage());
+    }
+    if (!verifyPasscode(passcode, link.passcode_hash)) {
+      await logShareView(link, req, "passcode_invalid");
+      return res.status(401).send(sharePasscodePage({ error: "That passcode is not right." }));
     }
   }
-  if (!isFollowupValid(followText) || (prev && normalizeText(followText) === normalizeText(prev))) {
-    followText = buildFallbackFollowupVariant(nonce);
-    mode = "fallback";
+
+  const doc = await buildSharedDocument(link);
+  if (!doc) {
+    await logShareView(link, req, "unavailable");
+    return res.status(404).send(shareUnavailablePage("The shared report is no longer available."));
   }
-  console.log("[regen_followup_result]", { run_id: id, mode, len: followText.length });
+  await logShareView(link, req, "ok");
+  res.send(sharedDocumentPage(doc.title, renderHtml(doc), { expiresAt: link.expires_at }));
+}
 
-  const guidance = buildFollowupGuidance();
+app.get("/s/:token", (req, res) => serveShareLink(req, res, null));
 
-  const updated = {
-    ...(run.analysis_json || {}),
-    follow_up: { text: followText },
-    follow_up_guidance: guidance || "",
-  };
+app.post("/s/:token", express.urlencoded({ extended: false, limit: "4kb" }), (req, res) =>
+  serveShareLink(req, res, String(req.body?.passcode ?? ""))
+);
 
-  const { data: saved, error: uErr } = await supabaseAdmin
-    .from("runs")
-    .update({ analysis_json: updated })
-    .eq("id", id)
-    .eq("user_id", user.id)
-    .select()
-    .single();
+// -------- Async Run Endpoints --------
 
-  if (uErr) {
-    if (handleMissingUserId(res, "runs", uErr)) return;
-    return res.status(400).json({ error: uErr.message });
+// Validates an explicit entity id, or creates the named entity; runs with
+// neither get a fresh "Unassigned Entity" like single uploads always have.
+async function resolveRunEntity(userId, { entityId, entityName, entityOffer, entityIndustry }) {
+  if (entityId) {
+    const { data: entityRow, error } = await supabaseAdmin
+      .from("entities")
+      .select("id, deleted_at")
+      .eq("id", entityId)
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (error) return { error };
+    if (!entityRow || entityRow.deleted_at) return { notFound: true };
+    return { entityId: entityRow.id };
   }
-  res.json({ run: saved, guidance });
-});
 
-// -------- Async Run Endpoints --------
+  if (entityName) {
+    const { data: created, error } = await supabaseAdmin
+      .from("entities")
+      .insert([
+        {
+          user_id: userId,
+          name: entityName,
+          offer: entityOffer || "",
+          industry: entityIndustry || "",
+        },
+      ])
+      .select()
+      .single();
+    if (error) return { error };
+    return { entityId: created.id };
+  }
+
+  const entity = await insertEntityUniqueName(userId, "Unassigned Entity");
+  return { entityId: entity.id };
+}
+
+// Inserts the processing run row and hands the uploaded file to the job queue.
+async function queueRunFromUpload({ runId, userId, file, scenario, context, entityId, batchId = null, name = null, audioHash = null }) {
+  const row = {
+    id: runId,
+    user_id: userId,
+    status: "processing",
+    progress_step: "queued",
+    scenario,
+    context_text: context,
+    entity_id: entityId,
+  };
+  if (batchId) row.batch_id = batchId;
+  if (name) row.name = name;
+  if (audioHash) row.audio_hash = audioHash;
+  const { error: insertErr } = await supabaseAdmin.from("runs").insert([row]);
+  if (insertErr) {
+    try { fs.unlinkSync(file.path); } catch {}
+    return { insertError: insertErr };
+  }
+  emitWebhookEvent(userId, "run.created", { run_id: runId, entity_id: entityId || null, scenario, status: "processing", batch_id: batchId });
+
+  try {
+    await enqueueRunJob({
+      runId,
+      userId,
+      filePath: file.path,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      scenario,
+      context,
+      entityId,
+    });
+  } catch (err) {
+    try { fs.unlinkSync(file.path); } catch {}
+    await updateRunStatus(runId, userId, {
+      status: "failed",
+      progress_step: null,
+      error_text: truncateErrorText(err),
+    });
+    emitWebhookEvent(userId, "run.failed", { run_id: runId, entity_id: entityId || null, error_text: truncateErrorText(err) });
+    return { queueError: err };
+  }
+  return {};
+}
 
 app.post("/api/run_async", upload.single("file"), async (req, res) => {
   const user = await requireUser(req, res);
@@ -2688,60 +7591,359 @@ app.post("/api/run_async", upload.single("file"), async (req, res) => {
 
   const scenario = (req.body.scenario || "").trim();
   const context = (req.body.context || "").trim();
-  const entityId = (req.body.entityId || "").trim() || null;
-  let finalEntityId = entityId;
 
-  if (finalEntityId) {
-    const { data: entityRow, error: eErr } = await supabaseAdmin
-      .from("entities")
-      .select("id")
-      .eq("id", finalEntityId)
-      .eq("user_id", user.id)
-      .maybeSingle();
-    if (eErr) {
-      if (handleMissingUserId(res, "entities", eErr)) return;
-      return res.status(400).json({ error: eErr.message });
-    }
-    if (!entityRow) return res.status(404).json({ error: "Not found" });
-  }
-
-  if (!finalEntityId) {
-    const entity = await insertEntityUniqueName(user.id, "Unassigned Entity");
-    finalEntityId = entity.id;
+  const audioHash = await hashFile(file.path);
+  const existing = isTruthyFlag(req.body.allowDuplicate) ? null : await findAudioDuplicate(user.id, audioHash);
+  if (existing) {
+    try { fs.unlinkSync(file.path); } catch {}
+    return res.status(409).json({
+      error: "This recording was already uploaded",
+      code: "DUPLICATE_UPLOAD",
+      existing_run: existing,
+    });
   }
 
-  const { error: insertErr } = await supabaseAdmin
-    .from("runs")
-    .insert([
-      {
-        id: runId,
-        user_id: user.id,
-        status: "processing",
-        progress_step: "queued",
-        scenario,
-        context_text: context,
-        entity_id: finalEntityId,
-      },
-    ]);
-  if (insertErr) {
-    if (handleMissingUserId(res, "runs", insertErr)) return;
-    return res.status(400).json({ error: insertErr.message });
+  const entity = await resolveRunEntity(user.id, {
+    entityId: (req.body.entityId || "").trim() || null,
+    entityName: (req.body.entityName || "").trim(),
+    entityOffer: (req.body.entityOffer || "").trim(),
+    entityIndustry: (req.body.entityIndustry || "").trim(),
+  });
+  if (entity.error) {
+    if (handleMissingUserId(res, "entities", entity.error)) return;
+    return res.status(400).json({ error: entity.error.message });
   }
+  if (entity.notFound) return res.status(404).json({ error: "Not found" });
 
-  enqueueRunJob({
+  const queued = await queueRunFromUpload({
     runId,
     userId: user.id,
-    filePath: file.path,
-    originalname: file.originalname,
-    mimetype: file.mimetype,
+    file,
     scenario,
     context,
-    entityId: finalEntityId,
+    entityId: entity.entityId,
+    audioHash,
   });
+  if (queued.insertError) {
+    if (handleMissingUserId(res, "runs", queued.insertError)) return;
+    return res.status(400).json({ error: queued.insertError.message });
+  }
+  if (queued.queueError) {
+    return res.status(500).json({
+      error: "Run queue misconfigured",
+      code: "RUN_QUEUE_UNAVAILABLE",
+    });
+  }
 
   res.status(202).json({ run_id: runId, status: "processing" });
 });
 
+// -------- Batch uploads --------
+
+const BATCH_MEDIA_TYPES = {
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".m4a": "audio/mp4",
+  ".mp4": "video/mp4",
+  ".aac": "audio/aac",
+  ".ogg": "audio/ogg",
+  ".webm": "audio/webm",
+  ".flac": "audio/flac",
+};
+
+function batchMediaType(name) {
+  return BATCH_MEDIA_TYPES[path.extname(String(name || "")).toLowerCase()] || null;
+}
+
+function parseBatchItems(raw) {
+  if (!raw) return [];
+  const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(parsed)) throw new Error("items must be an array");
+  return parsed;
+}
+
+function summarizeBatchProgress(runs) {
+  const counts = { total: runs.length, queued: 0, processing: 0, complete: 0, failed: 0 };
+  runs.forEach((r) => {
+    if (r.status === "complete") counts.complete += 1;
+    else if (r.status === "failed") counts.failed += 1;
+    else if (r.progress_step === "queued") counts.queued += 1;
+    else counts.processing += 1;
+  });
+  const done = counts.complete + counts.failed;
+  return {
+    ...counts,
+    done,
+    percent: counts.total ? Math.round((done / counts.total) * 100) : 0,
+    finished: done === counts.total,
+  };
+}
+
+function batchRunView(r) {
+  return {
+    id: r.id,
+    name: r.name || null,
+    status: r.status || "unknown",
+    progress_step: r.progress_step || null,
+    error_text: r.error_text || null,
+    outcome_label: r.outcome_label || null,
+    score: r.score ?? null,
+    entity_id: r.entity_id || null,
+    created_at: r.created_at,
+  };
+}
+
+// multipart: files (recordings and/or .zip archives), shared scenario,
+// context, entityId | entityName/entityOffer/entityIndustry, optional name,
+// and optional items: JSON [{ file, scenario, context, entityId, entityName, ... }]
+// whose `file` matches a recording's file name (zip entries by base name).
+app.post("/api/run_batch", batchUpload.array("files"), async (req, res) => {
+  const uploaded = Array.isArray(req.files) ? req.files : [];
+  const cleanup = (list) => list.forEach((f) => { try { fs.unlinkSync(f.path); } catch {} });
+
+  const user = await requireUser(req, res);
+  if (!user) return cleanup(uploaded);
+  if (!uploaded.length) return res.status(400).json({ error: "Missing files" });
+
+  let overrides;
+  try {
+    overrides = parseBatchItems(req.body.items);
+  } catch (err) {
+    cleanup(uploaded);
+    return res.status(400).json({ error: `Invalid items: ${err.message}`, code: "BATCH_ITEMS_INVALID" });
+  }
+
+  const items = [];
+  const skipped = [];
+  for (const file of uploaded) {
+    if (isZipUpload(file)) {
+      try {
+        const { files, skipped: zipSkipped } = await extractZipFile(file.path, {
+          outPrefix: file.path,
+          accept: (name) => !!batchMediaType(name),
+          maxEntries: RUN_BATCH_MAX_FILES - items.length,
+          maxBytes: MAX_UPLOAD_BYTES,
+        });
+        files.forEach((f) => items.push({ ...f, mimetype: batchMediaType(f.originalname) }));
+        zipSkipped.forEach((z) => skipped.push({ file: `${file.originalname}/${z.name}`, reason: z.reason }));
+      } catch (err) {
+        skipped.push({ file: file.originalname, reason: err.message || String(err) });
+      }
+      cleanup([file]);
+      continue;
+    }
+    let reason = null;
+    if (!batchMediaType(file.originalname) && !/^(audio|video)\//.test(file.mimetype || "")) {
+      reason = "unsupported file type";
+    } else if (file.size > MAX_UPLOAD_BYTES) {
+      reason = "file too large";
+    } else if (items.length >= RUN_BATCH_MAX_FILES) {
+      reason = "too many files in batch";
+    }
+    if (reason) {
+      skipped.push({ file: file.originalname, reason });
+      cleanup([file]);
+      continue;
+    }
+    items.push({
+      path: file.path,
+      originalname: file.originalname,
+      mimetype: file.mimetype || batchMediaType(file.originalname),
+      size: file.size,
+    });
+  }
+
+  if (!items.length) {
+    return res.status(400).json({ error: "No audio or video files found", code: "BATCH_EMPTY", skipped });
+  }
+
+  const shared = {
+    scenario: (req.body.scenario || "").trim(),
+    context: (req.body.context || "").trim(),
+    entityId: (req.body.entityId || "").trim() || null,
+    entityName: (req.body.entityName || "").trim(),
+    entityOffer: (req.body.entityOffer || "").trim(),
+    entityIndustry: (req.body.entityIndustry || "").trim(),
+  };
+
+  const batchId = crypto.randomUUID();
+  const { error: batchErr } = await supabaseAdmin.from("run_batches").insert([
+    {
+      id: batchId,
+      user_id: user.id,
+      name: String(req.body.name || "").trim().slice(0, 120) || `Batch ${new Date().toISOString().slice(0, 10)}`,
+      file_count: items.length,
+      skipped,
+    },
+  ]);
+  if (batchErr) {
+    cleanup(items);
+    if (handleMissingUserId(res, "run_batches", batchErr)) return;
+    return res.status(400).json({ error: batchErr.message });
+  }
+
+  // Files naming the same entity share it instead of creating duplicates.
+  const entityCache = new Map();
+  const allowDuplicates = isTruthyFlag(req.body.allowDuplicates);
+  const batchHashes = new Map();
+  const runs = [];
+  for (const item of items) {
+    const audioHash = await hashFile(item.path);
+    const duplicateOf = batchHashes.get(audioHash)
+      || (allowDuplicates ? null : (await findAudioDuplicate(user.id, audioHash))?.id);
+    if (duplicateOf) {
+      cleanup([item]);
+      skipped.push({ file: item.originalname, reason: "duplicate recording", duplicate_of: duplicateOf });
+      continue;
+    }
+
+    const o = overrides.find((x) => String(x?.file || "") === item.originalname) || {};
+    const pick = (key) => {
+      const v = typeof o[key] === "string" ? o[key].trim() : "";
+      return v || shared[key];
+    };
+    const ownEntityId = String(o.entityId || "").trim();
+    const ownEntityName = String(o.entityName || "").trim();
+    const entityInput = ownEntityId || ownEntityName
+      ? {
+        entityId: ownEntityId || null,
+        entityName: ownEntityName,
+        entityOffer: String(o.entityOffer || "").trim(),
+        entityIndustry: String(o.entityIndustry || "").trim(),
+      }
+      : shared;
+    const cacheKey = entityInput.entityId
+      ? `id:${entityInput.entityId}`
+      : entityInput.entityName ? `name:${entityInput.entityName.toLowerCase()}` : null;
+
+    let entityId = cacheKey ? entityCache.get(cacheKey) : null;
+    if (!entityId) {
+      let entity;
+      try {
+        entity = await resolveRunEntity(user.id, entityInput);
+      } catch (err) {
+        entity = { error: err };
+      }
+      if (entity.error || entity.notFound) {
+        cleanup([item]);
+        skipped.push({ file: item.originalname, reason: entity.notFound ? "entity not found" : entity.error.message });
+        continue;
+      }
+      entityId = entity.entityId;
+      if (cacheKey) entityCache.set(cacheKey, entityId);
+    }
+
+    const runId = crypto.randomUUID();
+    const name = path.basename(item.originalname, path.extname(item.originalname)).slice(0, 120);
+    const queued = await queueRunFromUpload({
+      runId,
+      userId: user.id,
+      file: item,
+      scenario: pick("scenario"),
+      context: pick("context"),
+      entityId,
+      batchId,
+      name,
+      audioHash,
+    });
+    if (queued.insertError) {
+      skipped.push({ file: item.originalname, reason: queued.insertError.message });
+      continue;
+    }
+    batchHashes.set(audioHash, runId);
+    runs.push({
+      id: runId,
+      name,
+      status: queued.queueError ? "failed" : "processing",
+      progress_step: queued.queueError ? null : "queued",
+      entity_id: entityId,
+    });
+  }
+
+  await supabaseAdmin
+    .from("run_batches")
+    .update({ file_count: runs.length, skipped, updated_at: new Date().toISOString() })
+    .eq("id", batchId)
+    .eq("user_id", user.id);
+
+  console.warn("[run_batch_created]", {
+    batch_id: batchId,
+    user_id: user.id,
+    runs: runs.length,
+    skipped: skipped.length,
+  });
+
+  res.status(202).json({
+    batch_id: batchId,
+    runs,
+    skipped,
+    progress: summarizeBatchProgress(runs),
+  });
+});
+
+app.get("/api/batches", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data: batches, error } = await supabaseAdmin
+    .from("run_batches")
+    .select("id, name, file_count, skipped, created_at")
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false })
+    .limit(20);
+  if (error) {
+    if (handleMissingUserId(res, "run_batches", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+
+  const ids = (batches || []).map((b) => b.id);
+  let runs = [];
+  if (ids.length) {
+    const { data, error: rErr } = await supabaseAdmin
+      .from("runs")
+      .select("id, batch_id, status, progress_step")
+      .eq("user_id", user.id)
+      .in("batch_id", ids);
+    if (rErr) return res.status(400).json({ error: rErr.message });
+    runs = data || [];
+  }
+
+  res.json({
+    batches: (batches || []).map((b) => ({
+      ...b,
+      progress: summarizeBatchProgress(runs.filter((r) => r.batch_id === b.id)),
+    })),
+  });
+});
+
+app.get("/api/batches/:id", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data: batch, error } = await supabaseAdmin
+    .from("run_batches")
+    .select("id, name, file_count, skipped, created_at")
+    .eq("id", req.params.id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (error) {
+    if (handleMissingUserId(res, "run_batches", error)) return;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!batch) return res.status(404).json({ error: "Not found" });
+
+  const { data: runs, error: rErr } = await supabaseAdmin
+    .from("runs")
+    .select("id, name, status, progress_step, error_text, outcome_label, score:analysis_json->score, entity_id, created_at")
+    .eq("user_id", user.id)
+    .eq("batch_id", batch.id)
+    .order("created_at", { ascending: true });
+  if (rErr) return res.status(400).json({ error: rErr.message });
+
+  const list = (runs || []).map(batchRunView);
+  res.json({ batch, runs: list, progress: summarizeBatchProgress(list) });
+});
+
 app.get("/api/run_status/:id", async (req, res) => {
   const user = await requireUser(req, res);
   if (!user) return;
@@ -2767,6 +7969,19 @@ app.get("/api/run_status/:id", async (req, res) => {
     error_text: data.error_text || null,
     created_at: data.created_at || null,
   };
+  const { data: job } = await supabaseAdmin
+    .from("run_jobs")
+    .select("status, attempts, max_attempts, last_error")
+    .eq("run_id", id)
+    .maybeSingle();
+  if (job) {
+    response.job = {
+      status: job.status,
+      attempts: job.attempts || 0,
+      max_attempts: job.max_attempts || RUN_JOB_MAX_ATTEMPTS,
+      last_error: job.last_error || null,
+    };
+  }
   if (data.status === "complete") {
     response.outcome_label = data.outcome_label || "Unknown";
     response.analysis_json_present = Boolean(data.analysis_json);
@@ -2777,6 +7992,113 @@ app.get("/api/run_status/:id", async (req, res) => {
   res.json(response);
 });
 
+// -------- Run Progress Streams (SSE) --------
+
+function openEventStream(req, res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  let closed = false;
+  const cleanups = [];
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    cleanups.forEach((fn) => fn());
+    res.end();
+  };
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const ping = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, 25000);
+  cleanups.push(() => clearInterval(ping));
+  req.on("close", close);
+  return { send, close, onClose: (fn) => cleanups.push(fn) };
+}
+
+// A run stream with nothing to say for this long is closed; the client then
+// falls back to polling the status route.
+const RUN_EVENTS_IDLE_MS = Number(process.env.RUN_EVENTS_IDLE_MS || 5 * 60 * 1000);
+
+app.get("/api/runs/:id/events", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  // Subscribe before reading the run, so an event emitted between the read
+  // and the subscription is buffered instead of lost.
+  const id = req.params.id;
+  const channel = `user:${user.id}`;
+  const buffered = [];
+  let deliver = (evt) => buffered.push(evt);
+  const listener = (evt) => {
+    if (evt.run_id === id) deliver(evt);
+  };
+  runEvents.on(channel, listener);
+
+  const { data: run, error } = await supabaseAdmin
+    .from("runs")
+    .select("id, status, progress_step, error_text, outcome_label, transcript_lines, analysis_json")
+    .eq("id", id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (error || !run) {
+    runEvents.off(channel, listener);
+    if (error) {
+      if (handleMissingUserId(res, "runs", error)) return;
+      return res.status(400).json({ error: error.message });
+    }
+    return res.status(404).json({ error: "Not found" });
+  }
+  if (res.socket?.destroyed) return runEvents.off(channel, listener);
+
+  const stream = openEventStream(req, res);
+  stream.onClose(() => runEvents.off(channel, listener));
+  stream.send("status", {
+    type: "status",
+    run_id: id,
+    at: nowIso(),
+    status: run.status || "unknown",
+    progress_step: run.progress_step || null,
+    error_text: run.error_text || null,
+  });
+  if (run.status === "complete" || run.status === "failed") {
+    stream.send("summary", { type: "summary", run_id: id, at: nowIso(), ...buildRunSummary(run) });
+    return stream.close();
+  }
+
+  let idleTimer = null;
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(stream.close, RUN_EVENTS_IDLE_MS);
+  };
+  stream.onClose(() => clearTimeout(idleTimer));
+  deliver = (evt) => {
+    stream.send(evt.type, evt);
+    if (evt.type === "summary") stream.close();
+    else resetIdle();
+  };
+  resetIdle();
+  buffered.forEach((evt) => deliver(evt));
+});
+
+app.get("/api/events", async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const stream = openEventStream(req, res);
+  stream.send("ready", { type: "ready", at: nowIso() });
+  const channel = `user:${user.id}`;
+  const listener = (evt) => stream.send(evt.type, evt);
+  runEvents.on(channel, listener);
+  stream.onClose(() => runEvents.off(channel, listener));
+});
+
 // -------- Main Run Endpoint --------
 
 app.post("/api/run", upload.single("file"), async (req, res) => {
@@ -2798,6 +8120,17 @@ app.post("/api/run", upload.single("file"), async (req, res) => {
   let finalEntityId = entityId;
 
   try {
+    const audioHash = await hashFile(file.path);
+    const existing = isTruthyFlag(req.body.allowDuplicate) ? null : await findAudioDuplicate(user.id, audioHash);
+    if (existing) {
+      try { fs.unlinkSync(file.path); } catch {}
+      return res.status(409).json({
+        error: "This recording was already uploaded",
+        code: "DUPLICATE_UPLOAD",
+        existing_run: existing,
+      });
+    }
+
     let inputPath = file.path;
     let cleanupPaths = [file.path];
 
@@ -2853,7 +8186,9 @@ app.post("/api/run", upload.single("file"), async (req, res) => {
     }
 
     // Transcribe
-    const { transcriptText, transcriptJson, transcriptLines } = await assemblyTranscribe(inputPath);
+    const { transcriptText, transcriptJson, transcriptLines } = await transcribeAudio(inputPath, {
+      originalname: file.originalname,
+    });
     const artifactRoot = `artifacts/${runId}`;
     await uploadJsonArtifact(
       STORAGE_BUCKET,
@@ -2868,81 +8203,40 @@ app.post("/api/run", upload.single("file"), async (req, res) => {
     const rawLines = transcriptLines || [];
     const finalTranscriptLines = finalizeTranscriptLines(rawLines);
     const transcriptHash = sha1(Buffer.from(transcriptText, "utf-8"));
-
-    // Optional aggregate context for entity
-    let entityAggregate = null;
-    if (finalEntityId) {
-      entityAggregate = await buildEntityAggregate(user.id, finalEntityId);
-    }
-
-    // Analyze
-    const prompt = buildAnalysisPrompt({
-      transcript: transcriptText,
+    const metrics = computeConversationMetrics(finalTranscriptLines);
+    const signature = transcriptSignature(transcriptText);
+    const duplicate = await findTranscriptDuplicate(user.id, runId, signature, transcriptHash);
+
+    const {
+      analysis: finalAnalysis,
+      outcomeLabel: outcomeLabelFinal,
+      rubric,
+    } = await analyzeTranscript({
+      userId: user.id,
+      transcriptText,
       transcriptLines: finalTranscriptLines,
       context,
       scenario,
-      entityAggregate,
+      entityId: finalEntityId,
+      artifactRoot,
+      metrics,
     });
-
-    const deepseekResult = await deepseekJSONWithRaw(prompt.system, prompt.user, 0.25);
-    await uploadJsonArtifact(
-      STORAGE_BUCKET,
-      `${artifactRoot}/deepseek_raw.json`,
-      { raw: deepseekResult.raw }
-    );
-    const rawAnalysis = deepseekResult.parsed;
-    const outcomeLabel = await inferOutcomeLabel(rawAnalysis);
-    let { fixedJson: finalAnalysis, errors } = validateAndCoerceAnalysisJson(
-      rawAnalysis,
-      finalTranscriptLines,
-      outcomeLabel
-    );
-    let evidenceCount = finalAnalysis?.call_result?.evidence?.length || 0;
-
-    if (errors.length > 0 || evidenceCount !== 36) {
-      const errorLines = errors.slice(0, 10);
-      if (evidenceCount !== 36) {
-        errorLines.push(`evidence_count=${evidenceCount} (must be 36)`);
-      }
-      const numberedTranscript = buildNumberedTranscriptLines(finalTranscriptLines).join("\n");
-      const repairSystem = `
-You are a strict JSON fixer. Return a corrected FULL analysis JSON only.
-Follow the required keys and types, and ensure evidence has exactly 36 items.
-Each evidence item must reference a valid transcript line and include an exact substring quote from that line (keep quotes short).
-`;
-      const repairUser = `
-Errors:
-${errorLines.map((e) => `- ${e}`).join("\n")}
-
-Transcript:
-${numberedTranscript}
-
-Return the corrected JSON only.
-`;
-      const repaired = await deepseekJSON(repairSystem.trim(), repairUser.trim(), 0.2);
-      const repairedOutcome = await inferOutcomeLabel(repaired) || outcomeLabel;
-      const repairedResult = validateAndCoerceAnalysisJson(
-        repaired,
-        finalTranscriptLines,
-        repairedOutcome
-      );
-      finalAnalysis = repairedResult.fixedJson;
-      evidenceCount = finalAnalysis?.call_result?.evidence?.length || 0;
-      if (repairedResult.errors.length > 0 || evidenceCount !== 36) {
-        finalAnalysis = buildFallbackAnalysisJson(repairedOutcome, finalTranscriptLines);
-      }
-    }
-
-    const outcomeLabelFinal =
-      finalAnalysis?.call_result?.label || outcomeLabel || "Unknown";
     await uploadJsonArtifact(
       STORAGE_BUCKET,
       `${artifactRoot}/analysis_final.json`,
       finalAnalysis
     );
 
+    const audio = await storeOriginalUpload({
+      runId,
+      filePath: file.path,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+    });
+
     // Store run
     const runRow = {
+      id: runId,
       user_id: user.id,
       scenario,
       context_text: context,
@@ -2950,8 +8244,14 @@ Return the corrected JSON only.
       transcript_lines: finalTranscriptLines,
       transcript_json: transcriptJson,
       transcript_hash: transcriptHash,
+      ...signature,
       outcome_label: outcomeLabelFinal,
       analysis_json: finalAnalysis,
+      metrics,
+      rubric_id: rubric?.id || null,
+      ...audio,
+      audio_hash: audioHash,
+      ...duplicateFields(duplicate),
       entity_id: finalEntityId,
     };
 
@@ -2977,6 +8277,16 @@ Return the corrected JSON only.
       if (handleMissingUserId(res, "runs", fixErr)) return;
       throw new Error(fixErr.message);
     }
+    await stopSequencesAfterRun(user.id, insertedId);
+    // The synchronous path stores the run only once it is analyzed.
+    emitWebhookEvent(user.id, "run.created", { run_id: insertedId, entity_id: finalEntityId || null, scenario, status: "complete" });
+    emitWebhookEvent(user.id, "run.completed", {
+      run_id: insertedId,
+      entity_id: finalEntityId || null,
+      outcome_label: outcomeLabelFinal,
+      score: finalAnalysis?.score ?? null,
+      report_title: finalAnalysis?.report_title || null,
+    });
 
     // cleanup temp files
     cleanupPaths.forEach((p) => {
@@ -3022,6 +8332,7 @@ Return the corrected JSON only.
     });
   } catch (err) {
     try { fs.unlinkSync(file.path); } catch {}
+    emitWebhookEvent(user.id, "run.failed", { run_id: runId, entity_id: finalEntityId || null, error_text: truncateErrorText(err) });
     return res.status(400).json({ error: err.message || String(err) });
   }
 });
@@ -3038,6 +8349,14 @@ app.use((err, req, res, next) => {
     });
   }
 
+  if (err.code === "LIMIT_FILE_COUNT") {
+    return res.status(400).json({
+      error: `Too many files (max ${RUN_BATCH_MAX_FILES} per batch)`,
+      code: "TOO_MANY_FILES",
+      maxFiles: RUN_BATCH_MAX_FILES,
+    });
+  }
+
   if (err.type === "entity.too.large" || err.status === 413) {
     return res.status(413).json({
       error: "File too large",
@@ -3059,4 +8378,8 @@ app.get(/^\/(?!api\/).*/, (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Calibrate MVP running on :${PORT}`);
+  startRunWorkers();
+  startPurgeSweeper();
+  startSmtpCapture();
+  startWebhookDispatcher();
 });
@@ -0,0 +1,100 @@
+// Share links: random tokens (only their hash is stored), scrypt-hashed
+// passcodes, and the standalone pages the public /s/:token route serves.
+
+import crypto from "crypto";
+
+export const SHARE_DEFAULT_DAYS = 7;
+export const SHARE_MAX_DAYS = 90;
+export const SHARE_PASSCODE_MIN = 4;
+export const SHARE_PASSCODE_MAX = 64;
+
+export function createShareToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+export function hashShareToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+export function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(passcode), salt, 32);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+export function verifyPasscode(passcode, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = crypto.scryptSync(String(passcode ?? ""), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Views are logged with a salted hash of the address, not the address itself.
+export function hashViewerIp(ip, salt) {
+  if (!ip) return null;
+  return crypto.createHash("sha256").update(`${salt}:${ip}`).digest("hex").slice(0, 32);
+}
+
+const esc = (s) => String(s ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const PAGE_CSS = `
+body{margin:0;background:#f5f6f8;color:#1c2230;font:15px/1.55 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif}
+main{max-width:820px;margin:32px auto;background:#fff;border:1px solid #e1e4ea;border-radius:12px;padding:32px 40px}
+h1{font-size:26px;margin:0 0 12px;padding-bottom:10px;border-bottom:1px solid #e1e4ea}
+h2{font-size:19px;margin:28px 0 8px}
+h3{font-size:16px;margin:18px 0 6px}
+dl.fields{display:grid;grid-template-columns:max-content 1fr;gap:4px 16px;margin:12px 0}
+dt{font-weight:600}dd{margin:0}
+blockquote{margin:10px 0;padding:4px 14px;border-left:3px solid #c0c7d6;font-style:italic}
+cite{display:block;font-style:normal;font-size:13px;color:#5a6170;margin-top:2px}
+table{border-collapse:collapse;width:100%;margin:10px 0;font-size:14px}
+th,td{border:1px solid #e1e4ea;padding:6px 8px;text-align:left;vertical-align:top}
+.transcript p{margin:0 0 6px;font-size:14px}
+.meta{color:#5a6170;font-size:13px;display:flex;gap:12px;align-items:center;margin-bottom:18px}
+.meta span{flex:1}
+button{font:inherit;border:1px solid #c8cdd6;background:#fff;border-radius:8px;padding:6px 12px;cursor:pointer}
+input{font:inherit;border:1px solid #c8cdd6;border-radius:8px;padding:8px 10px;width:100%;box-sizing:border-box;margin:8px 0 12px}
+.error{color:#b42318}
+@media print{body{background:#fff}main{border:0;margin:0;padding:0;max-width:none}.meta button{display:none}}
+`;
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${esc(title)}</title>
+<style>${PAGE_CSS}</style>
+</head>
+<body><main>
+${body}
+</main></body>
+</html>`;
+}
+
+export function sharedDocumentPage(title, bodyHtml, { expiresAt } = {}) {
+  const expiry = expiresAt ? `Link expires ${esc(new Date(expiresAt).toUTCString())}` : "";
+  return page(title, `<div class="meta"><span>Shared read-only report · ${expiry}</span><button type="button" onclick="window.print()">Print</button></div>
+${bodyHtml}`);
+}
+
+export function sharePasscodePage({ error = "" } = {}) {
+  return page("Passcode required", `<h1>Passcode required</h1>
+<p>This shared report is protected. Enter the passcode you were given.</p>
+${error ? `<p class="error">${esc(error)}</p>` : ""}
+<form method="post">
+<input type="password" name="passcode" autocomplete="off" autofocus required maxlength="${SHARE_PASSCODE_MAX}">
+<button type="submit">View report</button>
+</form>`);
+}
+
+export function shareUnavailablePage(message) {
+  return page("Link unavailable", `<h1>Link unavailable</h1><p>${esc(message)}</p>`);
+}
@@ -0,0 +1,279 @@
+// Minimal SMTP: a client for sending follow-ups (EHLO, STARTTLS, AUTH
+// PLAIN/LOGIN, one message per connection) and a capture server that stands
+// in for a real relay in development, keeping messages in memory. Messages
+// are single-part text/plain, base64 encoded.
+
+import crypto from "crypto";
+import net from "net";
+import os from "os";
+import tls from "tls";
+
+const EMAIL_RE = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+const DEFAULT_TIMEOUT_MS = 20000;
+const CAPTURE_LIMIT = 50;
+const CAPTURE_MAX_BYTES = 2 * 1024 * 1024;
+
+export function isEmailAddress(value) {
+  return EMAIL_RE.test(String(value || "").trim());
+}
+
+// RFC 2047 encoded-word for header text that is not plain ASCII.
+function encodeHeader(value) {
+  const text = String(value || "").replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString("base64")}?=`;
+}
+
+function formatAddress(email, name = "") {
+  if (!name) return email;
+  const display = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/["\\]/g, "")}"` : encodeHeader(name);
+  return `${display} <${email}>`;
+}
+
+export function newMessageId(fromEmail) {
+  const domain = String(fromEmail || "").split("@")[1] || "calibrate.local";
+  return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+// The RFC 5322 message. Bcc recipients go on the envelope only, never in a
+// header.
+export function buildMessage({ fromEmail, fromName, to, replyTo, subject, text, messageId, date = new Date() }) {
+  const body = Buffer.from(String(text || "").replace(/\r?\n/g, "\r\n"))
+    .toString("base64")
+    .replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${formatAddress(fromEmail, fromName)}`,
+    `To: ${to.join(", ")}`,
+    replyTo ? `Reply-To: ${replyTo}` : "",
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+  ].filter(Boolean).join("\r\n") + `\r\n\r\n${body}\r\n`;
+}
+
+// Reads SMTP replies off a socket; multi-line replies ("250-...") are joined.
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const waiting = [];
+  const ready = [];
+  let failure = null;
+  const settle = () => {
+    while (waiting.length && (ready.length || failure)) {
+      const w = waiting.shift();
+      if (ready.length) w.resolve(ready.shift());
+      else w.reject(failure);
+    }
+  };
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let idx;
+    while ((idx = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        ready.push({ code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)), text: lines.join("\n") });
+        lines = [];
+      }
+    }
+    settle();
+  });
+  const fail = (err) => {
+    failure = failure || err;
+    settle();
+  };
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("SMTP connection closed")));
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => socket.removeAllListeners("data"),
+  };
+}
+
+// Sends one message. transport: { host, port, secure, user, pass, timeoutMs }.
+// Returns { response } with the server's final reply, or throws with the
+// failing reply in err.message. With credentials on a plain connection the
+// server must offer STARTTLS; AUTH is never sent in cleartext.
+export async function sendMail(transport, { from, recipients, message }) {
+  const { host, port, secure = false, user = "", pass = "", timeoutMs = DEFAULT_TIMEOUT_MS } = transport;
+  let socket = await new Promise((resolve, reject) => {
+    const s = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(s))
+      : net.connect({ host, port }, () => resolve(s));
+    s.once("error", reject);
+  });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timed out")));
+  let reader = replyReader(socket);
+
+  const expect = async (codes) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) throw new Error(`SMTP ${reply.text}`);
+    return reply;
+  };
+  const command = async (line, codes) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes);
+  };
+
+  try {
+    await expect([220]);
+    const helo = os.hostname() || "localhost";
+    let ehlo = await command(`EHLO ${helo}`, [250]);
+    if (!secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket, servername: host }, () => resolve(s));
+        s.once("error", reject);
+      });
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timed out")));
+      reader = replyReader(socket);
+      ehlo = await command(`EHLO ${helo}`, [250]);
+    } else if (!secure && user) {
+      throw new Error("SMTP server does not offer STARTTLS; refusing to send credentials in cleartext");
+    }
+    if (user) {
+      const auth = ehlo.lines.find((l) => /^AUTH\b/i.test(l)) || "";
+      if (/\bPLAIN\b/i.test(auth)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString("base64")}`, [235]);
+      } else {
+        await command("AUTH LOGIN", [334]);
+        await command(Buffer.from(user).toString("base64"), [334]);
+        await command(Buffer.from(pass).toString("base64"), [235]);
+      }
+    }
+    await command(`MAIL FROM:<${from}>`, [250]);
+    for (const rcpt of recipients) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await command("DATA", [354]);
+    const stuffed = message.replace(/\r\n\./g, "\r\n..");
+    const final = await command(`${stuffed.replace(/\r\n$/, "")}\r\n.`, [250]);
+    socket.write("QUIT\r\n");
+    return { response: final.text };
+  } finally {
+    socket.end();
+    socket.destroy();
+  }
+}
+
+// -------- Capture server --------
+
+// Splits a captured message into headers and its decoded text body.
+export function parseMessage(raw) {
+  const split = raw.indexOf("\r\n\r\n");
+  const head = split >= 0 ? raw.slice(0, split) : raw;
+  const body = split >= 0 ? raw.slice(split + 4) : "";
+  const headers = {};
+  head.replace(/\r\n[ \t]+/g, " ").split("\r\n").forEach((line) => {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  });
+  const decodeWords = (v) => String(v || "").replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b) => Buffer.from(b, "base64").toString("utf8"));
+  const text = /base64/i.test(headers["content-transfer-encoding"] || "")
+    ? Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8")
+    : body;
+  return {
+    from: decodeWords(headers.from),
+    to: headers.to || "",
+    reply_to: headers["reply-to"] || "",
+    subject: decodeWords(headers.subject),
+    message_id: headers["message-id"] || "",
+    text: text.replace(/\r\n/g, "\n"),
+  };
+}
+
+// Accepts any sender, recipient and credentials. Resolves once listening with
+// { port, messages(), close() }; messages are newest first.
+export function startCaptureServer({ host = "127.0.0.1", port = 2525, limit = CAPTURE_LIMIT } = {}) {
+  const captured = [];
+  const server = net.createServer((socket) => {
+    let envelope = { from: "", to: [] };
+    let data = null;
+    let buffer = "";
+    let pendingAuth = 0;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setTimeout(DEFAULT_TIMEOUT_MS, () => socket.destroy());
+    socket.on("error", () => {});
+    reply("220 calibrate-capture ESMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (buffer.length > CAPTURE_MAX_BYTES) {
+        reply("552 Message too large");
+        socket.destroy();
+        return;
+      }
+      let idx;
+      while ((idx = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        if (data) {
+          if (line === ".") {
+            const raw = `${data.join("\r\n")}\r\n`;
+            const id = crypto.randomUUID();
+            captured.unshift({ id, received_at: new Date().toISOString(), envelope_from: envelope.from, envelope_to: envelope.to, raw });
+            captured.splice(limit);
+            data = null;
+            envelope = { from: "", to: [] };
+            reply(`250 OK queued as ${id}`);
+          } else {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+        if (pendingAuth) {
+          pendingAuth -= 1;
+          reply(pendingAuth ? "334 UGFzc3dvcmQ6" : "235 Authenticated");
+          continue;
+        }
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === "EHLO") {
+          reply("250-calibrate-capture");
+          reply("250-8BITMIME");
+          reply("250 AUTH PLAIN LOGIN");
+        } else if (verb === "HELO") reply("250 calibrate-capture");
+        else if (verb === "AUTH") {
+          if (/^AUTH LOGIN\s*$/i.test(line)) {
+            pendingAuth = 2;
+            reply("334 VXNlcm5hbWU6");
+          } else reply("235 Authenticated");
+        } else if (verb === "MAIL") {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || "";
+          reply("250 OK");
+        } else if (verb === "RCPT") {
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || "");
+          reply("250 OK");
+        } else if (verb === "DATA") {
+          if (!envelope.to.length) {
+            reply("503 No recipients");
+          } else {
+            data = [];
+            reply("354 End data with <CR><LF>.<CR><LF>");
+          }
+        } else if (verb === "RSET") {
+          envelope = { from: "", to: [] };
+          reply("250 OK");
+        } else if (verb === "NOOP") reply("250 OK");
+        else if (verb === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else reply("502 Command not implemented");
+      }
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.unref();
+      resolve({
+        port: server.address().port,
+        messages: () => captured.map((m) => ({ ...m, ...parseMessage(m.raw) })),
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
@@ -0,0 +1,189 @@
+// Transcript edits are a list of ops applied in order; line numbers in each op
+// refer to the transcript as it stands after the previous ops.
+//
+//   { op: "set_text", line, text }
+//   { op: "set_speaker", line, speaker }
+//   { op: "swap_speakers", a, b }      every a <-> b across the transcript
+//   { op: "split", line, offset }      split at a character offset
+//   { op: "merge", line }              merge line with the one after it
+//
+// Each working line tracks `origin` (the line numbers it came from) so
+// evidence references can be carried over to the edited transcript.
+
+export const TRANSCRIPT_EDIT_MAX_OPS = 500;
+const MAX_SPEAKER_LEN = 40;
+const MAX_LINE_TEXT = 4000;
+
+function cleanSpeaker(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").slice(0, MAX_SPEAKER_LEN);
+}
+
+function splitTiming(ln, ratio) {
+  if (typeof ln.start_ms !== "number" || typeof ln.end_ms !== "number" || ln.end_ms <= ln.start_ms) {
+    return [
+      { start_ms: ln.start_ms ?? null, end_ms: null },
+      { start_ms: null, end_ms: ln.end_ms ?? null },
+    ];
+  }
+  const mid = Math.round(ln.start_ms + (ln.end_ms - ln.start_ms) * ratio);
+  const cut = Math.min(Math.max(mid, ln.start_ms + 1), ln.end_ms - 1);
+  return [
+    { start_ms: ln.start_ms, end_ms: cut },
+    { start_ms: cut + 1 > ln.end_ms ? ln.end_ms : cut + 1, end_ms: ln.end_ms },
+  ];
+}
+
+export function applyTranscriptEdits(transcriptLines, ops) {
+  const errors = [];
+  let lines = (Array.isArray(transcriptLines) ? transcriptLines : []).map((ln, i) => ({
+    speaker: cleanSpeaker(ln?.speaker) || "Speaker A",
+    text: String(ln?.text ?? ""),
+    start_ms: typeof ln?.start_ms === "number" ? ln.start_ms : null,
+    end_ms: typeof ln?.end_ms === "number" ? ln.end_ms : null,
+    origin: [Number(ln?.line) || i + 1],
+  }));
+  const list = Array.isArray(ops) ? ops : [];
+  if (list.length > TRANSCRIPT_EDIT_MAX_OPS) {
+    errors.push(`Too many edits (max ${TRANSCRIPT_EDIT_MAX_OPS})`);
+  }
+
+  list.slice(0, TRANSCRIPT_EDIT_MAX_OPS).forEach((op, i) => {
+    const label = `op ${i + 1} (${op?.op || "?"})`;
+    const idx = Math.floor(Number(op?.line)) - 1;
+    const needsLine = ["set_text", "set_speaker", "split", "merge"].includes(op?.op);
+    if (needsLine && !(idx >= 0 && idx < lines.length)) {
+      errors.push(`${label}: line out of range`);
+      return;
+    }
+    switch (op?.op) {
+      case "set_text": {
+        const text = String(op.text ?? "").trim();
+        if (!text) {
+          errors.push(`${label}: text is empty (merge the line instead)`);
+          return;
+        }
+        lines[idx] = { ...lines[idx], text: text.slice(0, MAX_LINE_TEXT) };
+        return;
+      }
+      case "set_speaker": {
+        const speaker = cleanSpeaker(op.speaker);
+        if (!speaker) {
+          errors.push(`${label}: speaker is empty`);
+          return;
+        }
+        lines[idx] = { ...lines[idx], speaker };
+        return;
+      }
+      case "swap_speakers": {
+        const a = cleanSpeaker(op.a);
+        const b = cleanSpeaker(op.b);
+        if (!a || !b || a === b) {
+          errors.push(`${label}: needs two different speakers`);
+          return;
+        }
+        lines = lines.map((ln) => {
+          if (ln.speaker === a) return { ...ln, speaker: b };
+          if (ln.speaker === b) return { ...ln, speaker: a };
+          return ln;
+        });
+        return;
+      }
+      case "split": {
+        const ln = lines[idx];
+        const offset = Math.floor(Number(op.offset));
+        const left = ln.text.slice(0, offset).trim();
+        const right = ln.text.slice(offset).trim();
+        if (!Number.isFinite(offset) || !left || !right) {
+          errors.push(`${label}: split point must leave text on both sides`);
+          return;
+        }
+        const [t1, t2] = splitTiming(ln, offset / Math.max(ln.text.length, 1));
+        lines.splice(
+          idx,
+          1,
+          { ...ln, text: left, ...t1 },
+          { ...ln, text: right, ...t2, speaker: cleanSpeaker(op.speaker) || ln.speaker }
+        );
+        return;
+      }
+      case "merge": {
+        if (idx + 1 >= lines.length) {
+          errors.push(`${label}: no following line to merge`);
+          return;
+        }
+        const a = lines[idx];
+        const b = lines[idx + 1];
+        lines.splice(idx, 2, {
+          speaker: a.speaker,
+          text: `${a.text} ${b.text}`.trim().slice(0, MAX_LINE_TEXT),
+          start_ms: a.start_ms ?? b.start_ms,
+          end_ms: b.end_ms ?? a.end_ms,
+          origin: [...new Set([...a.origin, ...b.origin])],
+        });
+        return;
+      }
+      default:
+        errors.push(`${label}: unknown op`);
+    }
+  });
+
+  const edited = lines.map((ln, i) => ({ ...ln, line: i + 1 }));
+  return { lines: edited, errors };
+}
+
+// Old line number -> new line numbers derived from it.
+export function buildLineMap(editedLines) {
+  const map = new Map();
+  (editedLines || []).forEach((ln) => {
+    (ln.origin || []).forEach((o) => {
+      if (!map.has(o)) map.set(o, []);
+      map.get(o).push(ln.line);
+    });
+  });
+  return map;
+}
+
+function findQuoteLine(quote, candidates, lines) {
+  const q = String(quote || "").trim();
+  if (!q) return null;
+  for (const n of candidates) {
+    if (String(lines[n - 1]?.text || "").includes(q)) return n;
+  }
+  return null;
+}
+
+// Moves { line, quote } evidence onto the edited transcript. A quote stays on
+// a line derived from its original line when it still matches there; other
+// matches anywhere in the transcript are accepted next; the rest are dropped.
+export function remapEvidence(evidence, lineMap, editedLines) {
+  const kept = [];
+  let dropped = 0;
+  (Array.isArray(evidence) ? evidence : []).forEach((ev) => {
+    const oldLine = Math.floor(Number(ev?.line));
+    const derived = lineMap.get(oldLine) || [];
+    let line = findQuoteLine(ev?.quote, derived, editedLines);
+    if (line == null) {
+      const all = editedLines.map((ln) => ln.line);
+      // Prefer the nearest match to where the quote used to be.
+      const near = derived[0] || oldLine || 1;
+      all.sort((x, y) => Math.abs(x - near) - Math.abs(y - near));
+      line = findQuoteLine(ev?.quote, all, editedLines);
+    }
+    if (line == null) {
+      dropped += 1;
+      return;
+    }
+    kept.push({ ...ev, line });
+  });
+  return { evidence: kept, dropped };
+}
+
+export function remapLineNumbers(lineNumbers, lineMap) {
+  const out = [];
+  (Array.isArray(lineNumbers) ? lineNumbers : []).forEach((n) => {
+    (lineMap.get(Math.floor(Number(n))) || []).forEach((m) => {
+      if (!out.includes(m)) out.push(m);
+    });
+  });
+  return out;
+}
@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+
+// Providers return raw utterances only; stitching, tiny-turn absorption and
+// speaker labelling happen in the shared pipeline in server.mjs.
+//
+// Every provider implements:
+//   prepare(filePath, opts) -> source handle reused across attempts
+//   transcribe(source, { speakersExpected }) -> { utterances, text, speech_model }
+// supportsRetry=false skips the diarization retry (local inputs are fixed).
+
+const ASSEMBLYAI_BASE_URL = "https://api.assemblyai.com/v2";
+
+function toMs(value, unit) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return unit === "s" ? Math.round(n * 1000) : Math.round(n);
+}
+
+export function normalizeUtterancesPayload(payload) {
+  const root = Array.isArray(payload) ? { utterances: payload } : (payload || {});
+  let utterances = [];
+  if (Array.isArray(root.utterances)) {
+    utterances = root.utterances.map((u) => ({
+      speaker: u?.speaker ?? null,
+      text: String(u?.text || "").trim(),
+      start: toMs(u?.start ?? u?.start_ms, "ms"),
+      end: toMs(u?.end ?? u?.end_ms, "ms"),
+    }));
+  } else if (Array.isArray(root.segments)) {
+    // whisper-style output: seconds, optional speaker
+    utterances = root.segments.map((s) => ({
+      speaker: s?.speaker ?? null,
+      text: String(s?.text || "").trim(),
+      start: toMs(s?.start, "s"),
+      end: toMs(s?.end, "s"),
+    }));
+  }
+  utterances = utterances.filter((u) => u.text.length > 0);
+  const text = String(root.text || "").trim() || utterances.map((u) => u.text).join(" ");
+  return {
+    utterances,
+    text,
+    speech_model: root.speech_model || root.model || null,
+  };
+}
+
+function createAssemblyAiProvider({ apiKey }) {
+  const pollTranscript = async (id) => {
+    for (let i = 0; i < 120; i++) {
+      await new Promise((r) => setTimeout(r, 2500));
+      const st = await fetch(`${ASSEMBLYAI_BASE_URL}/transcript/${id}`, {
+        headers: { authorization: apiKey },
+      });
+      if (!st.ok) throw new Error(`AssemblyAI transcript status failed: ${await st.text()}`);
+      const stJson = await st.json();
+      if (stJson.status === "completed") return stJson;
+      if (stJson.status === "error") throw new Error(`AssemblyAI error: ${stJson.error}`);
+    }
+    throw new Error("AssemblyAI transcript timed out");
+  };
+
+  return {
+    name: "assemblyai",
+    supportsRetry: true,
+    async prepare(filePath) {
+      if (!apiKey) throw new Error("Missing ASSEMBLYAI_API_KEY");
+      const audioData = fs.readFileSync(filePath);
+      const up = await fetch(`${ASSEMBLYAI_BASE_URL}/upload`, {
+        method: "POST",
+        headers: {
+          authorization: apiKey,
+          "content-type": "application/octet-stream",
+        },
+        body: audioData,
+      });
+      if (!up.ok) throw new Error(`AssemblyAI upload failed: ${await up.text()}`);
+      const upJson = await up.json();
+      return { audioUrl: upJson.upload_url };
+    },
+    async transcribe(source, { speakersExpected = null } = {}) {
+      const payload = speakersExpected
+        ? {
+            audio_url: source.audioUrl,
+            speaker_labels: true,
+            speakers_expected: speakersExpected,
+            punctuate: true,
+            format_text: true,
+          }
+        : {
+            audio_url: source.audioUrl,
+            speaker_labels: true,
+            speaker_options: { min_speakers: 1, max_speakers: 2 },
+            punctuate: true,
+            format_text: true,
+          };
+      const tr = await fetch(`${ASSEMBLYAI_BASE_URL}/transcript`, {
+        method: "POST",
+        headers: {
+          authorization: apiKey,
+          "content-type": "application/json",
+        },
+        body: JSON.stringify(payload),
+      });
+      if (!tr.ok) throw new Error(`AssemblyAI transcript start failed: ${await tr.text()}`);
+      const trJson = await tr.json();
+      const stJson = await pollTranscript(trJson.id);
+      return {
+        utterances: stJson?.utterances || [],
+        text: stJson?.text || "",
+        speech_model: stJson?.speech_model || stJson?.speech_models?.[0] || null,
+      };
+    },
+  };
+}
+
+function resolveFixturePath(fixtures, filePath, originalname) {
+  if (!fixtures) return null;
+  if (!fs.existsSync(fixtures)) throw new Error(`Local transcript fixtures not found: ${fixtures}`);
+  if (!fs.statSync(fixtures).isDirectory()) return fixtures;
+  const names = [originalname, path.basename(filePath)]
+    .filter(Boolean)
+    .map((n) => path.basename(n, path.extname(n)));
+  for (const name of [...names, "default"]) {
+    const candidate = path.join(fixtures, `${name}.json`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  throw new Error(`No local transcript fixture for ${originalname || path.basename(filePath)}`);
+}
+
+function runLocalCommand(command, filePath, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const parts = String(command).trim().split(/\s+/).filter(Boolean);
+    const hasPlaceholder = parts.some((p) => p.includes("{file}"));
+    const args = parts.slice(1).map((p) => p.replaceAll("{file}", filePath));
+    if (!hasPlaceholder) args.push(filePath);
+    const p = spawn(parts[0], args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    const timer = setTimeout(() => {
+      p.kill("SIGKILL");
+      reject(new Error("Local speech-to-text timed out"));
+    }, timeoutMs);
+    p.stdout.on("data", (d) => (stdout += d.toString()));
+    p.stderr.on("data", (d) => (stderr += d.toString()));
+    p.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    p.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(stdout);
+      else reject(new Error("Local speech-to-text failed: " + stderr.slice(-4000)));
+    });
+  });
+}
+
+function createLocalProvider({ fixtures, command, timeoutMs }) {
+  return {
+    name: "local",
+    supportsRetry: false,
+    async prepare(filePath, { originalname } = {}) {
+      if (!fixtures && !command) {
+        throw new Error("Missing LOCAL_STT_FIXTURES or LOCAL_STT_COMMAND");
+      }
+      return { filePath, originalname };
+    },
+    async transcribe(source) {
+      const fixturePath = resolveFixturePath(fixtures, source.filePath, source.originalname);
+      const raw = fixturePath
+        ? fs.readFileSync(fixturePath, "utf-8")
+        : await runLocalCommand(command, source.filePath, timeoutMs);
+      let parsed = null;
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        throw new Error("Local transcript is not valid JSON");
+      }
+      return normalizeUtterancesPayload(parsed);
+    },
+  };
+}
+
+export function createTranscriptionProvider(env = process.env) {
+  const name = String(env.TRANSCRIPTION_PROVIDER || "assemblyai").trim().toLowerCase();
+  if (name === "assemblyai") {
+    return createAssemblyAiProvider({ apiKey: env.ASSEMBLYAI_API_KEY || "" });
+  }
+  if (name === "local") {
+    return createLocalProvider({
+      fixtures: String(env.LOCAL_STT_FIXTURES || "").trim(),
+      command: String(env.LOCAL_STT_COMMAND || "").trim(),
+      timeoutMs: Number(env.LOCAL_STT_TIMEOUT_MS || 10 * 60 * 1000),
+    });
+  }
+  throw new Error(`Unknown TRANSCRIPTION_PROVIDER: ${name}`);
+}
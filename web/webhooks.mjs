@@ -0,0 +1,199 @@
+// Outbound webhooks. Each delivery is a POST of
+//
+//   { "id": <event id>, "type": "run.completed", "created_at": ISO, "data": {...} }
+//
+// signed with the subscription secret: X-Calibrate-Signature is
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>". Receivers should
+// recompute it and reject timestamps older than a few minutes. Replays keep
+// the event id so receivers can dedupe.
+
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+export const WEBHOOK_EVENTS = [
+  "run.created",
+  "run.completed",
+  "run.failed",
+  "followup.regenerated",
+  "playbook.updated",
+  "entity.merged",
+];
+export const WEBHOOK_TEST_EVENT = "webhook.test";
+
+export const WEBHOOK_MAX_ATTEMPTS = 6;
+// Wait before attempt n+1 (after n failures).
+const RETRY_DELAYS_MS = [30e3, 2 * 60e3, 10 * 60e3, 60 * 60e3, 6 * 60 * 60e3];
+const URL_MAX_LEN = 2000;
+const DESCRIPTION_MAX_LEN = 200;
+
+export function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${sig}`;
+}
+
+export function retryDelayMs(attempts) {
+  return RETRY_DELAYS_MS[Math.min(Math.max(attempts, 1), RETRY_DELAYS_MS.length) - 1];
+}
+
+function isPrivateIPv4(ip) {
+  const [a, b, c] = ip.split(".").map(Number);
+  return a === 0
+    || a === 10
+    || a === 127
+    || a >= 224 // multicast, reserved, broadcast
+    || (a === 100 && b >= 64 && b <= 127) // CGNAT
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 192 && b === 0 && c === 0)
+    || (a === 198 && (b === 18 || b === 19));
+}
+
+// The eight 16-bit groups of an IPv6 address, with any dotted IPv4 tail
+// converted.
+function ipv6Groups(ip) {
+  let host = ip;
+  const v4 = host.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const [a, b, c, d] = v4[1].split(".").map(Number);
+    host = `${host.slice(0, -v4[1].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = host.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const fill = host.includes("::") ? Array(8 - left.length - right.length).fill("0") : [];
+  return [...left, ...fill, ...right].map((g) => parseInt(g, 16) || 0);
+}
+
+// Loopback, private, link-local, CGNAT, multicast and unspecified addresses,
+// including IPv4 wrapped in IPv6 (::ffff:a.b.c.d, NAT64, 6to4).
+export function isPrivateAddress(address) {
+  const ip = String(address || "").replace(/^\[|\]$/g, "").replace(/%.*$/, "").toLowerCase();
+  const kind = net.isIP(ip);
+  if (kind === 4) return isPrivateIPv4(ip);
+  if (kind !== 6) return true;
+  const g = ipv6Groups(ip);
+  const embedded = (hi, lo) => isPrivateIPv4(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  if (g.slice(0, 6).every((x) => x === 0)) return true; // ::, ::1, IPv4-compatible
+  if (g.slice(0, 5).every((x) => x === 0) && g[5] === 0xffff) return embedded(g[6], g[7]);
+  if (g[0] === 0x64 && g[1] === 0xff9b) return embedded(g[6], g[7]);
+  if (g[0] === 0x2002) return embedded(g[1], g[2]);
+  return (g[0] & 0xfe00) === 0xfc00 || (g[0] & 0xffc0) === 0xfe80 || (g[0] & 0xff00) === 0xff00;
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal")) return true;
+  return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+// Resolves hostname once and checks every address, so the connection can be
+// pinned to an address that was vetted (no DNS rebinding between check and
+// connect). Returns { address, family } or { error }.
+export async function resolveWebhookHost(hostname, { allowPrivate = false } = {}) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    return { error: `Could not resolve ${host}: ${err?.code || err?.message || err}` };
+  }
+  if (!addresses.length) return { error: `Could not resolve ${host}` };
+  if (!allowPrivate && (isPrivateHost(host) || addresses.some((a) => isPrivateAddress(a.address)))) {
+    return { error: `${host} resolves to a private or local address` };
+  }
+  return addresses[0];
+}
+
+// POST over http(s) to a pre-resolved address. TLS still verifies the
+// certificate against the URL's hostname.
+function postPinned(url, { address, family }, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: (_host, options, cb) => (options?.all ? cb(null, [{ address, family }]) : cb(null, address, family)),
+      timeout: timeoutMs,
+    }, (res) => {
+      // Only the status line is kept; the body is drained and dropped.
+      res.resume();
+      res.on("end", () => resolve({ status: res.statusCode, statusText: res.statusMessage || "" }));
+      res.on("error", reject);
+    });
+    req.on("timeout", () => req.destroy(Object.assign(new Error(`Timed out after ${timeoutMs}ms`), { name: "TimeoutError" })));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// Returns { value } with the subscription columns present in input, or
+// { error }. With partial, missing fields are left out instead of required.
+export function normalizeWebhookInput(input = {}, { partial = false, allowPrivate = false } = {}) {
+  const value = {};
+  if (!partial || input.url != null) {
+    const raw = String(input.url || "").trim();
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      return { error: "url must be an absolute http(s) URL" };
+    }
+    if (!["https:", "http:"].includes(url.protocol) || raw.length > URL_MAX_LEN) {
+      return { error: "url must be an absolute http(s) URL" };
+    }
+    if (!allowPrivate && isPrivateHost(url.hostname)) return { error: "url must not point at a private or local address" };
+    value.url = url.toString();
+  }
+  if (!partial || input.events != null) {
+    const events = [...new Set((Array.isArray(input.events) ? input.events : [input.events]).map((e) => String(e || "").trim()).filter(Boolean))];
+    const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return { error: `Unknown event ${unknown.join(", ")}` };
+    if (!events.length) return { error: "Pick at least one event" };
+    value.events = events;
+  }
+  if (input.description != null) value.description = String(input.description).trim().slice(0, DESCRIPTION_MAX_LEN) || null;
+  if (input.active != null) value.active = !!input.active;
+  return { value };
+}
+
+export function webhookEnvelope(event, data, { id = crypto.randomUUID(), createdAt = new Date().toISOString() } = {}) {
+  return { id, type: event, created_at: createdAt, data };
+}
+
+// One POST attempt. Never throws; returns { ok, status, error, response,
+// duration_ms } where response is the receiver's status line only. The host is
+// resolved and vetted on every attempt; redirects are not followed.
+export async function deliverWebhook({ url, secret, envelope, deliveryId, timeoutMs = 10000, allowPrivate = false }) {
+  const body = JSON.stringify(envelope);
+  const started = Date.now();
+  const target = new URL(url);
+  const resolved = await resolveWebhookHost(target.hostname, { allowPrivate });
+  if (resolved.error) return { ok: false, status: null, error: resolved.error, response: null, duration_ms: Date.now() - started };
+  try {
+    const res = await postPinned(target, resolved, {
+      "Content-Type": "application/json",
+      "User-Agent": "Calibrate-Webhooks/1",
+      "X-Calibrate-Event": envelope.type,
+      "X-Calibrate-Delivery": deliveryId,
+      "X-Calibrate-Signature": signWebhookPayload(secret, body),
+    }, body, timeoutMs);
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      ok,
+      status: res.status,
+      error: ok ? null : `HTTP ${res.status}`,
+      response: `${res.status} ${res.statusText}`.trim().slice(0, 200),
+      duration_ms: Date.now() - started,
+    };
+  } catch (err) {
+    return { ok: false, status: null, error: String(err?.message || err), response: null, duration_ms: Date.now() - started };
+  }
+}
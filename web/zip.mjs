@@ -0,0 +1,219 @@
+// Minimal zip support: a reader for batch uploads (central directory plus
+// stored/deflated entries via zlib; no zip64, no encryption) and a writer
+// for generated documents. The reader works off a file handle and streams
+// each entry to disk, so a large archive is never held in memory and
+// inflating it does not block the event loop.
+
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import { Transform } from "stream";
+import zlib from "zlib";
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+const EOCD_MAX_SEARCH = 22 + 0xffff;
+
+export function isZipUpload(file) {
+  const name = String(file?.originalname || "").toLowerCase();
+  const type = String(file?.mimetype || "").toLowerCase();
+  return name.endsWith(".zip") || type === "application/zip" || type === "application/x-zip-compressed";
+}
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+export async function listZipEntries(fh) {
+  const { size } = await fh.stat();
+  // EOCD is 22 bytes plus an optional comment of up to 65535 bytes.
+  const tailStart = Math.max(0, size - EOCD_MAX_SEARCH);
+  const tail = await readAt(fh, tailStart, size - tailStart);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i -= 1) {
+    if (tail.readUInt32LE(i) === EOCD_SIG) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip archive");
+  const count = tail.readUInt16LE(eocd + 10);
+  const cdSize = tail.readUInt32LE(eocd + 12);
+  const cdOffset = tail.readUInt32LE(eocd + 16);
+  if (cdOffset === 0xffffffff) throw new Error("Zip64 archives are not supported");
+  if (cdOffset + cdSize > size) throw new Error("Corrupt zip central directory");
+  const buf = await readAt(fh, cdOffset, cdSize);
+
+  const entries = [];
+  let ptr = 0;
+  for (let i = 0; i < count; i += 1) {
+    if (ptr + 46 > buf.length || buf.readUInt32LE(ptr) !== CENTRAL_SIG) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const flags = buf.readUInt16LE(ptr + 8);
+    const method = buf.readUInt16LE(ptr + 10);
+    const compressedSize = buf.readUInt32LE(ptr + 20);
+    const size = buf.readUInt32LE(ptr + 24);
+    const nameLen = buf.readUInt16LE(ptr + 28);
+    const extraLen = buf.readUInt16LE(ptr + 30);
+    const commentLen = buf.readUInt16LE(ptr + 32);
+    const localOffset = buf.readUInt32LE(ptr + 42);
+    const name = buf.toString("utf8", ptr + 46, ptr + 46 + nameLen);
+    entries.push({
+      name,
+      method,
+      compressedSize,
+      size,
+      localOffset,
+      encrypted: (flags & 1) === 1,
+      directory: name.endsWith("/"),
+    });
+    ptr += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// Fails the stream once more than maxBytes have passed through.
+function byteLimit(maxBytes, name) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      seen += chunk.length;
+      if (seen > maxBytes) cb(new Error(`Zip entry ${name} is too large`));
+      else cb(null, chunk);
+    },
+  });
+}
+
+// Streams one entry to outPath; resolves with the bytes written.
+export async function extractZipEntry(fh, zipPath, entry, outPath, { maxBytes = Infinity } = {}) {
+  const at = entry.localOffset;
+  const header = await readAt(fh, at, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIG) {
+    throw new Error(`Corrupt zip entry ${entry.name}`);
+  }
+  if (entry.encrypted) throw new Error(`Encrypted zip entry ${entry.name}`);
+  if (entry.size > maxBytes) throw new Error(`Zip entry ${entry.name} is too large`);
+  if (entry.method !== 0 && entry.method !== 8) throw new Error(`Unsupported compression in ${entry.name}`);
+  const start = at + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const stages = [];
+  if (entry.compressedSize) {
+    stages.push(fs.createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 }));
+  } else {
+    stages.push(async function* empty() {});
+  }
+  if (entry.method === 8) stages.push(zlib.createInflateRaw());
+  // Sizes in the header are untrusted; cap the output to guard against zip bombs.
+  stages.push(byteLimit(maxBytes, entry.name));
+  const out = fs.createWriteStream(outPath);
+  try {
+    await pipeline(...stages, out);
+  } catch (err) {
+    await fs.promises.unlink(outPath).catch(() => {});
+    throw err;
+  }
+  return out.bytesWritten;
+}
+
+// Extracts matching file entries to `${outPrefix}_<n>` paths; entries that
+// cannot be read are reported in `skipped` instead of failing the archive.
+export async function extractZipFile(zipPath, { outPrefix, accept = () => true, maxEntries = Infinity, maxBytes = Infinity }) {
+  const fh = await fs.promises.open(zipPath, "r");
+  const files = [];
+  const skipped = [];
+  try {
+    for (const entry of await listZipEntries(fh)) {
+      const base = entry.name.split("/").pop();
+      if (entry.directory || !base || entry.name.startsWith("__MACOSX/") || base.startsWith(".")) continue;
+      if (!accept(base)) {
+        skipped.push({ name: entry.name, reason: "unsupported file type" });
+        continue;
+      }
+      if (files.length >= maxEntries) {
+        skipped.push({ name: entry.name, reason: "too many files in batch" });
+        continue;
+      }
+      const outPath = `${outPrefix}_${files.length}`;
+      try {
+        const size = await extractZipEntry(fh, zipPath, entry, outPath, { maxBytes });
+        files.push({ path: outPath, originalname: base, size });
+      } catch (err) {
+        skipped.push({ name: entry.name, reason: err.message || String(err) });
+      }
+    }
+  } finally {
+    await fh.close();
+  }
+  return { files, skipped };
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Builds a deflated zip from [{ name, data }] (data: Buffer or string).
+// Timestamps are fixed so identical input gives identical bytes.
+export function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, "utf8");
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIG, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // utf-8 names
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12); // 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, nameBuf, packed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIG, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + packed.length;
+  });
+  const centralSize = centrals.reduce((acc, b) => acc + b.length, 0);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIG, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(centralSize, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, eocd]);
+}